@@ -0,0 +1,70 @@
+const { determineDominant, scoreAnswers } = require('../services/assessmentService');
+
+const questionnaire = {
+  questions: [
+    {
+      key: 'body_frame',
+      weight: 2,
+      required: true,
+      options: [
+        { label: 'Thin', scores: { vata: 3 } },
+        { label: 'Medium', scores: { pitta: 3 } },
+        { label: 'Large', scores: { kapha: 3 } }
+      ]
+    },
+    {
+      key: 'appetite',
+      weight: 1,
+      required: true,
+      options: [
+        { label: 'Irregular', scores: { vata: 2 } },
+        { label: 'Strong', scores: { pitta: 2, kapha: 1 } }
+      ]
+    },
+    {
+      key: 'sleep',
+      weight: 1,
+      required: false,
+      options: [
+        { label: 'Light', scores: { vata: 1 } },
+        { label: 'Deep', scores: { kapha: 1 } }
+      ]
+    }
+  ]
+};
+
+describe('determineDominant', () => {
+  it('names one clear leader, two close leaders or all three', () => {
+    expect(determineDominant({ vata: 60, pitta: 25, kapha: 15 })).toBe('vata');
+    expect(determineDominant({ vata: 42, pitta: 45, kapha: 13 })).toBe('pitta-vata');
+    expect(determineDominant({ vata: 35, pitta: 33, kapha: 32 })).toBe('tridoshic');
+  });
+});
+
+describe('scoreAnswers', () => {
+  it('weights each chosen option and scores doshas as percentages', () => {
+    const result = scoreAnswers(questionnaire, [
+      { questionKey: 'body_frame', optionIndex: 0 },
+      { questionKey: 'appetite', optionIndex: 1 }
+    ]);
+
+    // vata 3 x 2 = 6, pitta 2, kapha 1 out of 9
+    expect(result.scores).toEqual({ vata: 66.7, pitta: 22.2, kapha: 11.1 });
+    expect(result.dominant).toBe('vata');
+    expect(result.answers).toHaveLength(2);
+  });
+
+  it('requires every required question but not the optional ones', () => {
+    expect(scoreAnswers(questionnaire, [{ questionKey: 'body_frame', optionIndex: 0 }]))
+      .toEqual({ error: 'Please answer every required question: appetite' });
+  });
+
+  it('rejects unknown questions and options', () => {
+    expect(scoreAnswers(questionnaire, [{ questionKey: 'mood', optionIndex: 0 }]))
+      .toEqual({ error: 'Unknown question(s): mood' });
+    expect(scoreAnswers(questionnaire, [
+      { questionKey: 'body_frame', optionIndex: 5 },
+      { questionKey: 'appetite', optionIndex: 0 }
+    ])).toEqual({ error: 'Question body_frame has no option 5' });
+  });
+});
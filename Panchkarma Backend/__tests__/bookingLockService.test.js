@@ -0,0 +1,168 @@
+const mongoose = require('mongoose');
+const BookingLedger = require('../models/bookingLedger.models');
+const { bookingKeys, resourceKeys, lockKeys, withBookingLocks } = require('../services/bookingLockService');
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Stand in for MongoDB transactions on the booking ledger
+ * A transaction's writes become visible when it commits. Writing a ledger entry that another
+ * open transaction has written fails with a transient write conflict, and the transaction is
+ * retried from the start, as the driver does.
+ */
+const setUpTransactions = () => {
+  const db = { committed: [], attempts: 0, ledgerWriters: new Map() };
+
+  const release = (txn) => {
+    db.ledgerWriters.forEach((writer, key) => {
+      if (writer === txn) db.ledgerWriters.delete(key);
+    });
+  };
+
+  jest.spyOn(mongoose.connection, 'transaction').mockImplementation(async (fn) => {
+    for (;;) {
+      const txn = { writes: [] };
+      db.attempts++;
+      try {
+        const result = await fn(txn);
+        db.committed.push(...txn.writes);
+        release(txn);
+        return result;
+      } catch (error) {
+        release(txn);
+        if (!error.errorLabels?.includes('TransientTransactionError')) throw error;
+        await tick();
+      }
+    }
+  });
+
+  jest.spyOn(BookingLedger, 'updateOne').mockImplementation(async ({ key }, update, { session }) => {
+    const writer = db.ledgerWriters.get(key);
+    if (writer && writer !== session) {
+      const error = new Error('WriteConflict');
+      error.errorLabels = ['TransientTransactionError'];
+      throw error;
+    }
+    db.ledgerWriters.set(key, session);
+    return { acknowledged: true };
+  });
+
+  return db;
+};
+
+const overlaps = (a, b) => a.startTime < b.endTime && b.startTime < a.endTime;
+
+/**
+ * Hold or book a slot the way the booking services do: lock the parties, check committed
+ * bookings for an overlap, then lock the room and write
+ */
+const reserve = (db, booking) => withBookingLocks(
+  bookingKeys({ practitionerIds: [booking.practitionerId], patientIds: [booking.patientId] }),
+  async (txn) => {
+    await tick();
+    const conflict = db.committed.find(existing => overlaps(existing, booking) && (
+      existing.practitionerId === booking.practitionerId ||
+      existing.patientId === booking.patientId ||
+      (booking.room && existing.room === booking.room)
+    ));
+    if (conflict) {
+      return { conflict: conflict.kind };
+    }
+
+    await lockKeys(resourceKeys({ room: booking.room }), txn);
+    await tick();
+    txn.writes.push(booking);
+    return { conflict: null };
+  }
+);
+
+const slot = (overrides) => ({
+  practitionerId: 'practitioner-1',
+  patientId: 'patient-1',
+  startTime: new Date('2030-01-07T04:30:00Z'),
+  endTime: new Date('2030-01-07T05:30:00Z'),
+  ...overrides
+});
+
+describe('booking ledger keys', () => {
+  it('names each practitioner, patient, room and equipment item', () => {
+    expect(bookingKeys({ practitionerIds: ['d1'], patientIds: ['p1', 'p2'] }))
+      .toEqual(['practitioner:d1', 'patient:p1', 'patient:p2']);
+    expect(resourceKeys({ room: 'r1', equipment: [{ item: 'e1', quantity: 2 }, { item: 'e2' }] }))
+      .toEqual(['room:r1', 'equipment:e1', 'equipment:e2']);
+    expect(resourceKeys({ equipment: [] })).toEqual([]);
+  });
+});
+
+describe('lockKeys', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('writes each entry once, in a fixed order so transactions cannot deadlock', async () => {
+    const updateOne = jest.spyOn(BookingLedger, 'updateOne').mockResolvedValue({ acknowledged: true });
+    const mongoSession = {};
+
+    await lockKeys(['room:r1', 'practitioner:d1', 'room:r1', 'equipment:e1'], mongoSession);
+
+    expect(updateOne.mock.calls.map(([filter]) => filter.key)).toEqual(['equipment:e1', 'practitioner:d1', 'room:r1']);
+    const [, update, options] = updateOne.mock.calls[0];
+    expect(update.$inc).toEqual({ version: 1 });
+    expect(options).toEqual({ upsert: true, session: mongoSession });
+  });
+});
+
+describe('withBookingLocks', () => {
+  let db;
+
+  beforeEach(() => {
+    db = setUpTransactions();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('lets only one of a hold and a booking for the same slot through', async () => {
+    const [hold, booking] = await Promise.all([
+      reserve(db, slot({ kind: 'hold', patientId: 'patient-1' })),
+      reserve(db, slot({ kind: 'booking', patientId: 'patient-2' }))
+    ]);
+
+    expect(db.committed.map(b => b.kind)).toEqual(['hold']);
+    expect(hold.conflict).toBeNull();
+    expect(booking.conflict).toBe('hold');
+    expect(db.attempts).toBeGreaterThan(2);
+  });
+
+  it('stops a patient being booked with two practitioners at once', async () => {
+    const results = await Promise.all([
+      reserve(db, slot({ kind: 'booking', practitionerId: 'practitioner-1' })),
+      reserve(db, slot({ kind: 'booking', practitionerId: 'practitioner-2' }))
+    ]);
+
+    expect(db.committed).toHaveLength(1);
+    expect(results.filter(r => r.conflict)).toHaveLength(1);
+  });
+
+  it('serialises bookings that only share a room', async () => {
+    const results = await Promise.all([
+      reserve(db, slot({ kind: 'booking', room: 'room-1' })),
+      reserve(db, slot({ kind: 'booking', practitionerId: 'practitioner-2', patientId: 'patient-2', room: 'room-1' }))
+    ]);
+
+    expect(db.committed).toHaveLength(1);
+    expect(results.filter(r => r.conflict)).toHaveLength(1);
+  });
+
+  it('does not hold up bookings that share nothing', async () => {
+    const results = await Promise.all([
+      reserve(db, slot({ kind: 'booking', room: 'room-1' })),
+      reserve(db, slot({ kind: 'booking', practitionerId: 'practitioner-2', patientId: 'patient-2', room: 'room-2' }))
+    ]);
+
+    expect(db.committed).toHaveLength(2);
+    expect(results.every(r => r.conflict === null)).toBe(true);
+    expect(db.attempts).toBe(2);
+  });
+});
@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const User = require('../models/user.models');
+const Session = require('../models/session.models');
+const { hashFeedToken, generateFeedToken, buildCalendar, getFeedSessions } = require('../services/calendarService');
+const { getFeed } = require('../controllers/calendar.controller');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  res.set = jest.fn(() => res);
+  res.type = jest.fn(() => res);
+  res.send = jest.fn(() => res);
+  return res;
+};
+
+// A query whose populate() and sort() calls chain and which resolves to `result`
+const chained = (result) => {
+  const query = {
+    populate: () => query,
+    sort: () => query,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return query;
+};
+
+describe('calendar feed tokens', () => {
+  it('stores only a hash of a fresh random token', () => {
+    const first = generateFeedToken();
+    const second = generateFeedToken();
+
+    expect(first.token).toMatch(/^[0-9a-f]{48}$/);
+    expect(first.tokenHash).toBe(hashFeedToken(first.token));
+    expect(first.tokenHash).not.toContain(first.token);
+    expect(second.token).not.toBe(first.token);
+  });
+});
+
+describe('getFeed', () => {
+  const practitioner = new User({
+    _id: id(),
+    email: 'dr.rao@example.com',
+    role: 'practitioner',
+    profile: { firstName: 'Asha', lastName: 'Rao' }
+  });
+  const session = {
+    _id: id(),
+    status: 'scheduled',
+    therapy: { name: 'Abhyanga' },
+    practitioner: { _id: practitioner._id, profile: practitioner.profile },
+    patient: { _id: id(), profile: { firstName: 'Meera', lastName: 'Iyer' } },
+    startTime: new Date('2030-01-07T04:30:00Z'),
+    endTime: new Date('2030-01-07T05:30:00Z')
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('looks the user up by the token hash and serves their sessions', async () => {
+    const { token, tokenHash } = generateFeedToken();
+    const findOne = jest.spyOn(User, 'findOne').mockResolvedValue(practitioner);
+    const find = jest.spyOn(Session, 'find').mockReturnValue(chained([session]));
+    const res = mockResponse();
+
+    await getFeed({ params: { token } }, res);
+
+    expect(findOne).toHaveBeenCalledWith({ calendarFeedToken: tokenHash, isActive: true });
+    expect(find.mock.calls[0][0]).toMatchObject({ practitioner: practitioner._id });
+    expect(find.mock.calls[0][0].patient).toBeUndefined();
+    expect(res.type).toHaveBeenCalledWith('text/calendar; charset=utf-8');
+    const calendar = res.send.mock.calls[0][0];
+    expect(calendar).toContain(`UID:session-${session._id}@panchakarma-sutra`);
+    expect(calendar).toContain('SUMMARY:Abhyanga - Meera Iyer');
+  });
+
+  it('answers an unknown or revoked token with 404 and no sessions', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+    const find = jest.spyOn(Session, 'find');
+    const res = mockResponse();
+
+    await getFeed({ params: { token: 'not-a-real-token' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.json).toHaveBeenCalledWith({ success: false, message: 'Calendar feed not found' });
+    expect(find).not.toHaveBeenCalled();
+  });
+
+  it('gives a patient only their own bookings', async () => {
+    const patient = { _id: id(), role: 'patient' };
+    const find = jest.spyOn(Session, 'find').mockReturnValue(chained([]));
+
+    await getFeedSessions(patient);
+
+    expect(find.mock.calls[0][0]).toMatchObject({ patient: patient._id, status: { $ne: 'no-show' } });
+    expect(find.mock.calls[0][0].practitioner).toBeUndefined();
+  });
+});
+
+describe('buildCalendar', () => {
+  it('marks a cancelled session as cancelled so subscribed calendars drop it', () => {
+    const calendar = buildCalendar([{
+      _id: id(),
+      status: 'cancelled',
+      therapy: { name: 'Shirodhara' },
+      startTime: new Date('2030-01-07T04:30:00Z'),
+      endTime: new Date('2030-01-07T05:30:00Z')
+    }], { timeZone: 'Asia/Kolkata', viewerId: id(), isFeed: true });
+
+    expect(calendar).toContain('STATUS:CANCELLED');
+    expect(calendar).toContain('DTSTART;TZID=Asia/Kolkata:20300107T100000');
+    expect(calendar).toContain('REFRESH-INTERVAL;VALUE=DURATION:PT1H');
+  });
+});
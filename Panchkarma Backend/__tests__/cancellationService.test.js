@@ -0,0 +1,78 @@
+const CancellationPolicy = require('../models/cancellationPolicy.models');
+const Session = require('../models/session.models');
+const { cancelSessionsWithCharges } = require('../services/cancellationService');
+
+const HOUR = 60 * 60 * 1000;
+const now = new Date('2030-01-10T09:00:00Z');
+
+const buildSession = (id, hoursAhead, paymentStatus = 'paid') => ({
+  _id: id,
+  therapy: { name: 'Abhyanga', category: 'abhyanga' },
+  startTime: new Date(now.getTime() + hoursAhead * HOUR),
+  createdAt: new Date(now.getTime() - 7 * 24 * HOUR),
+  price: 1000,
+  paymentStatus
+});
+
+describe('cancelSessionsWithCharges', () => {
+  let updateOne;
+
+  beforeEach(() => {
+    jest.spyOn(CancellationPolicy, 'findForCategory').mockImplementation(async () => CancellationPolicy.buildDefault());
+    updateOne = jest.spyOn(Session, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('charges each session under the policy as if it were cancelled alone', async () => {
+    const sessions = [
+      buildSession('soon', 1),
+      buildSession('tomorrow', 20),
+      buildSession('next-week', 24 * 7)
+    ];
+
+    const result = await cancelSessionsWithCharges(sessions, {
+      cancellationType: 'patient',
+      performedBy: 'patient-id',
+      reason: 'Travelling for the rest of the month',
+      now
+    });
+
+    expect(result.sessions).toEqual([
+      { sessionId: 'soon', cancellationFee: 500, refundAmount: 500 },
+      { sessionId: 'tomorrow', cancellationFee: 250, refundAmount: 750 },
+      { sessionId: 'next-week', cancellationFee: 0, refundAmount: 1000 }
+    ]);
+    expect(result.cancellationFee).toBe(750);
+    expect(result.refundAmount).toBe(2250);
+    expect(result.refundTimeline).toBeTruthy();
+
+    expect(updateOne).toHaveBeenCalledTimes(3);
+    const [filter, update] = updateOne.mock.calls[0];
+    expect(filter).toEqual({ _id: 'soon' });
+    expect(update.$set).toMatchObject({
+      status: 'cancelled',
+      cancelledBy: 'patient-id',
+      cancellationType: 'patient',
+      cancellationFee: 500,
+      refundAmount: 500,
+      paymentStatus: 'refunded'
+    });
+  });
+
+  it('waives the fee when the practitioner cancels and refunds nothing unpaid', async () => {
+    const result = await cancelSessionsWithCharges([buildSession('unpaid', 1, 'pending')], {
+      cancellationType: 'practitioner',
+      performedBy: 'practitioner-id',
+      reason: 'Practitioner unavailable',
+      now
+    });
+
+    expect(result.cancellationFee).toBe(0);
+    expect(result.refundAmount).toBe(0);
+    expect(result.refundTimeline).toBeNull();
+    expect(updateOne.mock.calls[0][1].$set.paymentStatus).toBe('pending');
+  });
+});
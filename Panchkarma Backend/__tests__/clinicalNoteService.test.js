@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const ClinicalNote = require('../models/clinicalNote.models');
+const { notePhase, pickSections, amendClinicalNote } = require('../services/clinicalNoteService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const savedNote = () => ClinicalNote.hydrate({
+  _id: id(),
+  session: id(),
+  patient: id(),
+  author: id(),
+  phase: 'post-session',
+  subjective: 'Mild headache after treatment',
+  plan: 'Review in one week',
+  amendments: []
+});
+
+describe('notePhase', () => {
+  it('files notes by the session\'s status, or the status it is moving to', () => {
+    expect(notePhase('scheduled')).toBe('pre-session');
+    expect(notePhase('confirmed', 'in-progress')).toBe('during-session');
+    expect(notePhase('in-progress')).toBe('during-session');
+    expect(notePhase('in-progress', 'completed')).toBe('post-session');
+  });
+});
+
+describe('pickSections', () => {
+  it('keeps trimmed SOAP sections and drops everything else', () => {
+    expect(pickSections({ subjective: '  Tired  ', plan: ' ', author: 'someone', objective: 42 }))
+      .toEqual({ subjective: 'Tired' });
+  });
+});
+
+describe('amendClinicalNote', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('records only the changed sections and keeps the original text', async () => {
+    jest.spyOn(ClinicalNote.prototype, 'save').mockResolvedValue(null);
+    const note = savedNote();
+    const author = id();
+
+    const { note: amended } = await amendClinicalNote(note, {
+      author,
+      sections: { subjective: 'Mild headache after treatment', plan: 'Review in two weeks' },
+      reason: 'Follow-up moved'
+    });
+
+    expect(amended.plan).toBe('Review in one week');
+    expect(amended.amendments).toHaveLength(1);
+    expect(amended.amendments[0].subjective).toBeUndefined();
+    expect(amended.amendments[0].plan).toBe('Review in two weeks');
+    expect(amended.current).toMatchObject({ subjective: 'Mild headache after treatment', plan: 'Review in two weeks' });
+  });
+
+  it('refuses an amendment that changes nothing', async () => {
+    const save = jest.spyOn(ClinicalNote.prototype, 'save');
+
+    const result = await amendClinicalNote(savedNote(), {
+      author: id(),
+      sections: { plan: 'Review in one week' },
+      reason: 'No change'
+    });
+
+    expect(result.error).toBe('The amendment does not change any section of the note');
+    expect(save).not.toHaveBeenCalled();
+  });
+});
+
+describe('ClinicalNote append-only rules', () => {
+  it('refuses to save a rewritten original section', async () => {
+    const note = savedNote();
+    note.subjective = 'No complaints';
+
+    await expect(note.save()).rejects.toThrow('Clinical notes are append-only');
+  });
+
+  it('refuses updates other than appending amendments', async () => {
+    await expect(ClinicalNote.updateOne({ _id: id() }, { $set: { plan: 'Rewritten' } }))
+      .rejects.toThrow('Clinical notes are append-only');
+    await expect(ClinicalNote.deleteOne({ _id: id() })).rejects.toThrow('Clinical notes cannot be deleted');
+  });
+});
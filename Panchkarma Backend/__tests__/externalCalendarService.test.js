@@ -0,0 +1,71 @@
+const dns = require('dns');
+const http = require('http');
+const { EventEmitter } = require('events');
+const { validateSourceLocation, readCalendarSource } = require('../services/externalCalendarService');
+
+describe('validateSourceLocation', () => {
+  it.each([
+    'http://localhost/calendar.ics',
+    'http://127.0.0.1:27017/',
+    'https://10.1.2.3/calendar.ics',
+    'http://169.254.169.254/latest/meta-data',
+    'webcal://192.168.1.20/calendar.ics',
+    'http://[::1]/calendar.ics',
+    'http://[::ffff:127.0.0.1]/calendar.ics'
+  ])('rejects the private host in %p', (location) => {
+    expect(validateSourceLocation('url', location)).toBe('URL must point to a public host');
+  });
+
+  it('accepts a public calendar URL', () => {
+    expect(validateSourceLocation('url', 'webcal://calendar.example.com/busy.ics')).toBeNull();
+  });
+});
+
+describe('readCalendarSource', () => {
+  let server;
+  let port;
+
+  beforeAll((done) => {
+    server = http.createServer((req, res) => {
+      res.end('BEGIN:VCALENDAR\r\nEND:VCALENDAR\r\n');
+    });
+    server.listen(0, '127.0.0.1', () => {
+      port = server.address().port;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('refuses a host name that resolves to a private address', async () => {
+    jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+      callback(null, [{ address: '127.0.0.1', family: 4 }]);
+    });
+
+    await expect(readCalendarSource({ sourceType: 'url', location: `http://calendar.example.com:${port}/calendar.ics` }))
+      .rejects.toThrow('URL must point to a public host');
+  });
+
+  it('refuses a redirect to a private address', async () => {
+    // A public-looking host that answers with a redirect into the clinic's network
+    jest.spyOn(http, 'get').mockImplementationOnce((url, options, onResponse) => {
+      const request = new EventEmitter();
+      request.destroy = () => {};
+      process.nextTick(() => onResponse(Object.assign(new EventEmitter(), {
+        statusCode: 302,
+        headers: { location: `http://127.0.0.1:${port}/calendar.ics` },
+        resume: () => {}
+      })));
+      return request;
+    });
+
+    await expect(readCalendarSource({ sourceType: 'url', location: 'http://calendar.example.com/redirect' }))
+      .rejects.toThrow('URL must point to a public host');
+  });
+});
@@ -0,0 +1,131 @@
+jest.mock('../services/slotService', () => ({
+  ...jest.requireActual('../services/slotService'),
+  findSlotConflict: jest.fn().mockResolvedValue(null),
+  findPatientConflict: jest.fn().mockResolvedValue(null)
+}));
+jest.mock('../services/notificationService', () => ({
+  sendNotification: jest.fn().mockResolvedValue(null)
+}));
+
+const mongoose = require('mongoose');
+const SlotHold = require('../models/slotHold.models');
+const WaitlistEntry = require('../models/waitlistEntry.models');
+const Therapy = require('../models/therapy.models');
+const BookingLedger = require('../models/bookingLedger.models');
+const { sendNotification } = require('../services/notificationService');
+const { processExpiredHolds } = require('../services/holdService');
+
+const id = () => new mongoose.Types.ObjectId();
+const HOUR = 60 * 60 * 1000;
+
+describe('processExpiredHolds', () => {
+  const practitioner = id();
+  const therapy = id();
+  const startTime = new Date(Date.now() + 48 * HOUR);
+  const endTime = new Date(startTime.getTime() + HOUR);
+  let io;
+  let emit;
+
+  const buildHold = (fields) => new SlotHold({
+    practitioner,
+    therapy,
+    startTime,
+    endTime,
+    expiresAt: new Date(Date.now() - 60 * 1000),
+    ...fields
+  });
+
+  const buildEntry = (patient) => new WaitlistEntry({
+    patient,
+    practitioner,
+    therapy,
+    startDate: '2000-01-01',
+    endDate: '2999-12-31'
+  });
+
+  beforeEach(() => {
+    emit = jest.fn();
+    io = { emit, to: jest.fn(() => ({ emit })) };
+    jest.spyOn(SlotHold.prototype, 'save').mockResolvedValue(null);
+    jest.spyOn(WaitlistEntry.prototype, 'save').mockResolvedValue(null);
+    jest.spyOn(WaitlistEntry, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+    jest.spyOn(Therapy, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue({ name: 'Abhyanga' }) });
+    jest.spyOn(BookingLedger, 'updateOne').mockResolvedValue({ acknowledged: true });
+    jest.spyOn(mongoose.connection, 'transaction').mockImplementation(fn => fn({}));
+    jest.spyOn(SlotHold, 'create').mockImplementation(async ([fields]) => [new SlotHold(fields)]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('expires a booking hold and announces the slot', async () => {
+    const hold = buildHold({ holder: id(), source: 'booking' });
+    jest.spyOn(SlotHold, 'find').mockResolvedValue([hold]);
+
+    const result = await processExpiredHolds({ io });
+
+    expect(result).toEqual({ expiredHolds: 1, reoffered: 0, closedEntries: 0 });
+    expect(hold.status).toBe('expired');
+    expect(emit).toHaveBeenCalledWith('slotAvailable', expect.objectContaining({ practitionerId: practitioner, startTime }));
+  });
+
+  it('passes an expired waitlist hold to the next patient in line', async () => {
+    const first = buildEntry(id());
+    const next = buildEntry(id());
+    const hold = buildHold({ holder: first.patient, source: 'waitlist', waitlistEntry: first._id });
+    first.status = 'offered';
+    first.offers.push({ hold: hold._id, startTime, endTime, expiresAt: hold.expiresAt });
+
+    jest.spyOn(SlotHold, 'find').mockResolvedValue([hold]);
+    jest.spyOn(WaitlistEntry, 'findById').mockResolvedValue(first);
+    jest.spyOn(WaitlistEntry, 'find').mockReturnValue({ sort: jest.fn().mockResolvedValue([first, next]) });
+
+    const result = await processExpiredHolds({ io });
+
+    expect(result.reoffered).toBe(1);
+    expect(hold.status).toBe('expired');
+    // The first patient goes back to waiting and is not offered the same slot again
+    expect(first.status).toBe('waiting');
+    expect(first.offers).toHaveLength(1);
+    expect(first.offers[0].outcome).toBe('expired');
+    expect(next.status).toBe('offered');
+    expect(next.offers).toHaveLength(1);
+    expect(SlotHold.create).toHaveBeenCalledWith(
+      [expect.objectContaining({ holder: next.patient, source: 'waitlist', waitlistEntry: next._id })],
+      expect.anything()
+    );
+    expect(sendNotification).toHaveBeenCalledWith(expect.objectContaining({ recipient: next.patient, type: 'slot_available' }));
+    expect(emit).not.toHaveBeenCalledWith('slotAvailable', expect.anything());
+  });
+
+  it('announces the slot when nobody else on the waitlist fits it', async () => {
+    const first = buildEntry(id());
+    const hold = buildHold({ holder: first.patient, source: 'waitlist', waitlistEntry: first._id });
+    first.status = 'offered';
+    first.offers.push({ hold: hold._id, startTime, endTime, expiresAt: hold.expiresAt });
+
+    jest.spyOn(SlotHold, 'find').mockResolvedValue([hold]);
+    jest.spyOn(WaitlistEntry, 'findById').mockResolvedValue(first);
+    jest.spyOn(WaitlistEntry, 'find').mockReturnValue({ sort: jest.fn().mockResolvedValue([first]) });
+
+    const result = await processExpiredHolds({ io });
+
+    expect(result.reoffered).toBe(0);
+    expect(SlotHold.create).not.toHaveBeenCalled();
+    expect(emit).toHaveBeenCalledWith('slotAvailable', expect.objectContaining({ practitionerId: practitioner }));
+  });
+
+  it('closes waitlist entries whose window has passed', async () => {
+    jest.spyOn(SlotHold, 'find').mockResolvedValue([]);
+    WaitlistEntry.updateMany.mockResolvedValue({ modifiedCount: 2 });
+
+    const result = await processExpiredHolds();
+
+    expect(result.closedEntries).toBe(2);
+    expect(WaitlistEntry.updateMany).toHaveBeenCalledWith(
+      expect.objectContaining({ status: 'waiting' }),
+      { $set: { status: 'expired' } }
+    );
+  });
+});
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const PractitionerOffering = require('../models/practitionerOffering.models');
+const Therapy = require('../models/therapy.models');
+const User = require('../models/user.models');
+const { applyOffering, getOfferedTherapy, findPractitionersForTherapy } = require('../services/offeringService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('applyOffering', () => {
+  const therapy = new Therapy({ name: 'Shirodhara', duration: 60, price: 3000 });
+
+  it('uses the practitioner\'s own price and duration', () => {
+    const offering = { _id: id(), duration: 75, price: 3500 };
+
+    expect(applyOffering(therapy, offering)).toMatchObject({ name: 'Shirodhara', duration: 75, price: 3500, offering: offering._id });
+  });
+
+  it('falls back to the therapy\'s values and keeps a free offering free', () => {
+    expect(applyOffering(therapy, { _id: id(), price: 0 })).toMatchObject({ duration: 60, price: 0 });
+    expect(applyOffering(therapy, { _id: id() })).toMatchObject({ duration: 60, price: 3000 });
+  });
+});
+
+describe('getOfferedTherapy', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('returns null when the practitioner does not offer the therapy', async () => {
+    const findOne = jest.spyOn(PractitionerOffering, 'findOne').mockReturnValue({ session: jest.fn().mockResolvedValue(null) });
+    const therapy = { _id: id(), name: 'Basti', duration: 45, price: 2000 };
+    const practitionerId = id();
+
+    expect(await getOfferedTherapy(practitionerId, therapy)).toBeNull();
+    expect(findOne).toHaveBeenCalledWith({ practitioner: practitionerId, therapy: therapy._id, isActive: true });
+  });
+});
+
+describe('findPractitionersForTherapy', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('finds approved practitioners with an active offering, most experienced first', async () => {
+    const offered = [id(), id()];
+    const excluded = id();
+    jest.spyOn(PractitionerOffering, 'distinct').mockResolvedValue(offered);
+    const sort = jest.fn().mockResolvedValue([]);
+    const find = jest.spyOn(User, 'find').mockReturnValue({ sort });
+
+    await findPractitionersForTherapy({ _id: id() }, excluded, { gender: 'female', language: 'Malayalam' });
+
+    expect(find).toHaveBeenCalledWith({
+      _id: { $in: offered, $ne: excluded },
+      role: 'practitioner',
+      isActive: true,
+      'practitionerInfo.isApproved': true,
+      'profile.gender': 'female',
+      'practitionerInfo.languages': 'malayalam'
+    });
+    expect(sort).toHaveBeenCalledWith({ 'practitionerInfo.experience': -1 });
+  });
+});
@@ -0,0 +1,128 @@
+jest.mock('../services/slotService', () => ({
+  ...jest.requireActual('../services/slotService'),
+  getBlockedPeriods: jest.fn().mockResolvedValue([])
+}));
+
+const mongoose = require('mongoose');
+const Session = require('../models/session.models');
+const GroupSession = require('../models/groupSession.models');
+const WalkIn = require('../models/walkIn.models');
+const { checkInError, getQueue, toDisplayQueue } = require('../services/queueService');
+
+const id = () => new mongoose.Types.ObjectId();
+const at = (iso) => new Date(iso);
+
+// A query whose populate() calls chain and which resolves to `result`
+const populated = (result) => {
+  const query = {
+    populate: () => query,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return query;
+};
+
+describe('checkInError', () => {
+  const now = at('2030-01-07T04:30:00Z');
+  const session = (fields) => ({
+    status: 'scheduled',
+    startTime: at('2030-01-07T05:30:00Z'),
+    endTime: at('2030-01-07T06:30:00Z'),
+    ...fields
+  });
+
+  it('allows check-in from two hours before the session until it ends', () => {
+    expect(checkInError(session(), now)).toBeNull();
+    expect(checkInError(session({ startTime: at('2030-01-07T04:00:00Z'), endTime: at('2030-01-07T05:00:00Z') }), now)).toBeNull();
+  });
+
+  it('refuses check-in too early, twice, or for a closed session', () => {
+    expect(checkInError(session({ startTime: at('2030-01-07T07:00:00Z') }), now)).toMatch('opens 120 minutes');
+    expect(checkInError(session({ arrivedAt: now }), now)).toMatch('already checked in');
+    expect(checkInError(session({ status: 'cancelled' }), now)).toBe('Cannot check in a cancelled session');
+    expect(checkInError(session({ startTime: at('2030-01-07T03:00:00Z'), endTime: at('2030-01-07T04:00:00Z') }), now)).toMatch('already ended');
+  });
+});
+
+describe('getQueue', () => {
+  // 10:00 in the clinic (IST)
+  const now = at('2030-01-07T04:30:00Z');
+  const practitioner = { _id: id(), profile: { firstName: 'Asha', lastName: 'Rao' } };
+  const patient = (firstName, lastName) => ({ _id: id(), profile: { firstName, lastName } });
+
+  // Started ten minutes early, so it should finish at 10:50
+  const inProgress = {
+    _id: id(),
+    status: 'in-progress',
+    startTime: at('2030-01-07T04:30:00Z'),
+    endTime: at('2030-01-07T05:30:00Z'),
+    actualStartTime: at('2030-01-07T04:20:00Z')
+  };
+  const arrival = {
+    _id: id(),
+    status: 'scheduled',
+    practitioner,
+    patient: patient('Meera', 'Iyer'),
+    startTime: at('2030-01-07T05:30:00Z'),
+    endTime: at('2030-01-07T06:30:00Z'),
+    arrivedAt: at('2030-01-07T04:10:00Z')
+  };
+  const earlyWalkIn = {
+    _id: id(),
+    ticketNumber: 1,
+    status: 'waiting',
+    practitioner,
+    patient: null,
+    guest: { name: 'Ravi Kumar' },
+    duration: 30,
+    arrivedAt: at('2030-01-07T04:00:00Z')
+  };
+  const calledWalkIn = {
+    _id: id(),
+    ticketNumber: 2,
+    status: 'called',
+    practitioner,
+    patient: patient('Kavya', 'Menon'),
+    duration: 10,
+    arrivedAt: at('2030-01-07T04:15:00Z')
+  };
+
+  beforeEach(() => {
+    jest.spyOn(Session, 'find').mockImplementation(query => query.arrivedAt
+      ? populated([arrival])
+      : { select: jest.fn().mockResolvedValue([inProgress, arrival]) });
+    jest.spyOn(GroupSession, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue([]) });
+    jest.spyOn(WalkIn, 'find').mockReturnValue(populated([earlyWalkIn, calledWalkIn]));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('orders the queue by estimated start, fitting walk-ins into gaps between booked sessions', async () => {
+    const [queue] = await getQueue({ now });
+
+    expect(queue.practitioner.name).toBe('Dr. Asha Rao');
+    expect(queue.entries.map(entry => [entry.type, entry.estimatedStart.toISOString(), entry.estimatedWaitMinutes])).toEqual([
+      // The called walk-in fits in the ten minutes between the session in progress and the booking
+      ['walk_in', '2030-01-07T05:20:00.000Z', 50],
+      ['appointment', '2030-01-07T05:30:00.000Z', 60],
+      // The earlier walk-in needs thirty minutes, so waits until the booked session ends
+      ['walk_in', '2030-01-07T06:30:00.000Z', 120]
+    ]);
+    expect(queue.entries[0].id).toBe(calledWalkIn._id);
+    expect(queue.entries[2].id).toBe(earlyWalkIn._id);
+  });
+
+  it('shows only first names and last initials on the waiting-room display', async () => {
+    const display = toDisplayQueue(await getQueue({ now }));
+
+    expect(display).toEqual([{
+      practitioner: 'Dr. Asha Rao',
+      entries: [
+        { ticket: 'W2', name: 'Kavya M.', status: 'called', estimatedWaitMinutes: 50 },
+        { ticket: null, name: 'Meera I.', status: 'waiting', estimatedWaitMinutes: 60 },
+        { ticket: 'W1', name: 'Ravi', status: 'waiting', estimatedWaitMinutes: 120 }
+      ]
+    }]);
+  });
+});
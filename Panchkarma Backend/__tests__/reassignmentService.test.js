@@ -0,0 +1,91 @@
+jest.mock('../services/slotService', () => ({
+  ...jest.requireActual('../services/slotService'),
+  checkSlotAvailability: jest.fn().mockResolvedValue(true),
+  findSlotConflict: jest.fn().mockResolvedValue(null)
+}));
+jest.mock('../services/offeringService', () => ({
+  findPractitionersForTherapy: jest.fn()
+}));
+jest.mock('../services/notificationService', () => ({
+  sendNotification: jest.fn().mockResolvedValue(null)
+}));
+
+const mongoose = require('mongoose');
+const Session = require('../models/session.models');
+const BookingLedger = require('../models/bookingLedger.models');
+const { findPractitionersForTherapy } = require('../services/offeringService');
+const { applyReassignments } = require('../services/reassignmentService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('applyReassignments', () => {
+  const original = { _id: id(), fullName: 'Asha Rao' };
+  const substitute = { _id: id(), id: null, fullName: 'Vikram Nair' };
+  substitute.id = substitute._id.toString();
+  let session;
+  let updateOne;
+
+  beforeEach(() => {
+    session = {
+      _id: id(),
+      id: null,
+      status: 'scheduled',
+      therapy: { _id: id(), name: 'Abhyanga' },
+      patient: { _id: id(), fullName: 'Meera Iyer' },
+      practitioner: original,
+      startTime: new Date('2030-01-07T04:30:00Z'),
+      endTime: new Date('2030-01-07T05:30:00Z'),
+      reassignmentHistory: []
+    };
+    session.id = session._id.toString();
+
+    jest.spyOn(Session, 'find').mockReturnValue({ populate: jest.fn().mockResolvedValue([session]) });
+    jest.spyOn(Session, 'exists').mockReturnValue({ session: jest.fn().mockResolvedValue({ _id: session._id }) });
+    updateOne = jest.spyOn(Session, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+    jest.spyOn(BookingLedger, 'updateOne').mockResolvedValue({ acknowledged: true });
+    findPractitionersForTherapy.mockResolvedValue([substitute]);
+
+    // The first attempt hits a write conflict after its writes and is retried, as the driver does
+    jest.spyOn(mongoose.connection, 'transaction').mockImplementation(async (fn) => {
+      await fn({});
+      return fn({});
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('writes each move as one update per attempt, so a retry does not repeat it on the loaded session', async () => {
+    const result = await applyReassignments(
+      [{ sessionId: session._id, practitionerId: substitute._id }],
+      { performedBy: id(), reason: 'Practitioner on leave' }
+    );
+
+    expect(result.success).toBe(true);
+    expect(session.reassignmentHistory).toHaveLength(0);
+    expect(updateOne).toHaveBeenCalledTimes(2);
+    updateOne.mock.calls.forEach(([filter, update]) => {
+      expect(filter).toMatchObject({ _id: session._id, practitioner: original._id });
+      expect(update.$set).toEqual({ practitioner: substitute._id });
+      expect(update.$push.reassignmentHistory).toMatchObject({
+        fromPractitioner: original._id,
+        toPractitioner: substitute._id,
+        reason: 'Practitioner on leave'
+      });
+    });
+  });
+
+  it('stops when a session changed before the locks were taken', async () => {
+    Session.exists.mockReturnValue({ session: jest.fn().mockResolvedValue(null) });
+
+    const result = await applyReassignments(
+      [{ sessionId: session._id, practitionerId: substitute._id }],
+      { performedBy: id(), reason: 'Practitioner on leave' }
+    );
+
+    expect(result.success).toBe(false);
+    expect(result.failures[0].message).toMatch('changed');
+    expect(updateOne).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,152 @@
+jest.mock('../services/slotService', () => ({
+  ...jest.requireActual('../services/slotService'),
+  findSlotConflict: jest.fn().mockResolvedValue(null),
+  findPatientConflict: jest.fn().mockResolvedValue(null)
+}));
+jest.mock('../services/resourceService', () => ({
+  allocateResources: jest.fn().mockResolvedValue({ conflict: null, resources: { equipment: [] } })
+}));
+
+const mongoose = require('mongoose');
+const PractitionerSchedule = require('../models/practitionerSchedule.models');
+const Session = require('../models/session.models');
+const BookingLedger = require('../models/bookingLedger.models');
+const { checkBulkReschedulePolicy, recordReschedule, applyReschedule } = require('../services/rescheduleService');
+
+const HOUR = 60 * 60 * 1000;
+const now = new Date('2030-01-10T09:00:00Z');
+const patientId = new mongoose.Types.ObjectId();
+const practitionerId = new mongoose.Types.ObjectId();
+
+const buildSession = (hoursAhead, previousMoves = 0) => new Session({
+  patient: patientId,
+  practitioner: practitionerId,
+  therapy: new mongoose.Types.ObjectId(),
+  startTime: new Date(now.getTime() + hoursAhead * HOUR),
+  endTime: new Date(now.getTime() + (hoursAhead + 1) * HOUR),
+  rescheduleHistory: Array.from({ length: previousMoves }, () => ({ requestedBy: patientId }))
+});
+
+const mockPolicy = (policy) => {
+  jest.spyOn(PractitionerSchedule, 'findOrDefault').mockResolvedValue({
+    reschedulePolicy: { maxReschedules: 3, minNoticeHours: 24, freeReschedules: 1, fee: 200, requireApproval: false, ...policy }
+  });
+};
+
+describe('checkBulkReschedulePolicy', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('charges each session the fee its own reschedule count calls for', async () => {
+    mockPolicy();
+
+    const result = await checkBulkReschedulePolicy([buildSession(48), buildSession(72, 1)], now);
+
+    expect(result).toEqual({ fees: [0, 200] });
+  });
+
+  it('refuses the move when any session is inside the notice period', async () => {
+    mockPolicy();
+
+    const result = await checkBulkReschedulePolicy([buildSession(48), buildSession(12)], now);
+
+    expect(result.error).toMatch('at least 24 hours');
+  });
+
+  it('refuses the move when the practitioner approves each reschedule', async () => {
+    mockPolicy({ requireApproval: true });
+
+    const result = await checkBulkReschedulePolicy([buildSession(48)], now);
+
+    expect(result.error).toMatch('one at a time');
+  });
+});
+
+describe('recordReschedule', () => {
+  it('records the move and expires pending requests without touching the status', () => {
+    const session = buildSession(48);
+    session.status = 'confirmed';
+    session.rescheduleRequests.push({
+      requestedStart: new Date(now.getTime() + 96 * HOUR),
+      requestedEnd: new Date(now.getTime() + 97 * HOUR)
+    });
+    const originalStart = session.startTime;
+    const originalEnd = session.endTime;
+    session.startTime = new Date(now.getTime() + 72 * HOUR);
+    session.endTime = new Date(now.getTime() + 73 * HOUR);
+
+    recordReschedule(session, { originalStart, originalEnd, reason: 'Series moved', fee: 200, requestedBy: patientId, performedBy: patientId, now });
+
+    expect(session.rescheduleHistory).toHaveLength(1);
+    expect(session.rescheduleHistory[0]).toMatchObject({ originalStart, newStart: session.startTime, fee: 200 });
+    expect(session.rescheduleRequests[0].status).toBe('expired');
+    expect(session.status).toBe('confirmed');
+  });
+});
+
+describe('applyReschedule', () => {
+  let updateOne;
+
+  beforeEach(() => {
+    updateOne = jest.spyOn(Session, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+    jest.spyOn(BookingLedger, 'updateOne').mockResolvedValue({ acknowledged: true });
+    // The first attempt hits a write conflict after its writes and is retried, as the driver does
+    jest.spyOn(mongoose.connection, 'transaction').mockImplementation(async (fn) => {
+      await fn({});
+      return fn({});
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('writes the move as one guarded update per attempt and records it once on the loaded session', async () => {
+    const session = buildSession(48);
+    session.rescheduleRequests.push({
+      requestedStart: new Date(now.getTime() + 96 * HOUR),
+      requestedEnd: new Date(now.getTime() + 97 * HOUR)
+    });
+    const originalStart = session.startTime;
+    const newStart = new Date(now.getTime() + 72 * HOUR);
+    const newEnd = new Date(now.getTime() + 73 * HOUR);
+
+    const conflict = await applyReschedule(session, {
+      newStart,
+      newEnd,
+      reason: 'Travelling',
+      fee: 200,
+      requestedBy: patientId,
+      performedBy: patientId
+    });
+
+    expect(conflict).toBeNull();
+    expect(updateOne).toHaveBeenCalledTimes(2);
+    updateOne.mock.calls.forEach(([filter, update]) => {
+      expect(filter).toMatchObject({ _id: session._id, startTime: originalStart });
+      expect(update.$set).toMatchObject({ startTime: newStart, endTime: newEnd, 'rescheduleRequests.0.status': 'expired' });
+      expect(update.$push.rescheduleHistory).toMatchObject({ originalStart, newStart, fee: 200 });
+    });
+    expect(session.rescheduleHistory).toHaveLength(1);
+    expect(session.startTime).toEqual(newStart);
+    expect(session.rescheduleRequests[0].status).toBe('expired');
+  });
+
+  it('reports a conflict when the session changed before the update', async () => {
+    updateOne.mockResolvedValue({ matchedCount: 0 });
+    const session = buildSession(48);
+    const originalStart = session.startTime;
+
+    const conflict = await applyReschedule(session, {
+      newStart: new Date(now.getTime() + 72 * HOUR),
+      newEnd: new Date(now.getTime() + 73 * HOUR),
+      requestedBy: patientId,
+      performedBy: patientId
+    });
+
+    expect(conflict.reason).toBe('session_changed');
+    expect(session.startTime).toEqual(originalStart);
+    expect(session.rescheduleHistory).toHaveLength(0);
+  });
+});
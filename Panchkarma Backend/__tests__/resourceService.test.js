@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const Session = require('../models/session.models');
+const GroupSession = require('../models/groupSession.models');
+const Room = require('../models/room.models');
+const Equipment = require('../models/equipment.models');
+const { allocateResources } = require('../services/resourceService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('allocateResources', () => {
+  const startTime = new Date('2030-01-07T04:30:00Z');
+  const endTime = new Date('2030-01-07T05:30:00Z');
+  const roomA = { _id: id(), name: 'Room A' };
+  const roomB = { _id: id(), name: 'Room B' };
+  const steamer = { _id: id(), name: 'Steamer 1', quantity: 2 };
+  const spareSteamer = { _id: id(), name: 'Steamer 2', quantity: 1 };
+  [roomA, roomB, steamer, spareSteamer].forEach(resource => { resource.id = resource._id.toString(); });
+
+  const therapy = {
+    name: 'Swedana',
+    resourceRequirements: {
+      room: { required: true, types: ['steam'] },
+      equipment: [{ type: 'steam_chamber', quantity: 2 }]
+    }
+  };
+
+  const mockOverlapping = (sessions) => {
+    jest.spyOn(Session, 'find').mockReturnValue({ select: () => ({ session: jest.fn().mockResolvedValue(sessions) }) });
+    jest.spyOn(GroupSession, 'find').mockReturnValue({ select: () => ({ session: jest.fn().mockResolvedValue([]) }) });
+  };
+
+  beforeEach(() => {
+    jest.spyOn(Room, 'find').mockReturnValue({ sort: jest.fn().mockResolvedValue([roomA, roomB]) });
+    jest.spyOn(Equipment, 'find').mockReturnValue({ sort: jest.fn().mockResolvedValue([steamer, spareSteamer]) });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('needs no lookups for a therapy without requirements', async () => {
+    const find = jest.spyOn(Session, 'find');
+
+    const result = await allocateResources({ name: 'Consultation' }, startTime, endTime);
+
+    expect(result).toEqual({ conflict: null, resources: { room: undefined, equipment: [] } });
+    expect(find).not.toHaveBeenCalled();
+  });
+
+  it('picks the first free compatible room and spreads equipment across items', async () => {
+    mockOverlapping([{ resources: { room: roomA._id, equipment: [{ item: steamer._id, quantity: 1 }] } }]);
+
+    const result = await allocateResources(therapy, startTime, endTime);
+
+    expect(result.conflict).toBeNull();
+    expect(result.resources.room).toBe(roomB._id);
+    expect(result.resources.equipment).toEqual([
+      { item: steamer._id, quantity: 1 },
+      { item: spareSteamer._id, quantity: 1 }
+    ]);
+    expect(Room.find).toHaveBeenCalledWith({ isActive: true, type: { $in: ['steam'] } });
+  });
+
+  it('reports a conflict when every compatible room is taken', async () => {
+    mockOverlapping([{ resources: { room: roomA._id } }, { resources: { room: roomB._id } }]);
+
+    const result = await allocateResources(therapy, startTime, endTime);
+
+    expect(result.conflict.reason).toBe('room_unavailable');
+    expect(result.resources.room).toBeUndefined();
+  });
+
+  it('reports a conflict and holds nothing when equipment runs out', async () => {
+    mockOverlapping([{ resources: { equipment: [{ item: steamer._id, quantity: 2 }] } }]);
+
+    const result = await allocateResources(therapy, startTime, endTime);
+
+    expect(result.conflict).toEqual({
+      reason: 'equipment_unavailable',
+      message: 'Not enough steam chamber available for Swedana at this time'
+    });
+    expect(result.resources).toEqual({ room: undefined, equipment: [] });
+  });
+});
@@ -0,0 +1,45 @@
+const { termsMatch, checkTherapySafety } = require('../services/safetyService');
+
+describe('termsMatch', () => {
+  it.each([
+    ['Diabetes', 'diabetes'],
+    ['Type 2 diabetes', 'diabetes'],
+    ['Severe sesame-oil allergy', 'sesame oil'],
+    ['High blood pressure', 'hypertension'],
+    ['Diabetic', 'diabetes'],
+    ['Groundnut', 'peanut']
+  ])('matches %p with the term %p', (entry, term) => {
+    expect(termsMatch(entry, term)).toBe(true);
+  });
+
+  it.each([
+    ['Heart disease', 'ear'],
+    ['Pregnancy', 'pregnancy induced hypertension'],
+    ['Heart', 'heart disease'],
+    ['Anaemia', 'anaemic'],
+    ['', 'diabetes']
+  ])('does not match %p with the term %p', (entry, term) => {
+    expect(termsMatch(entry, term)).toBe(false);
+  });
+});
+
+describe('checkTherapySafety', () => {
+  it('reports only the history entries a rule names', () => {
+    const therapy = {
+      name: 'Swedana',
+      contraindications: ['hypertension'],
+      safetyRules: [{ field: 'medications', term: 'warfarin', severity: 'block' }]
+    };
+    const patient = {
+      healthHistory: {
+        medicalConditions: ['High blood pressure', 'Earache'],
+        medications: ['Aspirin']
+      }
+    };
+
+    const issues = checkTherapySafety(therapy, patient);
+
+    expect(issues).toHaveLength(1);
+    expect(issues[0]).toMatchObject({ field: 'medicalConditions', matched: 'High blood pressure', severity: 'warning' });
+  });
+});
@@ -0,0 +1,107 @@
+jest.mock('../services/slotService', () => ({
+  ...jest.requireActual('../services/slotService'),
+  generateAvailableSlots: jest.fn()
+}));
+jest.mock('../services/resourceService', () => ({
+  allocateResources: jest.fn()
+}));
+jest.mock('../services/offeringService', () => ({
+  ...jest.requireActual('../services/offeringService'),
+  findPractitionersForTherapy: jest.fn(),
+  getOfferingsByPractitioner: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const Session = require('../models/session.models');
+const GroupSession = require('../models/groupSession.models');
+const { generateAvailableSlots } = require('../services/slotService');
+const { allocateResources } = require('../services/resourceService');
+const { findPractitionersForTherapy, getOfferingsByPractitioner } = require('../services/offeringService');
+const { findFirstAvailableSlots } = require('../services/searchService');
+const { combineDateAndTime } = require('../utils/timeUtils');
+
+const id = () => new mongoose.Types.ObjectId();
+const MINUTE = 60 * 1000;
+
+const practitioner = (firstName, experience) => {
+  const _id = id();
+  return {
+    _id,
+    id: _id.toString(),
+    fullName: `${firstName} Rao`,
+    profile: { gender: 'female' },
+    practitionerInfo: { experience, languages: ['english'] }
+  };
+};
+
+const slot = (date, time, duration = 60) => {
+  const startTime = combineDateAndTime(date, time);
+  return { startTime, endTime: new Date(startTime.getTime() + duration * MINUTE), duration, slotId: `${date}-${time}` };
+};
+
+describe('findFirstAvailableSlots', () => {
+  const therapy = { _id: id(), name: 'Abhyanga', duration: 60, price: 2500 };
+  const senior = practitioner('Asha', 20);
+  const junior = practitioner('Nila', 5);
+
+  beforeEach(() => {
+    findPractitionersForTherapy.mockResolvedValue([senior, junior]);
+    getOfferingsByPractitioner.mockResolvedValue(new Map([
+      [senior.id, { _id: id(), price: 3000 }],
+      [junior.id, { _id: id(), duration: 45 }]
+    ]));
+    generateAvailableSlots.mockImplementation(async (practitionerId, dateKey, { duration }) => ({
+      slots: practitionerId === senior._id
+        ? [slot(dateKey, '09:00', duration), slot(dateKey, '14:00', duration)]
+        : [slot(dateKey, '09:00', duration), slot(dateKey, '10:00', duration)]
+    }));
+    allocateResources.mockResolvedValue({ conflict: null, resources: { equipment: [] } });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('ranks slots by start time, then by practitioner experience, with each practitioner\'s price', async () => {
+    const result = await findFirstAvailableSlots(therapy, { startDate: '2030-01-07', endDate: '2030-01-07' });
+
+    expect(result.slots.map(s => [s.rank, s.practitioner.name, s.slotId, s.price, s.duration])).toEqual([
+      [1, 'Asha Rao', '2030-01-07-09:00', 3000, 60],
+      [2, 'Nila Rao', '2030-01-07-09:00', 2500, 45],
+      [3, 'Nila Rao', '2030-01-07-10:00', 2500, 45],
+      [4, 'Asha Rao', '2030-01-07-14:00', 3000, 60]
+    ]);
+    expect(result.practitionersSearched).toBe(2);
+  });
+
+  it('keeps to the time of day and skips times the patient is already booked', async () => {
+    const patientId = id();
+    const booked = slot('2030-01-07', '10:00', 30);
+    jest.spyOn(Session, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue([booked]) });
+    jest.spyOn(GroupSession, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue([]) });
+
+    const result = await findFirstAvailableSlots(therapy, {
+      startDate: '2030-01-07',
+      endDate: '2030-01-07',
+      timeOfDay: 'morning',
+      patientId
+    });
+
+    // Nila's 10:00 clashes with the booking and Asha's 14:00 is in the afternoon
+    expect(result.slots.map(s => [s.practitioner.name, s.slotId])).toEqual([
+      ['Asha Rao', '2030-01-07-09:00'],
+      ['Nila Rao', '2030-01-07-09:00']
+    ]);
+  });
+
+  it('drops times with no free room or equipment and pages the rest', async () => {
+    allocateResources.mockImplementation(async (t, startTime) => ({
+      conflict: startTime.getTime() === combineDateAndTime('2030-01-07', '09:00').getTime() ? { reason: 'room_unavailable' } : null
+    }));
+
+    const result = await findFirstAvailableSlots(therapy, { startDate: '2030-01-07', endDate: '2030-01-07', page: 2, limit: 1 });
+
+    expect(result.totalCount).toBe(2);
+    expect(result.slots).toEqual([expect.objectContaining({ rank: 2, slotId: '2030-01-07-14:00' })]);
+  });
+});
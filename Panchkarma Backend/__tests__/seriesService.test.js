@@ -0,0 +1,137 @@
+jest.mock('../services/slotService', () => ({
+  ...jest.requireActual('../services/slotService'),
+  findSlotConflict: jest.fn().mockResolvedValue(null),
+  findPatientConflict: jest.fn().mockResolvedValue(null),
+  generateAvailableSlots: jest.fn().mockResolvedValue({ slots: [] })
+}));
+jest.mock('../services/resourceService', () => ({
+  allocateResources: jest.fn().mockResolvedValue({ conflict: null, resources: { equipment: [] } })
+}));
+
+const mongoose = require('mongoose');
+const PractitionerSchedule = require('../models/practitionerSchedule.models');
+const Session = require('../models/session.models');
+const BookingLedger = require('../models/bookingLedger.models');
+const { previewSeries, updateFollowing } = require('../services/seriesService');
+const { evaluateSafety } = require('../services/safetyService');
+const { combineDateAndTime } = require('../utils/timeUtils');
+
+const therapy = { _id: 'therapy-id', name: 'Shirodhara', duration: 60 };
+
+describe('previewSeries', () => {
+  beforeEach(() => {
+    jest.spyOn(PractitionerSchedule, 'findOrDefault').mockResolvedValue({ bufferTime: 15 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('flags an occurrence that overlaps another occurrence of the same series', async () => {
+    const planned = await previewSeries({
+      therapy,
+      practitionerId: 'practitioner-id',
+      patientId: 'patient-id',
+      startDate: '2030-01-07',
+      startTime: '10:00',
+      recurrence: { frequency: 'every_n_days', interval: 1, count: 3 },
+      // Move the second occurrence onto the first one's day, just after it ends
+      overrides: [{ index: 1, startTime: combineDateAndTime('2030-01-07', '11:10') }]
+    });
+
+    expect(planned.map(p => p.conflict?.reason || null)).toEqual([null, 'series_overlap', null]);
+  });
+
+  it('keeps occurrences that clear each other and the practitioner buffer', async () => {
+    const planned = await previewSeries({
+      therapy,
+      practitionerId: 'practitioner-id',
+      patientId: 'patient-id',
+      startDate: '2030-01-07',
+      startTime: '10:00',
+      recurrence: { frequency: 'every_n_days', interval: 1, count: 2 },
+      overrides: [{ index: 1, startTime: combineDateAndTime('2030-01-07', '11:15') }]
+    });
+
+    expect(planned.every(p => p.conflict === null)).toBe(true);
+  });
+});
+
+describe('updateFollowing', () => {
+  const series = { _id: 'series-id', practitioner: 'practitioner-id', patient: 'patient-id' };
+  const blockedTherapy = {
+    ...therapy,
+    safetyRules: [{ field: 'medicalConditions', term: 'pregnancy', severity: 'block' }]
+  };
+  const patient = { healthHistory: { medicalConditions: ['Pregnancy'] } };
+  let sessions;
+
+  const buildSession = (seriesIndex, safetyCheck) => ({
+    id: `session-${seriesIndex}`,
+    _id: `session-${seriesIndex}`,
+    seriesIndex,
+    status: 'scheduled',
+    startTime: combineDateAndTime(['2030-01-07', '2030-01-14'][seriesIndex], '10:00'),
+    endTime: combineDateAndTime(['2030-01-07', '2030-01-14'][seriesIndex], '11:00'),
+    safetyCheck,
+    rescheduleHistory: [],
+    rescheduleRequests: [],
+    save: jest.fn().mockResolvedValue(null)
+  });
+
+  const mockSeriesSessions = () => {
+    jest.spyOn(Session, 'find')
+      .mockReturnValueOnce({ sort: () => ({ session: jest.fn().mockResolvedValue(sessions) }) })
+      .mockReturnValueOnce({ select: () => ({ session: jest.fn().mockResolvedValue(sessions) }) });
+  };
+
+  beforeEach(() => {
+    jest.spyOn(PractitionerSchedule, 'findOrDefault').mockResolvedValue({ bufferTime: 15 });
+    jest.spyOn(BookingLedger, 'updateOne').mockResolvedValue({ acknowledged: true });
+    jest.spyOn(mongoose.connection, 'transaction').mockImplementation(fn => fn({}));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('stops the move when the patient\'s history now blocks the therapy', async () => {
+    sessions = [buildSession(0, null), buildSession(1, null)];
+    mockSeriesSessions();
+
+    const result = await updateFollowing(series, 0, {
+      shiftDays: 1,
+      therapy: blockedTherapy,
+      patient,
+      requestedBy: 'practitioner-id',
+      performedBy: 'practitioner-id'
+    });
+
+    expect(result.safety.blocked).toBe(true);
+    expect(result.safety.blocks[0].matched).toBe('Pregnancy');
+    sessions.forEach(session => expect(session.save).not.toHaveBeenCalled());
+  });
+
+  it('moves sessions whose block was overridden at booking and keeps the override', async () => {
+    const booked = evaluateSafety([blockedTherapy], patient, {
+      override: { by: 'practitioner-id', justification: 'Reviewed with the patient\'s obstetrician' }
+    });
+    sessions = [buildSession(0, booked.record), buildSession(1, booked.record)];
+    mockSeriesSessions();
+
+    const result = await updateFollowing(series, 0, {
+      shiftDays: 1,
+      therapy: blockedTherapy,
+      patient,
+      requestedBy: 'practitioner-id',
+      performedBy: 'practitioner-id'
+    });
+
+    expect(result.safety).toBeUndefined();
+    expect(result.sessions).toHaveLength(2);
+    sessions.forEach(session => {
+      expect(session.save).toHaveBeenCalled();
+      expect(session.safetyCheck.override.justification).toBe('Reviewed with the patient\'s obstetrician');
+    });
+  });
+});
@@ -0,0 +1,104 @@
+jest.mock('../services/assessmentService', () => ({
+  ...jest.requireActual('../services/assessmentService'),
+  getConstitution: jest.fn().mockResolvedValue(null)
+}));
+jest.mock('../services/clinicalNoteService', () => ({
+  ...jest.requireActual('../services/clinicalNoteService'),
+  getSessionNotes: jest.fn().mockResolvedValue([])
+}));
+
+const mongoose = require('mongoose');
+const Session = require('../models/session.models');
+const User = require('../models/user.models');
+const Therapy = require('../models/therapy.models');
+const Feedback = require('../models/feedbacke.models');
+const { getSessionDetails } = require('../controllers/session.controller');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+// A query whose populate() calls chain and which resolves to `result`
+const populated = (result) => {
+  const query = {
+    populate: () => query,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return query;
+};
+
+describe('getSessionDetails', () => {
+  let session;
+
+  beforeEach(() => {
+    const patient = new User({
+      email: 'meera@example.com',
+      role: 'patient',
+      profile: { firstName: 'Meera', lastName: 'Iyer' },
+      healthHistory: { medicalConditions: ['Hypertension'], medications: ['Amlodipine'] }
+    });
+    const practitioner = new User({
+      email: 'dr.rao@example.com',
+      role: 'practitioner',
+      profile: { firstName: 'Asha', lastName: 'Rao' }
+    });
+    session = new Session({
+      therapy: new Therapy({ name: 'Abhyanga', duration: 60 }),
+      patient,
+      practitioner,
+      startTime: new Date('2030-01-07T04:30:00Z'),
+      endTime: new Date('2030-01-07T05:30:00Z'),
+      status: 'scheduled',
+      price: 2500,
+      notes: { preSession: 'Anxious about the oil temperature' },
+      symptoms: { before: ['Joint stiffness'] },
+      safetyCheck: { warnings: [{ therapy: 'Abhyanga', field: 'medicalConditions', matched: 'Hypertension' }] }
+    });
+
+    jest.spyOn(Session, 'findById').mockReturnValue(populated(session));
+    jest.spyOn(Session, 'find').mockReturnValue({
+      populate: () => ({ sort: () => ({ limit: jest.fn().mockResolvedValue([]) }) })
+    });
+    jest.spyOn(Feedback, 'findOne').mockReturnValue({ populate: jest.fn().mockResolvedValue(null) });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('hides notes, safety findings and health history from receptionists', async () => {
+    const res = mockResponse();
+
+    await getSessionDetails({ params: { id: session.id }, query: {}, user: { id: id().toString(), role: 'receptionist' } }, res);
+
+    const { data } = res.json.mock.calls[0][0];
+    ['notes', 'vitals', 'symptoms', 'complications', 'recommendations', 'safetyCheck'].forEach(field => {
+      expect(data.session).not.toHaveProperty(field);
+    });
+    expect(data.session.patient).not.toHaveProperty('healthHistory');
+    expect(data.session.patient.profile.firstName).toBe('Meera');
+    expect(data.session.startTime).toEqual(session.startTime);
+    expect(data).not.toHaveProperty('patientHealthHistory');
+    expect(data).not.toHaveProperty('sessionNotes');
+  });
+
+  it('leaves the clinical details in place for the treating practitioner', async () => {
+    const res = mockResponse();
+
+    await getSessionDetails({
+      params: { id: session.id },
+      query: {},
+      user: { id: session.practitioner._id.toString(), role: 'practitioner' }
+    }, res);
+
+    const { data } = res.json.mock.calls[0][0];
+    expect(data.session.notes.preSession).toBe('Anxious about the oil temperature');
+    expect(data.patientHealthHistory.medicalConditions).toEqual(['Hypertension']);
+    expect(data.sessionNotes.pre).toBe('Anxious about the oil temperature');
+  });
+});
@@ -0,0 +1,23 @@
+const PractitionerSchedule = require('../models/practitionerSchedule.models');
+const { generateAvailableSlots } = require('../services/slotService');
+
+describe('generateAvailableSlots', () => {
+  beforeEach(() => {
+    jest.spyOn(PractitionerSchedule, 'findOrDefault').mockResolvedValue({
+      defaultSlotDuration: 60,
+      bufferTime: 0,
+      advanceBookingDays: 30,
+      isActive: true,
+      getDaySchedule: () => ({ isAvailable: true, timeSlots: [{ startTime: '09:00', endTime: '17:00' }] })
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it.each([-15, -1])('rejects a slot duration of %p instead of looping forever', async (duration) => {
+    await expect(generateAvailableSlots('practitioner-id', '2030-01-01', { duration }))
+      .rejects.toThrow('Invalid slot duration');
+  });
+});
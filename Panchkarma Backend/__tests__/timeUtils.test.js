@@ -0,0 +1,94 @@
+const { combineDateAndTime, getDayRange, toDateKey } = require('../utils/timeUtils');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('timeUtils in the default clinic timezone (IST)', () => {
+  const originalTimezone = process.env.CLINIC_TIMEZONE;
+
+  beforeEach(() => {
+    delete process.env.CLINIC_TIMEZONE;
+  });
+
+  afterAll(() => {
+    process.env.CLINIC_TIMEZONE = originalTimezone;
+    if (originalTimezone === undefined) delete process.env.CLINIC_TIMEZONE;
+  });
+
+  it('combines a date and time as IST wall-clock time', () => {
+    expect(combineDateAndTime('2030-01-07', '10:00').toISOString()).toBe('2030-01-07T04:30:00.000Z');
+  });
+
+  it('keys an instant by its IST date', () => {
+    expect(toDateKey(new Date('2030-01-06T18:29:00Z'))).toBe('2030-01-06');
+    expect(toDateKey(new Date('2030-01-06T18:30:00Z'))).toBe('2030-01-07');
+  });
+
+  it('spans a day from IST midnight to the next', () => {
+    const { start, end } = getDayRange('2030-01-07');
+    expect(start.toISOString()).toBe('2030-01-06T18:30:00.000Z');
+    expect(end.toISOString()).toBe('2030-01-07T18:30:00.000Z');
+  });
+});
+
+describe.each([
+  {
+    timeZone: 'America/New_York',
+    summer: ['2030-07-01', '10:00', '2030-07-01T14:00:00.000Z'],
+    winter: ['2030-01-07', '10:00', '2030-01-07T15:00:00.000Z'],
+    // Clocks go from 02:00 to 03:00 on 10 March and from 02:00 back to 01:00 on 3 November
+    gap: { date: '2030-03-10', time: '02:30', expected: '2030-03-10T07:30:00.000Z' },
+    overlap: { date: '2030-11-03', time: '01:30', expected: '2030-11-03T05:30:00.000Z' }
+  },
+  {
+    timeZone: 'Europe/London',
+    summer: ['2030-07-01', '10:00', '2030-07-01T09:00:00.000Z'],
+    winter: ['2030-01-07', '10:00', '2030-01-07T10:00:00.000Z'],
+    // Clocks go from 01:00 to 02:00 on 31 March and from 02:00 back to 01:00 on 27 October
+    gap: { date: '2030-03-31', time: '01:30', expected: '2030-03-31T01:30:00.000Z' },
+    overlap: { date: '2030-10-27', time: '01:30', expected: '2030-10-27T00:30:00.000Z' }
+  }
+])('timeUtils with CLINIC_TIMEZONE=$timeZone', ({ timeZone, summer, winter, gap, overlap }) => {
+  const originalTimezone = process.env.CLINIC_TIMEZONE;
+
+  beforeEach(() => {
+    process.env.CLINIC_TIMEZONE = timeZone;
+  });
+
+  afterAll(() => {
+    process.env.CLINIC_TIMEZONE = originalTimezone;
+    if (originalTimezone === undefined) delete process.env.CLINIC_TIMEZONE;
+  });
+
+  it('uses the offset in force on the day', () => {
+    expect(combineDateAndTime(summer[0], summer[1]).toISOString()).toBe(summer[2]);
+    expect(combineDateAndTime(winter[0], winter[1]).toISOString()).toBe(winter[2]);
+  });
+
+  it('moves a time skipped by the spring change forward by the gap', () => {
+    const result = combineDateAndTime(gap.date, gap.time);
+    expect(result.toISOString()).toBe(gap.expected);
+    expect(toDateKey(result)).toBe(gap.date);
+  });
+
+  it('resolves a time repeated by the autumn change to the first one', () => {
+    const result = combineDateAndTime(overlap.date, overlap.time);
+    expect(result.toISOString()).toBe(overlap.expected);
+    expect(toDateKey(result)).toBe(overlap.date);
+  });
+
+  it('makes the spring change day 23 hours and the autumn change day 25', () => {
+    const spring = getDayRange(gap.date);
+    const autumn = getDayRange(overlap.date);
+    expect(spring.end - spring.start).toBe(23 * HOUR);
+    expect(autumn.end - autumn.start).toBe(25 * HOUR);
+  });
+
+  it('keys instants either side of local midnight by the local date', () => {
+    const { start } = getDayRange('2030-01-07');
+    const justBefore = new Date(start.getTime() - 1);
+    expect(toDateKey(start)).toBe('2030-01-07');
+    expect(toDateKey(justBefore)).toBe('2030-01-06');
+    // Already the next day in India
+    expect(toDateKey(justBefore, 'Asia/Kolkata')).toBe('2030-01-07');
+  });
+});
@@ -0,0 +1,95 @@
+jest.mock('../services/seriesService', () => ({
+  createSeries: jest.fn()
+}));
+jest.mock('../services/offeringService', () => ({
+  getOfferedTherapy: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const Session = require('../models/session.models');
+const Therapy = require('../models/therapy.models');
+const User = require('../models/user.models');
+const { createSeries } = require('../services/seriesService');
+const { getOfferedTherapy } = require('../services/offeringService');
+const { getPlanProgress, bookPlanTherapies } = require('../services/treatmentPlanService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('treatment plans', () => {
+  const abhyanga = { _id: id(), name: 'Abhyanga', isActive: true, duration: 60, price: 2500 };
+  const basti = { _id: id(), name: 'Basti', isActive: true, duration: 45, price: 2000 };
+  const nextAbhyanga = { _id: id(), therapy: abhyanga._id, status: 'scheduled', startTime: new Date('2030-01-09T04:30:00Z') };
+  let plan;
+
+  beforeEach(() => {
+    plan = {
+      _id: id(),
+      patient: id(),
+      practitioner: id(),
+      therapies: [
+        { _id: id(), therapy: abhyanga._id, sessions: 5, recurrence: { frequency: 'every_n_days', interval: 2 }, preferredTime: '10:00' },
+        { _id: id(), therapy: basti._id, sessions: 2, recurrence: { frequency: 'weekly', interval: 1 } }
+      ],
+      goals: [{ status: 'achieved' }, { status: 'open' }, { status: 'open' }],
+      nextReview: new Date('2030-02-01T04:30:00Z')
+    };
+
+    jest.spyOn(Session, 'find').mockReturnValue({
+      select: () => ({
+        sort: jest.fn().mockResolvedValue([
+          { _id: id(), therapy: abhyanga._id, status: 'completed', startTime: new Date('2030-01-05T04:30:00Z') },
+          { _id: id(), therapy: abhyanga._id, status: 'no-show', startTime: new Date('2030-01-07T04:30:00Z') },
+          nextAbhyanga,
+          { _id: id(), therapy: basti._id, status: 'completed', startTime: new Date('2030-01-06T04:30:00Z') },
+          { _id: id(), therapy: basti._id, status: 'completed', startTime: new Date('2030-01-13T04:30:00Z') }
+        ])
+      })
+    });
+    jest.spyOn(User, 'findById').mockResolvedValue({ healthHistory: {} });
+    jest.spyOn(Therapy, 'findById').mockImplementation(async therapyId => [abhyanga, basti].find(t => t._id.equals(therapyId)));
+    getOfferedTherapy.mockImplementation(async (practitionerId, therapy) => ({ ...therapy }));
+    createSeries.mockImplementation(async ({ recurrence }) => ({
+      series: { _id: id() },
+      sessions: Array.from({ length: recurrence.count }, () => ({ _id: id() })),
+      skipped: []
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('counts done, upcoming and missed sessions against each recommendation', async () => {
+    const progress = await getPlanProgress(plan);
+
+    expect(progress.therapies.map(({ completed, upcoming, missed, toBook, percentComplete }) =>
+      ({ completed, upcoming, missed, toBook, percentComplete }))).toEqual([
+      { completed: 1, upcoming: 1, missed: 1, toBook: 3, percentComplete: 20 },
+      { completed: 2, upcoming: 0, missed: 0, toBook: 0, percentComplete: 100 }
+    ]);
+    expect(progress.therapies[0].nextSession).toEqual({ id: nextAbhyanga._id, startTime: nextAbhyanga.startTime });
+    expect(progress).toMatchObject({
+      recommendedSessions: 7,
+      completedSessions: 3,
+      percentComplete: 43,
+      goals: { total: 3, achieved: 1, open: 2 }
+    });
+  });
+
+  it('books only the sessions still to book and skips therapies that are done', async () => {
+    const results = await bookPlanTherapies(plan, { startDate: '2030-01-10', bookedBy: plan.practitioner });
+
+    expect(results.map(({ booked, reason }) => ({ booked, reason }))).toEqual([
+      { booked: 3, reason: undefined },
+      { booked: 0, reason: 'fully_booked' }
+    ]);
+    expect(createSeries).toHaveBeenCalledTimes(1);
+    expect(createSeries).toHaveBeenCalledWith(expect.objectContaining({
+      patientId: plan.patient,
+      startDate: '2030-01-10',
+      startTime: '10:00',
+      recurrence: { frequency: 'every_n_days', interval: 2, count: 3 },
+      treatmentPlan: plan._id
+    }));
+  });
+});
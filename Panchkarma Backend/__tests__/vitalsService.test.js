@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const VitalRange = require('../models/vitalRange.models');
+const { pickMeasurements, evaluateReading, describeFlag } = require('../services/vitalsService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('pickMeasurements', () => {
+  it('keeps numeric measurements in the reading\'s shape', () => {
+    expect(pickMeasurements({
+      bloodPressure: { systolic: '150', diastolic: 95 },
+      heartRate: '',
+      temperature: 'warm',
+      weight: 62.5,
+      patientId: 'someone'
+    })).toEqual({ bloodPressure: { systolic: 150, diastolic: 95 }, weight: 62.5 });
+  });
+});
+
+describe('evaluateReading', () => {
+  const ranges = { ...VitalRange.DEFAULT_RANGES, heartRate: { min: 50, max: 90 } };
+
+  it('flags measurements outside their range and leaves the boundaries alone', () => {
+    const flags = evaluateReading({
+      bloodPressure: { systolic: 168, diastolic: 90 },
+      heartRate: 48,
+      oxygenSaturation: 95
+    }, ranges);
+
+    expect(flags).toEqual([
+      { metric: 'systolic', value: 168, min: 90, max: 140, direction: 'high' },
+      { metric: 'heartRate', value: 48, min: 50, max: 90, direction: 'low' }
+    ]);
+    expect(flags.map(describeFlag)).toEqual(['Systolic BP 168 mmHg (above 140)', 'Heart rate 48 bpm (below 50)']);
+  });
+
+  it('ignores metrics without a range', () => {
+    expect(evaluateReading({ weight: 140 }, ranges)).toEqual([]);
+  });
+});
+
+describe('VitalRange.findApplicable', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('prefers a therapy and phase range over clinic-wide ones and defaults', async () => {
+    const therapyId = id();
+    jest.spyOn(VitalRange, 'find').mockResolvedValue([
+      { _id: id(), metric: 'heartRate', therapy: therapyId, phase: 'during-session', min: 55, max: 110 },
+      { _id: id(), metric: 'heartRate', therapy: null, phase: null, min: 50, max: 100 },
+      { _id: id(), metric: 'heartRate', therapy: therapyId, phase: null, min: 55, max: 105 },
+      { _id: id(), metric: 'systolic', therapy: null, phase: null, min: 95, max: 135 }
+    ]);
+
+    const ranges = await VitalRange.findApplicable({ therapyId, phase: 'during-session' });
+
+    expect(ranges.heartRate).toMatchObject({ min: 55, max: 110, source: 'therapy' });
+    expect(ranges.systolic).toMatchObject({ min: 95, max: 135, source: 'clinic' });
+    expect(ranges.temperature).toEqual({ min: 36.1, max: 37.8, source: 'default' });
+  });
+});
@@ -0,0 +1,90 @@
+jest.mock('../services/slotService', () => ({
+  ...jest.requireActual('../services/slotService'),
+  findSlotConflict: jest.fn().mockResolvedValue(null),
+  findPatientConflict: jest.fn().mockResolvedValue(null)
+}));
+jest.mock('../services/notificationService', () => ({
+  sendNotification: jest.fn().mockResolvedValue(null)
+}));
+
+const mongoose = require('mongoose');
+const SlotHold = require('../models/slotHold.models');
+const WaitlistEntry = require('../models/waitlistEntry.models');
+const Therapy = require('../models/therapy.models');
+const BookingLedger = require('../models/bookingLedger.models');
+const { findSlotConflict, findPatientConflict } = require('../services/slotService');
+const { offerFreedSlot } = require('../services/waitlistService');
+
+const id = () => new mongoose.Types.ObjectId();
+const HOUR = 60 * 60 * 1000;
+
+describe('offerFreedSlot', () => {
+  const practitioner = id();
+  const therapy = id();
+  const startTime = new Date(Date.now() + 48 * HOUR);
+  const endTime = new Date(startTime.getTime() + HOUR);
+  const cancelled = { practitioner, therapy, patient: id(), startTime, endTime };
+
+  const buildEntry = (patient) => new WaitlistEntry({
+    patient,
+    practitioner,
+    therapy,
+    startDate: '2000-01-01',
+    endDate: '2999-12-31'
+  });
+
+  beforeEach(() => {
+    jest.spyOn(WaitlistEntry.prototype, 'save').mockResolvedValue(null);
+    jest.spyOn(Therapy, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue({ name: 'Abhyanga' }) });
+    jest.spyOn(BookingLedger, 'updateOne').mockResolvedValue({ acknowledged: true });
+    jest.spyOn(mongoose.connection, 'transaction').mockImplementation(fn => fn({}));
+    jest.spyOn(SlotHold, 'create').mockImplementation(async ([fields]) => [new SlotHold(fields)]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    findSlotConflict.mockResolvedValue(null);
+    findPatientConflict.mockResolvedValue(null);
+  });
+
+  it('holds the slot for the earliest waitlisted patient other than the one who cancelled', async () => {
+    const own = buildEntry(cancelled.patient);
+    const first = buildEntry(id());
+    const second = buildEntry(id());
+    jest.spyOn(WaitlistEntry, 'find').mockReturnValue({ sort: jest.fn().mockResolvedValue([own, first, second]) });
+
+    const offer = await offerFreedSlot(cancelled);
+
+    expect(offer.entry).toBe(first);
+    expect(offer.hold.holder).toEqual(first.patient);
+    expect(offer.hold.source).toBe('waitlist');
+    expect(first.status).toBe('offered');
+    expect(first.offers[0].hold).toEqual(offer.hold._id);
+    expect(own.status).toBe('waiting');
+    expect(second.status).toBe('waiting');
+  });
+
+  it('skips a patient who is busy at that time', async () => {
+    const busy = buildEntry(id());
+    const free = buildEntry(id());
+    jest.spyOn(WaitlistEntry, 'find').mockReturnValue({ sort: jest.fn().mockResolvedValue([busy, free]) });
+    findPatientConflict.mockImplementation(async (patientId) => patientId.equals(busy.patient) ? { _id: id() } : null);
+
+    const offer = await offerFreedSlot(cancelled);
+
+    expect(offer.entry).toBe(free);
+    expect(busy.status).toBe('waiting');
+  });
+
+  it('offers nothing once someone else has booked the slot', async () => {
+    const entry = buildEntry(id());
+    jest.spyOn(WaitlistEntry, 'find').mockReturnValue({ sort: jest.fn().mockResolvedValue([entry]) });
+    findSlotConflict.mockResolvedValue({ reason: 'session_conflict', message: 'Slot is already booked' });
+
+    const offer = await offerFreedSlot(cancelled);
+
+    expect(offer).toBeNull();
+    expect(SlotHold.create).not.toHaveBeenCalled();
+    expect(entry.status).toBe('waiting');
+  });
+});
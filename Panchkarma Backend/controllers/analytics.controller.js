@@ -1,8 +1,10 @@
 // src/controllers/analyticsController.js
+const mongoose = require('mongoose');
 const Session = require('../models/session.models');
 const Feedback = require('../models/feedbacke.models');
 const User = require('../models/user.models');
 const Therapy = require('../models/therapy.models');
+const { getVitalsTrend } = require('../services/vitalsService');
 
 const getPatientAnalytics = async (req, res) => {
   try {
@@ -16,10 +18,10 @@ const getPatientAnalytics = async (req, res) => {
       });
     }
 
-    const [sessionStats, recentSessions, feedbackStats, healthProgress] = await Promise.all([
+    const [sessionStats, recentSessions, feedbackStats, healthProgress, attendanceStats, vitalsTrend] = await Promise.all([
       // Session statistics
       Session.aggregate([
-        { $match: { patient: mongoose.Types.ObjectId(patientId) } },
+        { $match: { patient: new mongoose.Types.ObjectId(patientId) } },
         {
           $group: {
             _id: '$status',
@@ -38,7 +40,7 @@ const getPatientAnalytics = async (req, res) => {
       
       // Feedback statistics
       Feedback.aggregate([
-        { $match: { patient: mongoose.Types.ObjectId(patientId) } },
+        { $match: { patient: new mongoose.Types.ObjectId(patientId) } },
         {
           $group: {
             _id: null,
@@ -50,7 +52,7 @@ const getPatientAnalytics = async (req, res) => {
       
       // Health progress tracking
       Session.aggregate([
-        { $match: { patient: mongoose.Types.ObjectId(patientId), status: 'completed' } },
+        { $match: { patient: new mongoose.Types.ObjectId(patientId), status: 'completed' } },
         { $sort: { startTime: 1 } },
         {
           $project: {
@@ -61,7 +63,13 @@ const getPatientAnalytics = async (req, res) => {
             'symptoms.after': 1
           }
         }
-      ])
+      ]),
+
+      // Arrival punctuality and no-shows
+      getAttendanceStats({ patient: new mongoose.Types.ObjectId(patientId) }),
+
+      // Every vital reading, with changes over time
+      getVitalsTrend(patientId)
     ]);
 
     // Process session stats
@@ -95,6 +103,8 @@ const getPatientAnalytics = async (req, res) => {
         recentSessions,
         feedbackStats: feedbackStats[0] || { avgRating: 0, totalFeedbacks: 0 },
         healthProgress,
+        vitalsTrend,
+        attendanceStats: processAttendanceStats(attendanceStats),
         insights: generatePatientInsights(sessionStats, feedbackStats[0])
       }
     });
@@ -120,10 +130,10 @@ const getPractitionerAnalytics = async (req, res) => {
       });
     }
 
-    const [sessionStats, revenueStats, feedbackStats, therapyStats, monthlyTrends] = await Promise.all([
+    const [sessionStats, revenueStats, feedbackStats, therapyStats, monthlyTrends, attendanceStats] = await Promise.all([
       // Session statistics
       Session.aggregate([
-        { $match: { practitioner: mongoose.Types.ObjectId(practitionerId) } },
+        { $match: { practitioner: new mongoose.Types.ObjectId(practitionerId) } },
         {
           $group: {
             _id: '$status',
@@ -136,7 +146,7 @@ const getPractitionerAnalytics = async (req, res) => {
       Session.aggregate([
         { 
           $match: { 
-            practitioner: mongoose.Types.ObjectId(practitionerId),
+            practitioner: new mongoose.Types.ObjectId(practitionerId),
             paymentStatus: 'paid'
           } 
         },
@@ -151,7 +161,7 @@ const getPractitionerAnalytics = async (req, res) => {
       
       // Feedback statistics
       Feedback.aggregate([
-        { $match: { practitioner: mongoose.Types.ObjectId(practitionerId) } },
+        { $match: { practitioner: new mongoose.Types.ObjectId(practitionerId) } },
         {
           $group: {
             _id: null,
@@ -166,7 +176,7 @@ const getPractitionerAnalytics = async (req, res) => {
       
       // Therapy-wise statistics
       Session.aggregate([
-        { $match: { practitioner: mongoose.Types.ObjectId(practitionerId) } },
+        { $match: { practitioner: new mongoose.Types.ObjectId(practitionerId) } },
         { $lookup: { from: 'therapies', localField: 'therapy', foreignField: '_id', as: 'therapy' } },
         { $unwind: '$therapy' },
         {
@@ -184,7 +194,7 @@ const getPractitionerAnalytics = async (req, res) => {
       Session.aggregate([
         { 
           $match: { 
-            practitioner: mongoose.Types.ObjectId(practitionerId),
+            practitioner: new mongoose.Types.ObjectId(practitionerId),
             startTime: { $gte: new Date(Date.now() - 12 * 30 * 24 * 60 * 60 * 1000) }
           } 
         },
@@ -199,7 +209,10 @@ const getPractitionerAnalytics = async (req, res) => {
           }
         },
         { $sort: { '_id.year': 1, '_id.month': 1 } }
-      ])
+      ]),
+
+      // Arrival punctuality and no-shows
+      getAttendanceStats({ practitioner: new mongoose.Types.ObjectId(practitionerId) })
     ]);
 
     res.json({
@@ -214,6 +227,7 @@ const getPractitionerAnalytics = async (req, res) => {
         },
         therapyStats,
         monthlyTrends,
+        attendanceStats: processAttendanceStats(attendanceStats),
         insights: generatePractitionerInsights(sessionStats, feedbackStats[0])
       }
     });
@@ -331,6 +345,49 @@ const getAdminAnalytics = async (req, res) => {
   }
 };
 
+// Patients arriving within this many minutes of the start count as on time
+const ON_TIME_GRACE_MINUTES = 5;
+
+/**
+ * Aggregate check-in punctuality and no-shows for the matched sessions
+ */
+const getAttendanceStats = (match) => Session.aggregate([
+  { $match: { ...match, $or: [{ arrivedAt: { $exists: true } }, { status: 'no-show' }] } },
+  {
+    $project: {
+      noShow: { $eq: ['$status', 'no-show'] },
+      minutesLate: {
+        $cond: [
+          { $and: [{ $ifNull: ['$arrivedAt', false] }, { $ne: ['$status', 'no-show'] }] },
+          { $max: [0, { $divide: [{ $subtract: ['$arrivedAt', '$startTime'] }, 60 * 1000] }] },
+          null
+        ]
+      }
+    }
+  },
+  {
+    $group: {
+      _id: null,
+      checkedIn: { $sum: { $cond: ['$noShow', 0, 1] } },
+      onTime: { $sum: { $cond: [{ $and: [{ $ne: ['$minutesLate', null] }, { $lte: ['$minutesLate', ON_TIME_GRACE_MINUTES] }] }, 1, 0] } },
+      avgMinutesLate: { $avg: '$minutesLate' },
+      noShows: { $sum: { $cond: ['$noShow', 1, 0] } }
+    }
+  }
+]);
+
+const processAttendanceStats = (attendanceStats) => {
+  const { checkedIn = 0, onTime = 0, avgMinutesLate = 0, noShows = 0 } = attendanceStats[0] || {};
+  return {
+    checkedIn,
+    onTime,
+    punctualityRate: checkedIn > 0 ? onTime / checkedIn : 0,
+    avgMinutesLate: Math.round((avgMinutesLate || 0) * 10) / 10,
+    noShows,
+    noShowRate: checkedIn + noShows > 0 ? noShows / (checkedIn + noShows) : 0
+  };
+};
+
 const processUserStats = (userStats) => {
   const stats = { total: 0, patients: 0, practitioners: 0, admins: 0, activeUsers: 0 };
   userStats.forEach(stat => {
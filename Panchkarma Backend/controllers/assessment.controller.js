@@ -0,0 +1,294 @@
+// src/controllers/assessmentController.js
+const { validationResult } = require('express-validator');
+const AssessmentQuestionnaire = require('../models/assessmentQuestionnaire.models');
+const DoshaAssessment = require('../models/doshaAssessment.models');
+const User = require('../models/user.models');
+const { recordAssessment, getConstitution } = require('../services/assessmentService');
+
+const CLINICAL_ROLES = ['practitioner', 'admin'];
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+const sendServerError = (res, error, message) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }))
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+  });
+};
+
+/**
+ * Hide option scores from patients so answers are not steered towards a result
+ */
+const withoutScores = (questionnaire) => {
+  const data = questionnaire.toObject();
+  data.questions.forEach(question => {
+    question.options = question.options.map(({ label }) => ({ label }));
+  });
+  return data;
+};
+
+/**
+ * Get the current version of a questionnaire type
+ */
+const getCurrentQuestionnaire = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const questionnaire = await AssessmentQuestionnaire.findCurrent(req.params.type);
+    if (!questionnaire) {
+      return res.status(404).json({
+        success: false,
+        message: `No active ${req.params.type} questionnaire`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        questionnaire: CLINICAL_ROLES.includes(req.user.role) ? questionnaire : withoutScores(questionnaire)
+      }
+    });
+  } catch (error) {
+    console.error('Get questionnaire error:', error);
+    sendServerError(res, error, 'Failed to fetch questionnaire');
+  }
+};
+
+/**
+ * List every questionnaire version, newest first (practitioners and admins)
+ */
+const listQuestionnaires = async (req, res) => {
+  try {
+    const query = req.query.type ? { type: req.query.type } : {};
+    const questionnaires = await AssessmentQuestionnaire.find(query)
+      .select('-questions')
+      .sort({ type: 1, version: -1 });
+
+    res.json({
+      success: true,
+      data: { questionnaires }
+    });
+  } catch (error) {
+    console.error('List questionnaires error:', error);
+    sendServerError(res, error, 'Failed to fetch questionnaires');
+  }
+};
+
+/**
+ * Publish a new version of a questionnaire (Admin only)
+ * Earlier versions stay in place so past assessments keep the questions they were scored on.
+ */
+const createQuestionnaire = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { type, title, description, questions } = req.body;
+    const latest = await AssessmentQuestionnaire.findOne({ type }).sort({ version: -1 });
+
+    const questionnaire = await AssessmentQuestionnaire.create({
+      type,
+      version: (latest?.version || 0) + 1,
+      title,
+      description,
+      questions,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${type} questionnaire version ${questionnaire.version} published`,
+      data: { questionnaire }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Another version of this questionnaire was just published. Please try again.'
+      });
+    }
+    console.error('Create questionnaire error:', error);
+    sendServerError(res, error, 'Failed to create questionnaire');
+  }
+};
+
+/**
+ * Withdraw a questionnaire version; the previous active version becomes current again
+ */
+const deactivateQuestionnaire = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const questionnaire = await AssessmentQuestionnaire.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false },
+      { new: true }
+    );
+    if (!questionnaire) {
+      return res.status(404).json({
+        success: false,
+        message: 'Questionnaire not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Questionnaire deactivated',
+      data: { questionnaire }
+    });
+  } catch (error) {
+    console.error('Deactivate questionnaire error:', error);
+    sendServerError(res, error, 'Failed to deactivate questionnaire');
+  }
+};
+
+/**
+ * Submit answers to the current questionnaire and record the scored result
+ * Patients answer for themselves; staff record intake answers with a patient ID
+ */
+const submitAssessment = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { type, answers, notes } = req.body;
+    const patientId = req.user.role === 'patient' ? req.user.id : req.body.patientId;
+
+    if (!patientId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Patient ID is required when recording an assessment for a patient'
+      });
+    }
+
+    const patient = await User.findById(patientId);
+    if (!patient || patient.role !== 'patient' || !patient.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found or inactive'
+      });
+    }
+
+    const questionnaire = await AssessmentQuestionnaire.findCurrent(type);
+    if (!questionnaire) {
+      return res.status(404).json({
+        success: false,
+        message: `No active ${type} questionnaire`
+      });
+    }
+
+    const { error, assessment } = await recordAssessment({
+      patientId,
+      questionnaire,
+      answers,
+      notes,
+      assessedBy: req.user.id
+    });
+
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Assessment recorded',
+      data: { assessment }
+    });
+  } catch (error) {
+    console.error('Submit assessment error:', error);
+    sendServerError(res, error, 'Failed to record assessment');
+  }
+};
+
+/**
+ * Get a patient's constitution profile and reassessment history
+ */
+const getPatientAssessments = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const patientId = req.user.role === 'patient' ? req.user.id : req.params.patientId;
+    if (!patientId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Patient ID is required'
+      });
+    }
+
+    const { type, limit = 20 } = req.query;
+    const constitution = await getConstitution(patientId, { type, limit: parseInt(limit) });
+
+    res.json({
+      success: true,
+      data: { constitution }
+    });
+  } catch (error) {
+    console.error('Get patient assessments error:', error);
+    sendServerError(res, error, 'Failed to fetch assessments');
+  }
+};
+
+/**
+ * Get one assessment with its answers and the questionnaire version it used
+ */
+const getAssessmentDetails = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const assessment = await DoshaAssessment.findById(req.params.id)
+      .populate('questionnaire')
+      .populate('assessedBy', 'profile.firstName profile.lastName role');
+    if (!assessment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assessment not found'
+      });
+    }
+
+    if (assessment.patient.toString() !== req.user.id && !CLINICAL_ROLES.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { assessment }
+    });
+  } catch (error) {
+    console.error('Get assessment details error:', error);
+    sendServerError(res, error, 'Failed to fetch assessment');
+  }
+};
+
+module.exports = {
+  getCurrentQuestionnaire,
+  listQuestionnaires,
+  createQuestionnaire,
+  deactivateQuestionnaire,
+  submitAssessment,
+  getPatientAssessments,
+  getAssessmentDetails
+};
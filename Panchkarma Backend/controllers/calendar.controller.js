@@ -0,0 +1,97 @@
+// src/controllers/calendarController.js
+const User = require('../models/user.models');
+const { hashFeedToken, generateFeedToken, buildCalendar, getFeedSessions } = require('../services/calendarService');
+const { getUserTimezone } = require('../utils/timeUtils');
+
+const getFeedUrl = (req, token) => {
+  const baseUrl = process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+  return `${baseUrl}${req.baseUrl}/feed/${token}.ics`;
+};
+
+/**
+ * Create a secret calendar feed URL for the current user, replacing any previous one
+ * The URL is only shown once; the old URL stops working immediately.
+ */
+const createFeed = async (req, res) => {
+  try {
+    const { token, tokenHash } = generateFeedToken();
+    await User.updateOne({ _id: req.user.id }, { $set: { calendarFeedToken: tokenHash } });
+
+    res.status(201).json({
+      success: true,
+      message: 'Calendar feed created. Keep this URL private; anyone with it can see your sessions.',
+      data: { url: getFeedUrl(req, token) }
+    });
+  } catch (error) {
+    console.error('Create calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create calendar feed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Revoke the current user's calendar feed URL
+ */
+const revokeFeed = async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.user.id }, { $unset: { calendarFeedToken: 1 } });
+
+    res.json({
+      success: true,
+      message: 'Calendar feed revoked'
+    });
+  } catch (error) {
+    console.error('Revoke calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke calendar feed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Serve a user's upcoming sessions as an iCalendar feed (public; the URL token is the credential)
+ */
+const getFeed = async (req, res) => {
+  try {
+    const user = await User.findOne({
+      calendarFeedToken: hashFeedToken(req.params.token),
+      isActive: true
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found'
+      });
+    }
+
+    const sessions = await getFeedSessions(user);
+    const calendar = buildCalendar(sessions, {
+      timeZone: getUserTimezone(user),
+      viewerId: user._id,
+      name: user.role === 'practitioner' ? `Dr. ${user.fullName} - Schedule` : 'My Panchakarma Sessions',
+      isFeed: true
+    });
+
+    res.set('Cache-Control', 'private, max-age=300');
+    res.type('text/calendar; charset=utf-8').send(calendar);
+  } catch (error) {
+    console.error('Get calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build calendar feed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  createFeed,
+  revokeFeed,
+  getFeed
+};
@@ -0,0 +1,176 @@
+// src/controllers/cancellationPolicyController.js
+const { validationResult } = require('express-validator');
+const CancellationPolicy = require('../models/cancellationPolicy.models');
+const Session = require('../models/session.models');
+const { resolveCancellationType, calculateCancellationCharges } = require('../services/cancellationService');
+
+/**
+ * List cancellation policies, including the built-in default when none is configured
+ */
+const getCancellationPolicies = async (req, res) => {
+  try {
+    const query = req.query.includeInactive === 'true' && req.user.role === 'admin' ? {} : { isActive: true };
+    const policies = await CancellationPolicy.find(query).sort({ category: 1 });
+
+    const hasDefault = policies.some(p => p.category === CancellationPolicy.DEFAULT_CATEGORY && p.isActive);
+
+    res.json({
+      success: true,
+      data: {
+        policies,
+        defaultPolicy: hasDefault ? null : CancellationPolicy.buildDefault()
+      }
+    });
+  } catch (error) {
+    console.error('Get cancellation policies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch cancellation policies',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Create or replace the cancellation policy for a therapy category (admin only)
+ */
+const saveCancellationPolicy = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { category } = req.params;
+    const { tiers, gracePeriodMinutes, waivers } = req.body;
+
+    let policy = await CancellationPolicy.findOne({ category });
+    if (!policy) {
+      policy = new CancellationPolicy({ category });
+    }
+
+    policy.tiers = tiers;
+    if (gracePeriodMinutes !== undefined) policy.gracePeriodMinutes = gracePeriodMinutes;
+    if (waivers?.practitioner !== undefined) policy.waivers.practitioner = waivers.practitioner;
+    if (waivers?.clinic !== undefined) policy.waivers.clinic = waivers.clinic;
+    policy.isActive = true;
+    policy.updatedBy = req.user.id;
+
+    await policy.save();
+
+    res.json({
+      success: true,
+      message: 'Cancellation policy saved successfully',
+      data: { policy }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(e => e.message).join(', ')
+      });
+    }
+    console.error('Save cancellation policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save cancellation policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Deactivate a category's policy so the default policy applies again (admin only)
+ */
+const deactivateCancellationPolicy = async (req, res) => {
+  try {
+    const policy = await CancellationPolicy.findOneAndUpdate(
+      { category: req.params.category, isActive: true },
+      { isActive: false, updatedBy: req.user.id },
+      { new: true }
+    );
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'No active cancellation policy for this category'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Cancellation policy deactivated',
+      data: { policy }
+    });
+  } catch (error) {
+    console.error('Deactivate cancellation policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to deactivate cancellation policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Show the fee and refund that cancelling a session right now would incur
+ */
+const getCancellationQuote = async (req, res) => {
+  try {
+    const session = await Session.findById(req.params.id).populate('therapy', 'name category');
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    const isPatient = session.patient.toString() === req.user.id || req.user.role === 'receptionist';
+    const isPractitioner = session.practitioner.toString() === req.user.id;
+    if (!isPatient && !isPractitioner && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this session'
+      });
+    }
+
+    if (['completed', 'cancelled', 'in-progress'].includes(session.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot cancel ${session.status} session`
+      });
+    }
+
+    const charges = await calculateCancellationCharges(session, {
+      cancellationType: resolveCancellationType({ isPatient, isPractitioner, requestedType: req.query.cancellationType })
+    });
+
+    res.json({
+      success: true,
+      data: {
+        sessionId: session._id,
+        price: session.price,
+        paymentStatus: session.paymentStatus,
+        ...charges
+      }
+    });
+  } catch (error) {
+    console.error('Get cancellation quote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to calculate cancellation charges',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getCancellationPolicies,
+  saveCancellationPolicy,
+  deactivateCancellationPolicy,
+  getCancellationQuote
+};
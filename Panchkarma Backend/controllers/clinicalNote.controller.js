@@ -0,0 +1,333 @@
+// src/controllers/clinicalNoteController.js
+const { validationResult } = require('express-validator');
+const Session = require('../models/session.models');
+const ClinicalNote = require('../models/clinicalNote.models');
+const NoteTemplate = require('../models/noteTemplate.models');
+const Therapy = require('../models/therapy.models');
+const {
+  notePhase,
+  pickSections,
+  addClinicalNote,
+  amendClinicalNote,
+  getSessionNotes,
+  getNoteDraft
+} = require('../services/clinicalNoteService');
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+const sendServerError = (res, error, message) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }))
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+  });
+};
+
+/**
+ * Load the session in the route, checking the user is its practitioner or an admin
+ * Sends the error response and returns null when notes cannot be accessed.
+ */
+const loadSessionForNotes = async (req, res) => {
+  const session = await Session.findById(req.params.id);
+  if (!session) {
+    res.status(404).json({ success: false, message: 'Session not found' });
+    return null;
+  }
+
+  if (session.practitioner.toString() !== req.user.id && req.user.role !== 'admin') {
+    res.status(403).json({
+      success: false,
+      message: 'Only the session\'s practitioner or an admin can access its clinical notes'
+    });
+    return null;
+  }
+
+  return session;
+};
+
+/**
+ * List a session's clinical notes with their amendments
+ */
+const getClinicalNotes = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const session = await loadSessionForNotes(req, res);
+    if (!session) return;
+
+    const notes = await getSessionNotes(session._id);
+
+    res.json({
+      success: true,
+      data: { notes }
+    });
+  } catch (error) {
+    console.error('Get clinical notes error:', error);
+    sendServerError(res, error, 'Failed to fetch clinical notes');
+  }
+};
+
+/**
+ * Get a blank note for the session, pre-filled from its therapy's template
+ */
+const getClinicalNoteDraft = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const session = await loadSessionForNotes(req, res);
+    if (!session) return;
+
+    const draft = await getNoteDraft(session.therapy);
+
+    res.json({
+      success: true,
+      data: {
+        phase: notePhase(session.status),
+        draft
+      }
+    });
+  } catch (error) {
+    console.error('Get clinical note draft error:', error);
+    sendServerError(res, error, 'Failed to build clinical note');
+  }
+};
+
+/**
+ * Add a SOAP note to a session
+ */
+const createClinicalNote = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const session = await loadSessionForNotes(req, res);
+    if (!session) return;
+
+    if (session.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot add clinical notes to a cancelled session'
+      });
+    }
+
+    const sections = pickSections(req.body);
+    if (Object.keys(sections).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'A clinical note needs at least one SOAP section'
+      });
+    }
+
+    const note = await addClinicalNote(session, {
+      author: req.user.id,
+      phase: req.body.phase,
+      sections,
+      templateId: req.body.templateId
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Clinical note added',
+      data: { note }
+    });
+  } catch (error) {
+    console.error('Create clinical note error:', error);
+    sendServerError(res, error, 'Failed to add clinical note');
+  }
+};
+
+/**
+ * Amend a clinical note; the original text stays in the record
+ */
+const createAmendment = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const session = await loadSessionForNotes(req, res);
+    if (!session) return;
+
+    const note = await ClinicalNote.findOne({ _id: req.params.noteId, session: session._id });
+    if (!note) {
+      return res.status(404).json({
+        success: false,
+        message: 'Clinical note not found'
+      });
+    }
+
+    const { error, note: amended } = await amendClinicalNote(note, {
+      author: req.user.id,
+      sections: pickSections(req.body),
+      reason: req.body.reason
+    });
+
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Clinical note amended',
+      data: { note: amended }
+    });
+  } catch (error) {
+    console.error('Amend clinical note error:', error);
+    sendServerError(res, error, 'Failed to amend clinical note');
+  }
+};
+
+/**
+ * List active note templates (practitioners and admins)
+ */
+const listNoteTemplates = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const query = { isActive: true };
+    if (req.query.therapyId) query.therapy = req.query.therapyId;
+
+    const templates = await NoteTemplate.find(query)
+      .populate('therapy', 'name')
+      .sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: { templates }
+    });
+  } catch (error) {
+    console.error('List note templates error:', error);
+    sendServerError(res, error, 'Failed to fetch note templates');
+  }
+};
+
+/**
+ * Create the note template for a therapy, or the general template when no therapy is given (Admin only)
+ */
+const createNoteTemplate = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { therapyId, name, subjective, objective, assessment, plan } = req.body;
+
+    if (therapyId && !(await Therapy.exists({ _id: therapyId }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Therapy not found'
+      });
+    }
+
+    const template = await NoteTemplate.create({
+      therapy: therapyId,
+      name,
+      subjective,
+      objective,
+      assessment,
+      plan,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Note template created',
+      data: { template }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'This therapy already has an active note template. Update or deactivate it first.'
+      });
+    }
+    console.error('Create note template error:', error);
+    sendServerError(res, error, 'Failed to create note template');
+  }
+};
+
+/**
+ * Update a note template's name and sections (Admin only)
+ * Notes already written keep their text; the template only pre-fills new notes.
+ */
+const updateNoteTemplate = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const updates = {};
+    ['name', 'subjective', 'objective', 'assessment', 'plan'].forEach(field => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+
+    const template = await NoteTemplate.findByIdAndUpdate(req.params.id, updates, { new: true, runValidators: true });
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Note template not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Note template updated',
+      data: { template }
+    });
+  } catch (error) {
+    console.error('Update note template error:', error);
+    sendServerError(res, error, 'Failed to update note template');
+  }
+};
+
+/**
+ * Deactivate a note template (Admin only)
+ */
+const deactivateNoteTemplate = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const template = await NoteTemplate.findByIdAndUpdate(req.params.id, { isActive: false }, { new: true });
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Note template not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Note template deactivated',
+      data: { template }
+    });
+  } catch (error) {
+    console.error('Deactivate note template error:', error);
+    sendServerError(res, error, 'Failed to deactivate note template');
+  }
+};
+
+module.exports = {
+  getClinicalNotes,
+  getClinicalNoteDraft,
+  createClinicalNote,
+  createAmendment,
+  listNoteTemplates,
+  createNoteTemplate,
+  updateNoteTemplate,
+  deactivateNoteTemplate
+};
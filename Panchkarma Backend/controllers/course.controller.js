@@ -0,0 +1,555 @@
+// src/controllers/courseController.js
+const { validationResult } = require('express-validator');
+const TreatmentProtocol = require('../models/treatmentProtocol.models');
+const TreatmentCourse = require('../models/treatmentCourse.models');
+const User = require('../models/user.models');
+const Therapy = require('../models/therapy.models');
+const { sendNotification } = require('../services/notificationService');
+const {
+  planCourseSessions,
+  formatPlan,
+  createCourse,
+  getCourseProgress,
+  rescheduleCourse,
+  cancelCourse
+} = require('../services/courseService');
+const { evaluateSafety, resolveSafetyOverride, safetyBlockResponse } = require('../services/safetyService');
+const { resolveCancellationType } = require('../services/cancellationService');
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+const sendServerError = (res, error, message) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }))
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+  });
+};
+
+const isCourseMember = (user, course) => {
+  return user.role === 'admin' ||
+    course.patient._id.toString() === user.id ||
+    course.practitioner._id.toString() === user.id;
+};
+
+/**
+ * Resolve the protocol, practitioner and patient for a course booking request
+ * Patients book for themselves; practitioners and admins pass a patient ID
+ */
+const resolveBooking = async (req) => {
+  const { protocolId, practitionerId, patientId } = req.body;
+
+  const protocol = await TreatmentProtocol.findById(protocolId).populate('steps.therapy');
+  if (!protocol || !protocol.isActive) {
+    return { status: 404, message: 'Treatment protocol not found or inactive' };
+  }
+
+  const practitioner = await User.findById(practitionerId);
+  if (!practitioner ||
+      practitioner.role !== 'practitioner' ||
+      !practitioner.practitionerInfo.isApproved ||
+      !practitioner.isActive) {
+    return { status: 404, message: 'Practitioner not found, not approved, or inactive' };
+  }
+
+  const patient = await User.findById(req.user.role === 'patient' ? req.user.id : patientId);
+  if (!patient || patient.role !== 'patient' || !patient.isActive) {
+    return { status: 404, message: 'Patient not found or inactive' };
+  }
+
+  return { protocol, practitioner, patient };
+};
+
+const protocolTherapies = (protocol) => {
+  return [...new Map(protocol.steps.map(step => [step.therapy._id.toString(), step.therapy])).values()];
+};
+
+/**
+ * Run the safety check for every therapy in a course
+ * Returns { error }, the blocked result, or { warnings, records } with each therapy's record.
+ */
+const checkCourseSafety = (req, { protocol, practitioner, patient }) => {
+  const { override, error } = resolveSafetyOverride({
+    user: req.user,
+    safetyOverride: req.body.safetyOverride,
+    practitionerId: practitioner._id
+  });
+  if (error) {
+    return { error };
+  }
+
+  const therapies = protocolTherapies(protocol);
+  const safety = evaluateSafety(therapies, patient, { override });
+  if (safety.blocked) {
+    return safety;
+  }
+
+  const records = new Map(therapies.map(therapy => [
+    therapy._id.toString(),
+    evaluateSafety([therapy], patient, { override }).record
+  ]));
+  return { warnings: safety.warnings, records };
+};
+
+/**
+ * List active treatment protocols
+ */
+const listProtocols = async (req, res) => {
+  try {
+    const protocols = await TreatmentProtocol.find({ isActive: true })
+      .populate('steps.therapy', 'name sanskritName duration price category')
+      .sort({ durationDays: 1, name: 1 });
+
+    res.json({
+      success: true,
+      data: { protocols }
+    });
+  } catch (error) {
+    console.error('List protocols error:', error);
+    sendServerError(res, error, 'Failed to fetch treatment protocols');
+  }
+};
+
+/**
+ * Get a single treatment protocol
+ */
+const getProtocol = async (req, res) => {
+  try {
+    const protocol = await TreatmentProtocol.findById(req.params.id)
+      .populate('steps.therapy', 'name sanskritName description duration price category');
+
+    if (!protocol) {
+      return res.status(404).json({
+        success: false,
+        message: 'Treatment protocol not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { protocol }
+    });
+  } catch (error) {
+    console.error('Get protocol error:', error);
+    sendServerError(res, error, 'Failed to fetch treatment protocol');
+  }
+};
+
+/**
+ * Create a treatment protocol template (admin only)
+ */
+const createProtocol = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { name, description, durationDays, steps, samePractitioner } = req.body;
+
+    const therapyIds = [...new Set(steps.map(step => step.therapy))];
+    const therapyCount = await Therapy.countDocuments({ _id: { $in: therapyIds }, isActive: true });
+    if (therapyCount !== therapyIds.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Every step must reference an active therapy'
+      });
+    }
+
+    const existing = await TreatmentProtocol.findOne({ name });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'A protocol with this name already exists'
+      });
+    }
+
+    const protocol = await TreatmentProtocol.create({
+      name,
+      description,
+      durationDays,
+      steps,
+      samePractitioner,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Treatment protocol created successfully',
+      data: { protocol }
+    });
+  } catch (error) {
+    console.error('Create protocol error:', error);
+    sendServerError(res, error, 'Failed to create treatment protocol');
+  }
+};
+
+/**
+ * Preview the sessions a course would create, with any conflicts
+ */
+const previewCourse = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const booking = await resolveBooking(req);
+    if (booking.status) {
+      return res.status(booking.status).json({ success: false, message: booking.message });
+    }
+
+    const { startDate, preferredTime } = req.body;
+    const planned = await planCourseSessions(booking.protocol, {
+      practitionerId: booking.practitioner._id,
+      patientId: booking.patient._id,
+      startDate,
+      preferredTime
+    });
+    const plan = formatPlan(planned);
+    const safety = evaluateSafety(protocolTherapies(booking.protocol), booking.patient);
+
+    res.json({
+      success: true,
+      data: {
+        protocol: { id: booking.protocol._id, name: booking.protocol.name, durationDays: booking.protocol.durationDays },
+        plan,
+        totalPrice: plan.reduce((sum, p) => sum + p.therapy.price, 0),
+        safety: { warnings: safety.warnings, blocks: safety.blocks },
+        bookable: plan.every(p => !p.conflict) && !safety.blocked
+      }
+    });
+  } catch (error) {
+    console.error('Preview course error:', error);
+    sendServerError(res, error, 'Failed to preview treatment course');
+  }
+};
+
+/**
+ * Book a treatment course, creating all of its sessions at once
+ */
+const bookCourse = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const booking = await resolveBooking(req);
+    if (booking.status) {
+      return res.status(booking.status).json({ success: false, message: booking.message });
+    }
+
+    const { protocol, practitioner, patient } = booking;
+    const { startDate, preferredTime } = req.body;
+
+    const safety = checkCourseSafety(req, booking);
+    if (safety.error) {
+      return res.status(403).json({ success: false, message: safety.error });
+    }
+    if (safety.blocked) {
+      return res.status(409).json(safetyBlockResponse(safety));
+    }
+
+    const result = await createCourse(protocol, {
+      practitionerId: practitioner._id,
+      patientId: patient._id,
+      startDate,
+      preferredTime,
+      createdBy: req.user.id,
+      safetyChecks: safety.records
+    });
+
+    if (!result.course) {
+      return res.status(409).json({
+        success: false,
+        message: 'Some sessions of this course could not be booked. No sessions were created.',
+        data: { conflicts: result.conflicts, plan: result.plan }
+      });
+    }
+
+    const { course } = result;
+    await course.populate([
+      { path: 'protocol', select: 'name durationDays' },
+      { path: 'sessions', populate: { path: 'therapy', select: 'name sanskritName duration price' } }
+    ]);
+
+    await Promise.allSettled([
+      sendNotification({
+        recipient: patient._id,
+        type: 'booking_confirmation',
+        title: 'Treatment Course Booked! 🎉',
+        message: `Your ${protocol.name} course with Dr. ${practitioner.fullName} is booked from ${course.startDate} to ${course.endDate} (${course.sessions.length} sessions).`,
+        data: {
+          courseId: course._id,
+          practitionerName: practitioner.fullName,
+          actionUrl: `/courses/${course._id}`,
+          priority: 'high'
+        },
+        channels: { email: true, inApp: true, whatsapp: true }
+      }),
+      sendNotification({
+        recipient: practitioner._id,
+        type: 'booking_confirmation',
+        title: 'New Treatment Course Booked',
+        message: `${patient.fullName} has booked a ${protocol.name} course with you from ${course.startDate} to ${course.endDate}.`,
+        data: {
+          courseId: course._id,
+          patientName: patient.fullName,
+          actionUrl: `/courses/${course._id}`
+        },
+        channels: { inApp: true, email: true }
+      })
+    ]);
+
+    course.sessions.forEach(session => {
+      req.io.emit('slotBooked', {
+        sessionId: session._id,
+        practitionerId: practitioner._id,
+        startTime: session.startTime,
+        endTime: session.endTime,
+        therapyId: session.therapy._id,
+        patientName: patient.fullName
+      });
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Treatment course booked successfully',
+      data: { course, safetyWarnings: safety.warnings }
+    });
+  } catch (error) {
+    console.error('Book course error:', error);
+    sendServerError(res, error, 'Failed to book treatment course');
+  }
+};
+
+/**
+ * Get courses for the current user
+ */
+const getUserCourses = async (req, res) => {
+  try {
+    const { status } = req.query;
+    const query = req.user.role === 'practitioner'
+      ? { practitioner: req.user.id }
+      : { patient: req.user.id };
+    if (status) {
+      query.status = status;
+    }
+
+    const courses = await TreatmentCourse.find(query)
+      .populate('protocol', 'name durationDays')
+      .populate('patient', 'profile.firstName profile.lastName')
+      .populate('practitioner', 'profile.firstName profile.lastName')
+      .populate({ path: 'sessions', select: 'status startTime endTime courseStep therapy', populate: { path: 'therapy', select: 'name' } })
+      .sort({ startDate: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        courses: courses.map(course => ({
+          ...course.toObject(),
+          progress: getCourseProgress(course)
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get user courses error:', error);
+    sendServerError(res, error, 'Failed to fetch treatment courses');
+  }
+};
+
+/**
+ * Get a course with its sessions and progress
+ */
+const getCourseDetails = async (req, res) => {
+  try {
+    const course = await TreatmentCourse.findById(req.params.id)
+      .populate('protocol')
+      .populate('patient', 'profile email')
+      .populate('practitioner', 'profile practitionerInfo.specialization')
+      .populate({
+        path: 'sessions',
+        populate: [
+          { path: 'therapy', select: 'name sanskritName duration price' },
+          { path: 'resources.room', select: 'name type floor' }
+        ]
+      });
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Treatment course not found'
+      });
+    }
+
+    if (!isCourseMember(req.user, course)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this course'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        course,
+        progress: getCourseProgress(course)
+      }
+    });
+  } catch (error) {
+    console.error('Get course details error:', error);
+    sendServerError(res, error, 'Failed to fetch treatment course');
+  }
+};
+
+/**
+ * Move the remaining sessions of a course to a new start date
+ */
+const rescheduleCourseController = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const course = await TreatmentCourse.findById(req.params.id);
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Treatment course not found'
+      });
+    }
+
+    if (!isCourseMember(req.user, course)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to reschedule this course'
+      });
+    }
+
+    if (['completed', 'cancelled'].includes(course.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot reschedule ${course.status} course`
+      });
+    }
+
+    const { newStartDate, preferredTime, reason } = req.body;
+    const result = await rescheduleCourse(course, newStartDate, {
+      preferredTime,
+      reason,
+      performedBy: req.user.id,
+      io: req.io
+    });
+
+    if (!result.success) {
+      return res.status(result.conflicts ? 409 : 400).json({
+        success: false,
+        message: result.message,
+        data: { conflicts: result.conflicts }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Treatment course rescheduled successfully',
+      data: {
+        courseId: course._id,
+        startDate: course.startDate,
+        endDate: course.endDate,
+        sessions: result.plan
+      }
+    });
+  } catch (error) {
+    console.error('Reschedule course error:', error);
+    sendServerError(res, error, 'Failed to reschedule treatment course');
+  }
+};
+
+/**
+ * Cancel a course and its upcoming sessions
+ */
+const cancelCourseController = async (req, res) => {
+  try {
+    const { reason, cancellationType } = req.body;
+
+    if (!reason || reason.trim().length < 10) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cancellation reason must be at least 10 characters'
+      });
+    }
+
+    const course = await TreatmentCourse.findById(req.params.id);
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Treatment course not found'
+      });
+    }
+
+    if (!isCourseMember(req.user, course)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to cancel this course'
+      });
+    }
+
+    if (['completed', 'cancelled'].includes(course.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot cancel ${course.status} course`
+      });
+    }
+
+    const result = await cancelCourse(course, {
+      cancellationType: resolveCancellationType({
+        isPatient: course.patient._id.toString() === req.user.id,
+        isPractitioner: course.practitioner._id.toString() === req.user.id,
+        requestedType: cancellationType
+      }),
+      performedBy: req.user.id,
+      reason: reason.trim(),
+      io: req.io
+    });
+
+    res.json({
+      success: true,
+      message: 'Treatment course cancelled successfully',
+      data: {
+        courseId: course._id,
+        cancelledSessions: result.cancelledSessions,
+        cancellationFee: result.cancellationFee,
+        refundAmount: result.refundAmount,
+        refundTimeline: result.refundTimeline,
+        charges: result.charges
+      }
+    });
+  } catch (error) {
+    console.error('Cancel course error:', error);
+    sendServerError(res, error, 'Failed to cancel treatment course');
+  }
+};
+
+module.exports = {
+  listProtocols,
+  getProtocol,
+  createProtocol,
+  previewCourse,
+  bookCourse,
+  getUserCourses,
+  getCourseDetails,
+  rescheduleCourse: rescheduleCourseController,
+  cancelCourse: cancelCourseController
+};
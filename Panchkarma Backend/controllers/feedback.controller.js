@@ -1,6 +1,7 @@
 const { validationResult } = require('express-validator');
 const Feedback = require('../models/feedbacke.models');
 const Session = require('../models/session.models');
+const GroupSession = require('../models/groupSession.models');
 const { sendNotification } = require('../services/notificationService');
 
 const submitFeedback = async (req, res) => {
@@ -14,46 +15,84 @@ const submitFeedback = async (req, res) => {
       });
     }
 
-    const { sessionId, rating, comments, symptoms, recommendation, followUp, isAnonymous } = req.body;
+    const { sessionId, groupSessionId, rating, comments, symptoms, recommendation, followUp, isAnonymous } = req.body;
     const patientId = req.user.id;
 
-    // Validate session exists and belongs to patient
-    const session = await Session.findById(sessionId).populate('practitioner');
-    if (!session) {
-      return res.status(404).json({
-        success: false,
-        message: 'Session not found'
-      });
-    }
+    let practitionerId;
+    if (groupSessionId) {
+      // Validate the group session exists and the patient attended it
+      const groupSession = await GroupSession.findById(groupSessionId);
+      if (!groupSession) {
+        return res.status(404).json({
+          success: false,
+          message: 'Group session not found'
+        });
+      }
 
-    if (session.patient.toString() !== patientId) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to provide feedback for this session'
-      });
-    }
+      const attendee = groupSession.findAttendee(patientId);
+      if (!attendee) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to provide feedback for this group session'
+        });
+      }
 
-    if (session.status !== 'completed') {
-      return res.status(400).json({
-        success: false,
-        message: 'Can only provide feedback for completed sessions'
-      });
-    }
+      if (groupSession.status !== 'completed' || attendee.status !== 'attended') {
+        return res.status(400).json({
+          success: false,
+          message: 'Can only provide feedback for completed group sessions you attended'
+        });
+      }
 
-    // Check if feedback already exists
-    const existingFeedback = await Feedback.findOne({ session: sessionId });
-    if (existingFeedback) {
-      return res.status(400).json({
-        success: false,
-        message: 'Feedback already submitted for this session'
-      });
+      const existingFeedback = await Feedback.findOne({ groupSession: groupSessionId, patient: patientId });
+      if (existingFeedback) {
+        return res.status(400).json({
+          success: false,
+          message: 'Feedback already submitted for this group session'
+        });
+      }
+      practitionerId = groupSession.practitioner;
+    } else {
+      // Validate session exists and belongs to patient
+      const session = await Session.findById(sessionId).populate('practitioner');
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+      }
+
+      if (session.patient.toString() !== patientId) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to provide feedback for this session'
+        });
+      }
+
+      if (session.status !== 'completed') {
+        return res.status(400).json({
+          success: false,
+          message: 'Can only provide feedback for completed sessions'
+        });
+      }
+
+      // Check if feedback already exists
+      const existingFeedback = await Feedback.findOne({ session: sessionId });
+      if (existingFeedback) {
+        return res.status(400).json({
+          success: false,
+          message: 'Feedback already submitted for this session'
+        });
+      }
+      practitionerId = session.practitioner._id;
     }
 
     // Create feedback
     const feedback = await Feedback.create({
-      session: sessionId,
+      session: groupSessionId ? undefined : sessionId,
+      groupSession: groupSessionId,
       patient: patientId,
-      practitioner: session.practitioner._id,
+      practitioner: practitionerId,
       rating,
       comments,
       symptoms,
@@ -62,14 +101,14 @@ const submitFeedback = async (req, res) => {
       isAnonymous
     });
 
-    await feedback.populate(['session', 'patient', 'practitioner']);
+    await feedback.populate(['session', 'groupSession', 'patient', 'practitioner']);
 
     // Send notification to practitioner
     await sendNotification({
-      recipient: session.practitioner._id,
+      recipient: practitionerId,
       type: 'feedback_request',
       title: 'New Feedback Received',
-      message: `${isAnonymous ? 'A patient' : feedback.patient.fullName} has provided feedback for your session.`,
+      message: `${isAnonymous ? 'A patient' : feedback.patient.fullName} has provided feedback for your ${groupSessionId ? 'group ' : ''}session.`,
       data: { 
         sessionId: sessionId, 
         feedbackId: feedback._id,
@@ -136,6 +175,58 @@ const getFeedback = async (req, res) => {
   }
 };
 
+/**
+ * List the feedback attendees left for a group session (the practitioner and admins)
+ */
+const getGroupSessionFeedback = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const groupSession = await GroupSession.findById(req.params.groupSessionId);
+    if (!groupSession) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group session not found'
+      });
+    }
+
+    if (groupSession.practitioner.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const feedback = await Feedback.find({ groupSession: groupSession._id })
+      .populate('patient', 'profile.firstName profile.lastName')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        feedback: feedback.map(entry => entry.isAnonymous
+          ? { ...entry.toObject(), patient: undefined }
+          : entry),
+        attendedCount: groupSession.attendees.filter(a => a.status === 'attended').length
+      }
+    });
+  } catch (error) {
+    console.error('Get group session feedback error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch group session feedback',
+      error: error.message
+    });
+  }
+};
+
 const getPractitionerFeedback = async (req, res) => {
   try {
     const { page = 1, limit = 10 } = req.query;
@@ -203,5 +294,6 @@ const getPractitionerFeedback = async (req, res) => {
 module.exports = {
   submitFeedback,
   getFeedback,
+  getGroupSessionFeedback,
   getPractitionerFeedback
 };
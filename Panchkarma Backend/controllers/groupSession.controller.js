@@ -0,0 +1,599 @@
+// src/controllers/groupSessionController.js
+const { validationResult } = require('express-validator');
+const GroupSession = require('../models/groupSession.models');
+const Therapy = require('../models/therapy.models');
+const User = require('../models/user.models');
+const { sendNotification } = require('../services/notificationService');
+const { getOfferedTherapy } = require('../services/offeringService');
+const {
+  createGroupSession: scheduleGroupSession,
+  enrolPatient,
+  withdrawPatient,
+  changeCapacity,
+  notifyPromoted
+} = require('../services/groupSessionService');
+const { formatDateTime } = require('../utils/timeUtils');
+
+const GROUP_STATUS_TRANSITIONS = {
+  scheduled: ['in-progress'],
+  'in-progress': ['completed'],
+  completed: [],
+  cancelled: []
+};
+
+const STAFF_ROLES = ['admin', 'receptionist'];
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+/**
+ * Load the group session in the route, sending a 404 when it does not exist
+ */
+const loadGroupSession = async (req, res) => {
+  const groupSession = await GroupSession.findById(req.params.id)
+    .populate('therapy', 'name category duration')
+    .populate('practitioner', 'profile.firstName profile.lastName');
+  if (!groupSession) {
+    res.status(404).json({ success: false, message: 'Group session not found' });
+    return null;
+  }
+  return groupSession;
+};
+
+const isRunBy = (req, groupSession) => {
+  return groupSession.practitioner._id.toString() === req.user.id || req.user.role === 'admin';
+};
+
+/**
+ * Patients act for themselves; the front desk and admins name the patient
+ */
+const resolvePatientId = (req) => {
+  return STAFF_ROLES.includes(req.user.role) ? req.body.patientId : req.user.id;
+};
+
+/**
+ * Shape a group session for patients: counts and their own place, not the other attendees
+ */
+const toPatientView = (groupSession, patientId) => {
+  const { attendees, waitlist, ...summary } = groupSession.toObject();
+  const attendee = groupSession.attendees
+    .filter(a => a.patient.toString() === patientId)
+    .pop();
+  const waitlistIndex = groupSession.findWaitlistIndex(patientId);
+
+  return {
+    ...summary,
+    waitlistCount: waitlist.length,
+    myStatus: waitlistIndex >= 0 ? 'waitlisted' : attendee?.status || null,
+    myWaitlistPosition: waitlistIndex >= 0 ? waitlistIndex + 1 : null
+  };
+};
+
+/**
+ * List group sessions, by default the upcoming ones still open
+ */
+const getGroupSessions = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { therapyId, practitionerId, from, to, status } = req.query;
+    const query = {
+      status: status || 'scheduled',
+      startTime: { $gte: from ? new Date(from) : new Date() }
+    };
+    if (to) query.startTime.$lte = new Date(to);
+    if (therapyId) query.therapy = therapyId;
+    if (practitionerId) query.practitioner = practitionerId;
+    if (req.user.role === 'practitioner' && !practitionerId) query.practitioner = req.user.id;
+
+    const groupSessions = await GroupSession.find(query)
+      .populate('therapy', 'name category duration')
+      .populate('practitioner', 'profile.firstName profile.lastName')
+      .sort({ startTime: 1 })
+      .limit(100);
+
+    res.json({
+      success: true,
+      data: {
+        groupSessions: groupSessions.map(groupSession => toPatientView(groupSession, req.user.id))
+      }
+    });
+  } catch (error) {
+    console.error('Get group sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch group sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Get a group session; staff see the attendee list and waitlist
+ */
+const getGroupSessionDetails = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const groupSession = await loadGroupSession(req, res);
+    if (!groupSession) return;
+
+    if (isRunBy(req, groupSession) || req.user.role === 'receptionist') {
+      await groupSession.populate([
+        { path: 'attendees.patient', select: 'profile.firstName profile.lastName profile.phone' },
+        { path: 'waitlist.patient', select: 'profile.firstName profile.lastName profile.phone' }
+      ]);
+      return res.json({ success: true, data: { groupSession } });
+    }
+
+    res.json({
+      success: true,
+      data: { groupSession: toPatientView(groupSession, req.user.id) }
+    });
+  } catch (error) {
+    console.error('Get group session details error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch group session details',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Schedule a group session (the practitioner for themselves, or an admin)
+ */
+const createGroupSession = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { therapyId, startTime, capacity, price, title, description } = req.body;
+    const practitionerId = req.user.role === 'admin' ? req.body.practitionerId : req.user.id;
+
+    if (!practitionerId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Practitioner ID is required when scheduling for a practitioner'
+      });
+    }
+
+    const therapy = await Therapy.findById(therapyId);
+    if (!therapy || !therapy.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Therapy not found or inactive'
+      });
+    }
+
+    const practitioner = await User.findById(practitionerId);
+    if (!practitioner ||
+        practitioner.role !== 'practitioner' ||
+        !practitioner.practitionerInfo.isApproved ||
+        !practitioner.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Practitioner not found, not approved, or inactive'
+      });
+    }
+
+    // The practitioner must offer this therapy; their price and duration apply
+    const offeredTherapy = await getOfferedTherapy(practitionerId, therapy);
+    if (!offeredTherapy) {
+      return res.status(400).json({
+        success: false,
+        message: 'Practitioner does not offer this therapy'
+      });
+    }
+
+    const start = new Date(startTime);
+    if (start <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Group sessions must be scheduled in the future'
+      });
+    }
+    const end = new Date(start.getTime() + offeredTherapy.duration * 60 * 1000);
+
+    const { conflict, groupSession } = await scheduleGroupSession({
+      therapy: offeredTherapy,
+      practitionerId,
+      startTime: start,
+      endTime: end,
+      capacity,
+      price: price ?? offeredTherapy.price,
+      title,
+      description,
+      createdBy: req.user.id
+    });
+
+    if (conflict) {
+      return res.status(409).json({
+        success: false,
+        message: conflict.message,
+        reason: conflict.reason
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Group session scheduled successfully',
+      data: { groupSession }
+    });
+  } catch (error) {
+    console.error('Create group session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to schedule group session',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Enrol a patient, or add them to the waitlist when the group is full
+ */
+const enrolInGroupSession = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const patientId = resolvePatientId(req);
+    if (!patientId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Patient ID is required when enrolling on a patient\'s behalf'
+      });
+    }
+
+    const patient = await User.findById(patientId);
+    if (!patient || patient.role !== 'patient' || !patient.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found or inactive'
+      });
+    }
+
+    const existing = await loadGroupSession(req, res);
+    if (!existing) return;
+
+    const { error, conflict, groupSession, waitlisted, position } = await enrolPatient(existing._id, patientId, {
+      performedBy: req.user.id
+    });
+
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    if (conflict) {
+      return res.status(409).json({
+        success: false,
+        message: conflict.message,
+        reason: conflict.reason
+      });
+    }
+
+    await sendNotification({
+      recipient: patientId,
+      type: waitlisted ? 'slot_available' : 'booking_confirmation',
+      title: waitlisted ? 'Added to Waitlist' : 'Group Session Booked',
+      message: (timeZone) => waitlisted
+        ? `${existing.title} on ${formatDateTime(existing.startTime, timeZone)} is full. You are number ${position} on the waitlist and will be enrolled automatically if a place opens up.`
+        : `You are enrolled in ${existing.title} with Dr. ${existing.practitioner.fullName} on ${formatDateTime(existing.startTime, timeZone)}.`,
+      data: { therapyId: existing.therapy._id, actionUrl: `/group-sessions/${existing._id}` },
+      channels: { email: true, inApp: true }
+    }).catch(error => console.error('Group enrolment notification error:', error));
+
+    res.status(waitlisted ? 202 : 201).json({
+      success: true,
+      message: waitlisted ? `Group session is full; added to the waitlist at position ${position}` : 'Enrolled successfully',
+      data: {
+        waitlisted,
+        position,
+        groupSession: toPatientView(groupSession, patientId)
+      }
+    });
+  } catch (error) {
+    console.error('Enrol in group session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to enrol in group session',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Withdraw a patient from a group session or its waitlist
+ */
+const withdrawFromGroupSession = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const patientId = resolvePatientId(req);
+    if (!patientId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Patient ID is required when withdrawing a patient'
+      });
+    }
+
+    const existing = await loadGroupSession(req, res);
+    if (!existing) return;
+
+    const { error, groupSession, removedFrom, promoted } = await withdrawPatient(existing._id, patientId, {
+      performedBy: req.user.id
+    });
+
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    await notifyPromoted(groupSession, promoted);
+
+    res.json({
+      success: true,
+      message: removedFrom === 'waitlist' ? 'Removed from the waitlist' : 'Withdrawn from the group session',
+      data: {
+        removedFrom,
+        promotedCount: promoted.length,
+        groupSession: toPatientView(groupSession, patientId)
+      }
+    });
+  } catch (error) {
+    console.error('Withdraw from group session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to withdraw from group session',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Change a group session's capacity; new places go to the waitlist first
+ */
+const updateGroupCapacity = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const existing = await loadGroupSession(req, res);
+    if (!existing) return;
+
+    if (!isRunBy(req, existing)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the group\'s practitioner or an admin can change its capacity'
+      });
+    }
+
+    if (['completed', 'cancelled'].includes(existing.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot change the capacity of a ${existing.status} group session`
+      });
+    }
+
+    const { error, groupSession, promoted } = await changeCapacity(existing._id, req.body.capacity);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    await notifyPromoted(groupSession, promoted);
+
+    res.json({
+      success: true,
+      message: 'Capacity updated',
+      data: { groupSession, promotedCount: promoted.length }
+    });
+  } catch (error) {
+    console.error('Update group capacity error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update capacity',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Record who attended and who did not show up, once the group has started
+ */
+const markAttendance = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const groupSession = await loadGroupSession(req, res);
+    if (!groupSession) return;
+
+    if (!isRunBy(req, groupSession)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the group\'s practitioner or an admin can mark attendance'
+      });
+    }
+
+    if (groupSession.status === 'cancelled' || groupSession.startTime > new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Attendance can only be marked once the group session has started'
+      });
+    }
+
+    const now = new Date();
+    const notEnrolled = [];
+    req.body.attendance.forEach(({ patientId, status }) => {
+      const attendee = groupSession.findAttendee(patientId);
+      if (!attendee) {
+        notEnrolled.push(patientId);
+        return;
+      }
+      attendee.status = status;
+      attendee.attendanceMarkedAt = now;
+      attendee.attendanceMarkedBy = req.user.id;
+    });
+
+    if (notEnrolled.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some patients are not enrolled in this group session',
+        notEnrolled
+      });
+    }
+
+    await groupSession.save();
+
+    res.json({
+      success: true,
+      message: 'Attendance recorded',
+      data: { attendees: groupSession.attendees }
+    });
+  } catch (error) {
+    console.error('Mark group attendance error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record attendance',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Start or complete a group session; attendees who came are asked for feedback
+ */
+const updateGroupStatus = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const groupSession = await loadGroupSession(req, res);
+    if (!groupSession) return;
+
+    if (!isRunBy(req, groupSession)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the group\'s practitioner or an admin can update its status'
+      });
+    }
+
+    const { status } = req.body;
+    if (!GROUP_STATUS_TRANSITIONS[groupSession.status].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot change status from ${groupSession.status} to ${status}`
+      });
+    }
+
+    groupSession.status = status;
+    if (status === 'in-progress') {
+      groupSession.actualStartTime = new Date();
+    } else if (status === 'completed') {
+      groupSession.actualEndTime = new Date();
+    }
+    await groupSession.save();
+
+    if (status === 'completed') {
+      const attended = groupSession.attendees.filter(a => a.status === 'attended');
+      await Promise.all(attended.map(attendee =>
+        sendNotification({
+          recipient: attendee.patient,
+          type: 'feedback_request',
+          title: 'How Was Your Group Session?',
+          message: `Thank you for joining ${groupSession.title}. Please share your feedback.`,
+          data: { therapyId: groupSession.therapy._id, actionUrl: `/feedback/group-session/${groupSession._id}` },
+          channels: { inApp: true, email: true }
+        }).catch(error => console.error('Group feedback request error:', error))
+      ));
+    }
+
+    res.json({
+      success: true,
+      message: 'Group session status updated',
+      data: { groupSession }
+    });
+  } catch (error) {
+    console.error('Update group status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update group session status',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Cancel a group session and tell everyone enrolled or waitlisted
+ */
+const cancelGroupSession = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const groupSession = await loadGroupSession(req, res);
+    if (!groupSession) return;
+
+    if (!isRunBy(req, groupSession)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the group\'s practitioner or an admin can cancel it'
+      });
+    }
+
+    if (groupSession.status !== 'scheduled') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot cancel a ${groupSession.status} group session`
+      });
+    }
+
+    const { reason } = req.body;
+    groupSession.status = 'cancelled';
+    groupSession.cancellationReason = reason;
+    groupSession.cancelledBy = req.user.id;
+    groupSession.cancelledAt = new Date();
+    await groupSession.save();
+
+    const recipients = [
+      ...groupSession.attendees.filter(a => a.status === 'enrolled').map(a => a.patient),
+      ...groupSession.waitlist.map(w => w.patient)
+    ];
+    await Promise.all(recipients.map(patientId =>
+      sendNotification({
+        recipient: patientId,
+        type: 'cancellation',
+        title: 'Group Session Cancelled',
+        message: (timeZone) => `${groupSession.title} on ${formatDateTime(groupSession.startTime, timeZone)} has been cancelled.${reason ? ` Reason: ${reason}` : ''}`,
+        data: { therapyId: groupSession.therapy._id, actionUrl: '/group-sessions', priority: 'high' },
+        channels: { email: true, inApp: true, whatsapp: true }
+      }).catch(error => console.error('Group cancellation notification error:', error))
+    ));
+
+    res.json({
+      success: true,
+      message: 'Group session cancelled',
+      data: { groupSession, notifiedCount: recipients.length }
+    });
+  } catch (error) {
+    console.error('Cancel group session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel group session',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getGroupSessions,
+  getGroupSessionDetails,
+  createGroupSession,
+  enrolInGroupSession,
+  withdrawFromGroupSession,
+  updateGroupCapacity,
+  markAttendance,
+  updateGroupStatus,
+  cancelGroupSession
+};
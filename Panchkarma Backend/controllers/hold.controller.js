@@ -0,0 +1,181 @@
+// src/controllers/holdController.js
+const { validationResult } = require('express-validator');
+const SlotHold = require('../models/slotHold.models');
+const User = require('../models/user.models');
+const Therapy = require('../models/therapy.models');
+const { createBookingHold, releaseHold } = require('../services/holdService');
+const { getOfferedTherapy } = require('../services/offeringService');
+
+const ON_BEHALF_ROLES = ['receptionist', 'admin'];
+
+/**
+ * Find the patient a hold is for: the caller, or the `patientId` given by the front desk or an admin
+ */
+const resolveHoldPatient = async (user, patientId) => {
+  const onBehalf = ON_BEHALF_ROLES.includes(user.role);
+  if (onBehalf && !patientId) {
+    return { status: 400, message: 'Patient ID is required when holding a slot on a patient\'s behalf' };
+  }
+
+  const patient = await User.findById(onBehalf ? patientId : user.id);
+  if (!patient || patient.role !== 'patient' || !patient.isActive) {
+    return { status: 404, message: 'Patient not found or inactive' };
+  }
+  return { patient };
+};
+
+/**
+ * Hold a slot for a few minutes while the patient completes the booking
+ * Receptionists and admins hold on a patient's behalf by passing `patientId`.
+ */
+const createSlotHold = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { therapyId, practitionerId, startTime, endTime } = req.body;
+
+    const { patient, status, message } = await resolveHoldPatient(req.user, req.body.patientId);
+    if (!patient) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const therapy = await Therapy.findById(therapyId);
+    if (!therapy || !therapy.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Therapy not found or inactive'
+      });
+    }
+
+    const practitioner = await User.findById(practitionerId);
+    if (!practitioner ||
+        practitioner.role !== 'practitioner' ||
+        !practitioner.practitionerInfo.isApproved ||
+        !practitioner.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Practitioner not found, not approved, or inactive'
+      });
+    }
+
+    const offeredTherapy = await getOfferedTherapy(practitionerId, therapy);
+    if (!offeredTherapy) {
+      return res.status(400).json({
+        success: false,
+        message: 'Practitioner does not offer this therapy'
+      });
+    }
+
+    const holdStart = new Date(startTime);
+    const holdEnd = endTime ? new Date(endTime) : new Date(holdStart.getTime() + offeredTherapy.duration * 60 * 1000);
+    if (holdEnd <= holdStart) {
+      return res.status(400).json({
+        success: false,
+        message: 'End time must be after start time'
+      });
+    }
+
+    const result = await createBookingHold({
+      practitionerId,
+      therapyId,
+      patientId: patient._id,
+      startTime: holdStart,
+      endTime: holdEnd
+    });
+
+    if (result.conflict) {
+      return res.status(409).json({
+        success: false,
+        message: result.conflict.message,
+        reason: result.conflict.reason
+      });
+    }
+
+    const { hold } = result;
+
+    // Let other clients drop the held slot; the patient's previous hold is free again
+    req.io.emit('slotHeld', {
+      practitionerId,
+      startTime: hold.startTime,
+      endTime: hold.endTime,
+      expiresAt: hold.expiresAt
+    });
+    result.released.forEach(previous => {
+      req.io.emit('slotAvailable', {
+        practitionerId: previous.practitioner,
+        startTime: previous.startTime,
+        endTime: previous.endTime,
+        therapyId: previous.therapy
+      });
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Slot held successfully',
+      data: {
+        hold,
+        expiresInSeconds: Math.round((hold.expiresAt - Date.now()) / 1000)
+      }
+    });
+  } catch (error) {
+    console.error('Create slot hold error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to hold slot',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Release a slot hold before it expires
+ */
+const releaseSlotHold = async (req, res) => {
+  try {
+    const hold = await SlotHold.findById(req.params.id);
+
+    const canRelease = hold && (hold.holder.toString() === req.user.id || ON_BEHALF_ROLES.includes(req.user.role));
+    if (!canRelease) {
+      return res.status(404).json({
+        success: false,
+        message: 'Slot hold not found'
+      });
+    }
+
+    if (hold.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: `Slot hold is already ${hold.status}`
+      });
+    }
+
+    await releaseHold(hold, { outcome: 'declined', io: req.io });
+
+    res.json({
+      success: true,
+      message: 'Slot hold released successfully'
+    });
+  } catch (error) {
+    console.error('Release slot hold error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to release slot hold',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  createSlotHold,
+  releaseSlotHold
+};
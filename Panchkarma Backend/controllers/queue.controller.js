@@ -0,0 +1,287 @@
+// src/controllers/queueController.js
+const { validationResult } = require('express-validator');
+const Session = require('../models/session.models');
+const User = require('../models/user.models');
+const Therapy = require('../models/therapy.models');
+const WalkIn = require('../models/walkIn.models');
+const { sendNotification } = require('../services/notificationService');
+const {
+  DEFAULT_WALK_IN_MINUTES,
+  checkInError,
+  addWalkIn,
+  getQueue,
+  broadcastQueue
+} = require('../services/queueService');
+
+const WALK_IN_TRANSITIONS = {
+  waiting: ['called', 'served', 'left'],
+  called: ['served', 'left'],
+  served: [],
+  left: []
+};
+
+const updateDisplays = (io) => {
+  broadcastQueue(io).catch(error => console.error('Queue broadcast error:', error));
+};
+
+/**
+ * Get today's queue of checked-in patients and walk-ins with estimated waits
+ */
+const getQueueController = async (req, res) => {
+  try {
+    const queue = await getQueue({ practitionerId: req.query.practitionerId || null });
+
+    res.json({
+      success: true,
+      data: { queue }
+    });
+  } catch (error) {
+    console.error('Get queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch queue',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Record a patient's arrival for a booked session
+ */
+const checkInSession = async (req, res) => {
+  try {
+    const session = await Session.findById(req.params.id).populate(['therapy', 'patient', 'practitioner']);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    if (req.user.role === 'practitioner' && session.practitioner._id.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to check in this session'
+      });
+    }
+
+    const now = new Date();
+    const invalid = checkInError(session, now);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
+
+    // Direct update, as the session may already have started
+    const result = await Session.updateOne(
+      { _id: session._id, arrivedAt: { $exists: false }, status: { $in: ['scheduled', 'confirmed'] } },
+      { $set: { arrivedAt: now, checkedInBy: req.user.id } }
+    );
+    if (result.modifiedCount === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Session was updated by someone else. Please refresh and try again.'
+      });
+    }
+    session.arrivedAt = now;
+    session.checkedInBy = req.user.id;
+
+    const minutesLate = Math.max(Math.round((now - session.startTime) / (60 * 1000)), 0);
+
+    await sendNotification({
+      recipient: session.practitioner._id,
+      type: 'patient_arrived',
+      title: 'Patient Arrived',
+      message: `${session.patient.fullName} has checked in for the ${session.therapy.name} session${minutesLate > 0 ? `, ${minutesLate} minute(s) late` : ''}.`,
+      data: { sessionId: session._id, actionUrl: `/sessions/${session._id}` },
+      channels: { inApp: true }
+    }).catch(error => console.error('Check-in notification error:', error));
+
+    req.io.to(`user_${session.practitioner._id}`).emit('patientArrived', {
+      sessionId: session._id,
+      patientName: session.patient.fullName,
+      arrivedAt: now
+    });
+    updateDisplays(req.io);
+
+    res.json({
+      success: true,
+      message: 'Patient checked in successfully',
+      data: {
+        session,
+        minutesLate
+      }
+    });
+  } catch (error) {
+    console.error('Check in session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check in patient',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Add a patient without a booking to a practitioner's walk-in queue
+ */
+const createWalkIn = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { patientId, guest, practitionerId, therapyId, duration, notes } = req.body;
+
+    const [practitioner, patient, therapy] = await Promise.all([
+      User.findOne({ _id: practitionerId, role: 'practitioner', isActive: true }),
+      patientId ? User.findOne({ _id: patientId, role: 'patient', isActive: true }) : null,
+      therapyId ? Therapy.findOne({ _id: therapyId, isActive: true }) : null
+    ]);
+
+    if (!practitioner) {
+      return res.status(404).json({
+        success: false,
+        message: 'Practitioner not found'
+      });
+    }
+    if (patientId && !patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found'
+      });
+    }
+    if (therapyId && !therapy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Therapy not found'
+      });
+    }
+
+    const walkIn = await addWalkIn({
+      patient: patient?._id,
+      guest: patient ? undefined : guest,
+      practitioner: practitioner._id,
+      therapy: therapy?._id,
+      duration: duration || therapy?.duration || DEFAULT_WALK_IN_MINUTES,
+      notes,
+      createdBy: req.user.id
+    });
+
+    const [practitionerQueue] = await getQueue({ practitionerId: practitioner._id });
+    const entry = practitionerQueue?.entries.find(e => e.id.equals(walkIn._id));
+
+    req.io.to(`user_${practitioner._id}`).emit('walkInAdded', {
+      walkInId: walkIn._id,
+      ticketNumber: walkIn.ticketNumber
+    });
+    updateDisplays(req.io);
+
+    res.status(201).json({
+      success: true,
+      message: `Walk-in added to the queue as ticket W${walkIn.ticketNumber}`,
+      data: {
+        walkIn,
+        estimatedStart: entry?.estimatedStart,
+        estimatedWaitMinutes: entry?.estimatedWaitMinutes
+      }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(e => e.message).join(', ')
+      });
+    }
+    console.error('Create walk-in error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add walk-in',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Call, serve or remove a walk-in from the queue
+ */
+const updateWalkInStatus = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status } = req.body;
+    const walkIn = await WalkIn.findById(req.params.id).populate('practitioner', 'profile.firstName profile.lastName');
+    if (!walkIn) {
+      return res.status(404).json({
+        success: false,
+        message: 'Walk-in not found'
+      });
+    }
+
+    if (req.user.role === 'practitioner' && walkIn.practitioner._id.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this walk-in'
+      });
+    }
+
+    if (!WALK_IN_TRANSITIONS[walkIn.status].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot change walk-in status from ${walkIn.status} to ${status}`
+      });
+    }
+
+    const timestampField = { called: 'calledAt', served: 'servedAt', left: 'leftAt' }[status];
+    walkIn.status = status;
+    walkIn[timestampField] = new Date();
+    await walkIn.save();
+
+    if (status === 'called' && walkIn.patient) {
+      await sendNotification({
+        recipient: walkIn.patient,
+        type: 'queue_called',
+        title: 'It\'s Your Turn',
+        message: `Dr. ${walkIn.practitioner.profile.firstName} ${walkIn.practitioner.profile.lastName} is ready to see you (ticket W${walkIn.ticketNumber}).`,
+        data: { therapyId: walkIn.therapy, priority: 'high' },
+        channels: { inApp: true, whatsapp: true }
+      }).catch(error => console.error('Queue call notification error:', error));
+    }
+
+    updateDisplays(req.io);
+
+    res.json({
+      success: true,
+      message: `Walk-in marked as ${status}`,
+      data: { walkIn }
+    });
+  } catch (error) {
+    console.error('Update walk-in status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update walk-in',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getQueue: getQueueController,
+  checkInSession,
+  createWalkIn,
+  updateWalkInStatus
+};
@@ -0,0 +1,149 @@
+// src/controllers/reassignmentController.js
+const { validationResult } = require('express-validator');
+const User = require('../models/user.models');
+const { proposeReassignments, applyReassignments } = require('../services/reassignmentService');
+const { combineDateAndTime, addDaysToDateKey } = require('../utils/timeUtils');
+
+const getRange = ({ startDate, endDate }) => ({
+  rangeStart: combineDateAndTime(startDate, '00:00'),
+  rangeEnd: combineDateAndTime(addDaysToDateKey(endDate, 1), '00:00')
+});
+
+/**
+ * Propose substitute practitioners for an unavailable practitioner's sessions (admin only)
+ */
+const previewReassignments = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { practitionerId, startDate, endDate } = req.body;
+
+    if (endDate < startDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'End date must not be before start date'
+      });
+    }
+
+    const practitioner = await User.findById(practitionerId);
+    if (!practitioner || practitioner.role !== 'practitioner') {
+      return res.status(404).json({
+        success: false,
+        message: 'Practitioner not found'
+      });
+    }
+
+    const { rangeStart, rangeEnd } = getRange(req.body);
+    const proposals = await proposeReassignments(practitionerId, rangeStart, rangeEnd);
+
+    res.json({
+      success: true,
+      data: {
+        practitioner: { id: practitioner._id, name: practitioner.fullName },
+        dateRange: { start: rangeStart, end: rangeEnd },
+        proposals,
+        summary: {
+          totalSessions: proposals.length,
+          withSubstitute: proposals.filter(p => p.proposedPractitioner).length,
+          withoutSubstitute: proposals.filter(p => !p.proposedPractitioner).length
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Preview reassignments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to propose reassignments',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Apply reassignments in one step (admin only)
+ * Uses the supplied assignments, or the current proposal for the practitioner and date range
+ */
+const applyReassignmentsController = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { practitionerId, startDate, endDate, reason } = req.body;
+    let { assignments } = req.body;
+    let unassigned = [];
+
+    if (!assignments) {
+      if (!practitionerId || !startDate || !endDate) {
+        return res.status(400).json({
+          success: false,
+          message: 'Either assignments or practitioner ID with a date range is required'
+        });
+      }
+
+      const { rangeStart, rangeEnd } = getRange(req.body);
+      const proposals = await proposeReassignments(practitionerId, rangeStart, rangeEnd);
+      assignments = proposals
+        .filter(p => p.proposedPractitioner)
+        .map(p => ({ sessionId: p.session.id.toString(), practitionerId: p.proposedPractitioner.id.toString() }));
+      unassigned = proposals
+        .filter(p => !p.proposedPractitioner)
+        .map(p => ({ sessionId: p.session.id, startTime: p.session.startTime, reason: p.reason }));
+    }
+
+    if (assignments.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No sessions could be reassigned',
+        data: { unassigned }
+      });
+    }
+
+    const result = await applyReassignments(assignments, {
+      performedBy: req.user.id,
+      reason: reason || 'Practitioner unavailable',
+      io: req.io
+    });
+
+    if (!result.success) {
+      return res.status(409).json({
+        success: false,
+        message: 'Some sessions could not be reassigned. No changes were made.',
+        data: { failures: result.failures }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `${result.reassigned.length} session(s) reassigned successfully`,
+      data: {
+        reassigned: result.reassigned,
+        unassigned
+      }
+    });
+  } catch (error) {
+    console.error('Apply reassignments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reassign sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  previewReassignments,
+  applyReassignments: applyReassignmentsController
+};
@@ -0,0 +1,258 @@
+// src/controllers/rescheduleController.js
+const { validationResult } = require('express-validator');
+const Session = require('../models/session.models');
+const { sendNotification } = require('../services/notificationService');
+const { RESCHEDULABLE_STATUSES, findPendingRequest, applyReschedule } = require('../services/rescheduleService');
+const { formatDateTime } = require('../utils/timeUtils');
+
+/**
+ * Close a pending request without moving the session
+ * Uses a direct update so sessions that have already started can still be updated.
+ */
+const closeRequest = (session, request, { status, respondedBy, note }) => {
+  return Session.updateOne(
+    { _id: session._id, rescheduleRequests: { $elemMatch: { _id: request._id, status: 'pending' } } },
+    {
+      $set: {
+        'rescheduleRequests.$.status': status,
+        'rescheduleRequests.$.respondedBy': respondedBy,
+        'rescheduleRequests.$.respondedAt': new Date(),
+        'rescheduleRequests.$.responseNote': note
+      }
+    }
+  );
+};
+
+/**
+ * Load a session and its pending reschedule request, checking who may act on it
+ * Sends the error response and returns null when the request cannot be handled.
+ */
+const loadPendingRequest = async (req, res, { by }) => {
+  const session = await Session.findById(req.params.id).populate(['therapy', 'patient', 'practitioner']);
+  if (!session) {
+    res.status(404).json({ success: false, message: 'Session not found' });
+    return null;
+  }
+
+  const isAllowed = by === 'patient'
+    ? session.patient._id.toString() === req.user.id || req.user.role === 'receptionist'
+    : session.practitioner._id.toString() === req.user.id || req.user.role === 'admin';
+  if (!isAllowed) {
+    res.status(403).json({
+      success: false,
+      message: by === 'patient'
+        ? 'Only the patient or the front desk can withdraw this request'
+        : 'Only the session\'s practitioner can respond to this request'
+    });
+    return null;
+  }
+
+  const request = findPendingRequest(session);
+  if (!request) {
+    res.status(404).json({ success: false, message: 'No pending reschedule request for this session' });
+    return null;
+  }
+
+  return { session, request };
+};
+
+/**
+ * List sessions with a reschedule request waiting for the practitioner (practitioners and admins)
+ */
+const getRescheduleRequests = async (req, res) => {
+  try {
+    const query = {
+      'rescheduleRequests.status': 'pending',
+      status: { $in: RESCHEDULABLE_STATUSES },
+      startTime: { $gt: new Date() }
+    };
+    if (req.user.role === 'practitioner') {
+      query.practitioner = req.user.id;
+    } else if (req.query.practitionerId) {
+      query.practitioner = req.query.practitionerId;
+    }
+
+    const sessions = await Session.find(query)
+      .populate('therapy', 'name duration')
+      .populate('patient', 'profile.firstName profile.lastName profile.phone')
+      .sort({ startTime: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        requests: sessions.map(session => ({
+          sessionId: session._id,
+          therapy: session.therapy,
+          patient: session.patient,
+          currentStart: session.startTime,
+          currentEnd: session.endTime,
+          request: findPendingRequest(session)
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get reschedule requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reschedule requests',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Accept a patient's reschedule request and move the session
+ */
+const acceptRescheduleRequest = async (req, res) => {
+  try {
+    const loaded = await loadPendingRequest(req, res, { by: 'practitioner' });
+    if (!loaded) return;
+    const { session, request } = loaded;
+
+    if (!RESCHEDULABLE_STATUSES.includes(session.status) || request.requestedStart <= new Date()) {
+      await closeRequest(session, request, { status: 'expired', respondedBy: req.user.id });
+      return res.status(400).json({
+        success: false,
+        message: 'This request can no longer be accepted because the session or the requested time has passed'
+      });
+    }
+
+    const originalStart = session.startTime;
+    const conflict = await applyReschedule(session, {
+      newStart: request.requestedStart,
+      newEnd: request.requestedEnd,
+      reason: request.reason,
+      fee: request.fee,
+      requestedBy: request.requestedBy,
+      performedBy: req.user.id,
+      request
+    });
+
+    if (conflict) {
+      return res.status(409).json({
+        success: false,
+        message: `${conflict.message}. Decline the request so the patient can choose another time.`,
+        reason: conflict.reason
+      });
+    }
+
+    await sendNotification({
+      recipient: session.patient._id,
+      type: 'rescheduling',
+      title: 'Reschedule Request Accepted',
+      message: (timeZone) => `Dr. ${session.practitioner.fullName} accepted your request. Your ${session.therapy.name} session is now on ${formatDateTime(request.requestedStart, timeZone)}.${request.fee > 0 ? ` A reschedule fee of ₹${request.fee} applies.` : ''}`,
+      data: {
+        sessionId: session._id,
+        originalTime: originalStart,
+        newTime: request.requestedStart,
+        actionUrl: `/sessions/${session._id}`
+      },
+      channels: { email: true, inApp: true, whatsapp: true }
+    }).catch(error => console.error('Reschedule accepted notification error:', error));
+
+    req.io.emit('sessionRescheduled', {
+      sessionId: session._id,
+      originalTime: originalStart,
+      newTime: request.requestedStart,
+      practitionerId: session.practitioner._id
+    });
+
+    res.json({
+      success: true,
+      message: 'Reschedule request accepted',
+      data: { session }
+    });
+  } catch (error) {
+    console.error('Accept reschedule request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to accept reschedule request',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Decline a patient's reschedule request; the session keeps its current time
+ */
+const declineRescheduleRequest = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const loaded = await loadPendingRequest(req, res, { by: 'practitioner' });
+    if (!loaded) return;
+    const { session, request } = loaded;
+    const note = req.body.note?.trim();
+
+    await closeRequest(session, request, { status: 'declined', respondedBy: req.user.id, note });
+
+    await sendNotification({
+      recipient: session.patient._id,
+      type: 'rescheduling',
+      title: 'Reschedule Request Declined',
+      message: (timeZone) => `Dr. ${session.practitioner.fullName} could not move your ${session.therapy.name} session to ${formatDateTime(request.requestedStart, timeZone)}. It stays on ${formatDateTime(session.startTime, timeZone)}.${note ? ` Note: ${note}` : ''}`,
+      data: { sessionId: session._id, actionUrl: `/sessions/${session._id}` },
+      channels: { email: true, inApp: true }
+    }).catch(error => console.error('Reschedule declined notification error:', error));
+
+    res.json({
+      success: true,
+      message: 'Reschedule request declined'
+    });
+  } catch (error) {
+    console.error('Decline reschedule request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to decline reschedule request',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Withdraw the patient's pending reschedule request (the patient or the front desk)
+ */
+const withdrawRescheduleRequest = async (req, res) => {
+  try {
+    const loaded = await loadPendingRequest(req, res, { by: 'patient' });
+    if (!loaded) return;
+    const { session, request } = loaded;
+
+    await closeRequest(session, request, { status: 'withdrawn', respondedBy: req.user.id });
+
+    await sendNotification({
+      recipient: session.practitioner._id,
+      type: 'rescheduling',
+      title: 'Reschedule Request Withdrawn',
+      message: `${session.patient.fullName}${req.user.role === 'receptionist' ? ' (via the front desk)' : ''} withdrew their request to move the ${session.therapy.name} session.`,
+      data: { sessionId: session._id, actionUrl: `/sessions/${session._id}` },
+      channels: { inApp: true }
+    }).catch(error => console.error('Reschedule withdrawn notification error:', error));
+
+    res.json({
+      success: true,
+      message: 'Reschedule request withdrawn'
+    });
+  } catch (error) {
+    console.error('Withdraw reschedule request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to withdraw reschedule request',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getRescheduleRequests,
+  acceptRescheduleRequest,
+  declineRescheduleRequest,
+  withdrawRescheduleRequest
+};
@@ -0,0 +1,185 @@
+// src/controllers/resourceController.js
+const { validationResult } = require('express-validator');
+const Room = require('../models/room.models');
+const Equipment = require('../models/equipment.models');
+const { getResourceOccupancy } = require('../services/resourceService');
+const { toDateKey, combineDateAndTime, addDaysToDateKey } = require('../utils/timeUtils');
+
+const RESOURCE_MODELS = {
+  room: { model: Room, label: 'Room', fields: ['name', 'type', 'description', 'floor', 'isActive'] },
+  equipment: { model: Equipment, label: 'Equipment', fields: ['name', 'type', 'quantity', 'room', 'description', 'isActive'] }
+};
+
+const pickFields = (body, fields) => fields.reduce((acc, field) => {
+  if (body[field] !== undefined) {
+    acc[field] = body[field];
+  }
+  return acc;
+}, {});
+
+/**
+ * List rooms or equipment
+ */
+const listResources = (kind) => async (req, res) => {
+  const { model, label } = RESOURCE_MODELS[kind];
+  try {
+    const { type, includeInactive } = req.query;
+    const query = includeInactive === 'true' ? {} : { isActive: true };
+    if (type) {
+      query.type = type.toLowerCase();
+    }
+
+    const resources = await model.find(query).sort({ type: 1, name: 1 });
+
+    res.json({
+      success: true,
+      data: { [kind === 'room' ? 'rooms' : 'equipment']: resources }
+    });
+  } catch (error) {
+    console.error(`List ${kind} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to fetch ${label.toLowerCase()}`,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Create a room or equipment item (admin only)
+ */
+const createResource = (kind) => async (req, res) => {
+  const { model, label, fields } = RESOURCE_MODELS[kind];
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const resource = await model.create({
+      ...pickFields(req.body, fields),
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${label} created successfully`,
+      data: { [kind]: resource }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: `${label} with this name already exists`
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: `Failed to create ${label.toLowerCase()}`,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update a room or equipment item (admin only)
+ */
+const updateResource = (kind) => async (req, res) => {
+  const { model, label, fields } = RESOURCE_MODELS[kind];
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const resource = await model.findByIdAndUpdate(
+      req.params.id,
+      { $set: pickFields(req.body, fields) },
+      { new: true, runValidators: true }
+    );
+
+    if (!resource) {
+      return res.status(404).json({
+        success: false,
+        message: `${label} not found`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `${label} updated successfully`,
+      data: { [kind]: resource }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: `Failed to update ${label.toLowerCase()}`,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get room and equipment occupancy for a date range
+ */
+const getOccupancy = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { startDate, endDate } = req.query;
+    const fromKey = startDate || toDateKey(new Date());
+    const toKey = endDate || fromKey;
+
+    if (toKey < fromKey) {
+      return res.status(400).json({
+        success: false,
+        message: 'End date must not be before start date'
+      });
+    }
+
+    const rangeStart = combineDateAndTime(fromKey, '00:00');
+    const rangeEnd = combineDateAndTime(addDaysToDateKey(toKey, 1), '00:00');
+    const occupancy = await getResourceOccupancy(rangeStart, rangeEnd);
+
+    res.json({
+      success: true,
+      data: {
+        dateRange: { start: rangeStart, end: rangeEnd },
+        ...occupancy
+      }
+    });
+  } catch (error) {
+    console.error('Get resource occupancy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch resource occupancy',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  listRooms: listResources('room'),
+  createRoom: createResource('room'),
+  updateRoom: updateResource('room'),
+  listEquipment: listResources('equipment'),
+  createEquipment: createResource('equipment'),
+  updateEquipment: updateResource('equipment'),
+  getOccupancy
+};
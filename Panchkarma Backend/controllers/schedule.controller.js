@@ -0,0 +1,778 @@
+// src/controllers/scheduleController.js
+const { validationResult } = require('express-validator');
+const PractitionerSchedule = require('../models/practitionerSchedule.models');
+const ScheduleBlock = require('../models/scheduleBlock.models');
+const ExternalCalendar = require('../models/externalCalendar.models');
+const User = require('../models/user.models');
+const Therapy = require('../models/therapy.models');
+const { generateAvailableSlots, findSessionsInBlock } = require('../services/slotService');
+const { getOfferedTherapy } = require('../services/offeringService');
+const {
+  validateSourceLocation,
+  syncExternalCalendar,
+  removeExternalCalendar
+} = require('../services/externalCalendarService');
+const { DAYS_OF_WEEK, DATE_PATTERN, toDateKey, combineDateAndTime, addDaysToDateKey } = require('../utils/timeUtils');
+
+const SCHEDULE_FIELDS = ['defaultSlotDuration', 'bufferTime', 'advanceBookingDays', 'isActive'];
+const RESCHEDULE_POLICY_FIELDS = ['maxReschedules', 'minNoticeHours', 'freeReschedules', 'fee', 'requireApproval'];
+
+const canManageSchedule = (user, practitionerId) => {
+  return user.role === 'admin' || user.id === practitionerId;
+};
+
+const findPractitioner = async (practitionerId) => {
+  const practitioner = await User.findById(practitionerId);
+  if (!practitioner || practitioner.role !== 'practitioner') {
+    return null;
+  }
+  return practitioner;
+};
+
+const sendScheduleError = (res, error, fallbackMessage) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }))
+    });
+  }
+
+  if (error.name === 'VersionError') {
+    return res.status(409).json({
+      success: false,
+      message: 'Schedule was modified by someone else. Please reload and try again.'
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+  });
+};
+
+/**
+ * Get a practitioner's weekly schedule and exceptions
+ */
+const getSchedule = async (req, res) => {
+  try {
+    const { doctorId } = req.params;
+
+    const practitioner = await findPractitioner(doctorId);
+    if (!practitioner) {
+      return res.status(404).json({
+        success: false,
+        message: 'Practitioner not found'
+      });
+    }
+
+    const schedule = await PractitionerSchedule.findOne({ practitioner: doctorId });
+
+    res.json({
+      success: true,
+      data: {
+        schedule: schedule || PractitionerSchedule.buildDefault(doctorId),
+        isDefault: !schedule
+      }
+    });
+  } catch (error) {
+    console.error('Get schedule error:', error);
+    sendScheduleError(res, error, 'Failed to fetch schedule');
+  }
+};
+
+/**
+ * Create or update a practitioner's schedule
+ */
+const saveSchedule = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { doctorId } = req.params;
+    const { weeklySchedule, exceptions, version } = req.body;
+
+    if (!canManageSchedule(req.user, doctorId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only update your own schedule'
+      });
+    }
+
+    const practitioner = await findPractitioner(doctorId);
+    if (!practitioner) {
+      return res.status(404).json({
+        success: false,
+        message: 'Practitioner not found'
+      });
+    }
+
+    let schedule = await PractitionerSchedule.findOne({ practitioner: doctorId });
+    const isNew = !schedule;
+
+    // Reject edits made against an outdated copy of the schedule
+    if (schedule && version !== undefined && Number(version) !== schedule.version) {
+      return res.status(409).json({
+        success: false,
+        message: 'Schedule was modified by someone else. Please reload and try again.',
+        data: { currentVersion: schedule.version }
+      });
+    }
+
+    if (!schedule) {
+      schedule = PractitionerSchedule.buildDefault(doctorId);
+    }
+
+    if (weeklySchedule) {
+      DAYS_OF_WEEK.forEach(day => {
+        if (weeklySchedule[day]) {
+          schedule.weeklySchedule[day] = weeklySchedule[day];
+        }
+      });
+    }
+
+    if (exceptions) {
+      schedule.exceptions = exceptions;
+    }
+
+    SCHEDULE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        schedule[field] = req.body[field];
+      }
+    });
+
+    if (req.body.reschedulePolicy) {
+      RESCHEDULE_POLICY_FIELDS.forEach(field => {
+        if (req.body.reschedulePolicy[field] !== undefined) {
+          schedule.reschedulePolicy[field] = req.body.reschedulePolicy[field];
+        }
+      });
+    }
+
+    schedule.updatedBy = req.user.id;
+    await schedule.save();
+
+    res.status(isNew ? 201 : 200).json({
+      success: true,
+      message: 'Schedule updated successfully',
+      data: { schedule }
+    });
+  } catch (error) {
+    console.error('Save schedule error:', error);
+    sendScheduleError(res, error, 'Failed to save schedule');
+  }
+};
+
+/**
+ * Add or replace the exception for a single date
+ */
+const upsertScheduleException = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { doctorId } = req.params;
+    const { date, isAvailable = false, timeSlots = [], reason } = req.body;
+
+    if (!canManageSchedule(req.user, doctorId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only update your own schedule'
+      });
+    }
+
+    const practitioner = await findPractitioner(doctorId);
+    if (!practitioner) {
+      return res.status(404).json({
+        success: false,
+        message: 'Practitioner not found'
+      });
+    }
+
+    const schedule = await PractitionerSchedule.findOrDefault(doctorId);
+
+    schedule.exceptions = schedule.exceptions.filter(e => e.date !== date);
+    schedule.exceptions.push({ date, isAvailable, timeSlots, reason });
+    schedule.exceptions.sort((a, b) => a.date.localeCompare(b.date));
+    schedule.updatedBy = req.user.id;
+    await schedule.save();
+
+    res.json({
+      success: true,
+      message: 'Schedule exception saved successfully',
+      data: { schedule }
+    });
+  } catch (error) {
+    console.error('Save schedule exception error:', error);
+    sendScheduleError(res, error, 'Failed to save schedule exception');
+  }
+};
+
+/**
+ * Remove the exception for a single date
+ */
+const removeScheduleException = async (req, res) => {
+  try {
+    const { doctorId, date } = req.params;
+
+    if (!canManageSchedule(req.user, doctorId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only update your own schedule'
+      });
+    }
+
+    const schedule = await PractitionerSchedule.findOne({ practitioner: doctorId });
+    if (!schedule || !schedule.exceptions.some(e => e.date === date)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule exception not found'
+      });
+    }
+
+    schedule.exceptions = schedule.exceptions.filter(e => e.date !== date);
+    schedule.updatedBy = req.user.id;
+    await schedule.save();
+
+    res.json({
+      success: true,
+      message: 'Schedule exception removed successfully',
+      data: { schedule }
+    });
+  } catch (error) {
+    console.error('Remove schedule exception error:', error);
+    sendScheduleError(res, error, 'Failed to remove schedule exception');
+  }
+};
+
+/**
+ * Get bookable slots for a practitioner on a date (for patient booking)
+ */
+const getDoctorSlots = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { doctorId } = req.params;
+    const { date, therapyId, duration } = req.query; // date in YYYY-MM-DD format
+
+    if (!date || !DATE_PATTERN.test(date)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Date parameter is required in YYYY-MM-DD format'
+      });
+    }
+
+    if (date < toDateKey(new Date())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot get slots for past dates'
+      });
+    }
+
+    const practitioner = await findPractitioner(doctorId);
+    if (!practitioner || !practitioner.practitionerInfo.isApproved) {
+      return res.status(404).json({
+        success: false,
+        message: 'Practitioner not found or not approved'
+      });
+    }
+
+    let slotDuration = duration ? parseInt(duration) : null;
+    if (therapyId) {
+      const therapy = await Therapy.findById(therapyId);
+      if (therapy) {
+        const offeredTherapy = await getOfferedTherapy(doctorId, therapy);
+        if (!offeredTherapy) {
+          return res.status(400).json({
+            success: false,
+            message: 'Practitioner does not offer this therapy'
+          });
+        }
+        slotDuration = offeredTherapy.duration;
+      }
+    }
+
+    const slotResult = await generateAvailableSlots(doctorId, date, { duration: slotDuration });
+
+    res.json({
+      success: true,
+      data: {
+        date,
+        doctorId,
+        dayOfWeek: slotResult.dayOfWeek,
+        workingHours: slotResult.daySchedule,
+        unavailableReason: slotResult.unavailableReason,
+        availableSlots: slotResult.slots,
+        totalSlots: slotResult.slots.length
+      }
+    });
+  } catch (error) {
+    console.error('Get doctor slots error:', error);
+    sendScheduleError(res, error, 'Failed to fetch available slots');
+  }
+};
+
+const formatAffectedSessions = (sessions) => sessions.map(session => ({
+  id: session._id,
+  therapy: session.therapy,
+  patient: session.patient,
+  startTime: session.startTime,
+  endTime: session.endTime,
+  status: session.status
+}));
+
+/**
+ * Block a time range, optionally repeating daily or weekly
+ */
+const createSlotBlock = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { doctorId } = req.params;
+    const { date, startTime, endTime, reason, recurrence } = req.body;
+
+    if (!canManageSchedule(req.user, doctorId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only block your own time slots'
+      });
+    }
+
+    const practitioner = await findPractitioner(doctorId);
+    if (!practitioner) {
+      return res.status(404).json({
+        success: false,
+        message: 'Practitioner not found'
+      });
+    }
+
+    const block = await ScheduleBlock.create({
+      practitioner: doctorId,
+      type: 'block',
+      startTime: combineDateAndTime(date, startTime),
+      endTime: combineDateAndTime(date, endTime),
+      reason: reason || 'Blocked by doctor',
+      recurrence: {
+        frequency: recurrence?.frequency || 'none',
+        until: recurrence?.until ? combineDateAndTime(recurrence.until, '23:59') : undefined
+      },
+      createdBy: req.user.id
+    });
+
+    const affectedSessions = await findSessionsInBlock(block);
+
+    res.status(201).json({
+      success: true,
+      message: affectedSessions.length > 0
+        ? `Time slot blocked. ${affectedSessions.length} existing session(s) overlap this block and need to be moved.`
+        : 'Time slot blocked successfully',
+      data: {
+        block,
+        affectedSessions: formatAffectedSessions(affectedSessions)
+      }
+    });
+  } catch (error) {
+    console.error('Block time slot error:', error);
+    sendScheduleError(res, error, 'Failed to block time slot');
+  }
+};
+
+/**
+ * Record a multi-day leave period for a practitioner
+ */
+const createLeave = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { doctorId } = req.params;
+    const { startDate, endDate, reason } = req.body;
+
+    if (!canManageSchedule(req.user, doctorId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only manage your own leave'
+      });
+    }
+
+    if (endDate < startDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'End date must not be before start date'
+      });
+    }
+
+    const practitioner = await findPractitioner(doctorId);
+    if (!practitioner) {
+      return res.status(404).json({
+        success: false,
+        message: 'Practitioner not found'
+      });
+    }
+
+    const leave = await ScheduleBlock.create({
+      practitioner: doctorId,
+      type: 'leave',
+      startTime: combineDateAndTime(startDate, '00:00'),
+      endTime: combineDateAndTime(addDaysToDateKey(endDate, 1), '00:00'),
+      reason: reason || 'Leave',
+      createdBy: req.user.id
+    });
+
+    const affectedSessions = await findSessionsInBlock(leave);
+
+    res.status(201).json({
+      success: true,
+      message: affectedSessions.length > 0
+        ? `Leave recorded. ${affectedSessions.length} existing session(s) fall within this leave and need to be moved.`
+        : 'Leave recorded successfully',
+      data: {
+        leave,
+        affectedSessions: formatAffectedSessions(affectedSessions)
+      }
+    });
+  } catch (error) {
+    console.error('Create leave error:', error);
+    sendScheduleError(res, error, 'Failed to record leave');
+  }
+};
+
+/**
+ * List a practitioner's blocks and leave within a date range
+ */
+const getScheduleBlocks = async (req, res) => {
+  try {
+    const { doctorId } = req.params;
+    const { from, to, type } = req.query;
+
+    if (!canManageSchedule(req.user, doctorId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only view your own blocked time'
+      });
+    }
+
+    if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Dates must be in YYYY-MM-DD format'
+      });
+    }
+
+    const fromKey = from || toDateKey(new Date());
+    const toKey = to || addDaysToDateKey(fromKey, 30);
+    const rangeStart = combineDateAndTime(fromKey, '00:00');
+    const rangeEnd = combineDateAndTime(addDaysToDateKey(toKey, 1), '00:00');
+
+    let blocks = await ScheduleBlock.findActiveInRange(doctorId, rangeStart, rangeEnd);
+    if (type) {
+      blocks = blocks.filter(block => block.type === type);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        blocks: blocks.map(block => ({
+          ...block.toObject(),
+          occurrences: block.getOccurrences(rangeStart, rangeEnd)
+        })).filter(block => block.occurrences.length > 0),
+        dateRange: { from: fromKey, to: toKey }
+      }
+    });
+  } catch (error) {
+    console.error('Get schedule blocks error:', error);
+    sendScheduleError(res, error, 'Failed to fetch blocked time');
+  }
+};
+
+/**
+ * Remove a block or leave period so the time becomes bookable again
+ */
+const removeScheduleBlock = async (req, res) => {
+  try {
+    const { doctorId, blockId } = req.params;
+
+    if (!canManageSchedule(req.user, doctorId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only unblock your own time slots'
+      });
+    }
+
+    const block = await ScheduleBlock.findOne({ _id: blockId, practitioner: doctorId, isActive: true });
+    if (!block) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blocked time not found'
+      });
+    }
+
+    block.isActive = false;
+    block.removedBy = req.user.id;
+    block.removedAt = new Date();
+    await block.save();
+
+    req.io.emit('slotAvailable', {
+      practitionerId: doctorId,
+      startTime: block.startTime,
+      endTime: block.endTime,
+      recurrence: block.recurrence
+    });
+
+    res.json({
+      success: true,
+      message: block.type === 'leave' ? 'Leave removed successfully' : 'Time slot unblocked successfully',
+      data: { block }
+    });
+  } catch (error) {
+    console.error('Remove schedule block error:', error);
+    sendScheduleError(res, error, 'Failed to unblock time slot');
+  }
+};
+
+/**
+ * List a practitioner's external calendars and when they were last synced
+ */
+const getExternalCalendars = async (req, res) => {
+  try {
+    const { doctorId } = req.params;
+
+    if (!canManageSchedule(req.user, doctorId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only view your own external calendars'
+      });
+    }
+
+    const calendars = await ExternalCalendar.find({ practitioner: doctorId, isActive: true }).sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: { calendars }
+    });
+  } catch (error) {
+    console.error('Get external calendars error:', error);
+    sendScheduleError(res, error, 'Failed to fetch external calendars');
+  }
+};
+
+/**
+ * Add an external calendar from an uploaded .ics, a server file or a URL, and import its busy times
+ */
+const createExternalCalendar = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { doctorId } = req.params;
+    const { name, sourceType, location, content } = req.body;
+
+    if (!canManageSchedule(req.user, doctorId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only manage your own external calendars'
+      });
+    }
+
+    const practitioner = await findPractitioner(doctorId);
+    if (!practitioner) {
+      return res.status(404).json({
+        success: false,
+        message: 'Practitioner not found'
+      });
+    }
+
+    if (sourceType === 'upload' && !content) {
+      return res.status(400).json({
+        success: false,
+        message: 'Calendar file content is required for uploads'
+      });
+    }
+
+    const invalidLocation = sourceType !== 'upload' && validateSourceLocation(sourceType, location);
+    if (invalidLocation) {
+      return res.status(400).json({
+        success: false,
+        message: invalidLocation
+      });
+    }
+
+    const calendar = await ExternalCalendar.create({
+      practitioner: doctorId,
+      name,
+      sourceType,
+      location: sourceType === 'upload' ? undefined : location,
+      createdBy: req.user.id
+    });
+
+    const result = await syncExternalCalendar(calendar, { content: sourceType === 'upload' ? content : null });
+    if (result.error) {
+      await removeExternalCalendar(calendar);
+      return res.status(400).json({
+        success: false,
+        message: `Could not import calendar: ${result.error}`
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: result.affectedSessions.length > 0
+        ? `Calendar imported. ${result.affectedSessions.length} existing session(s) overlap its busy times and need to be moved.`
+        : 'Calendar imported successfully',
+      data: {
+        calendar: result.calendar,
+        affectedSessions: formatAffectedSessions(result.affectedSessions)
+      }
+    });
+  } catch (error) {
+    console.error('Create external calendar error:', error);
+    sendScheduleError(res, error, 'Failed to import calendar');
+  }
+};
+
+/**
+ * Re-import an external calendar now; uploads can pass a new .ics as `content`
+ */
+const resyncExternalCalendar = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { doctorId, calendarId } = req.params;
+
+    if (!canManageSchedule(req.user, doctorId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only manage your own external calendars'
+      });
+    }
+
+    const calendar = await ExternalCalendar.findOne({ _id: calendarId, practitioner: doctorId, isActive: true });
+    if (!calendar) {
+      return res.status(404).json({
+        success: false,
+        message: 'External calendar not found'
+      });
+    }
+
+    const content = calendar.sourceType === 'upload' && req.body.content ? req.body.content : null;
+    const result = await syncExternalCalendar(calendar, { content });
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: `Could not sync calendar: ${result.error}. The previously imported busy times are kept.`,
+        data: { calendar: result.calendar }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Calendar synced successfully',
+      data: {
+        calendar: result.calendar,
+        affectedSessions: formatAffectedSessions(result.affectedSessions)
+      }
+    });
+  } catch (error) {
+    console.error('Sync external calendar error:', error);
+    sendScheduleError(res, error, 'Failed to sync calendar');
+  }
+};
+
+/**
+ * Remove an external calendar so its busy times no longer block bookings
+ */
+const deleteExternalCalendar = async (req, res) => {
+  try {
+    const { doctorId, calendarId } = req.params;
+
+    if (!canManageSchedule(req.user, doctorId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only manage your own external calendars'
+      });
+    }
+
+    const calendar = await ExternalCalendar.findOne({ _id: calendarId, practitioner: doctorId, isActive: true });
+    if (!calendar) {
+      return res.status(404).json({
+        success: false,
+        message: 'External calendar not found'
+      });
+    }
+
+    await removeExternalCalendar(calendar);
+
+    res.json({
+      success: true,
+      message: 'External calendar removed successfully'
+    });
+  } catch (error) {
+    console.error('Remove external calendar error:', error);
+    sendScheduleError(res, error, 'Failed to remove external calendar');
+  }
+};
+
+module.exports = {
+  getSchedule,
+  saveSchedule,
+  upsertScheduleException,
+  removeScheduleException,
+  getDoctorSlots,
+  createSlotBlock,
+  createLeave,
+  getScheduleBlocks,
+  removeScheduleBlock,
+  getExternalCalendars,
+  createExternalCalendar,
+  resyncExternalCalendar,
+  deleteExternalCalendar
+};
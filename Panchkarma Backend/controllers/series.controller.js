@@ -0,0 +1,474 @@
+// src/controllers/seriesController.js
+const { validationResult } = require('express-validator');
+const Session = require('../models/session.models');
+const SessionSeries = require('../models/sessionSeries.models');
+const User = require('../models/user.models');
+const Therapy = require('../models/therapy.models');
+const { sendNotification } = require('../services/notificationService');
+const { getOfferedTherapy } = require('../services/offeringService');
+const { evaluateSafety, resolveSafetyOverride, safetyBlockResponse } = require('../services/safetyService');
+const { resolveCancellationType } = require('../services/cancellationService');
+const { formatDate, formatDateTime } = require('../utils/timeUtils');
+const {
+  previewSeries,
+  createSeries,
+  updateFollowing,
+  cancelFollowing
+} = require('../services/seriesService');
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+const isSeriesMember = (user, series) => {
+  return ['admin', 'receptionist'].includes(user.role) ||
+    series.patient.toString() === user.id ||
+    series.practitioner.toString() === user.id;
+};
+
+/**
+ * Load the therapy, as the practitioner offers it, the practitioner and the patient for a recurring booking request
+ * Patients book for themselves; receptionists, admins and the treating practitioner pass a `patientId`.
+ */
+const resolveSeriesBooking = async (user, { therapyId, practitionerId, patientId, startDate, recurrence }) => {
+  if (recurrence.until && recurrence.until < startDate) {
+    return { status: 400, message: 'Recurrence end date must not be before the start date' };
+  }
+
+  if (user.role === 'practitioner' && practitionerId !== user.id) {
+    return { status: 403, message: 'Practitioners can only book recurring sessions with themselves' };
+  }
+
+  const onBehalf = ['receptionist', 'admin', 'practitioner'].includes(user.role);
+  if (onBehalf && !patientId) {
+    return { status: 400, message: 'Patient ID is required when booking on a patient\'s behalf' };
+  }
+
+  const patient = await User.findById(onBehalf ? patientId : user.id);
+  if (!patient || patient.role !== 'patient' || !patient.isActive) {
+    return { status: 404, message: 'Patient not found or inactive' };
+  }
+
+  const therapy = await Therapy.findById(therapyId);
+  if (!therapy || !therapy.isActive) {
+    return { status: 404, message: 'Therapy not found or inactive' };
+  }
+
+  const practitioner = await User.findById(practitionerId);
+  if (!practitioner ||
+      practitioner.role !== 'practitioner' ||
+      !practitioner.practitionerInfo.isApproved ||
+      !practitioner.isActive) {
+    return { status: 404, message: 'Practitioner not found, not approved, or inactive' };
+  }
+
+  const offeredTherapy = await getOfferedTherapy(practitionerId, therapy);
+  if (!offeredTherapy) {
+    return { status: 400, message: 'Practitioner does not offer this therapy' };
+  }
+
+  return { therapy: offeredTherapy, practitioner, patient };
+};
+
+/**
+ * Find the series occurrence to start a "this and following" change from
+ */
+const resolveFromIndex = async (series, fromSessionId) => {
+  if (!fromSessionId) return 0;
+  const session = await Session.findOne({ _id: fromSessionId, series: series._id });
+  return session ? session.seriesIndex : null;
+};
+
+/**
+ * Preview a recurring booking, listing conflicting occurrences with alternatives
+ */
+const previewSeriesController = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const booking = await resolveSeriesBooking(req.user, req.body);
+    if (booking.status) {
+      return res.status(booking.status).json({ success: false, message: booking.message });
+    }
+
+    const { startDate, startTime, recurrence, overrides } = req.body;
+    const occurrences = await previewSeries({
+      therapy: booking.therapy,
+      practitionerId: booking.practitioner._id,
+      patientId: booking.patient._id,
+      startDate,
+      startTime,
+      recurrence,
+      overrides
+    });
+
+    const conflicting = occurrences.filter(o => o.conflict).length;
+    res.json({
+      success: true,
+      data: {
+        occurrences,
+        summary: {
+          total: occurrences.length,
+          bookable: occurrences.length - conflicting,
+          conflicting,
+          totalPrice: (occurrences.length - conflicting) * booking.therapy.price
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Preview series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview recurring sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Book the free occurrences of a recurring booking as a linked series
+ */
+const bookSeries = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const booking = await resolveSeriesBooking(req.user, req.body);
+    if (booking.status) {
+      return res.status(booking.status).json({ success: false, message: booking.message });
+    }
+
+    const { therapy, practitioner, patient } = booking;
+    const { startDate, startTime, recurrence, overrides, notes, safetyOverride } = req.body;
+    const patientId = patient._id;
+
+    // A contraindicated therapy has to be booked by the practitioner with an override
+    const { override, error: overrideError } = resolveSafetyOverride({
+      user: req.user,
+      safetyOverride,
+      practitionerId: practitioner._id
+    });
+    if (overrideError) {
+      return res.status(403).json({
+        success: false,
+        message: overrideError
+      });
+    }
+    const safety = evaluateSafety([therapy], patient, { override });
+    if (safety.blocked) {
+      return res.status(409).json(safetyBlockResponse(safety));
+    }
+
+    const result = await createSeries({
+      therapy,
+      practitionerId: practitioner._id,
+      patientId,
+      startDate,
+      startTime,
+      recurrence,
+      overrides,
+      notes,
+      createdBy: req.user.id,
+      safetyCheck: safety.record
+    });
+
+    if (!result.series) {
+      return res.status(409).json({
+        success: false,
+        message: 'None of the occurrences could be booked',
+        data: { skipped: result.skipped }
+      });
+    }
+
+    const { series, sessions, skipped } = result;
+    const first = sessions[0];
+
+    await Promise.allSettled([
+      sendNotification({
+        recipient: patientId,
+        type: 'booking_confirmation',
+        title: 'Recurring Sessions Booked! 🎉',
+        message: (timeZone) => `${sessions.length} ${therapy.name} sessions with Dr. ${practitioner.fullName} are booked, starting ${formatDateTime(first.startTime, timeZone)}.${skipped.length > 0 ? ` ${skipped.length} occurrence(s) could not be booked.` : ''}`,
+        data: { sessionId: first._id, therapyId: therapy._id, actionUrl: `/sessions/series/${series._id}`, priority: 'high' },
+        channels: { email: true, inApp: true, whatsapp: true }
+      }),
+      sendNotification({
+        recipient: practitioner._id,
+        type: 'booking_confirmation',
+        title: 'New Recurring Booking',
+        message: (timeZone) => `${sessions.length} recurring ${therapy.name} sessions have been booked with you, starting ${formatDate(first.startTime, timeZone)}.`,
+        data: { sessionId: first._id, therapyId: therapy._id, actionUrl: `/sessions/series/${series._id}` },
+        channels: { inApp: true, email: true }
+      })
+    ]);
+
+    sessions.forEach(session => {
+      req.io.emit('slotBooked', {
+        sessionId: session._id,
+        practitionerId: practitioner._id,
+        startTime: session.startTime,
+        endTime: session.endTime,
+        therapyId: therapy._id
+      });
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${sessions.length} recurring session(s) booked successfully`,
+      data: { series, sessions, skipped, safetyWarnings: safety.warnings }
+    });
+  } catch (error) {
+    console.error('Book series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to book recurring sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Get a series with all of its sessions
+ */
+const getSeries = async (req, res) => {
+  try {
+    const series = await SessionSeries.findById(req.params.id)
+      .populate('therapy', 'name sanskritName duration price')
+      .populate('practitioner', 'profile.firstName profile.lastName')
+      .populate('patient', 'profile.firstName profile.lastName');
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Series not found'
+      });
+    }
+
+    if (!isSeriesMember(req.user, { patient: series.patient._id, practitioner: series.practitioner._id })) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this series'
+      });
+    }
+
+    const sessions = await Session.find({ series: series._id })
+      .select('seriesIndex scheduledDate startTime endTime status resources')
+      .sort({ seriesIndex: 1 });
+
+    res.json({
+      success: true,
+      data: { series, sessions }
+    });
+  } catch (error) {
+    console.error('Get series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch series',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Move "this and following" occurrences of a series
+ */
+const updateFollowingSessions = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { fromSessionId, startTime, shiftDays, reason, safetyOverride } = req.body;
+
+    if (!startTime && !shiftDays) {
+      return res.status(400).json({
+        success: false,
+        message: 'A new start time or a day shift is required'
+      });
+    }
+
+    const series = await SessionSeries.findById(req.params.id).populate('therapy');
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Series not found'
+      });
+    }
+
+    if (!isSeriesMember(req.user, series)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to change this series'
+      });
+    }
+
+    const fromIndex = await resolveFromIndex(series, fromSessionId);
+    if (fromIndex === null) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found in this series'
+      });
+    }
+
+    // Re-run the safety check in case the patient's health history changed since booking
+    const { override, error: overrideError } = resolveSafetyOverride({
+      user: req.user,
+      safetyOverride,
+      practitionerId: series.practitioner
+    });
+    if (overrideError) {
+      return res.status(403).json({
+        success: false,
+        message: overrideError
+      });
+    }
+    const patient = await User.findById(series.patient);
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found'
+      });
+    }
+
+    // Sessions already booked keep their therapy even if the practitioner has stopped offering it
+    const therapy = await getOfferedTherapy(series.practitioner, series.therapy) || series.therapy;
+    // The front desk moves sessions on the patient's behalf, under the same policy
+    const forPatient = series.patient.toString() === req.user.id || req.user.role === 'receptionist';
+    const result = await updateFollowing(series, fromIndex, {
+      startTime,
+      shiftDays: parseInt(shiftDays) || 0,
+      therapy,
+      patient,
+      override,
+      reason,
+      forPatient,
+      requestedBy: forPatient ? series.patient : req.user.id,
+      performedBy: req.user.id
+    });
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    if (result.safety) {
+      return res.status(409).json(safetyBlockResponse(result.safety));
+    }
+
+    if (result.conflicts) {
+      return res.status(409).json({
+        success: false,
+        message: 'Some sessions could not be moved. No changes were made.',
+        data: { conflicts: result.conflicts }
+      });
+    }
+
+    if (result.sessions.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No upcoming sessions to change from this occurrence'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `${result.sessions.length} session(s) rescheduled successfully`,
+      data: { sessions: result.sessions, rescheduleFee: result.rescheduleFee }
+    });
+  } catch (error) {
+    console.error('Update series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update recurring sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Cancel "this and following" occurrences of a series, or the whole series
+ */
+const cancelSeries = async (req, res) => {
+  try {
+    const { fromSessionId, reason, cancellationType } = req.body;
+
+    if (!reason || reason.trim().length < 10) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cancellation reason must be at least 10 characters'
+      });
+    }
+
+    const series = await SessionSeries.findById(req.params.id).populate('therapy', 'name');
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Series not found'
+      });
+    }
+
+    if (!isSeriesMember(req.user, series)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to cancel this series'
+      });
+    }
+
+    const fromIndex = await resolveFromIndex(series, fromSessionId);
+    if (fromIndex === null) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found in this series'
+      });
+    }
+
+    const result = await cancelFollowing(series, fromIndex, {
+      therapy: series.therapy,
+      cancellationType: resolveCancellationType({
+        // The front desk cancels on the patient's behalf
+        isPatient: series.patient.toString() === req.user.id || req.user.role === 'receptionist',
+        isPractitioner: series.practitioner.toString() === req.user.id,
+        requestedType: cancellationType
+      }),
+      performedBy: req.user.id,
+      reason: reason.trim(),
+      io: req.io
+    });
+
+    res.json({
+      success: true,
+      message: `${result.cancelledSessions.length} session(s) cancelled successfully`,
+      data: {
+        seriesStatus: series.status,
+        cancelledSessions: result.cancelledSessions,
+        cancellationFee: result.cancellationFee,
+        refundAmount: result.refundAmount,
+        refundTimeline: result.refundTimeline,
+        charges: result.charges
+      }
+    });
+  } catch (error) {
+    console.error('Cancel series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel recurring sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  previewSeries: previewSeriesController,
+  bookSeries,
+  getSeries,
+  updateFollowingSessions,
+  cancelSeries
+};
@@ -4,11 +4,60 @@ const { validationResult } = require('express-validator');
 const Session = require('../models/session.models');
 const User = require('../models/user.models');
 const Therapy = require('../models/therapy.models');
+const SlotHold = require('../models/slotHold.models');
 const { sendNotification } = require('../services/notificationService');
-const { checkSlotAvailability, reallocateSlot, getPractitionerSchedule } = require('../services/slotService');
+const {
+  findSlotConflict,
+  findPatientConflict,
+  generateAvailableSlots,
+  getPractitionerSchedule
+} = require('../services/slotService');
+const { allocateResources, getResourceOccupancy } = require('../services/resourceService');
+const { refreshCourseStatus } = require('../services/courseService');
+const { offerFreedSlot } = require('../services/waitlistService');
+const { claimHold } = require('../services/holdService');
+const { bookingKeys, resourceKeys, lockKeys, withBookingLocks } = require('../services/bookingLockService');
+const { MAX_SEARCH_DAYS, findFirstAvailableSlots } = require('../services/searchService');
+const { getOfferedTherapy } = require('../services/offeringService');
+const { getConstitution } = require('../services/assessmentService');
+const { evaluateSafety, resolveSafetyOverride, safetyBlockResponse } = require('../services/safetyService');
+const {
+  FREE_TEXT_SECTION,
+  notePhase,
+  pickSections,
+  addClinicalNote,
+  getSessionNotes
+} = require('../services/clinicalNoteService');
+const { pickMeasurements, recordVitals } = require('../services/vitalsService');
+const { buildCalendar } = require('../services/calendarService');
+const { broadcastQueue } = require('../services/queueService');
+const {
+  resolveCancellationType,
+  calculateCancellationCharges,
+  applyCancellationCharges
+} = require('../services/cancellationService');
+const {
+  RESCHEDULABLE_STATUSES,
+  findPendingRequest,
+  checkReschedulePolicy,
+  checkNewTime,
+  applyReschedule
+} = require('../services/rescheduleService');
+const {
+  DATE_PATTERN,
+  DAYS_OF_WEEK,
+  getDayOfWeek,
+  getUserTimezone,
+  toDateKey,
+  combineDateAndTime,
+  addDaysToDateKey,
+  getDayRange,
+  formatDateTime
+} = require('../utils/timeUtils');
 
 /**
  * Book a new therapy session
+ * Receptionists and admins book on a patient's behalf by passing `patientId`.
  */
 const bookSession = async (req, res) => {
   try {
@@ -21,8 +70,19 @@ const bookSession = async (req, res) => {
       });
     }
 
-    const { therapyId, practitionerId, startTime, endTime, notes, preferences } = req.body;
-    const patientId = req.user.id;
+    const { therapyId, practitionerId, startTime, endTime, holdId, notes, preferences, safetyOverride } = req.body;
+    // Practitioners book for their own patients, e.g. to override a safety block
+    const byPractitioner = req.user.role === 'practitioner' && practitionerId === req.user.id;
+    const onBehalf = ['receptionist', 'admin'].includes(req.user.role) || byPractitioner;
+    const bookedByLabel = byPractitioner ? 'your practitioner' : 'the clinic front desk';
+    const patientId = onBehalf ? req.body.patientId : req.user.id;
+
+    if (!patientId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Patient ID is required when booking on a patient\'s behalf'
+      });
+    }
 
     // Validate therapy exists and is active
     const therapy = await Therapy.findById(therapyId);
@@ -45,6 +105,15 @@ const bookSession = async (req, res) => {
       });
     }
 
+    // The practitioner must offer this therapy; their price and duration apply
+    const offeredTherapy = await getOfferedTherapy(practitionerId, therapy);
+    if (!offeredTherapy) {
+      return res.status(400).json({
+        success: false,
+        message: 'Practitioner does not offer this therapy'
+      });
+    }
+
     // Validate patient exists and get their details
     const patient = await User.findById(patientId);
     if (!patient || patient.role !== 'patient' || !patient.isActive) {
@@ -54,9 +123,49 @@ const bookSession = async (req, res) => {
       });
     }
 
+    // Compare the therapy with the patient's conditions, allergies and medications
+    const { override, error: overrideError } = resolveSafetyOverride({ user: req.user, safetyOverride, practitionerId });
+    if (overrideError) {
+      return res.status(403).json({
+        success: false,
+        message: overrideError
+      });
+    }
+    const safety = evaluateSafety([therapy], patient, { override });
+    if (safety.blocked) {
+      return res.status(409).json(safetyBlockResponse(safety));
+    }
+
+    // Booking from a hold uses the held time
+    let hold = null;
+    if (holdId) {
+      hold = await SlotHold.findById(holdId);
+      if (!hold || hold.holder.toString() !== patientId) {
+        return res.status(404).json({
+          success: false,
+          message: 'Slot hold not found'
+        });
+      }
+
+      if (hold.status !== 'active' || hold.expiresAt <= new Date()) {
+        return res.status(409).json({
+          success: false,
+          message: 'Your hold on this slot has expired. Please choose another slot.',
+          reason: 'hold_expired'
+        });
+      }
+
+      if (hold.practitioner.toString() !== practitionerId || hold.therapy.toString() !== therapyId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Hold does not match the selected practitioner and therapy'
+        });
+      }
+    }
+
     // Validate session timing
-    const sessionStart = new Date(startTime);
-    const sessionEnd = new Date(endTime);
+    const sessionStart = new Date(hold ? hold.startTime : startTime);
+    const sessionEnd = new Date(hold ? hold.endTime : endTime);
     const now = new Date();
 
     if (sessionStart <= now) {
@@ -74,64 +183,85 @@ const bookSession = async (req, res) => {
     }
 
     const sessionDuration = (sessionEnd - sessionStart) / (1000 * 60); // in minutes
-    if (sessionDuration < therapy.duration * 0.8 || sessionDuration > therapy.duration * 1.2) {
+    if (sessionDuration < offeredTherapy.duration * 0.8 || sessionDuration > offeredTherapy.duration * 1.2) {
       return res.status(400).json({
         success: false,
-        message: `Session duration should be approximately ${therapy.duration} minutes`
+        message: `Session duration should be approximately ${offeredTherapy.duration} minutes`
       });
     }
 
-    // Check if patient has any conflicting sessions
-    const patientConflict = await Session.findOne({
-      patient: patientId,
-      status: { $in: ['scheduled', 'confirmed', 'in-progress'] },
-      $or: [
-        { startTime: { $lt: sessionEnd }, endTime: { $gt: sessionStart } }
-      ]
-    });
+    // Check conflicts and create the session under the practitioner's and patient's booking locks
+    const booking = await withBookingLocks(
+      bookingKeys({ practitionerIds: [practitionerId], patientIds: [patientId] }),
+      async (mongoSession) => {
+        const patientConflict = await findPatientConflict(patientId, sessionStart, sessionEnd, null, { mongoSession });
+        if (patientConflict) {
+          return {
+            conflict: {
+              reason: 'patient_conflict',
+              message: onBehalf ? 'Patient has a conflicting session at this time' : 'You have a conflicting session at this time'
+            }
+          };
+        }
 
-    if (patientConflict) {
-      return res.status(409).json({
-        success: false,
-        message: 'You have a conflicting session at this time'
-      });
-    }
+        // Check slot availability against the practitioner's schedule and bookings
+        const slotConflict = await findSlotConflict(practitionerId, sessionStart, sessionEnd, null, {
+          holderId: patientId,
+          mongoSession
+        });
+        if (slotConflict) {
+          return { conflict: slotConflict };
+        }
+
+        // Reserve a compatible treatment room and equipment
+        const allocation = await allocateResources(therapy, sessionStart, sessionEnd, { mongoSession });
+        if (allocation.conflict) {
+          return { conflict: allocation.conflict };
+        }
+        await lockKeys(resourceKeys(allocation.resources), mongoSession);
+
+        const [newSession] = await Session.create([{
+          therapy: therapyId,
+          patient: patientId,
+          practitioner: practitionerId,
+          scheduledDate: toDateKey(sessionStart),
+          startTime: sessionStart,
+          endTime: sessionEnd,
+          price: offeredTherapy.price,
+          resources: allocation.resources,
+          notes: { 
+            preSession: notes || '',
+            preferences: preferences || ''
+          },
+          status: 'scheduled',
+          paymentStatus: 'pending',
+          bookedBy: req.user.id,
+          safetyCheck: safety.record
+        }], { session: mongoSession });
+
+        // Booking a slot held for this patient (e.g. a waitlist offer) claims the hold
+        await claimHold(patientId, practitionerId, sessionStart, sessionEnd, newSession._id, { mongoSession });
+
+        return { session: newSession };
+      }
+    );
 
-    // Check slot availability with practitioner
-    const isAvailable = await checkSlotAvailability(practitionerId, sessionStart, sessionEnd);
-    if (!isAvailable) {
+    if (booking.conflict) {
       return res.status(409).json({
         success: false,
-        message: 'Selected time slot is not available with this practitioner'
+        message: booking.conflict.message,
+        reason: booking.conflict.reason
       });
     }
-
-    // Create session with transaction to ensure atomicity
-    const session = await mongoose.connection.transaction(async (mongoSession) => {
-      const newSession = await Session.create([{
-        therapy: therapyId,
-        patient: patientId,
-        practitioner: practitionerId,
-        scheduledDate: sessionStart.toISOString().split('T')[0],
-        startTime: sessionStart,
-        endTime: sessionEnd,
-        price: therapy.price,
-        notes: { 
-          preSession: notes || '',
-          preferences: preferences || ''
-        },
-        status: 'scheduled',
-        paymentStatus: 'pending'
-      }], { session: mongoSession });
-
-      return newSession[0];
-    });
+    const { session } = booking;
 
     // Populate session data for response
     await session.populate([
       { path: 'therapy', select: 'name sanskritName description duration price category' },
       { path: 'patient', select: 'profile email phone' },
-      { path: 'practitioner', select: 'profile practitionerInfo.specialization' }
+      { path: 'practitioner', select: 'profile practitionerInfo.specialization' },
+      { path: 'resources.room', select: 'name type floor' },
+      { path: 'resources.equipment.item', select: 'name type' }
     ]);
 
     // Send confirmation notifications
@@ -141,7 +271,7 @@ const bookSession = async (req, res) => {
         recipient: patientId,
         type: 'booking_confirmation',
         title: 'Booking Confirmed! 🎉',
-        message: `Your ${therapy.name} session with Dr. ${practitioner.profile.firstName} ${practitioner.profile.lastName} is confirmed for ${sessionStart.toLocaleDateString('en-IN')} at ${sessionStart.toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' })}.`,
+        message: (timeZone) => `Your ${therapy.name} session with Dr. ${practitioner.profile.firstName} ${practitioner.profile.lastName} is confirmed for ${formatDateTime(sessionStart, timeZone)}.${onBehalf ? ` It was booked for you by ${bookedByLabel}.` : ''}`,
         data: { 
           sessionId: session._id,
           therapyName: therapy.name,
@@ -158,7 +288,7 @@ const bookSession = async (req, res) => {
         recipient: practitionerId,
         type: 'booking_confirmation',
         title: 'New Appointment Booked',
-        message: `New ${therapy.name} session booked by ${patient.fullName} for ${sessionStart.toLocaleDateString('en-IN')} at ${sessionStart.toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' })}.`,
+        message: (timeZone) => `New ${therapy.name} session booked ${onBehalf ? `for ${patient.fullName} by ${byPractitioner ? 'you' : 'the front desk'}` : `by ${patient.fullName}`} for ${formatDateTime(sessionStart, timeZone)}.`,
         data: { 
           sessionId: session._id,
           patientName: patient.fullName,
@@ -195,6 +325,7 @@ const bookSession = async (req, res) => {
       message: 'Session booked successfully',
       data: { 
         session,
+        safetyWarnings: safety.warnings,
         estimatedPreparationTime: 15, // minutes
         arrivalInstructions: 'Please arrive 15 minutes before your scheduled time'
       }
@@ -215,7 +346,7 @@ const bookSession = async (req, res) => {
 const cancelSession = async (req, res) => {
   try {
     const { id } = req.params;
-    const { reason, cancellationType = 'patient' } = req.body;
+    const { reason, cancellationType } = req.body;
     const userId = req.user.id;
     const userRole = req.user.role;
 
@@ -239,8 +370,9 @@ const cancelSession = async (req, res) => {
     const isPatient = session.patient._id.toString() === userId;
     const isPractitioner = session.practitioner._id.toString() === userId;
     const isAdmin = userRole === 'admin';
+    const isReceptionist = userRole === 'receptionist';
 
-    if (!isPatient && !isPractitioner && !isAdmin) {
+    if (!isPatient && !isPractitioner && !isAdmin && !isReceptionist) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to cancel this session'
@@ -255,22 +387,14 @@ const cancelSession = async (req, res) => {
       });
     }
 
-    // Check cancellation timing
+    // Calculate cancellation charges from the therapy category's cancellation policy
     const now = new Date();
-    const sessionStart = new Date(session.startTime);
-    const hoursUntilSession = (sessionStart - now) / (1000 * 60 * 60);
-
-    let cancellationFee = 0;
-    let refundAmount = session.price;
-
-    // Calculate cancellation charges based on timing
-    if (hoursUntilSession < 2) {
-      cancellationFee = session.price * 0.5; // 50% cancellation fee
-      refundAmount = session.price * 0.5;
-    } else if (hoursUntilSession < 24) {
-      cancellationFee = session.price * 0.25; // 25% cancellation fee  
-      refundAmount = session.price * 0.75;
-    }
+    const charges = await calculateCancellationCharges(session, {
+      // The front desk cancels on the patient's behalf
+      cancellationType: resolveCancellationType({ isPatient: isPatient || isReceptionist, isPractitioner, requestedType: cancellationType }),
+      now
+    });
+    const { cancellationFee, refundAmount, refundTimeline } = charges;
 
     // Update session in transaction
     await mongoose.connection.transaction(async (mongoSession) => {
@@ -278,18 +402,21 @@ const cancelSession = async (req, res) => {
       session.cancellationReason = reason.trim();
       session.cancelledBy = userId;
       session.cancelledAt = now;
-      session.cancellationFee = cancellationFee;
-      session.refundAmount = refundAmount;
-      session.cancellationType = cancellationType;
+      applyCancellationCharges(session, charges);
 
       await session.save({ session: mongoSession });
     });
 
+    if (session.course) {
+      await refreshCourseStatus(session.course);
+    }
+
     // Determine who to notify based on who cancelled
     const cancelledByName = isPatient ? session.patient.fullName : 
-                           isPractitioner ? `Dr. ${session.practitioner.fullName}` : 'Admin';
-    const notifyUserId = isPatient ? session.practitioner._id : session.patient._id;
-    const notifyUserType = isPatient ? 'practitioner' : 'patient';
+                           isPractitioner ? `Dr. ${session.practitioner.fullName}` :
+                           isReceptionist ? 'the front desk' : 'Admin';
+    const notifyUserId = isPatient || isReceptionist ? session.practitioner._id : session.patient._id;
+    const notifyUserType = isPatient || isReceptionist ? 'practitioner' : 'patient';
 
     // Send cancellation notifications
     await Promise.all([
@@ -298,7 +425,7 @@ const cancelSession = async (req, res) => {
         recipient: notifyUserId,
         type: 'cancellation',
         title: 'Session Cancelled',
-        message: `Your ${session.therapy.name} session scheduled for ${session.startTime.toLocaleDateString('en-IN')} at ${session.startTime.toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' })} has been cancelled by ${cancelledByName}.`,
+        message: (timeZone) => `Your ${session.therapy.name} session scheduled for ${formatDateTime(session.startTime, timeZone)} has been cancelled by ${cancelledByName}.`,
         data: { 
           sessionId: session._id,
           cancelledBy: cancelledByName,
@@ -309,12 +436,12 @@ const cancelSession = async (req, res) => {
         channels: { email: true, inApp: true, whatsapp: true }
       }),
 
-      // Confirmation to the person who cancelled
+      // Confirmation to the person who cancelled (the patient, when the front desk cancelled for them)
       sendNotification({
-        recipient: userId,
+        recipient: isReceptionist ? session.patient._id : userId,
         type: 'cancellation',
         title: 'Cancellation Confirmed',
-        message: `Your ${session.therapy.name} session has been cancelled successfully. ${refundAmount > 0 ? `Refund of ₹${refundAmount} will be processed within 3-5 business days.` : ''}`,
+        message: `Your ${session.therapy.name} session has been cancelled successfully. ${refundAmount > 0 ? `Refund of ₹${refundAmount} will be processed within ${refundTimeline}.` : ''}`,
         data: { 
           sessionId: session._id,
           refundAmount: refundAmount,
@@ -325,12 +452,12 @@ const cancelSession = async (req, res) => {
       })
     ]);
 
-    // Perform slot reallocation
+    // Offer the freed slot to the first matching patient on the waitlist
     try {
-      await reallocateSlot(session);
-    } catch (reallocationError) {
-      console.error('Slot reallocation failed:', reallocationError);
-      // Don't fail the cancellation if reallocation fails
+      await offerFreedSlot(session, { io: req.io });
+    } catch (waitlistError) {
+      console.error('Waitlist offer failed:', waitlistError);
+      // Don't fail the cancellation if the waitlist offer fails
     }
 
     // Emit real-time updates
@@ -354,6 +481,10 @@ const cancelSession = async (req, res) => {
       patientName: session.patient.fullName
     });
 
+    if (session.arrivedAt) {
+      broadcastQueue(req.io).catch(error => console.error('Queue broadcast error:', error));
+    }
+
     res.json({
       success: true,
       message: 'Session cancelled successfully',
@@ -361,7 +492,8 @@ const cancelSession = async (req, res) => {
         session,
         cancellationFee,
         refundAmount,
-        refundTimeline: refundAmount > 0 ? '3-5 business days' : null
+        refundTimeline,
+        cancellationPolicy: session.cancellationPolicy
       }
     });
   } catch (error) {
@@ -379,6 +511,15 @@ const cancelSession = async (req, res) => {
  */
 const getAvailableSlots = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const { practitionerId, date, therapyId, duration } = req.query;
     
     if (!practitionerId || !date) {
@@ -397,105 +538,56 @@ const getAvailableSlots = async (req, res) => {
       });
     }
 
-    // Get therapy details for duration
-    let therapyDuration = parseInt(duration) || 60; // default 60 minutes
+    // Get therapy details for duration (falls back to the practitioner's default slot length)
+    let therapyDuration = duration ? parseInt(duration) : null;
     let therapy = null;
     
     if (therapyId) {
-      therapy = await Therapy.findById(therapyId);
-      if (therapy) {
+      const baseTherapy = await Therapy.findById(therapyId);
+      if (baseTherapy) {
+        therapy = await getOfferedTherapy(practitionerId, baseTherapy);
+        if (!therapy) {
+          return res.status(400).json({
+            success: false,
+            message: 'Practitioner does not offer this therapy'
+          });
+        }
         therapyDuration = therapy.duration;
       }
     }
 
     // Parse and validate date
-    const targetDate = new Date(date);
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    
-    if (targetDate < today) {
+    const dateKey = DATE_PATTERN.test(date) ? date : toDateKey(new Date(date));
+    if (!DATE_PATTERN.test(dateKey)) {
       return res.status(400).json({
         success: false,
-        message: 'Cannot get slots for past dates'
+        message: 'Invalid date'
       });
     }
 
-    // Set date boundaries
-    const startOfDay = new Date(targetDate);
-    startOfDay.setHours(0, 0, 0, 0);
-    const endOfDay = new Date(targetDate);
-    endOfDay.setHours(23, 59, 59, 999);
-
-    // Get existing bookings for the practitioner on this date
-    const bookedSessions = await Session.find({
-      practitioner: practitionerId,
-      startTime: { $gte: startOfDay, $lte: endOfDay },
-      status: { $in: ['scheduled', 'confirmed', 'in-progress'] }
-    }).sort({ startTime: 1 });
-
-    // Define working hours (can be made configurable per practitioner)
-    const workingHours = {
-      start: 9, // 9 AM
-      end: 18,  // 6 PM
-      lunchBreak: {
-        start: 13, // 1 PM
-        end: 14    // 2 PM
-      }
-    };
-
-    // Generate available slots
-    const availableSlots = [];
-    const slotInterval = 30; // 30-minute intervals
-
-    for (let hour = workingHours.start; hour < workingHours.end; hour++) {
-      for (let minute = 0; minute < 60; minute += slotInterval) {
-        // Skip lunch break
-        if (hour >= workingHours.lunchBreak.start && hour < workingHours.lunchBreak.end) {
-          continue;
-        }
-
-        const slotStart = new Date(targetDate);
-        slotStart.setHours(hour, minute, 0, 0);
-        
-        const slotEnd = new Date(slotStart);
-        slotEnd.setMinutes(slotEnd.getMinutes() + therapyDuration);
-
-        // Skip if slot would extend beyond working hours
-        if (slotEnd.getHours() >= workingHours.end || 
-            (slotEnd.getHours() === workingHours.lunchBreak.start && slotEnd.getMinutes() > 0)) {
-          continue;
-        }
-
-        // Skip if slot is in the past
-        if (slotStart <= new Date()) {
-          continue;
-        }
-
-        // Check for conflicts with existing bookings
-        const hasConflict = bookedSessions.some(session => {
-          return (slotStart < session.endTime && slotEnd > session.startTime);
-        });
-
-        if (!hasConflict) {
-          availableSlots.push({
-            startTime: slotStart,
-            endTime: slotEnd,
-            duration: therapyDuration,
-            available: true,
-            slotId: `${practitionerId}-${slotStart.getTime()}`
-          });
-        }
-      }
+    if (dateKey < toDateKey(new Date())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot get slots for past dates'
+      });
     }
 
+    // Generate slots from the practitioner's stored schedule
+    const slotResult = await generateAvailableSlots(practitionerId, dateKey, {
+      duration: therapyDuration,
+      viewerId: req.user.id
+    });
+
     // Get practitioner's existing schedule for context
+    const startOfDay = combineDateAndTime(dateKey, '00:00');
+    const endOfDay = combineDateAndTime(addDaysToDateKey(dateKey, 1), '00:00');
     const schedule = await getPractitionerSchedule(practitionerId, startOfDay, endOfDay);
 
     res.json({
       success: true,
       data: { 
-        availableSlots,
-        date: targetDate.toISOString().split('T')[0],
+        availableSlots: slotResult.slots,
+        date: dateKey,
         practitioner: {
           id: practitioner._id,
           name: practitioner.fullName,
@@ -504,11 +596,14 @@ const getAvailableSlots = async (req, res) => {
         therapy: therapy ? {
           id: therapy._id,
           name: therapy.name,
-          duration: therapy.duration
+          duration: therapy.duration,
+          price: therapy.price
         } : null,
-        workingHours,
+        workingHours: slotResult.daySchedule,
+        bufferTime: slotResult.bufferTime,
+        unavailableReason: slotResult.unavailableReason,
         existingSchedule: schedule,
-        totalAvailableSlots: availableSlots.length
+        totalAvailableSlots: slotResult.slots.length
       }
     });
   } catch (error) {
@@ -521,6 +616,87 @@ const getAvailableSlots = async (req, res) => {
   }
 };
 
+/**
+ * Find the earliest bookable slots for a therapy across all practitioners who offer it
+ */
+const searchFirstAvailable = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { therapyId, timeOfDay, gender, language, page = 1, limit = 10 } = req.query;
+    const today = toDateKey(new Date());
+    const startDate = req.query.startDate && req.query.startDate > today ? req.query.startDate : today;
+    const endDate = req.query.endDate || addDaysToDateKey(startDate, 6);
+
+    if (endDate < startDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'End date must not be before start date'
+      });
+    }
+
+    if (endDate > addDaysToDateKey(startDate, MAX_SEARCH_DAYS - 1)) {
+      return res.status(400).json({
+        success: false,
+        message: `Search range cannot exceed ${MAX_SEARCH_DAYS} days`
+      });
+    }
+
+    const therapy = await Therapy.findById(therapyId);
+    if (!therapy || !therapy.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Therapy not found or inactive'
+      });
+    }
+
+    const result = await findFirstAvailableSlots(therapy, {
+      startDate,
+      endDate,
+      timeOfDay,
+      gender,
+      language,
+      patientId: req.user.role === 'patient' ? req.user.id : null,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        slots: result.slots,
+        therapy: {
+          id: therapy._id,
+          name: therapy.name,
+          duration: therapy.duration
+        },
+        searchRange: { startDate, endDate },
+        practitionersSearched: result.practitionersSearched,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(result.totalCount / parseInt(limit)),
+          totalCount: result.totalCount,
+          hasMore: (parseInt(page) - 1) * parseInt(limit) + result.slots.length < result.totalCount
+        }
+      }
+    });
+  } catch (error) {
+    console.error('First available search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to search available slots',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
 /**
  * Get user's sessions (patient or practitioner)
  */
@@ -531,6 +707,7 @@ const getUserSessions = async (req, res) => {
       startDate, 
       endDate, 
       therapyId,
+      patientId,
       page = 1, 
       limit = 10,
       sortBy = 'startTime',
@@ -546,8 +723,11 @@ const getUserSessions = async (req, res) => {
       query.patient = userId;
     } else if (userRole === 'practitioner') {
       query.practitioner = userId;
-    } else if (userRole === 'admin') {
-      // Admin can see all sessions, but typically filtered by other parameters
+    } else if (userRole === 'admin' || userRole === 'receptionist') {
+      // Admin and front desk can see all sessions, but typically filtered by other parameters
+      if (patientId) {
+        query.patient = patientId;
+      }
     } else {
       return res.status(403).json({
         success: false,
@@ -568,15 +748,15 @@ const getUserSessions = async (req, res) => {
       query.therapy = therapyId;
     }
 
+    // Dates are whole days in the user's own timezone
     if (startDate || endDate) {
+      const timeZone = getUserTimezone(req.user);
       query.startTime = {};
       if (startDate) {
-        query.startTime.$gte = new Date(startDate);
+        query.startTime.$gte = DATE_PATTERN.test(startDate) ? getDayRange(startDate, timeZone).start : new Date(startDate);
       }
       if (endDate) {
-        const endOfDay = new Date(endDate);
-        endOfDay.setHours(23, 59, 59, 999);
-        query.startTime.$lte = endOfDay;
+        query.startTime.$lt = DATE_PATTERN.test(endDate) ? getDayRange(endDate, timeZone).end : new Date(endDate);
       }
     }
 
@@ -659,13 +839,15 @@ const getUserSessions = async (req, res) => {
   }
 };
 
+const toList = (value) => (Array.isArray(value) ? value : [value]);
+
 /**
  * Update session status (practitioner/admin only)
  */
 const updateSessionStatus = async (req, res) => {
   try {
     const { id } = req.params;
-    const { status, notes, vitals, symptoms, complications, recommendations } = req.body;
+    const { status, notes, clinicalNote, vitals, symptoms, complications, recommendations } = req.body;
     const userId = req.user.id;
     const userRole = req.user.role;
 
@@ -722,26 +904,12 @@ const updateSessionStatus = async (req, res) => {
       }
     }
 
-    // Update notes based on current status
-    if (notes) {
-      if (session.status === 'scheduled' || session.status === 'confirmed') {
-        updates['notes.preSession'] = notes;
-      } else if (session.status === 'in-progress' || status === 'in-progress') {
-        updates['notes.duringSession'] = notes;
-      } else if (status === 'completed') {
-        updates['notes.postSession'] = notes;
-      }
-    }
-
-    // Update vitals if provided
-    if (vitals && Object.keys(vitals).length > 0) {
-      updates.vitals = {
-        ...session.vitals,
-        ...vitals,
-        recordedAt: new Date(),
-        recordedBy: userId
-      };
-    }
+    // Vitals are recorded as a reading; the session keeps the latest values
+    const phase = notePhase(session.status, status);
+    const measurements = pickMeasurements(vitals);
+    const vitalReading = Object.keys(measurements).length > 0
+      ? await recordVitals(session, { phase, measurements, recordedBy: userId })
+      : null;
 
     // Update symptoms if provided
     if (symptoms) {
@@ -752,22 +920,38 @@ const updateSessionStatus = async (req, res) => {
       };
     }
 
-    // Add complications if any
+    // Complications and recommendations are added to the session's lists, never replaced
+    const update = { $set: updates };
+    const pushes = {};
     if (complications) {
-      updates.complications = complications;
+      pushes.complications = toList(complications).map(complication => ({
+        ...(typeof complication === 'string' ? { description: complication } : complication),
+        recordedBy: userId,
+        recordedAt: new Date()
+      }));
     }
-
-    // Add practitioner recommendations
     if (recommendations) {
-      updates.recommendations = recommendations;
+      pushes.recommendations = toList(recommendations).map(recommendation => ({
+        ...(typeof recommendation === 'string' ? { text: recommendation } : recommendation),
+        recordedBy: userId,
+        recordedAt: new Date()
+      }));
     }
+    Object.entries(pushes).forEach(([field, items]) => {
+      update.$push = { ...update.$push, [field]: { $each: items } };
+    });
 
     // Perform update
-    const updatedSession = await Session.findByIdAndUpdate(
-      id,
-      { $set: updates },
-      { new: true, runValidators: true }
-    ).populate(['therapy', 'patient', 'practitioner']);
+    const updatedSession = await Session.findByIdAndUpdate(id, update, { new: true, runValidators: true })
+      .populate(['therapy', 'patient', 'practitioner']);
+
+    // Notes are appended as a clinical note; free text goes under the section that fits the phase
+    const sections = clinicalNote
+      ? pickSections(clinicalNote)
+      : pickSections({ [FREE_TEXT_SECTION[phase]]: notes });
+    const addedNote = Object.keys(sections).length > 0
+      ? await addClinicalNote(session, { author: userId, phase, sections, templateId: clinicalNote?.templateId })
+      : null;
 
     // Send notifications based on status change
     const notifications = [];
@@ -820,6 +1004,11 @@ const updateSessionStatus = async (req, res) => {
       );
     }
 
+    // Keep the parent treatment course in step
+    if (status && session.course) {
+      await refreshCourseStatus(session.course);
+    }
+
     // Send all notifications
     await Promise.allSettled(notifications);
 
@@ -836,10 +1025,15 @@ const updateSessionStatus = async (req, res) => {
       patientName: session.patient.fullName
     });
 
+    // Starting or finishing a session changes everyone's wait
+    if (status) {
+      broadcastQueue(req.io).catch(error => console.error('Queue broadcast error:', error));
+    }
+
     res.json({
       success: true,
       message: 'Session updated successfully',
-      data: { session: updatedSession }
+      data: { session: updatedSession, clinicalNote: addedNote, vitalReading }
     });
   } catch (error) {
     console.error('Update session status error:', error);
@@ -851,6 +1045,16 @@ const updateSessionStatus = async (req, res) => {
   }
 };
 
+/**
+ * Strip clinical notes and health history from a session for front-desk staff
+ */
+const withoutClinicalDetails = (session) => {
+  const data = session.toJSON();
+  ['notes', 'vitals', 'symptoms', 'complications', 'recommendations', 'safetyCheck'].forEach(field => delete data[field]);
+  delete data.patient.healthHistory;
+  return data;
+};
+
 /**
  * Get detailed session information
  */
@@ -889,14 +1093,23 @@ const getSessionDetails = async (req, res) => {
     const isPatient = session.patient._id.toString() === userId;
     const isPractitioner = session.practitioner._id.toString() === userId;
     const isAdmin = userRole === 'admin';
+    const isReceptionist = userRole === 'receptionist';
 
-    if (!isPatient && !isPractitioner && !isAdmin) {
+    if (!isPatient && !isPractitioner && !isAdmin && !isReceptionist) {
       return res.status(403).json({
         success: false,
         message: 'Access denied. You can only view your own sessions.'
       });
     }
 
+    // ?format=ics downloads the session as an iCalendar file
+    if (req.query.format === 'ics') {
+      await session.populate('resources.room', 'name');
+      const calendar = buildCalendar([session], { timeZone: getUserTimezone(req.user), viewerId: userId });
+      res.attachment(`session-${session._id}.ics`);
+      return res.type('text/calendar; charset=utf-8').send(calendar);
+    }
+
     // Get related data
     const [feedback, paymentHistory, relatedSessions] = await Promise.all([
       // Get feedback for this session
@@ -937,7 +1150,7 @@ const getSessionDetails = async (req, res) => {
 
     // Prepare response data based on user role
     let responseData = {
-      session,
+      session: isReceptionist ? withoutClinicalDetails(session) : session,
       sessionMetrics,
       feedback,
       paymentHistory,
@@ -953,12 +1166,14 @@ const getSessionDetails = async (req, res) => {
     if (isPractitioner || isAdmin) {
       // Practitioners get full patient health history
       responseData.patientHealthHistory = session.patient.healthHistory;
+      responseData.constitution = await getConstitution(session.patient._id, { limit: 5 });
       responseData.sessionNotes = {
         pre: session.notes?.preSession,
         during: session.notes?.duringSession,
         post: session.notes?.postSession,
         preferences: session.notes?.preferences
       };
+      responseData.clinicalNotes = await getSessionNotes(session._id);
     } else if (isPatient) {
       // Patients get practitioner info and treatment guidelines
       responseData.practitionerInfo = {
@@ -991,11 +1206,12 @@ const getSessionDetails = async (req, res) => {
 
 /**
  * Reschedule a session
+ * Patients' moves follow the practitioner's reschedule policy and may need the practitioner's approval
  */
 const rescheduleSession = async (req, res) => {
   try {
     const { id } = req.params;
-    const { newStartTime, newEndTime, reason } = req.body;
+    const { newStartTime, newEndTime, reason, safetyOverride } = req.body;
     const userId = req.user.id;
 
     if (!newStartTime || !newEndTime || !reason) {
@@ -1018,8 +1234,11 @@ const rescheduleSession = async (req, res) => {
     const isPatient = session.patient._id.toString() === userId;
     const isPractitioner = session.practitioner._id.toString() === userId;
     const isAdmin = req.user.role === 'admin';
+    const isReceptionist = req.user.role === 'receptionist';
+    // The front desk moves sessions on the patient's behalf, under the same policy
+    const forPatient = isPatient || isReceptionist;
 
-    if (!isPatient && !isPractitioner && !isAdmin) {
+    if (!isPatient && !isPractitioner && !isAdmin && !isReceptionist) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to reschedule this session'
@@ -1027,7 +1246,7 @@ const rescheduleSession = async (req, res) => {
     }
 
     // Check if session can be rescheduled
-    if (!['scheduled', 'confirmed'].includes(session.status)) {
+    if (!RESCHEDULABLE_STATUSES.includes(session.status)) {
       return res.status(400).json({
         success: false,
         message: 'Can only reschedule scheduled or confirmed sessions'
@@ -1053,29 +1272,94 @@ const rescheduleSession = async (req, res) => {
       });
     }
 
-    // Check slot availability
-    const isAvailable = await checkSlotAvailability(session.practitioner._id, newStart, newEnd, session._id);
-    if (!isAvailable) {
-      return res.status(409).json({
+    // Re-run the safety check in case the patient's health history changed since booking
+    const { override, error: overrideError } = resolveSafetyOverride({
+      user: req.user,
+      safetyOverride,
+      practitionerId: session.practitioner._id
+    });
+    if (overrideError) {
+      return res.status(403).json({
         success: false,
-        message: 'New time slot is not available'
+        message: overrideError
       });
     }
+    const safety = evaluateSafety([session.therapy], session.patient, { override, previousCheck: session.safetyCheck });
+    if (safety.blocked) {
+      return res.status(409).json(safetyBlockResponse(safety));
+    }
 
-    // Check patient availability
-    const patientConflict = await Session.findOne({
-      patient: session.patient._id,
-      _id: { $ne: session._id },
-      status: { $in: ['scheduled', 'confirmed', 'in-progress'] },
-      $or: [
-        { startTime: { $lt: newEnd }, endTime: { $gt: newStart } }
-      ]
-    });
+    // Patients are bound by the practitioner's reschedule policy
+    let fee = 0;
+    let policy = null;
+    if (forPatient && !isAdmin) {
+      if (findPendingRequest(session)) {
+        return res.status(409).json({
+          success: false,
+          message: 'A reschedule request for this session is already waiting for the practitioner'
+        });
+      }
 
-    if (patientConflict) {
-      return res.status(409).json({
-        success: false,
-        message: 'Patient has a conflicting appointment at the new time'
+      const policyCheck = await checkReschedulePolicy(session, now);
+      if (policyCheck.error) {
+        return res.status(400).json({
+          success: false,
+          message: policyCheck.error
+        });
+      }
+      ({ fee, policy } = policyCheck);
+    }
+
+    // With approval required, the patient's move waits for the practitioner to accept it
+    if (policy?.requireApproval) {
+      const { conflict } = await checkNewTime(session, newStart, newEnd);
+      if (conflict) {
+        return res.status(409).json({
+          success: false,
+          message: conflict.message,
+          reason: conflict.reason
+        });
+      }
+
+      const request = session.rescheduleRequests.create({
+        requestedStart: newStart,
+        requestedEnd: newEnd,
+        reason,
+        fee,
+        requestedBy: forPatient ? session.patient._id : userId,
+        submittedBy: userId
+      });
+      const { modifiedCount } = await Session.updateOne(
+        { _id: session._id, 'rescheduleRequests.status': { $ne: 'pending' } },
+        { $push: { rescheduleRequests: request } }
+      );
+      if (modifiedCount === 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'A reschedule request for this session is already waiting for the practitioner'
+        });
+      }
+
+      await sendNotification({
+        recipient: session.practitioner._id,
+        type: 'rescheduling',
+        title: 'Reschedule Request',
+        message: (timeZone) => `${session.patient.fullName}${isReceptionist ? ' (via the front desk)' : ''} has asked to move their ${session.therapy.name} session from ${formatDateTime(session.startTime, timeZone)} to ${formatDateTime(newStart, timeZone)}. Reason: ${reason}`,
+        data: {
+          sessionId: session._id,
+          originalTime: session.startTime,
+          newTime: newStart,
+          reason,
+          actionUrl: `/sessions/${session._id}`,
+          priority: 'high'
+        },
+        channels: { email: true, inApp: true }
+      }).catch(error => console.error('Reschedule request notification error:', error));
+
+      return res.status(202).json({
+        success: true,
+        message: 'Reschedule request sent to the practitioner for approval',
+        data: { request, fee }
       });
     }
 
@@ -1083,37 +1367,36 @@ const rescheduleSession = async (req, res) => {
     const originalStart = session.startTime;
     const originalEnd = session.endTime;
 
-    // Update session
-    await mongoose.connection.transaction(async (mongoSession) => {
-      session.startTime = newStart;
-      session.endTime = newEnd;
-      session.scheduledDate = newStart.toISOString().split('T')[0];
-      session.rescheduleHistory = session.rescheduleHistory || [];
-      session.rescheduleHistory.push({
-        originalStart,
-        originalEnd,
-        newStart,
-        newEnd,
-        reason,
-        rescheduledBy: userId,
-        rescheduledAt: new Date()
-      });
-      session.status = 'scheduled'; // Reset to scheduled after reschedule
-
-      await session.save({ session: mongoSession });
+    const conflict = await applyReschedule(session, {
+      newStart,
+      newEnd,
+      reason,
+      fee,
+      safetyCheck: safety.record,
+      requestedBy: forPatient ? session.patient._id : userId,
+      performedBy: userId
     });
 
+    if (conflict) {
+      return res.status(409).json({
+        success: false,
+        message: conflict.message,
+        reason: conflict.reason
+      });
+    }
+
     // Send notifications
     const rescheduledBy = isPatient ? session.patient.fullName : 
-                         isPractitioner ? `Dr. ${session.practitioner.fullName}` : 'Admin';
-    const notifyUserId = isPatient ? session.practitioner._id : session.patient._id;
+                         isPractitioner ? `Dr. ${session.practitioner.fullName}` :
+                         isReceptionist ? 'the front desk' : 'Admin';
+    const notifyUserId = forPatient ? session.practitioner._id : session.patient._id;
 
     await Promise.all([
       sendNotification({
         recipient: notifyUserId,
         type: 'rescheduling',
         title: 'Session Rescheduled',
-        message: `Your ${session.therapy.name} session has been rescheduled by ${rescheduledBy} from ${originalStart.toLocaleDateString()} ${originalStart.toLocaleTimeString()} to ${newStart.toLocaleDateString()} ${newStart.toLocaleTimeString()}.`,
+        message: (timeZone) => `Your ${session.therapy.name} session has been rescheduled by ${rescheduledBy} from ${formatDateTime(originalStart, timeZone)} to ${formatDateTime(newStart, timeZone)}.`,
         data: {
           sessionId: session._id,
           originalTime: originalStart,
@@ -1126,10 +1409,10 @@ const rescheduleSession = async (req, res) => {
       }),
 
       sendNotification({
-        recipient: userId,
+        recipient: isReceptionist ? session.patient._id : userId,
         type: 'rescheduling',
         title: 'Reschedule Confirmed',
-        message: `Your ${session.therapy.name} session has been successfully rescheduled to ${newStart.toLocaleDateString()} at ${newStart.toLocaleTimeString()}.`,
+        message: (timeZone) => `Your ${session.therapy.name} session has been successfully rescheduled to ${formatDateTime(newStart, timeZone)}.${fee > 0 ? ` A reschedule fee of ₹${fee} applies.` : ''}`,
         data: {
           sessionId: session._id,
           newTime: newStart,
@@ -1153,7 +1436,9 @@ const rescheduleSession = async (req, res) => {
       data: { 
         session: await session.populate(['therapy', 'patient', 'practitioner']),
         originalTiming: { start: originalStart, end: originalEnd },
-        newTiming: { start: newStart, end: newEnd }
+        newTiming: { start: newStart, end: newEnd },
+        fee,
+        safetyWarnings: safety.warnings
       }
     });
   } catch (error) {
@@ -1201,30 +1486,26 @@ const getPractitionerScheduleController = async (req, res) => {
       });
     }
 
-    // Set date range based on view
-    let start, end;
+    // Set date range based on view, in whole clinic days
+    let firstDay, lastDay;
     if (startDate && endDate) {
-      start = new Date(startDate);
-      end = new Date(endDate);
+      firstDay = DATE_PATTERN.test(startDate) ? startDate : toDateKey(new Date(startDate));
+      lastDay = DATE_PATTERN.test(endDate) ? endDate : toDateKey(new Date(endDate));
     } else {
-      const now = new Date();
+      const today = toDateKey(new Date());
       if (view === 'day') {
-        start = new Date(now);
-        start.setHours(0, 0, 0, 0);
-        end = new Date(now);
-        end.setHours(23, 59, 59, 999);
-      } else if (view === 'week') {
-        start = new Date(now);
-        start.setDate(now.getDate() - now.getDay()); // Start of week
-        start.setHours(0, 0, 0, 0);
-        end = new Date(start);
-        end.setDate(start.getDate() + 6); // End of week
-        end.setHours(23, 59, 59, 999);
+        firstDay = today;
+        lastDay = today;
       } else if (view === 'month') {
-        start = new Date(now.getFullYear(), now.getMonth(), 1);
-        end = new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59, 999);
+        firstDay = `${today.slice(0, 8)}01`;
+        lastDay = addDaysToDateKey(`${addDaysToDateKey(firstDay, 31).slice(0, 8)}01`, -1);
+      } else {
+        firstDay = addDaysToDateKey(today, -DAYS_OF_WEEK.indexOf(getDayOfWeek(today))); // Start of week
+        lastDay = addDaysToDateKey(firstDay, 6); // End of week
       }
     }
+    const start = getDayRange(firstDay).start;
+    const end = new Date(getDayRange(lastDay).end.getTime() - 1);
 
     // Get sessions in date range
     const sessions = await Session.find({
@@ -1233,12 +1514,14 @@ const getPractitionerScheduleController = async (req, res) => {
     })
     .populate('therapy', 'name duration price category')
     .populate('patient', 'profile.firstName profile.lastName profile.phone')
+    .populate('resources.room', 'name type')
+    .populate('resources.equipment.item', 'name type')
     .sort({ startTime: 1 });
 
     // Group sessions by date
     const scheduleByDate = {};
     sessions.forEach(session => {
-      const dateKey = session.startTime.toISOString().split('T')[0];
+      const dateKey = toDateKey(session.startTime);
       if (!scheduleByDate[dateKey]) {
         scheduleByDate[dateKey] = [];
       }
@@ -1249,10 +1532,14 @@ const getPractitionerScheduleController = async (req, res) => {
         startTime: session.startTime,
         endTime: session.endTime,
         status: session.status,
-        price: session.price
+        price: session.price,
+        resources: session.resources
       });
     });
 
+    // Room and equipment occupancy across the clinic for the same range
+    const resourceOccupancy = userRole !== 'patient' ? await getResourceOccupancy(start, end) : null;
+
     // Calculate statistics
     const stats = {
       totalSessions: sessions.length,
@@ -1275,7 +1562,8 @@ const getPractitionerScheduleController = async (req, res) => {
         schedule: scheduleByDate,
         dateRange: { start, end },
         view,
-        stats
+        stats,
+        resourceOccupancy
       }
     });
   } catch (error) {
@@ -1427,6 +1715,7 @@ module.exports = {
   bookSession,
   cancelSession,
   getAvailableSlots,
+  searchFirstAvailable,
   getUserSessions,
   updateSessionStatus,
   getSessionDetails,
@@ -0,0 +1,525 @@
+// src/controllers/treatmentPlanController.js
+const { validationResult } = require('express-validator');
+const TreatmentPlan = require('../models/treatmentPlan.models');
+const Therapy = require('../models/therapy.models');
+const User = require('../models/user.models');
+const { sendNotification } = require('../services/notificationService');
+const { getOfferedTherapy } = require('../services/offeringService');
+const { evaluateSafety, resolveSafetyOverride } = require('../services/safetyService');
+const { getPlanProgress, bookPlanTherapies } = require('../services/treatmentPlanService');
+const { formatDateTime } = require('../utils/timeUtils');
+
+// Fields the author can change after the plan is written
+const EDITABLE_FIELDS = ['title', 'summary', 'endDate', 'therapies', 'diet', 'lifestyle', 'prescriptions', 'goals', 'reviews'];
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+const sendServerError = (res, error, message) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }))
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+  });
+};
+
+const isPlanAuthor = (user, plan) => {
+  return user.role === 'admin' || plan.practitioner.toString() === user.id;
+};
+
+const canViewPlan = (user, plan) => {
+  return isPlanAuthor(user, plan) ||
+    user.role === 'receptionist' ||
+    plan.patient.toString() === user.id;
+};
+
+/**
+ * Receptionists book from plans but do not see the clinical advice in them
+ */
+const withoutClinicalDetails = (plan) => {
+  const data = plan.toObject();
+  ['summary', 'diet', 'lifestyle', 'prescriptions', 'goals', 'reviews'].forEach(field => delete data[field]);
+  return data;
+};
+
+const viewFor = (user, plan) => (user.role === 'receptionist' ? withoutClinicalDetails(plan) : plan);
+
+const populatePlan = (query) => query
+  .populate('patient', 'profile.firstName profile.lastName')
+  .populate('practitioner', 'profile.firstName profile.lastName practitionerInfo.specialization')
+  .populate('therapies.therapy', 'name sanskritName duration price');
+
+/**
+ * Load the plan in the route, checking the user is its author or an admin
+ * Sends the error response and returns null when the plan cannot be changed.
+ */
+const loadPlanForAuthor = async (req, res) => {
+  const plan = await TreatmentPlan.findById(req.params.id);
+  if (!plan) {
+    res.status(404).json({ success: false, message: 'Treatment plan not found' });
+    return null;
+  }
+
+  if (!isPlanAuthor(req.user, plan)) {
+    res.status(403).json({
+      success: false,
+      message: 'Only the practitioner who wrote this plan or an admin can change it'
+    });
+    return null;
+  }
+
+  if (plan.status !== 'active') {
+    res.status(400).json({ success: false, message: `This plan is ${plan.status} and can no longer be changed` });
+    return null;
+  }
+
+  return plan;
+};
+
+/**
+ * Check every therapy in a plan exists and is offered by the plan's practitioner
+ * Returns the therapies as the practitioner offers them, or { error }.
+ */
+const resolvePlanTherapies = async (items = [], practitionerId) => {
+  const offered = [];
+  for (const item of items) {
+    const therapy = await Therapy.findById(item.therapy);
+    if (!therapy || !therapy.isActive) {
+      return { error: 'One of the therapies was not found or is inactive' };
+    }
+    const offeredTherapy = await getOfferedTherapy(practitionerId, therapy);
+    if (!offeredTherapy) {
+      return { error: `You do not offer ${therapy.name}` };
+    }
+    offered.push(offeredTherapy);
+  }
+  return { therapies: offered };
+};
+
+/**
+ * Write a treatment plan for a patient (Practitioner only)
+ */
+const createTreatmentPlan = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { patientId, ...fields } = req.body;
+
+    const patient = await User.findById(patientId);
+    if (!patient || patient.role !== 'patient' || !patient.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found or inactive'
+      });
+    }
+
+    const resolved = await resolvePlanTherapies(fields.therapies, req.user.id);
+    if (resolved.error) {
+      return res.status(400).json({ success: false, message: resolved.error });
+    }
+
+    const plan = await TreatmentPlan.create({
+      patient: patientId,
+      practitioner: req.user.id,
+      ...Object.fromEntries(EDITABLE_FIELDS.map(field => [field, fields[field]])),
+      startDate: fields.startDate
+    });
+
+    // The plan is written either way; contraindications show up again when booking
+    const safety = evaluateSafety(resolved.therapies, patient);
+
+    await sendNotification({
+      recipient: patientId,
+      type: 'treatment_plan',
+      title: 'Your Treatment Plan is Ready',
+      message: `Dr. ${req.user.fullName} has written a treatment plan for you: ${plan.title}. Review it and book your sessions in one step.`,
+      data: { actionUrl: `/treatment-plans/${plan._id}` },
+      channels: { email: true, inApp: true }
+    }).catch(error => console.error('Treatment plan notification error:', error));
+
+    res.status(201).json({
+      success: true,
+      message: 'Treatment plan created',
+      data: {
+        plan,
+        safety: { warnings: safety.warnings, blocks: safety.blocks }
+      }
+    });
+  } catch (error) {
+    console.error('Create treatment plan error:', error);
+    sendServerError(res, error, 'Failed to create treatment plan');
+  }
+};
+
+/**
+ * List treatment plans: patients see their own, practitioners the plans they wrote
+ */
+const getTreatmentPlans = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { patientId, status } = req.query;
+    if (req.user.role === 'receptionist' && !patientId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Patient ID is required'
+      });
+    }
+
+    const query = {};
+    if (req.user.role === 'patient') {
+      query.patient = req.user.id;
+    } else {
+      if (req.user.role === 'practitioner') query.practitioner = req.user.id;
+      if (patientId) query.patient = patientId;
+    }
+    if (status) query.status = status;
+
+    const plans = await populatePlan(TreatmentPlan.find(query)).sort({ createdAt: -1 });
+    const data = await Promise.all(plans.map(async plan => ({
+      plan: viewFor(req.user, plan),
+      progress: await getPlanProgress(plan)
+    })));
+
+    res.json({
+      success: true,
+      data: { plans: data }
+    });
+  } catch (error) {
+    console.error('Get treatment plans error:', error);
+    sendServerError(res, error, 'Failed to fetch treatment plans');
+  }
+};
+
+/**
+ * Get a treatment plan with its progress
+ */
+const getTreatmentPlanDetails = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const plan = await populatePlan(TreatmentPlan.findById(req.params.id));
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Treatment plan not found'
+      });
+    }
+
+    if (!canViewPlan(req.user, { patient: plan.patient._id, practitioner: plan.practitioner._id })) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this treatment plan'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        plan: viewFor(req.user, plan),
+        progress: await getPlanProgress(plan)
+      }
+    });
+  } catch (error) {
+    console.error('Get treatment plan error:', error);
+    sendServerError(res, error, 'Failed to fetch treatment plan');
+  }
+};
+
+/**
+ * Update an active plan's advice, therapies, goals or reviews (author or Admin)
+ * Sessions already booked from the plan are kept.
+ */
+const updateTreatmentPlan = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const plan = await loadPlanForAuthor(req, res);
+    if (!plan) return;
+
+    if (req.body.therapies) {
+      const resolved = await resolvePlanTherapies(req.body.therapies, plan.practitioner);
+      if (resolved.error) {
+        return res.status(400).json({ success: false, message: resolved.error });
+      }
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) plan[field] = req.body[field];
+    });
+    await plan.save();
+
+    await sendNotification({
+      recipient: plan.patient,
+      type: 'treatment_plan',
+      title: 'Treatment Plan Updated',
+      message: `Your treatment plan "${plan.title}" has been updated. Please review the changes.`,
+      data: { actionUrl: `/treatment-plans/${plan._id}` },
+      channels: { inApp: true }
+    }).catch(error => console.error('Treatment plan notification error:', error));
+
+    res.json({
+      success: true,
+      message: 'Treatment plan updated',
+      data: { plan }
+    });
+  } catch (error) {
+    console.error('Update treatment plan error:', error);
+    sendServerError(res, error, 'Failed to update treatment plan');
+  }
+};
+
+/**
+ * Mark a goal achieved or not achieved, or reopen it (author or Admin)
+ */
+const updatePlanGoal = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const plan = await loadPlanForAuthor(req, res);
+    if (!plan) return;
+
+    const goal = plan.goals.id(req.params.goalId);
+    if (!goal) {
+      return res.status(404).json({ success: false, message: 'Goal not found' });
+    }
+
+    goal.status = req.body.status;
+    goal.closedAt = req.body.status === 'open' ? undefined : new Date();
+    if (req.body.note !== undefined) goal.note = req.body.note;
+    await plan.save();
+
+    res.json({
+      success: true,
+      message: 'Goal updated',
+      data: { goal }
+    });
+  } catch (error) {
+    console.error('Update plan goal error:', error);
+    sendServerError(res, error, 'Failed to update goal');
+  }
+};
+
+/**
+ * Record that a review took place, optionally scheduling the next one (author or Admin)
+ */
+const completePlanReview = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const plan = await loadPlanForAuthor(req, res);
+    if (!plan) return;
+
+    const review = plan.reviews.id(req.params.reviewId);
+    if (!review) {
+      return res.status(404).json({ success: false, message: 'Review not found' });
+    }
+    if (review.completedAt) {
+      return res.status(400).json({ success: false, message: 'This review has already been recorded' });
+    }
+
+    review.completedAt = new Date();
+    review.completedBy = req.user.id;
+    review.notes = req.body.notes;
+    if (req.body.nextReviewDate) {
+      plan.reviews.push({ dueDate: req.body.nextReviewDate });
+    }
+    await plan.save();
+
+    res.json({
+      success: true,
+      message: 'Review recorded',
+      data: { review, nextReview: plan.nextReview }
+    });
+  } catch (error) {
+    console.error('Complete plan review error:', error);
+    sendServerError(res, error, 'Failed to record review');
+  }
+};
+
+/**
+ * Close a plan as completed or cancelled (author or Admin)
+ * Sessions booked from the plan are not cancelled.
+ */
+const closeTreatmentPlan = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const plan = await loadPlanForAuthor(req, res);
+    if (!plan) return;
+
+    plan.status = req.body.status;
+    plan.closedAt = new Date();
+    plan.closedReason = req.body.reason;
+    await plan.save();
+
+    await sendNotification({
+      recipient: plan.patient,
+      type: 'treatment_plan',
+      title: plan.status === 'completed' ? 'Treatment Plan Completed' : 'Treatment Plan Cancelled',
+      message: `Your treatment plan "${plan.title}" has been ${plan.status}.${plan.closedReason ? ` ${plan.closedReason}` : ''}`,
+      data: { actionUrl: `/treatment-plans/${plan._id}` },
+      channels: { inApp: true, email: true }
+    }).catch(error => console.error('Treatment plan notification error:', error));
+
+    res.json({
+      success: true,
+      message: `Treatment plan ${plan.status}`,
+      data: { plan, progress: await getPlanProgress(plan) }
+    });
+  } catch (error) {
+    console.error('Close treatment plan error:', error);
+    sendServerError(res, error, 'Failed to close treatment plan');
+  }
+};
+
+/**
+ * Book the plan's outstanding sessions in one step
+ * The patient, the front desk, the plan's practitioner or an admin can book. Each therapy is booked
+ * as a recurring series at its frequency; conflicting occurrences are skipped and reported.
+ */
+const bookFromTreatmentPlan = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const plan = await TreatmentPlan.findById(req.params.id).populate('practitioner');
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Treatment plan not found'
+      });
+    }
+
+    if (!canViewPlan(req.user, { patient: plan.patient, practitioner: plan.practitioner._id })) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to book from this treatment plan'
+      });
+    }
+
+    if (plan.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: `Sessions cannot be booked from a ${plan.status} plan`
+      });
+    }
+
+    const practitioner = plan.practitioner;
+    if (!practitioner.isActive || !practitioner.practitionerInfo.isApproved) {
+      return res.status(400).json({
+        success: false,
+        message: 'The practitioner who wrote this plan is not currently taking bookings'
+      });
+    }
+
+    const { startDate, items, safetyOverride } = req.body;
+    const unknown = (items || []).find(choice => !plan.therapies.id(choice.itemId));
+    if (unknown) {
+      return res.status(400).json({
+        success: false,
+        message: `Therapy ${unknown.itemId} is not part of this plan`
+      });
+    }
+
+    const { override, error: overrideError } = resolveSafetyOverride({
+      user: req.user,
+      safetyOverride,
+      practitionerId: practitioner._id
+    });
+    if (overrideError) {
+      return res.status(403).json({ success: false, message: overrideError });
+    }
+
+    const results = await bookPlanTherapies(plan, {
+      startDate,
+      choices: items,
+      bookedBy: req.user.id,
+      override
+    });
+
+    const sessions = results.flatMap(result => result.sessions || []);
+    if (sessions.length === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'No sessions could be booked from this plan',
+        data: { results }
+      });
+    }
+
+    const first = sessions.reduce((earliest, session) => (session.startTime < earliest.startTime ? session : earliest));
+    const bookedTherapies = results.filter(result => result.booked > 0).map(result => result.therapy.name).join(', ');
+
+    await Promise.allSettled([
+      sendNotification({
+        recipient: plan.patient,
+        type: 'booking_confirmation',
+        title: 'Treatment Plan Sessions Booked! 🎉',
+        message: (timeZone) => `${sessions.length} session(s) from your treatment plan (${bookedTherapies}) are booked with Dr. ${practitioner.fullName}, starting ${formatDateTime(first.startTime, timeZone)}.`,
+        data: { sessionId: first._id, actionUrl: `/treatment-plans/${plan._id}`, priority: 'high' },
+        channels: { email: true, inApp: true, whatsapp: true }
+      }),
+      sendNotification({
+        recipient: practitioner._id,
+        type: 'booking_confirmation',
+        title: 'Treatment Plan Booked',
+        message: (timeZone) => `${sessions.length} session(s) from the plan "${plan.title}" have been booked with you, starting ${formatDateTime(first.startTime, timeZone)}.`,
+        data: { sessionId: first._id, actionUrl: `/treatment-plans/${plan._id}` },
+        channels: { inApp: true, email: true }
+      })
+    ]);
+
+    sessions.forEach(session => {
+      req.io.emit('slotBooked', {
+        sessionId: session._id,
+        practitionerId: practitioner._id,
+        startTime: session.startTime,
+        endTime: session.endTime,
+        therapyId: session.therapy
+      });
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${sessions.length} session(s) booked from the treatment plan`,
+      data: {
+        results,
+        progress: await getPlanProgress(plan)
+      }
+    });
+  } catch (error) {
+    console.error('Book from treatment plan error:', error);
+    sendServerError(res, error, 'Failed to book sessions from treatment plan');
+  }
+};
+
+module.exports = {
+  createTreatmentPlan,
+  getTreatmentPlans,
+  getTreatmentPlanDetails,
+  updateTreatmentPlan,
+  updatePlanGoal,
+  completePlanReview,
+  closeTreatmentPlan,
+  bookFromTreatmentPlan
+};
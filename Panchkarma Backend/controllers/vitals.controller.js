@@ -0,0 +1,267 @@
+// src/controllers/vitalsController.js
+const { validationResult } = require('express-validator');
+const Session = require('../models/session.models');
+const Therapy = require('../models/therapy.models');
+const VitalRange = require('../models/vitalRange.models');
+const { notePhase } = require('../services/clinicalNoteService');
+const {
+  pickMeasurements,
+  recordVitals,
+  getSessionReadings,
+  getVitalsTrend
+} = require('../services/vitalsService');
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+const sendServerError = (res, error, message) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }))
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+  });
+};
+
+/**
+ * Record a set of vitals for a session; out-of-range values alert the practitioner
+ */
+const recordSessionVitals = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const session = await Session.findById(req.params.id).populate(['therapy', 'patient', 'practitioner']);
+    if (!session) {
+      return res.status(404).json({ success: false, message: 'Session not found' });
+    }
+
+    if (session.practitioner._id.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the session\'s practitioner or an admin can record its vitals'
+      });
+    }
+
+    if (['cancelled', 'no-show'].includes(session.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot record vitals for a ${session.status} session`
+      });
+    }
+
+    const measurements = pickMeasurements(req.body);
+    if (Object.keys(measurements).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reading needs at least one measurement'
+      });
+    }
+
+    const reading = await recordVitals(session, {
+      phase: req.body.phase || notePhase(session.status),
+      measurements,
+      takenAt: req.body.takenAt ? new Date(req.body.takenAt) : new Date(),
+      notes: req.body.notes,
+      recordedBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: reading.isAbnormal
+        ? 'Vitals recorded; some values are out of range and the practitioner has been alerted'
+        : 'Vitals recorded',
+      data: { reading }
+    });
+  } catch (error) {
+    console.error('Record vitals error:', error);
+    sendServerError(res, error, 'Failed to record vitals');
+  }
+};
+
+/**
+ * List a session's vital readings in the order they were taken
+ */
+const getSessionVitals = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const session = await Session.findById(req.params.id).select('patient practitioner');
+    if (!session) {
+      return res.status(404).json({ success: false, message: 'Session not found' });
+    }
+
+    const isOwnSession = [session.patient, session.practitioner].some(id => id.toString() === req.user.id);
+    if (!isOwnSession && req.user.role !== 'admin') {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    const readings = await getSessionReadings(session._id);
+
+    res.json({
+      success: true,
+      data: { readings }
+    });
+  } catch (error) {
+    console.error('Get session vitals error:', error);
+    sendServerError(res, error, 'Failed to fetch vitals');
+  }
+};
+
+/**
+ * Get a patient's vitals trend for a course or date range
+ */
+const getPatientVitalsTrend = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const patientId = req.user.role === 'patient' ? req.user.id : req.params.patientId;
+    if (!patientId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Patient ID is required'
+      });
+    }
+
+    const { courseId, from, to } = req.query;
+    const trend = await getVitalsTrend(patientId, { courseId, from, to });
+
+    res.json({
+      success: true,
+      data: { trend }
+    });
+  } catch (error) {
+    console.error('Get vitals trend error:', error);
+    sendServerError(res, error, 'Failed to fetch vitals trend');
+  }
+};
+
+/**
+ * List configured ranges alongside the built-in defaults
+ */
+const listVitalRanges = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const query = { isActive: true };
+    if (req.query.therapyId) query.therapy = req.query.therapyId;
+
+    const ranges = await VitalRange.find(query)
+      .populate('therapy', 'name')
+      .sort({ metric: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        ranges,
+        defaults: VitalRange.DEFAULT_RANGES,
+        metrics: VitalRange.VITAL_METRICS
+      }
+    });
+  } catch (error) {
+    console.error('List vital ranges error:', error);
+    sendServerError(res, error, 'Failed to fetch vital ranges');
+  }
+};
+
+/**
+ * Set the normal range for a metric, clinic-wide or for one therapy and phase (Admin only)
+ */
+const setVitalRange = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { metric, therapyId, phase, min, max } = req.body;
+
+    if (therapyId && !(await Therapy.exists({ _id: therapyId }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Therapy not found'
+      });
+    }
+
+    const scope = { metric, therapy: therapyId || null, phase: phase || null, isActive: true };
+    const range = await VitalRange.findOne(scope) || new VitalRange({
+      metric,
+      therapy: therapyId,
+      phase
+    });
+    range.min = min ?? undefined;
+    range.max = max ?? undefined;
+    range.updatedBy = req.user.id;
+    await range.save();
+
+    res.json({
+      success: true,
+      message: 'Vital range saved',
+      data: { range }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'This range was just changed by someone else. Please try again.'
+      });
+    }
+    console.error('Set vital range error:', error);
+    sendServerError(res, error, 'Failed to save vital range');
+  }
+};
+
+/**
+ * Deactivate a configured range; the next most general range applies again (Admin only)
+ */
+const deactivateVitalRange = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const range = await VitalRange.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false, updatedBy: req.user.id },
+      { new: true }
+    );
+    if (!range) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vital range not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Vital range deactivated',
+      data: { range }
+    });
+  } catch (error) {
+    console.error('Deactivate vital range error:', error);
+    sendServerError(res, error, 'Failed to deactivate vital range');
+  }
+};
+
+module.exports = {
+  recordSessionVitals,
+  getSessionVitals,
+  getPatientVitalsTrend,
+  listVitalRanges,
+  setVitalRange,
+  deactivateVitalRange
+};
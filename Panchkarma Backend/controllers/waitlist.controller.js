@@ -0,0 +1,272 @@
+// src/controllers/waitlistController.js
+const { validationResult } = require('express-validator');
+const WaitlistEntry = require('../models/waitlistEntry.models');
+const SlotHold = require('../models/slotHold.models');
+const User = require('../models/user.models');
+const Therapy = require('../models/therapy.models');
+const { releaseHold } = require('../services/holdService');
+const { findOffering } = require('../services/offeringService');
+const { toDateKey } = require('../utils/timeUtils');
+
+/**
+ * Join the waitlist for a practitioner and therapy within a date window (patients only)
+ */
+const joinWaitlist = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { practitionerId, therapyId, startDate, endDate, notes } = req.body;
+    const patientId = req.user.id;
+
+    if (endDate < startDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'End date must not be before start date'
+      });
+    }
+
+    if (endDate < toDateKey(new Date())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Date window has already passed'
+      });
+    }
+
+    const therapy = await Therapy.findById(therapyId);
+    if (!therapy || !therapy.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Therapy not found or inactive'
+      });
+    }
+
+    const practitioner = await User.findById(practitionerId);
+    if (!practitioner ||
+        practitioner.role !== 'practitioner' ||
+        !practitioner.practitionerInfo.isApproved ||
+        !practitioner.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Practitioner not found, not approved, or inactive'
+      });
+    }
+
+    if (!await findOffering(practitionerId, therapyId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Practitioner does not offer this therapy'
+      });
+    }
+
+    const existing = await WaitlistEntry.findOne({
+      patient: patientId,
+      practitioner: practitionerId,
+      therapy: therapyId,
+      status: { $in: ['waiting', 'offered'] }
+    });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are already on the waitlist for this practitioner and therapy'
+      });
+    }
+
+    const entry = await WaitlistEntry.create({
+      patient: patientId,
+      practitioner: practitionerId,
+      therapy: therapyId,
+      startDate,
+      endDate,
+      notes
+    });
+
+    const position = await WaitlistEntry.countDocuments({
+      practitioner: practitionerId,
+      therapy: therapyId,
+      status: { $in: ['waiting', 'offered'] },
+      createdAt: { $lte: entry.createdAt }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Added to waitlist successfully',
+      data: { entry, position }
+    });
+  } catch (error) {
+    console.error('Join waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to join waitlist',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Get the current patient's waitlist entries with any pending offer
+ */
+const getMyWaitlist = async (req, res) => {
+  try {
+    const { status } = req.query;
+    const query = { patient: req.user.id };
+    if (status) {
+      query.status = status;
+    }
+
+    const entries = await WaitlistEntry.find(query)
+      .populate('therapy', 'name sanskritName duration price')
+      .populate('practitioner', 'profile.firstName profile.lastName')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        entries: entries.map(entry => ({
+          ...entry.toObject(),
+          pendingOffer: entry.status === 'offered'
+            ? entry.offers.find(offer => offer.outcome === 'pending') || null
+            : null
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch waitlist',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Get the waitlist for a practitioner (practitioner themselves or admin)
+ */
+const getPractitionerWaitlist = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (req.user.role !== 'admin' && req.user.id !== id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this waitlist'
+      });
+    }
+
+    const entries = await WaitlistEntry.find({
+      practitioner: id,
+      status: { $in: ['waiting', 'offered'] }
+    })
+    .populate('therapy', 'name duration')
+    .populate('patient', 'profile.firstName profile.lastName profile.phone')
+    .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: { entries }
+    });
+  } catch (error) {
+    console.error('Get practitioner waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch waitlist',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Decline a pending waitlist offer so it goes to the next patient
+ */
+const declineOffer = async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findById(req.params.id);
+
+    if (!entry || entry.patient.toString() !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Waitlist entry not found'
+      });
+    }
+
+    const hold = await SlotHold.findOne({ waitlistEntry: entry._id, status: 'active' });
+    if (entry.status !== 'offered' || !hold) {
+      return res.status(400).json({
+        success: false,
+        message: 'No pending offer on this waitlist entry'
+      });
+    }
+
+    await releaseHold(hold, { outcome: 'declined', io: req.io });
+
+    res.json({
+      success: true,
+      message: 'Offer declined. You remain on the waitlist.'
+    });
+  } catch (error) {
+    console.error('Decline waitlist offer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to decline offer',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Leave the waitlist, releasing any slot currently held for the patient
+ */
+const leaveWaitlist = async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findById(req.params.id);
+
+    if (!entry || entry.patient.toString() !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Waitlist entry not found'
+      });
+    }
+
+    if (!['waiting', 'offered'].includes(entry.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot leave a waitlist entry that is ${entry.status}`
+      });
+    }
+
+    entry.status = 'cancelled';
+    await entry.save();
+
+    const hold = await SlotHold.findOne({ waitlistEntry: entry._id, status: 'active' });
+    if (hold) {
+      await releaseHold(hold, { outcome: 'declined', io: req.io });
+    }
+
+    res.json({
+      success: true,
+      message: 'Removed from waitlist successfully'
+    });
+  } catch (error) {
+    console.error('Leave waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to leave waitlist',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  joinWaitlist,
+  getMyWaitlist,
+  getPractitionerWaitlist,
+  declineOffer,
+  leaveWaitlist
+};
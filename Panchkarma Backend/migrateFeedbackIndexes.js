@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+const Feedback = require('./models/feedbacke.models');
+require('dotenv').config();
+
+// Feedback indexes that the schema no longer declares
+const LEGACY_INDEXES = ['session_1', 'groupSession_1_patient_1'];
+
+const migrateFeedbackIndexes = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/panchakarma');
+    console.log('Connected to MongoDB');
+
+    // The unique `session_1` index counts every group session feedback as a duplicate `session: null`
+    const existing = (await Feedback.collection.indexes()).map(index => index.name);
+    for (const name of LEGACY_INDEXES.filter(index => existing.includes(index))) {
+      await Feedback.collection.dropIndex(name);
+      console.log(`Dropped feedback index ${name}`);
+    }
+
+    // Build the partial indexes the schema declares
+    await Feedback.syncIndexes();
+    console.log('✅ Feedback indexes are up to date');
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Feedback index migration error:', error);
+    process.exit(1);
+  }
+};
+
+if (require.main === module) {
+  migrateFeedbackIndexes();
+}
+
+module.exports = migrateFeedbackIndexes;
@@ -0,0 +1,111 @@
+// src/models/AssessmentQuestionnaire.js
+const mongoose = require('mongoose');
+
+const DOSHAS = ['vata', 'pitta', 'kapha'];
+const ASSESSMENT_TYPES = ['prakriti', 'vikriti']; // birth constitution, current imbalance
+
+const optionSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  scores: {
+    vata: { type: Number, min: 0, default: 0 },
+    pitta: { type: Number, min: 0, default: 0 },
+    kapha: { type: Number, min: 0, default: 0 }
+  }
+}, { _id: false });
+
+const questionSchema = new mongoose.Schema({
+  key: {
+    type: String, // stable id answers refer to, e.g. 'body_frame'
+    required: true,
+    trim: true
+  },
+  text: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  section: String, // e.g. physical, physiological, mental
+  weight: {
+    type: Number,
+    default: 1,
+    min: 0.1,
+    max: 10
+  },
+  required: {
+    type: Boolean,
+    default: true
+  },
+  options: {
+    type: [optionSchema],
+    validate: [options => options.length >= 2, 'A question needs at least two options']
+  }
+}, { _id: false });
+
+const assessmentQuestionnaireSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ASSESSMENT_TYPES,
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  questions: {
+    type: [questionSchema],
+    validate: [questions => questions.length > 0, 'A questionnaire needs at least one question']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+assessmentQuestionnaireSchema.index({ type: 1, version: 1 }, { unique: true });
+
+// Question keys must be unique and every question must count towards some dosha
+assessmentQuestionnaireSchema.pre('validate', function(next) {
+  const seen = new Set();
+  this.questions.forEach(question => {
+    if (seen.has(question.key)) {
+      this.invalidate('questions', `Duplicate question key ${question.key}`);
+    }
+    seen.add(question.key);
+
+    const scoresSomething = question.options.some(option => DOSHAS.some(dosha => option.scores?.[dosha] > 0));
+    if (!scoresSomething) {
+      this.invalidate('questions', `Question ${question.key} does not score any dosha`);
+    }
+  });
+  next();
+});
+
+/**
+ * Get the latest active version of a questionnaire type
+ */
+assessmentQuestionnaireSchema.statics.findCurrent = function(type) {
+  return this.findOne({ type, isActive: true }).sort({ version: -1 });
+};
+
+assessmentQuestionnaireSchema.statics.DOSHAS = DOSHAS;
+assessmentQuestionnaireSchema.statics.ASSESSMENT_TYPES = ASSESSMENT_TYPES;
+
+module.exports = mongoose.model('AssessmentQuestionnaire', assessmentQuestionnaireSchema);
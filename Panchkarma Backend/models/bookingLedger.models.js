@@ -0,0 +1,21 @@
+// src/models/BookingLedger.js
+const mongoose = require('mongoose');
+
+// One document per bookable party or resource. Every booking transaction writes the
+// documents it depends on, so overlapping transactions conflict and are retried.
+const bookingLedgerSchema = new mongoose.Schema({
+  key: {
+    type: String, // e.g. "practitioner:<id>", "patient:<id>", "room:<id>"
+    required: true,
+    unique: true
+  },
+  version: {
+    type: Number,
+    default: 0
+  },
+  lastLockedAt: Date
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('BookingLedger', bookingLedgerSchema);
@@ -0,0 +1,89 @@
+// src/models/CancellationPolicy.js
+const mongoose = require('mongoose');
+const Therapy = require('./therapy.models');
+
+const DEFAULT_CATEGORY = 'default';
+const CANCELLATION_TYPES = ['patient', 'practitioner', 'clinic'];
+
+// The fee charged when a session is cancelled less than `withinHours` before it starts
+const tierSchema = new mongoose.Schema({
+  withinHours: { type: Number, required: true, min: 0 },
+  feePercent: { type: Number, required: true, min: 0, max: 100 }
+}, { _id: false });
+
+const cancellationPolicySchema = new mongoose.Schema({
+  category: {
+    type: String, // a therapy category, or "default" for categories without their own policy
+    required: true,
+    unique: true,
+    enum: [...Therapy.schema.path('category').enumValues, DEFAULT_CATEGORY]
+  },
+  tiers: [tierSchema],
+  gracePeriodMinutes: {
+    type: Number, // cancellations this soon after booking are free
+    default: 0,
+    min: 0
+  },
+  waivers: {
+    practitioner: { type: Boolean, default: true }, // no fee when the practitioner cancels
+    clinic: { type: Boolean, default: true } // no fee when the clinic cancels
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+cancellationPolicySchema.pre('validate', function(next) {
+  const seen = new Set();
+  this.tiers.forEach((tier, index) => {
+    if (seen.has(tier.withinHours)) {
+      this.invalidate(`tiers.${index}.withinHours`, `Duplicate tier for ${tier.withinHours} hours`);
+    }
+    seen.add(tier.withinHours);
+  });
+  this.tiers.sort((a, b) => a.withinHours - b.withinHours);
+  next();
+});
+
+/**
+ * Find the tier for a cancellation made `hoursUntilStart` hours before the session
+ * Tiers are sorted, so the narrowest matching window wins
+ */
+cancellationPolicySchema.methods.findTier = function(hoursUntilStart) {
+  return this.tiers.find(tier => hoursUntilStart < tier.withinHours) || null;
+};
+
+/**
+ * Build the clinic's built-in policy: 50% under 2 hours, 25% under 24 hours
+ */
+cancellationPolicySchema.statics.buildDefault = function() {
+  return new this({
+    category: DEFAULT_CATEGORY,
+    tiers: [
+      { withinHours: 2, feePercent: 50 },
+      { withinHours: 24, feePercent: 25 }
+    ]
+  });
+};
+
+/**
+ * Get the active policy for a therapy category, falling back to the default policy
+ */
+cancellationPolicySchema.statics.findForCategory = async function(category) {
+  const policies = await this.find({ category: { $in: [category, DEFAULT_CATEGORY] }, isActive: true });
+  return policies.find(p => p.category === category) ||
+    policies.find(p => p.category === DEFAULT_CATEGORY) ||
+    this.buildDefault();
+};
+
+cancellationPolicySchema.statics.DEFAULT_CATEGORY = DEFAULT_CATEGORY;
+cancellationPolicySchema.statics.CANCELLATION_TYPES = CANCELLATION_TYPES;
+
+module.exports = mongoose.model('CancellationPolicy', cancellationPolicySchema);
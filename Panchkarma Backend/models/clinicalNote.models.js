@@ -0,0 +1,119 @@
+// src/models/ClinicalNote.js
+const mongoose = require('mongoose');
+
+const SOAP_SECTIONS = ['subjective', 'objective', 'assessment', 'plan'];
+const NOTE_PHASES = ['pre-session', 'during-session', 'post-session'];
+
+const amendmentSchema = new mongoose.Schema({
+  subjective: String,
+  objective: String,
+  assessment: String,
+  plan: String,
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amendedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const clinicalNoteSchema = new mongoose.Schema({
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  },
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  phase: {
+    type: String,
+    enum: NOTE_PHASES,
+    required: true
+  },
+  subjective: String, // what the patient reports
+  objective: String, // what the practitioner observes and measures
+  assessment: String,
+  plan: String,
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NoteTemplate'
+  },
+  amendments: [amendmentSchema]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+clinicalNoteSchema.index({ session: 1, createdAt: 1 });
+clinicalNoteSchema.index({ patient: 1, createdAt: -1 });
+
+clinicalNoteSchema.pre('validate', function(next) {
+  if (this.isNew && !SOAP_SECTIONS.some(section => this[section]?.trim())) {
+    this.invalidate('subjective', 'A clinical note needs at least one SOAP section');
+  }
+  next();
+});
+
+// Notes are append-only: the original text and earlier amendments never change
+const APPEND_ONLY_ERROR = 'Clinical notes are append-only; add an amendment instead';
+
+clinicalNoteSchema.pre('save', function(next) {
+  if (this.isNew) return next();
+
+  const changedOriginal = ['session', 'patient', 'author', 'phase', ...SOAP_SECTIONS]
+    .some(path => this.isModified(path));
+  const rewroteAmendment = this.amendments.some(amendment => !amendment.isNew && amendment.isModified());
+  if (changedOriginal || rewroteAmendment) {
+    return next(new Error(APPEND_ONLY_ERROR));
+  }
+  next();
+});
+
+clinicalNoteSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], function(next) {
+  const update = this.getUpdate() || {};
+  const allowed = { $push: ['amendments'], $set: ['updatedAt'], $setOnInsert: ['createdAt', 'updatedAt'] };
+  const onlyAppends = Object.keys(update).every(operator =>
+    allowed[operator] && Object.keys(update[operator]).every(path => allowed[operator].includes(path))
+  );
+  next(onlyAppends ? undefined : new Error(APPEND_ONLY_ERROR));
+});
+
+clinicalNoteSchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], function(next) {
+  next(new Error('Clinical notes cannot be deleted'));
+});
+
+// The note as it reads now, with each section's latest amendment applied
+clinicalNoteSchema.virtual('current').get(function() {
+  const current = {};
+  SOAP_SECTIONS.forEach(section => {
+    current[section] = this[section];
+  });
+  (this.amendments || []).forEach(amendment => {
+    SOAP_SECTIONS.forEach(section => {
+      if (amendment[section] !== undefined) current[section] = amendment[section];
+    });
+  });
+  return current;
+});
+
+clinicalNoteSchema.statics.SOAP_SECTIONS = SOAP_SECTIONS;
+clinicalNoteSchema.statics.NOTE_PHASES = NOTE_PHASES;
+
+module.exports = mongoose.model('ClinicalNote', clinicalNoteSchema);
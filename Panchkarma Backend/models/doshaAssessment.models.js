@@ -0,0 +1,53 @@
+// src/models/DoshaAssessment.js
+const mongoose = require('mongoose');
+const { ASSESSMENT_TYPES } = require('./assessmentQuestionnaire.models');
+
+const answerSchema = new mongoose.Schema({
+  questionKey: { type: String, required: true },
+  optionIndex: { type: Number, required: true, min: 0 }
+}, { _id: false });
+
+const doshaAssessmentSchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ASSESSMENT_TYPES,
+    required: true
+  },
+  questionnaire: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AssessmentQuestionnaire',
+    required: true
+  },
+  questionnaireVersion: {
+    type: Number,
+    required: true
+  },
+  answers: [answerSchema],
+  scores: {
+    // share of the total score, in percent
+    vata: { type: Number, required: true },
+    pitta: { type: Number, required: true },
+    kapha: { type: Number, required: true }
+  },
+  dominant: {
+    type: String, // e.g. 'vata', 'pitta-kapha' or 'tridoshic'
+    required: true
+  },
+  notes: String,
+  assessedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+doshaAssessmentSchema.index({ patient: 1, type: 1, createdAt: -1 });
+
+module.exports = mongoose.model('DoshaAssessment', doshaAssessmentSchema);
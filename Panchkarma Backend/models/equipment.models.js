@@ -0,0 +1,42 @@
+// src/models/Equipment.js
+const mongoose = require('mongoose');
+
+const equipmentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    unique: true
+  },
+  type: {
+    type: String, // e.g. 'shirodhara_table', 'steam_chamber'
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  quantity: {
+    type: Number, // identical units that can be used at the same time
+    required: true,
+    min: 1,
+    default: 1
+  },
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room'
+  },
+  description: String,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+equipmentSchema.index({ type: 1, isActive: 1 });
+
+module.exports = mongoose.model('Equipment', equipmentSchema);
@@ -0,0 +1,34 @@
+// src/models/ExternalBusyBlock.js
+const mongoose = require('mongoose');
+
+// A busy period imported from an external calendar; replaced on every sync
+const externalBusyBlockSchema = new mongoose.Schema({
+  calendar: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ExternalCalendar',
+    required: true
+  },
+  practitioner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  uid: String, // UID of the source event
+  startTime: {
+    type: Date,
+    required: true
+  },
+  endTime: {
+    type: Date,
+    required: true
+  },
+  syncedAt: {
+    type: Date,
+    required: true
+  }
+});
+
+externalBusyBlockSchema.index({ practitioner: 1, startTime: 1, endTime: 1 });
+externalBusyBlockSchema.index({ calendar: 1, syncedAt: 1 });
+
+module.exports = mongoose.model('ExternalBusyBlock', externalBusyBlockSchema);
@@ -0,0 +1,65 @@
+// src/models/ExternalCalendar.js
+const mongoose = require('mongoose');
+
+const SOURCE_TYPES = ['upload', 'file', 'url'];
+
+// A practitioner's calendar kept outside the clinic, whose busy times block bookings
+const externalCalendarSchema = new mongoose.Schema({
+  practitioner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  sourceType: {
+    type: String,
+    enum: SOURCE_TYPES,
+    required: true
+  },
+  location: {
+    type: String, // file path or URL; unused for uploads
+    trim: true
+  },
+  content: {
+    type: String, // the uploaded .ics, kept so re-syncs can roll the window forward
+    select: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastSyncedAt: Date,
+  lastSyncStatus: {
+    type: String,
+    enum: ['pending', 'success', 'failed'],
+    default: 'pending'
+  },
+  lastSyncError: String,
+  busyCount: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+externalCalendarSchema.index({ practitioner: 1, isActive: 1 });
+
+externalCalendarSchema.pre('validate', function(next) {
+  if (this.sourceType !== 'upload' && !this.location) {
+    this.invalidate('location', 'A file path or URL is required');
+  }
+  next();
+});
+
+externalCalendarSchema.statics.SOURCE_TYPES = SOURCE_TYPES;
+
+module.exports = mongoose.model('ExternalCalendar', externalCalendarSchema);
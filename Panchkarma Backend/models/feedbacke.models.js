@@ -4,8 +4,11 @@ const mongoose = require('mongoose');
 const feedbackSchema = new mongoose.Schema({
   session: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'Session',
-    required: true
+    ref: 'Session'
+  },
+  groupSession: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GroupSession'
   },
   patient: {
     type: mongoose.Schema.Types.ObjectId,
@@ -48,8 +51,25 @@ const feedbackSchema = new mongoose.Schema({
   timestamps: true
 });
 
-feedbackSchema.index({ session: 1 }, { unique: true });
+// One feedback per session, and per patient in a group session. The indexes only cover feedback
+// of their own kind; databases with the old `session_1` index need `npm run migrate:feedback-indexes`.
+feedbackSchema.index(
+  { session: 1 },
+  { unique: true, name: 'session_unique', partialFilterExpression: { session: { $exists: true } } }
+);
+feedbackSchema.index(
+  { groupSession: 1, patient: 1 },
+  { unique: true, name: 'groupSession_patient_unique', partialFilterExpression: { groupSession: { $exists: true } } }
+);
 feedbackSchema.index({ patient: 1, createdAt: -1 });
 feedbackSchema.index({ practitioner: 1, createdAt: -1 });
 
+// Feedback is about either a one-to-one session or the patient's place in a group session
+feedbackSchema.pre('validate', function(next) {
+  if (!this.session === !this.groupSession) {
+    this.invalidate('session', 'Feedback must be for either a session or a group session');
+  }
+  next();
+});
+
 module.exports = mongoose.model('Feedback', feedbackSchema);
\ No newline at end of file
@@ -0,0 +1,139 @@
+// src/models/GroupSession.js
+const mongoose = require('mongoose');
+
+const attendeeSchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['enrolled', 'attended', 'no-show', 'cancelled'],
+    default: 'enrolled'
+  },
+  enrolledAt: { type: Date, default: Date.now },
+  enrolledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  fromWaitlist: { type: Boolean, default: false },
+  cancelledAt: Date,
+  cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  attendanceMarkedAt: Date,
+  attendanceMarkedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { _id: false });
+
+const waitlistSchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  joinedAt: { type: Date, default: Date.now },
+  addedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { _id: false });
+
+const groupSessionSchema = new mongoose.Schema({
+  therapy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Therapy',
+    required: true
+  },
+  practitioner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  scheduledDate: {
+    type: Date,
+    required: true
+  },
+  startTime: {
+    type: Date,
+    required: true
+  },
+  endTime: {
+    type: Date,
+    required: true
+  },
+  capacity: {
+    type: Number,
+    required: true,
+    min: 2,
+    max: 100
+  },
+  price: {
+    type: Number, // per attendee
+    required: true,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'in-progress', 'completed', 'cancelled'],
+    default: 'scheduled'
+  },
+  resources: {
+    room: { type: mongoose.Schema.Types.ObjectId, ref: 'Room' },
+    equipment: [{
+      item: { type: mongoose.Schema.Types.ObjectId, ref: 'Equipment' },
+      quantity: { type: Number, default: 1 }
+    }]
+  },
+  attendees: [attendeeSchema],
+  waitlist: [waitlistSchema],
+  actualStartTime: Date,
+  actualEndTime: Date,
+  cancellationReason: String,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+groupSessionSchema.index({ practitioner: 1, startTime: 1 });
+groupSessionSchema.index({ startTime: 1, endTime: 1 });
+groupSessionSchema.index({ 'attendees.patient': 1, startTime: 1 });
+groupSessionSchema.index({ 'resources.room': 1, startTime: 1 });
+groupSessionSchema.index({ therapy: 1, status: 1, startTime: 1 });
+
+groupSessionSchema.pre('validate', function(next) {
+  if (this.startTime && this.endTime && this.startTime >= this.endTime) {
+    this.invalidate('endTime', 'End time must be after start time');
+  }
+  next();
+});
+
+// Attendees holding a place (everyone except those who cancelled)
+groupSessionSchema.virtual('enrolledCount').get(function() {
+  return (this.attendees || []).filter(a => a.status !== 'cancelled').length;
+});
+
+groupSessionSchema.virtual('spotsLeft').get(function() {
+  return Math.max(this.capacity - this.enrolledCount, 0);
+});
+
+/**
+ * Find a patient's place in the group, ignoring cancelled enrolments
+ */
+groupSessionSchema.methods.findAttendee = function(patientId) {
+  return this.attendees.find(a => a.patient.toString() === patientId.toString() && a.status !== 'cancelled') || null;
+};
+
+groupSessionSchema.methods.findWaitlistIndex = function(patientId) {
+  return this.waitlist.findIndex(w => w.patient.toString() === patientId.toString());
+};
+
+module.exports = mongoose.model('GroupSession', groupSessionSchema);
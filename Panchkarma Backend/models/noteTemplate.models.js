@@ -0,0 +1,55 @@
+// src/models/NoteTemplate.js
+const mongoose = require('mongoose');
+
+const sectionSchema = new mongoose.Schema({
+  prompts: [String], // questions to cover, shown beside the section
+  defaultText: String // pre-filled into a new note
+}, { _id: false });
+
+const noteTemplateSchema = new mongoose.Schema({
+  therapy: {
+    type: mongoose.Schema.Types.ObjectId, // unset for the general template used by any therapy
+    ref: 'Therapy'
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  subjective: sectionSchema,
+  objective: sectionSchema,
+  assessment: sectionSchema,
+  plan: sectionSchema,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// One active template per therapy, and one general template
+noteTemplateSchema.index(
+  { therapy: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+/**
+ * Find the active template for a therapy, falling back to the general template
+ */
+noteTemplateSchema.statics.findForTherapy = async function(therapyId) {
+  const templates = await this.find({
+    isActive: true,
+    $or: [{ therapy: therapyId }, { therapy: null }]
+  });
+  return templates.find(t => t.therapy?.toString() === therapyId.toString()) ||
+    templates.find(t => !t.therapy) ||
+    null;
+};
+
+module.exports = mongoose.model('NoteTemplate', noteTemplateSchema);
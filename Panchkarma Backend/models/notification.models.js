@@ -18,7 +18,11 @@ const notificationSchema = new mongoose.Schema({
       'feedback_request',
       'practitioner_approved',
       'payment_due',
-      'treatment_complete'
+      'treatment_complete',
+      'patient_arrived',
+      'queue_called',
+      'vitals_alert',
+      'treatment_plan'
     ],
     required: true
   },
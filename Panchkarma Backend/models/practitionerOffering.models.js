@@ -0,0 +1,35 @@
+// src/models/PractitionerOffering.js
+const mongoose = require('mongoose');
+
+// A therapy a practitioner offers, with optional overrides of the therapy's price and duration
+const practitionerOfferingSchema = new mongoose.Schema({
+  practitioner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  therapy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Therapy',
+    required: true
+  },
+  price: {
+    type: Number, // falls back to the therapy's price when unset
+    min: 0
+  },
+  duration: {
+    type: Number, // in minutes; falls back to the therapy's duration when unset
+    min: 15
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+practitionerOfferingSchema.index({ practitioner: 1, therapy: 1 }, { unique: true });
+practitionerOfferingSchema.index({ therapy: 1, isActive: 1 });
+
+module.exports = mongoose.model('PractitionerOffering', practitionerOfferingSchema);
@@ -0,0 +1,184 @@
+// src/models/PractitionerSchedule.js
+const mongoose = require('mongoose');
+const { TIME_PATTERN, DATE_PATTERN, DAYS_OF_WEEK, timeToMinutes, getDayOfWeek } = require('../utils/timeUtils');
+
+const timeSlotSchema = new mongoose.Schema({
+  startTime: {
+    type: String,
+    required: true,
+    match: [TIME_PATTERN, 'Start time must be in HH:mm format']
+  },
+  endTime: {
+    type: String,
+    required: true,
+    match: [TIME_PATTERN, 'End time must be in HH:mm format']
+  },
+  isActive: { type: Boolean, default: true }
+}, { _id: false });
+
+const dayScheduleSchema = new mongoose.Schema({
+  isAvailable: { type: Boolean, default: false },
+  timeSlots: [timeSlotSchema]
+}, { _id: false });
+
+const exceptionSchema = new mongoose.Schema({
+  date: {
+    type: String, // YYYY-MM-DD
+    required: true,
+    match: [DATE_PATTERN, 'Exception date must be in YYYY-MM-DD format']
+  },
+  isAvailable: { type: Boolean, default: false },
+  timeSlots: [timeSlotSchema],
+  reason: { type: String, trim: true }
+}, { _id: false });
+
+// Limits on patients moving their own sessions; practitioners and admins are not bound by them
+const reschedulePolicySchema = new mongoose.Schema({
+  maxReschedules: { type: Number, default: 3, min: 0 }, // per session
+  minNoticeHours: { type: Number, default: 24, min: 0 }, // before the current start time
+  freeReschedules: { type: Number, default: 1, min: 0 },
+  fee: { type: Number, default: 0, min: 0 }, // charged for each reschedule after the free ones
+  requireApproval: { type: Boolean, default: false } // patients' moves wait for the practitioner
+}, { _id: false });
+
+const weeklySchedule = DAYS_OF_WEEK.reduce((acc, day) => {
+  acc[day] = { type: dayScheduleSchema, default: () => ({}) };
+  return acc;
+}, {});
+
+const practitionerScheduleSchema = new mongoose.Schema({
+  practitioner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  weeklySchedule,
+  exceptions: [exceptionSchema],
+  defaultSlotDuration: {
+    type: Number, // in minutes
+    default: 60,
+    min: 15,
+    max: 240
+  },
+  bufferTime: {
+    type: Number, // in minutes, kept free between sessions
+    default: 15,
+    min: 0,
+    max: 120
+  },
+  advanceBookingDays: {
+    type: Number,
+    default: 30,
+    min: 1,
+    max: 365
+  },
+  reschedulePolicy: {
+    type: reschedulePolicySchema,
+    default: () => ({})
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  versionKey: 'version',
+  optimisticConcurrency: true
+});
+
+// Time slots within a day must be well-formed and must not overlap
+const validateTimeSlots = (doc, path, timeSlots) => {
+  const slots = (timeSlots || [])
+    .filter(slot => TIME_PATTERN.test(slot.startTime) && TIME_PATTERN.test(slot.endTime))
+    .map(slot => ({ start: timeToMinutes(slot.startTime), end: timeToMinutes(slot.endTime) }));
+
+  slots.forEach((slot, index) => {
+    if (slot.start >= slot.end) {
+      doc.invalidate(`${path}.${index}`, 'Time slot end time must be after start time');
+    }
+  });
+
+  slots.sort((a, b) => a.start - b.start);
+  for (let i = 1; i < slots.length; i++) {
+    if (slots[i].start < slots[i - 1].end) {
+      doc.invalidate(path, 'Time slots must not overlap');
+      break;
+    }
+  }
+};
+
+practitionerScheduleSchema.pre('validate', function(next) {
+  DAYS_OF_WEEK.forEach(day => {
+    validateTimeSlots(this, `weeklySchedule.${day}.timeSlots`, this.weeklySchedule[day]?.timeSlots);
+  });
+
+  const seenDates = new Set();
+  this.exceptions.forEach((exception, index) => {
+    if (seenDates.has(exception.date)) {
+      this.invalidate(`exceptions.${index}.date`, `Duplicate exception for ${exception.date}`);
+    }
+    seenDates.add(exception.date);
+    validateTimeSlots(this, `exceptions.${index}.timeSlots`, exception.timeSlots);
+  });
+
+  next();
+});
+
+/**
+ * Resolve the working hours for a "YYYY-MM-DD" date, letting exceptions override the weekly pattern
+ */
+practitionerScheduleSchema.methods.getDaySchedule = function(dateKey) {
+  const exception = this.exceptions.find(e => e.date === dateKey);
+  if (exception) {
+    return {
+      source: 'exception',
+      isAvailable: exception.isAvailable,
+      timeSlots: exception.isAvailable ? exception.timeSlots.filter(slot => slot.isActive) : [],
+      reason: exception.reason
+    };
+  }
+
+  const daySchedule = this.weeklySchedule[getDayOfWeek(dateKey)];
+  return {
+    source: 'weekly',
+    isAvailable: daySchedule.isAvailable,
+    timeSlots: daySchedule.isAvailable ? daySchedule.timeSlots.filter(slot => slot.isActive) : []
+  };
+};
+
+/**
+ * Build the clinic's default schedule (weekdays 09:00-17:00) for a practitioner without one
+ */
+practitionerScheduleSchema.statics.buildDefault = function(practitionerId) {
+  const workingDay = { isAvailable: true, timeSlots: [{ startTime: '09:00', endTime: '17:00', isActive: true }] };
+  const dayOff = { isAvailable: false, timeSlots: [] };
+
+  return new this({
+    practitioner: practitionerId,
+    weeklySchedule: {
+      monday: workingDay,
+      tuesday: workingDay,
+      wednesday: workingDay,
+      thursday: workingDay,
+      friday: workingDay,
+      saturday: dayOff,
+      sunday: dayOff
+    },
+    exceptions: []
+  });
+};
+
+/**
+ * Get a practitioner's stored schedule, falling back to the unsaved default
+ */
+practitionerScheduleSchema.statics.findOrDefault = async function(practitionerId) {
+  const schedule = await this.findOne({ practitioner: practitionerId });
+  return schedule || this.buildDefault(practitionerId);
+};
+
+module.exports = mongoose.model('PractitionerSchedule', practitionerScheduleSchema);
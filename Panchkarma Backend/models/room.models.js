@@ -0,0 +1,33 @@
+// src/models/Room.js
+const mongoose = require('mongoose');
+
+const roomSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    unique: true
+  },
+  type: {
+    type: String, // e.g. 'abhyanga', 'shirodhara', 'steam', 'consultation'
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  description: String,
+  floor: String,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+roomSchema.index({ type: 1, isActive: 1 });
+
+module.exports = mongoose.model('Room', roomSchema);
@@ -0,0 +1,146 @@
+// src/models/ScheduleBlock.js
+const mongoose = require('mongoose');
+const { toDateKey, toTimeKey, combineDateAndTime, addDaysToDateKey } = require('../utils/timeUtils');
+
+const RECURRENCE_DAYS = {
+  daily: 1,
+  weekly: 7
+};
+
+const RECURRENCE_PERIODS = {
+  daily: RECURRENCE_DAYS.daily * 24 * 60 * 60 * 1000,
+  weekly: RECURRENCE_DAYS.weekly * 24 * 60 * 60 * 1000
+};
+
+const scheduleBlockSchema = new mongoose.Schema({
+  practitioner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['block', 'leave'],
+    default: 'block'
+  },
+  startTime: {
+    type: Date,
+    required: true
+  },
+  endTime: {
+    type: Date,
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  recurrence: {
+    frequency: { type: String, enum: ['none', 'daily', 'weekly'], default: 'none' },
+    until: Date
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  removedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  removedAt: Date
+}, {
+  timestamps: true
+});
+
+scheduleBlockSchema.index({ practitioner: 1, isActive: 1, startTime: 1 });
+scheduleBlockSchema.index({ practitioner: 1, type: 1, startTime: -1 });
+
+scheduleBlockSchema.pre('validate', function(next) {
+  if (this.startTime && this.endTime && this.startTime >= this.endTime) {
+    this.invalidate('endTime', 'End time must be after start time');
+  }
+
+  const frequency = this.recurrence?.frequency || 'none';
+  if (frequency !== 'none') {
+    if (this.type === 'leave') {
+      this.invalidate('recurrence.frequency', 'Leave periods cannot recur');
+    } else if (this.endTime - this.startTime >= RECURRENCE_PERIODS[frequency]) {
+      this.invalidate('recurrence.frequency', `A ${frequency} block must be shorter than its recurrence interval`);
+    }
+    if (this.recurrence.until && this.recurrence.until < this.startTime) {
+      this.invalidate('recurrence.until', 'Recurrence end must be after the first occurrence');
+    }
+  }
+
+  next();
+});
+
+/**
+ * Expand the block into concrete periods that overlap the given range
+ * Repeats keep the first occurrence's clinic wall-clock time across daylight saving changes
+ */
+scheduleBlockSchema.methods.getOccurrences = function(rangeStart, rangeEnd) {
+  const frequency = this.recurrence?.frequency || 'none';
+  const from = new Date(rangeStart).getTime();
+  const to = new Date(rangeEnd).getTime();
+  const start = this.startTime.getTime();
+  const duration = this.endTime.getTime() - start;
+
+  if (frequency === 'none') {
+    return start < to && start + duration > from
+      ? [{ startTime: this.startTime, endTime: this.endTime }]
+      : [];
+  }
+
+  const period = RECURRENCE_PERIODS[frequency];
+  const until = this.recurrence.until ? this.recurrence.until.getTime() : Infinity;
+  const firstDateKey = toDateKey(this.startTime);
+  const wallTime = toTimeKey(this.startTime);
+  const occurrenceAt = (index) => {
+    return combineDateAndTime(addDaysToDateKey(firstDateKey, index * RECURRENCE_DAYS[frequency]), wallTime).getTime();
+  };
+  const occurrences = [];
+
+  // Start one repeat early, since a daylight saving change can shift occurrences by an hour
+  let index = Math.max(0, Math.floor((from - start - duration) / period) - 1);
+  for (let occurrenceStart = occurrenceAt(index);
+    occurrenceStart < to && occurrenceStart <= until;
+    occurrenceStart = occurrenceAt(++index)) {
+    if (occurrenceStart + duration > from) {
+      occurrences.push({
+        startTime: new Date(occurrenceStart),
+        endTime: new Date(occurrenceStart + duration)
+      });
+    }
+  }
+
+  return occurrences;
+};
+
+/**
+ * Find active blocks for a practitioner that may overlap the given range
+ */
+scheduleBlockSchema.statics.findActiveInRange = function(practitionerId, rangeStart, rangeEnd) {
+  return this.find({
+    practitioner: practitionerId,
+    isActive: true,
+    startTime: { $lt: rangeEnd },
+    $or: [
+      { 'recurrence.frequency': 'none', endTime: { $gt: rangeStart } },
+      {
+        'recurrence.frequency': { $in: ['daily', 'weekly'] },
+        $or: [
+          { 'recurrence.until': { $exists: false } },
+          { 'recurrence.until': null },
+          { 'recurrence.until': { $gte: new Date(new Date(rangeStart).getTime() - RECURRENCE_PERIODS.weekly) } }
+        ]
+      }
+    ]
+  }).sort({ startTime: 1 });
+};
+
+module.exports = mongoose.model('ScheduleBlock', scheduleBlockSchema);
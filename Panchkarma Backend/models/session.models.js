@@ -1,6 +1,14 @@
 // src/models/Session.js
 const mongoose = require('mongoose');
 
+const safetyIssueSchema = new mongoose.Schema({
+  therapy: String,
+  field: String,
+  term: String,
+  matched: String, // the patient's recorded condition, allergy or medication
+  message: String
+}, { _id: false });
+
 const sessionSchema = new mongoose.Schema({
   therapy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -17,6 +25,28 @@ const sessionSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TreatmentCourse'
+  },
+  courseStep: {
+    order: Number,
+    phase: { type: String, enum: ['purvakarma', 'pradhanakarma', 'paschatkarma'] },
+    dayOffset: Number
+  },
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SessionSeries'
+  },
+  seriesIndex: Number, // 0-based position in the series
+  treatmentPlan: {
+    type: mongoose.Schema.Types.ObjectId, // the plan the session was booked from
+    ref: 'TreatmentPlan'
+  },
+  bookedBy: {
+    type: mongoose.Schema.Types.ObjectId, // the patient, or the staff member who booked for them
+    ref: 'User'
+  },
   scheduledDate: {
     type: Date,
     required: true
@@ -34,17 +64,73 @@ const sessionSchema = new mongoose.Schema({
     enum: ['scheduled', 'confirmed', 'in-progress', 'completed', 'cancelled', 'no-show'],
     default: 'scheduled'
   },
+  arrivedAt: Date, // when the patient checked in at the front desk
+  checkedInBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actualStartTime: Date,
+  actualEndTime: Date,
+  resources: {
+    room: { type: mongoose.Schema.Types.ObjectId, ref: 'Room' },
+    equipment: [{
+      item: { type: mongoose.Schema.Types.ObjectId, ref: 'Equipment' },
+      quantity: { type: Number, default: 1 }
+    }]
+  },
   cancellationReason: String,
   cancelledBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
   cancelledAt: Date,
+  cancellationType: {
+    type: String,
+    enum: ['patient', 'practitioner', 'clinic']
+  },
+  cancellationFee: {
+    type: Number,
+    min: 0
+  },
+  refundAmount: {
+    type: Number,
+    min: 0
+  },
+  cancellationPolicy: {
+    policy: { type: mongoose.Schema.Types.ObjectId, ref: 'CancellationPolicy' },
+    category: String,
+    feePercent: Number,
+    waiver: { type: String, enum: ['practitioner', 'clinic', 'grace_period'] }
+  },
+  safetyCheck: {
+    warnings: [safetyIssueSchema],
+    blocks: [safetyIssueSchema],
+    checkedAt: Date,
+    override: {
+      by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      justification: String,
+      at: Date
+    }
+  },
   notes: {
+    // booking-time notes; clinical notes are kept as ClinicalNote records
     preSession: String,
     duringSession: String,
-    postSession: String
+    postSession: String,
+    preferences: String
   },
+  complications: [{
+    description: { type: String, required: true },
+    severity: { type: String, enum: ['mild', 'moderate', 'severe'], default: 'mild' },
+    actionTaken: String,
+    recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    recordedAt: { type: Date, default: Date.now }
+  }],
+  recommendations: [{
+    text: { type: String, required: true },
+    recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    recordedAt: { type: Date, default: Date.now }
+  }],
   vitals: {
     bloodPressure: {
       systolic: Number,
@@ -52,8 +138,11 @@ const sessionSchema = new mongoose.Schema({
     },
     heartRate: Number,
     temperature: Number,
+    respiratoryRate: Number,
+    oxygenSaturation: Number,
     weight: Number,
-    recordedAt: Date
+    recordedAt: Date, // the latest of the session's vital readings
+    recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
   },
   symptoms: {
     before: [String],
@@ -69,6 +158,41 @@ const sessionSchema = new mongoose.Schema({
     enum: ['pending', 'paid', 'refunded'],
     default: 'pending'
   },
+  rescheduleHistory: [{
+    originalStart: Date,
+    originalEnd: Date,
+    newStart: Date,
+    newEnd: Date,
+    reason: String,
+    fee: { type: Number, default: 0 },
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    rescheduledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    rescheduledAt: Date
+  }],
+  rescheduleRequests: [{
+    requestedStart: { type: Date, required: true },
+    requestedEnd: { type: Date, required: true },
+    reason: String,
+    fee: { type: Number, default: 0 },
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'declined', 'withdrawn', 'expired'],
+      default: 'pending'
+    },
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    submittedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // differs from requestedBy when the front desk asked for the patient
+    requestedAt: { type: Date, default: Date.now },
+    respondedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    respondedAt: Date,
+    responseNote: String
+  }],
+  reassignmentHistory: [{
+    fromPractitioner: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    toPractitioner: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reason: String,
+    reassignedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reassignedAt: Date
+  }],
   reminders: {
     sent24h: { type: Boolean, default: false },
     sent2h: { type: Boolean, default: false },
@@ -82,7 +206,14 @@ const sessionSchema = new mongoose.Schema({
 sessionSchema.index({ patient: 1, scheduledDate: -1 });
 sessionSchema.index({ practitioner: 1, scheduledDate: -1 });
 sessionSchema.index({ status: 1, scheduledDate: 1 });
+sessionSchema.index({ course: 1, startTime: 1 });
+sessionSchema.index({ series: 1, seriesIndex: 1 });
+sessionSchema.index({ treatmentPlan: 1, therapy: 1 });
 sessionSchema.index({ startTime: 1, endTime: 1 });
+sessionSchema.index({ 'resources.room': 1, startTime: 1 });
+sessionSchema.index({ 'resources.equipment.item': 1, startTime: 1 });
+sessionSchema.index({ practitioner: 1, 'rescheduleRequests.status': 1 });
+sessionSchema.index({ arrivedAt: 1, status: 1 });
 
 // Validate session timing
 sessionSchema.pre('save', function(next) {
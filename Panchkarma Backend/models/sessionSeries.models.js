@@ -0,0 +1,94 @@
+// src/models/SessionSeries.js
+const mongoose = require('mongoose');
+const { TIME_PATTERN, DATE_PATTERN } = require('../utils/timeUtils');
+
+const MAX_OCCURRENCES = 52;
+
+const sessionSeriesSchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  practitioner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  therapy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Therapy',
+    required: true
+  },
+  startDate: {
+    type: String, // YYYY-MM-DD of the first occurrence
+    required: true,
+    match: [DATE_PATTERN, 'Start date must be in YYYY-MM-DD format']
+  },
+  startTime: {
+    type: String, // HH:mm
+    required: true,
+    match: [TIME_PATTERN, 'Start time must be in HH:mm format']
+  },
+  recurrence: {
+    frequency: {
+      type: String,
+      enum: ['weekly', 'every_n_days'],
+      required: true
+    },
+    interval: {
+      type: Number, // weeks for weekly, days for every_n_days
+      default: 1,
+      min: 1,
+      max: 90
+    },
+    until: {
+      type: String, // YYYY-MM-DD, inclusive
+      match: [DATE_PATTERN, 'End date must be in YYYY-MM-DD format']
+    },
+    count: {
+      type: Number,
+      min: 1,
+      max: MAX_OCCURRENCES
+    }
+  },
+  sessions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session'
+  }],
+  skippedOccurrences: [{
+    index: Number,
+    date: String,
+    reason: String
+  }],
+  status: {
+    type: String,
+    enum: ['active', 'cancelled', 'completed'],
+    default: 'active'
+  },
+  notes: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+sessionSeriesSchema.index({ patient: 1, status: 1 });
+sessionSeriesSchema.index({ practitioner: 1, status: 1 });
+
+sessionSeriesSchema.pre('validate', function(next) {
+  const { until, count } = this.recurrence || {};
+  if (!until && !count) {
+    this.invalidate('recurrence', 'Recurrence needs an end date or a count');
+  }
+  if (until && this.startDate && until < this.startDate) {
+    this.invalidate('recurrence.until', 'End date must not be before the first occurrence');
+  }
+  next();
+});
+
+sessionSeriesSchema.statics.MAX_OCCURRENCES = MAX_OCCURRENCES;
+
+module.exports = mongoose.model('SessionSeries', sessionSeriesSchema);
@@ -0,0 +1,77 @@
+// src/models/SlotHold.js
+const mongoose = require('mongoose');
+
+const slotHoldSchema = new mongoose.Schema({
+  practitioner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  therapy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Therapy',
+    required: true
+  },
+  holder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User', // patient the slot is reserved for
+    required: true
+  },
+  startTime: {
+    type: Date,
+    required: true
+  },
+  endTime: {
+    type: Date,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'converted', 'released', 'expired'],
+    default: 'active'
+  },
+  source: {
+    type: String,
+    enum: ['booking', 'waitlist'], // booking: held while the patient completes checkout
+    default: 'booking'
+  },
+  waitlistEntry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WaitlistEntry'
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session' // booking the hold was turned into
+  },
+  releasedAt: Date
+}, {
+  timestamps: true
+});
+
+slotHoldSchema.index({ practitioner: 1, status: 1, startTime: 1 });
+slotHoldSchema.index({ status: 1, expiresAt: 1 });
+slotHoldSchema.index({ holder: 1, status: 1 });
+
+/**
+ * Find unexpired holds on a practitioner's time overlapping a range
+ * `paddingMs` widens the range on both sides, e.g. for the practitioner's buffer
+ */
+slotHoldSchema.statics.findActiveOverlapping = function(practitionerId, startTime, endTime, { excludeHolderId = null, paddingMs = 0 } = {}) {
+  const query = {
+    practitioner: practitionerId,
+    status: 'active',
+    expiresAt: { $gt: new Date() },
+    startTime: { $lt: new Date(new Date(endTime).getTime() + paddingMs) },
+    endTime: { $gt: new Date(new Date(startTime).getTime() - paddingMs) }
+  };
+  if (excludeHolderId) {
+    query.holder = { $ne: excludeHolderId };
+  }
+  return this.find(query).sort({ startTime: 1 });
+};
+
+module.exports = mongoose.model('SlotHold', slotHoldSchema);
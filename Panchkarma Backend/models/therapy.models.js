@@ -34,9 +34,29 @@ const therapySchema = new mongoose.Schema({
   benefits: [String],
   indications: [String],
   contraindications: [String],
+  safetyRules: [{
+    field: {
+      type: String, // which part of the patient's health history the rule reads
+      enum: ['medicalConditions', 'allergies', 'medications'],
+      required: true
+    },
+    term: { type: String, required: true, trim: true },
+    severity: { type: String, enum: ['warning', 'block'], default: 'warning' },
+    message: String
+  }],
   preInstructions: [String],
   postInstructions: [String],
   requiredEquipment: [String],
+  resourceRequirements: {
+    room: {
+      required: { type: Boolean, default: false },
+      types: [{ type: String, trim: true, lowercase: true }] // any room type when empty
+    },
+    equipment: [{
+      type: { type: String, required: true, trim: true, lowercase: true },
+      quantity: { type: Number, default: 1, min: 1 }
+    }]
+  },
   difficulty: {
     type: String,
     enum: ['beginner', 'intermediate', 'advanced'],
@@ -0,0 +1,64 @@
+// src/models/TreatmentCourse.js
+const mongoose = require('mongoose');
+
+const treatmentCourseSchema = new mongoose.Schema({
+  protocol: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TreatmentProtocol',
+    required: true
+  },
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  practitioner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  startDate: {
+    type: String, // YYYY-MM-DD
+    required: true
+  },
+  endDate: {
+    type: String, // YYYY-MM-DD
+    required: true
+  },
+  preferredTime: {
+    type: String, // HH:mm, used for steps without their own preferred time
+    default: '09:00'
+  },
+  sessions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session'
+  }],
+  status: {
+    type: String,
+    enum: ['scheduled', 'in-progress', 'completed', 'cancelled'],
+    default: 'scheduled'
+  },
+  totalPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  cancellationReason: String,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+treatmentCourseSchema.index({ patient: 1, startDate: -1 });
+treatmentCourseSchema.index({ practitioner: 1, startDate: -1 });
+treatmentCourseSchema.index({ status: 1 });
+
+module.exports = mongoose.model('TreatmentCourse', treatmentCourseSchema);
@@ -0,0 +1,175 @@
+// src/models/TreatmentPlan.js
+const mongoose = require('mongoose');
+const SessionSeries = require('./sessionSeries.models');
+const { DATE_PATTERN, TIME_PATTERN } = require('../utils/timeUtils');
+
+const PLAN_STATUSES = ['active', 'completed', 'cancelled'];
+const GOAL_STATUSES = ['open', 'achieved', 'not-achieved'];
+
+// A recommended therapy and how often it should be given
+const planTherapySchema = new mongoose.Schema({
+  therapy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Therapy',
+    required: true
+  },
+  recurrence: {
+    frequency: {
+      type: String,
+      enum: ['weekly', 'every_n_days'],
+      required: true
+    },
+    interval: {
+      type: Number, // weeks for weekly, days for every_n_days
+      default: 1,
+      min: 1,
+      max: 90
+    }
+  },
+  sessions: {
+    type: Number, // how many sessions are recommended in total
+    required: true,
+    min: 1,
+    max: SessionSeries.MAX_OCCURRENCES
+  },
+  preferredTime: {
+    type: String, // HH:mm, used when booking from the plan
+    match: [TIME_PATTERN, 'Preferred time must be in HH:mm format']
+  },
+  notes: String
+});
+
+// A herbal medicine or formulation, e.g. Triphala churna 5g at bedtime with warm water
+const prescriptionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  dosage: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  timing: String, // e.g. "after meals"
+  anupana: String, // the vehicle it is taken with
+  durationDays: {
+    type: Number,
+    min: 1
+  },
+  notes: String
+});
+
+const goalSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  targetDate: {
+    type: String, // YYYY-MM-DD
+    match: [DATE_PATTERN, 'Target date must be in YYYY-MM-DD format']
+  },
+  status: {
+    type: String,
+    enum: GOAL_STATUSES,
+    default: 'open'
+  },
+  note: String,
+  closedAt: Date
+});
+
+const reviewSchema = new mongoose.Schema({
+  dueDate: {
+    type: String, // YYYY-MM-DD
+    required: true,
+    match: [DATE_PATTERN, 'Review date must be in YYYY-MM-DD format']
+  },
+  completedAt: Date,
+  completedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  notes: String
+});
+
+const treatmentPlanSchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  practitioner: {
+    type: mongoose.Schema.Types.ObjectId, // the author, who gives the plan's therapies
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  summary: String,
+  startDate: {
+    type: String, // YYYY-MM-DD
+    required: true,
+    match: [DATE_PATTERN, 'Start date must be in YYYY-MM-DD format']
+  },
+  endDate: {
+    type: String, // YYYY-MM-DD
+    match: [DATE_PATTERN, 'End date must be in YYYY-MM-DD format']
+  },
+  therapies: [planTherapySchema],
+  diet: {
+    pathya: [String], // foods and habits to favour
+    apathya: [String] // foods and habits to avoid
+  },
+  lifestyle: [String],
+  prescriptions: [prescriptionSchema],
+  goals: [goalSchema],
+  reviews: [reviewSchema],
+  status: {
+    type: String,
+    enum: PLAN_STATUSES,
+    default: 'active'
+  },
+  closedAt: Date,
+  closedReason: String
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+treatmentPlanSchema.index({ patient: 1, status: 1 });
+treatmentPlanSchema.index({ practitioner: 1, status: 1 });
+
+treatmentPlanSchema.pre('validate', function(next) {
+  const seen = new Set();
+  this.therapies.forEach((item, index) => {
+    const key = item.therapy?.toString();
+    if (seen.has(key)) {
+      this.invalidate(`therapies.${index}.therapy`, 'A therapy can only be listed once in a plan');
+    }
+    seen.add(key);
+  });
+
+  if (this.endDate && this.startDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date must not be before the start date');
+  }
+  next();
+});
+
+/**
+ * The earliest review that has not been held yet
+ */
+treatmentPlanSchema.virtual('nextReview').get(function() {
+  return (this.reviews || [])
+    .filter(review => !review.completedAt)
+    .sort((a, b) => a.dueDate.localeCompare(b.dueDate))[0] || null;
+});
+
+treatmentPlanSchema.statics.PLAN_STATUSES = PLAN_STATUSES;
+treatmentPlanSchema.statics.GOAL_STATUSES = GOAL_STATUSES;
+
+module.exports = mongoose.model('TreatmentPlan', treatmentPlanSchema);
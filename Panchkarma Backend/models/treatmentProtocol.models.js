@@ -0,0 +1,104 @@
+// src/models/TreatmentProtocol.js
+const mongoose = require('mongoose');
+const { TIME_PATTERN } = require('../utils/timeUtils');
+
+const PHASES = ['purvakarma', 'pradhanakarma', 'paschatkarma'];
+
+const protocolStepSchema = new mongoose.Schema({
+  order: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  phase: {
+    type: String,
+    enum: PHASES,
+    required: true
+  },
+  therapy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Therapy',
+    required: true
+  },
+  dayOffset: {
+    type: Number, // days after the course start, 0 = first day
+    required: true,
+    min: 0
+  },
+  preferredTime: {
+    type: String,
+    match: [TIME_PATTERN, 'Preferred time must be in HH:mm format']
+  },
+  minGapDays: {
+    type: Number, // minimum days after the previous step
+    default: 0,
+    min: 0
+  },
+  instructions: String
+}, { _id: false });
+
+const treatmentProtocolSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    unique: true
+  },
+  description: String,
+  durationDays: {
+    type: Number,
+    required: true,
+    min: 7,
+    max: 21
+  },
+  steps: {
+    type: [protocolStepSchema],
+    validate: [steps => steps.length > 0, 'A protocol needs at least one step']
+  },
+  samePractitioner: {
+    type: Boolean, // all sessions with the practitioner chosen at booking
+    default: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Steps must run in phase order and respect their day offsets and gaps
+treatmentProtocolSchema.pre('validate', function(next) {
+  const steps = [...this.steps].sort((a, b) => a.order - b.order);
+
+  steps.forEach((step, index) => {
+    if (step.dayOffset >= this.durationDays) {
+      this.invalidate('steps', `Step ${step.order} falls outside the ${this.durationDays}-day course`);
+    }
+
+    const previous = steps[index - 1];
+    if (!previous) return;
+
+    if (previous.order === step.order) {
+      this.invalidate('steps', `Duplicate step order ${step.order}`);
+    }
+    if (PHASES.indexOf(step.phase) < PHASES.indexOf(previous.phase)) {
+      this.invalidate('steps', `Step ${step.order} (${step.phase}) cannot come after ${previous.phase}`);
+    }
+    if (step.dayOffset - previous.dayOffset < step.minGapDays) {
+      this.invalidate('steps', `Step ${step.order} must be at least ${step.minGapDays} day(s) after step ${previous.order}`);
+    }
+  });
+
+  this.steps = steps;
+  next();
+});
+
+treatmentProtocolSchema.statics.PHASES = PHASES;
+
+module.exports = mongoose.model('TreatmentProtocol', treatmentProtocolSchema);
@@ -16,7 +16,7 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['patient', 'practitioner', 'admin'],
+    enum: ['patient', 'practitioner', 'admin', 'receptionist'],
     required: true
   },
   profile: {
@@ -44,11 +44,27 @@ const userSchema = new mongoose.Schema({
       relation: String
     }
   },
+  constitution: {
+    // latest result of each assessment type; the full history is in DoshaAssessment
+    prakriti: {
+      dominant: String,
+      scores: { vata: Number, pitta: Number, kapha: Number },
+      assessment: { type: mongoose.Schema.Types.ObjectId, ref: 'DoshaAssessment' },
+      assessedAt: Date
+    },
+    vikriti: {
+      dominant: String,
+      scores: { vata: Number, pitta: Number, kapha: Number },
+      assessment: { type: mongoose.Schema.Types.ObjectId, ref: 'DoshaAssessment' },
+      assessedAt: Date
+    }
+  },
   practitionerInfo: {
     specialization: [String],
     experience: Number,
     qualifications: [String],
     licenseNumber: String,
+    languages: [{ type: String, lowercase: true, trim: true }],
     isApproved: { type: Boolean, default: false },
     approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     approvedAt: Date
@@ -62,6 +78,8 @@ const userSchema = new mongoose.Schema({
     language: { type: String, default: 'en' },
     timezone: { type: String, default: 'Asia/Kolkata' }
   },
+  registeredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // staff member who created the account
+  calendarFeedToken: { type: String, select: false }, // SHA-256 hash of the secret feed token
   isActive: { type: Boolean, default: true },
   lastLogin: Date,
   createdAt: { type: Date, default: Date.now },
@@ -80,6 +98,7 @@ userSchema.virtual('fullName').get(function() {
 // Index for better query performance
 userSchema.index({ email: 1, role: 1 });
 userSchema.index({ 'practitionerInfo.isApproved': 1 });
+userSchema.index({ calendarFeedToken: 1 }, { unique: true, sparse: true });
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
@@ -97,6 +116,7 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
+  delete user.calendarFeedToken;
   return user;
 };
 
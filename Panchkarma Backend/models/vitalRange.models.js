@@ -0,0 +1,103 @@
+// src/models/VitalRange.js
+const mongoose = require('mongoose');
+const { NOTE_PHASES } = require('./clinicalNote.models');
+
+// Each metric's place in a reading's measurements, with its unit
+const VITAL_METRICS = {
+  systolic: { path: 'bloodPressure.systolic', label: 'Systolic BP', unit: 'mmHg' },
+  diastolic: { path: 'bloodPressure.diastolic', label: 'Diastolic BP', unit: 'mmHg' },
+  heartRate: { path: 'heartRate', label: 'Heart rate', unit: 'bpm' },
+  temperature: { path: 'temperature', label: 'Temperature', unit: '°C' },
+  respiratoryRate: { path: 'respiratoryRate', label: 'Respiratory rate', unit: 'breaths/min' },
+  oxygenSaturation: { path: 'oxygenSaturation', label: 'SpO2', unit: '%' },
+  weight: { path: 'weight', label: 'Weight', unit: 'kg' }
+};
+
+// Built-in adult ranges, used for metrics the clinic has not configured
+const DEFAULT_RANGES = {
+  systolic: { min: 90, max: 140 },
+  diastolic: { min: 60, max: 90 },
+  heartRate: { min: 60, max: 100 },
+  temperature: { min: 36.1, max: 37.8 },
+  respiratoryRate: { min: 12, max: 20 },
+  oxygenSaturation: { min: 95, max: 100 }
+};
+
+const vitalRangeSchema = new mongoose.Schema({
+  metric: {
+    type: String,
+    required: true,
+    enum: Object.keys(VITAL_METRICS)
+  },
+  therapy: {
+    type: mongoose.Schema.Types.ObjectId, // unset for the clinic-wide range
+    ref: 'Therapy'
+  },
+  phase: {
+    type: String, // unset for readings taken at any point in the session
+    enum: NOTE_PHASES
+  },
+  min: Number,
+  max: Number,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+vitalRangeSchema.index(
+  { metric: 1, therapy: 1, phase: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+vitalRangeSchema.pre('validate', function(next) {
+  if (this.min == null && this.max == null) {
+    this.invalidate('min', 'A range needs a minimum, a maximum or both');
+  } else if (this.min != null && this.max != null && this.min > this.max) {
+    this.invalidate('max', 'Maximum must not be below the minimum');
+  }
+  next();
+});
+
+/**
+ * Get the range that applies to each metric for a reading
+ * A range for the therapy beats a clinic-wide one, and a range for the phase beats one for any phase.
+ * Metrics without a configured range use the built-in defaults.
+ */
+vitalRangeSchema.statics.findApplicable = async function({ therapyId = null, phase = null } = {}) {
+  const ranges = await this.find({
+    isActive: true,
+    therapy: { $in: [therapyId, null] },
+    phase: { $in: [phase, null] }
+  });
+
+  const specificity = (range) => (range.therapy ? 2 : 0) + (range.phase ? 1 : 0);
+  const applicable = {};
+
+  Object.entries(DEFAULT_RANGES).forEach(([metric, range]) => {
+    applicable[metric] = { ...range, source: 'default' };
+  });
+  ranges
+    .sort((a, b) => specificity(a) - specificity(b))
+    .forEach(range => {
+      applicable[range.metric] = {
+        min: range.min,
+        max: range.max,
+        source: range.therapy ? 'therapy' : 'clinic',
+        rangeId: range._id
+      };
+    });
+
+  return applicable;
+};
+
+vitalRangeSchema.statics.VITAL_METRICS = VITAL_METRICS;
+vitalRangeSchema.statics.DEFAULT_RANGES = DEFAULT_RANGES;
+
+module.exports = mongoose.model('VitalRange', vitalRangeSchema);
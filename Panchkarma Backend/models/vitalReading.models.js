@@ -0,0 +1,84 @@
+// src/models/VitalReading.js
+const mongoose = require('mongoose');
+const { NOTE_PHASES } = require('./clinicalNote.models');
+const { VITAL_METRICS } = require('./vitalRange.models');
+
+// A measurement outside the range that applied when it was taken
+const flagSchema = new mongoose.Schema({
+  metric: String,
+  value: Number,
+  min: Number,
+  max: Number,
+  direction: { type: String, enum: ['low', 'high'] }
+}, { _id: false });
+
+const vitalReadingSchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  },
+  therapy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Therapy'
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TreatmentCourse'
+  },
+  phase: {
+    type: String,
+    enum: NOTE_PHASES,
+    required: true
+  },
+  bloodPressure: {
+    systolic: { type: Number, min: 0 },
+    diastolic: { type: Number, min: 0 }
+  },
+  heartRate: { type: Number, min: 0 },
+  temperature: { type: Number, min: 0 },
+  respiratoryRate: { type: Number, min: 0 },
+  oxygenSaturation: { type: Number, min: 0, max: 100 },
+  weight: { type: Number, min: 0 },
+  notes: {
+    type: String,
+    trim: true
+  },
+  flags: [flagSchema],
+  takenAt: {
+    type: Date,
+    default: Date.now
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+vitalReadingSchema.index({ patient: 1, takenAt: 1 });
+vitalReadingSchema.index({ session: 1, takenAt: 1 });
+vitalReadingSchema.index({ course: 1, takenAt: 1 });
+
+vitalReadingSchema.pre('validate', function(next) {
+  const hasMeasurement = Object.values(VITAL_METRICS).some(({ path }) => this.get(path) != null);
+  if (!hasMeasurement) {
+    this.invalidate('bloodPressure', 'A reading needs at least one measurement');
+  }
+  next();
+});
+
+vitalReadingSchema.virtual('isAbnormal').get(function() {
+  return this.flags.length > 0;
+});
+
+module.exports = mongoose.model('VitalReading', vitalReadingSchema);
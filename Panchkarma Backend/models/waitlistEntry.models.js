@@ -0,0 +1,74 @@
+// src/models/WaitlistEntry.js
+const mongoose = require('mongoose');
+
+const waitlistOfferSchema = new mongoose.Schema({
+  hold: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SlotHold',
+    required: true
+  },
+  startTime: Date,
+  endTime: Date,
+  offeredAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: Date,
+  outcome: {
+    type: String,
+    enum: ['pending', 'claimed', 'expired', 'declined'],
+    default: 'pending'
+  }
+}, { _id: false });
+
+const waitlistEntrySchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  practitioner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  therapy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Therapy',
+    required: true
+  },
+  startDate: {
+    type: String, // YYYY-MM-DD, first day the patient can attend
+    required: true
+  },
+  endDate: {
+    type: String, // YYYY-MM-DD, last day the patient can attend
+    required: true
+  },
+  notes: String,
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'booked', 'expired', 'cancelled'],
+    default: 'waiting'
+  },
+  offers: [waitlistOfferSchema],
+  bookedSession: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session'
+  }
+}, {
+  timestamps: true
+});
+
+// First come, first served within each practitioner and therapy
+waitlistEntrySchema.index({ practitioner: 1, therapy: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ patient: 1, status: 1 });
+
+waitlistEntrySchema.pre('validate', function(next) {
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date must not be before start date');
+  }
+  next();
+});
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
@@ -0,0 +1,66 @@
+// src/models/WalkIn.js
+const mongoose = require('mongoose');
+
+const walkInSchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  guest: {
+    name: { type: String, trim: true }, // for walk-ins without an account
+    phone: { type: String, trim: true }
+  },
+  practitioner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  therapy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Therapy'
+  },
+  duration: {
+    type: Number, // minutes the visit is expected to take
+    required: true,
+    min: 5
+  },
+  queueDate: {
+    type: String, // YYYY-MM-DD on the clinic's calendar
+    required: true
+  },
+  ticketNumber: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'called', 'served', 'left'],
+    default: 'waiting'
+  },
+  arrivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  calledAt: Date,
+  servedAt: Date,
+  leftAt: Date,
+  notes: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+walkInSchema.index({ queueDate: 1, ticketNumber: 1 }, { unique: true });
+walkInSchema.index({ practitioner: 1, status: 1, arrivedAt: 1 });
+
+walkInSchema.pre('validate', function(next) {
+  if (!this.patient && !this.guest?.name) {
+    this.invalidate('patient', 'A registered patient or a guest name is required');
+  }
+  next();
+});
+
+module.exports = mongoose.model('WalkIn', walkInSchema);
@@ -0,0 +1,65 @@
+// src/routes/assessmentRoutes.js
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const {
+  getCurrentQuestionnaire,
+  listQuestionnaires,
+  createQuestionnaire,
+  deactivateQuestionnaire,
+  submitAssessment,
+  getPatientAssessments,
+  getAssessmentDetails
+} = require('../controllers/assessment.controller');
+const { authenticate, authorize } = require('../middleware/auth');
+const AssessmentQuestionnaire = require('../models/assessmentQuestionnaire.models');
+
+const router = express.Router();
+const { ASSESSMENT_TYPES } = AssessmentQuestionnaire;
+
+// Validation rules
+const typeValidation = [
+  param('type').isIn(ASSESSMENT_TYPES).withMessage('Type must be prakriti or vikriti')
+];
+
+const questionnaireValidation = [
+  body('type').isIn(ASSESSMENT_TYPES).withMessage('Type must be prakriti or vikriti'),
+  body('title').notEmpty().trim().withMessage('Title is required'),
+  body('questions').isArray({ min: 1 }).withMessage('At least one question is required'),
+  body('questions.*.key').notEmpty().trim().withMessage('Question key is required'),
+  body('questions.*.text').notEmpty().trim().withMessage('Question text is required'),
+  body('questions.*.weight').optional().isFloat({ min: 0.1, max: 10 }).withMessage('Weight must be between 0.1 and 10'),
+  body('questions.*.required').optional().isBoolean(),
+  body('questions.*.options').isArray({ min: 2 }).withMessage('Each question needs at least two options'),
+  body('questions.*.options.*.label').notEmpty().trim().withMessage('Option label is required'),
+  body('questions.*.options.*.scores.*').optional().isFloat({ min: 0 }).withMessage('Scores must be zero or more')
+];
+
+const assessmentValidation = [
+  body('type').isIn(ASSESSMENT_TYPES).withMessage('Type must be prakriti or vikriti'),
+  body('patientId').optional().isMongoId().withMessage('Valid patient ID is required'),
+  body('answers').isArray({ min: 1 }).withMessage('Answers are required'),
+  body('answers.*.questionKey').notEmpty().withMessage('Question key is required'),
+  body('answers.*.optionIndex').isInt({ min: 0 }).withMessage('Option index must be zero or more').toInt(),
+  body('notes').optional().isString().trim()
+];
+
+const historyValidation = [
+  param('patientId').optional().isMongoId().withMessage('Valid patient ID is required'),
+  query('type').optional().isIn(ASSESSMENT_TYPES).withMessage('Type must be prakriti or vikriti'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+];
+
+const idValidation = [
+  param('id').isMongoId().withMessage('Valid ID is required')
+];
+
+// Routes
+router.get('/questionnaires', authenticate, authorize(['practitioner', 'admin']), listQuestionnaires);
+router.post('/questionnaires', authenticate, authorize(['admin']), questionnaireValidation, createQuestionnaire);
+router.get('/questionnaires/:type/current', authenticate, typeValidation, getCurrentQuestionnaire);
+router.patch('/questionnaires/:id/deactivate', authenticate, authorize(['admin']), idValidation, deactivateQuestionnaire);
+router.post('/', authenticate, authorize(['patient', 'practitioner', 'admin', 'receptionist']), assessmentValidation, submitAssessment);
+router.get('/patient/:patientId?', authenticate, authorize(['patient', 'practitioner', 'admin']), historyValidation, getPatientAssessments);
+router.get('/:id', authenticate, idValidation, getAssessmentDetails);
+
+module.exports = router;
@@ -3,6 +3,7 @@ const express = require('express');
 const { body } = require('express-validator');
 const { register, login, getProfile, updateProfile } = require('../controllers/auth.controller');
 const { authenticate } = require('../middleware/auth');
+const { isValidTimezone } = require('../utils/timeUtils');
 
 const router = express.Router();
 
@@ -24,7 +25,8 @@ const loginValidation = [
 const updateProfileValidation = [
   body('profile.firstName').optional().notEmpty().trim(),
   body('profile.lastName').optional().notEmpty().trim(),
-  body('profile.phone').optional().isMobilePhone('en-IN')
+  body('profile.phone').optional().isMobilePhone('en-IN'),
+  body('preferences.timezone').optional().custom(isValidTimezone).withMessage('Timezone must be an IANA name such as Asia/Kolkata')
 ];
 
 // Routes
@@ -0,0 +1,13 @@
+// src/routes/calendarRoutes.js
+const express = require('express');
+const { createFeed, revokeFeed, getFeed } = require('../controllers/calendar.controller');
+const { authenticate, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Routes
+router.post('/feed', authenticate, authorize(['patient', 'practitioner']), createFeed);
+router.delete('/feed', authenticate, revokeFeed);
+router.get('/feed/:token.ics', getFeed);
+
+module.exports = router;
@@ -0,0 +1,32 @@
+// src/routes/cancellationPolicyRoutes.js
+const express = require('express');
+const { body, param } = require('express-validator');
+const {
+  getCancellationPolicies,
+  saveCancellationPolicy,
+  deactivateCancellationPolicy
+} = require('../controllers/cancellationPolicy.controller');
+const CancellationPolicy = require('../models/cancellationPolicy.models');
+const { authenticate, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+const CATEGORIES = CancellationPolicy.schema.path('category').enumValues;
+
+// Validation rules
+const policyValidation = [
+  param('category').isIn(CATEGORIES).withMessage(`Category must be one of: ${CATEGORIES.join(', ')}`),
+  body('tiers').isArray().withMessage('Tiers must be an array'),
+  body('tiers.*.withinHours').isFloat({ min: 0 }).withMessage('Tier hours must be zero or more'),
+  body('tiers.*.feePercent').isFloat({ min: 0, max: 100 }).withMessage('Tier fee must be between 0 and 100 percent'),
+  body('gracePeriodMinutes').optional().isInt({ min: 0 }).withMessage('Grace period must be zero or more minutes'),
+  body('waivers.practitioner').optional().isBoolean().withMessage('Practitioner waiver must be true or false'),
+  body('waivers.clinic').optional().isBoolean().withMessage('Clinic waiver must be true or false')
+];
+
+// Routes
+router.get('/', authenticate, getCancellationPolicies);
+router.put('/:category', authenticate, authorize(['admin']), policyValidation, saveCancellationPolicy);
+router.delete('/:category', authenticate, authorize(['admin']), deactivateCancellationPolicy);
+
+module.exports = router;
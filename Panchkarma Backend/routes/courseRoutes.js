@@ -0,0 +1,60 @@
+// src/routes/courseRoutes.js
+const express = require('express');
+const { body, param } = require('express-validator');
+const {
+  listProtocols,
+  getProtocol,
+  createProtocol,
+  previewCourse,
+  bookCourse,
+  getUserCourses,
+  getCourseDetails,
+  rescheduleCourse,
+  cancelCourse
+} = require('../controllers/course.controller');
+const { authenticate, authorize } = require('../middleware/auth');
+const TreatmentProtocol = require('../models/treatmentProtocol.models');
+const { DATE_PATTERN, TIME_PATTERN } = require('../utils/timeUtils');
+
+const router = express.Router();
+
+// Validation rules
+const protocolValidation = [
+  body('name').notEmpty().trim().withMessage('Protocol name is required'),
+  body('durationDays').isInt({ min: 7, max: 21 }).withMessage('Course duration must be between 7 and 21 days'),
+  body('steps').isArray({ min: 1 }).withMessage('At least one step is required'),
+  body('steps.*.order').isInt({ min: 1 }).withMessage('Step order must be a positive number'),
+  body('steps.*.phase').isIn(TreatmentProtocol.PHASES).withMessage('Invalid step phase'),
+  body('steps.*.therapy').isMongoId().withMessage('Valid therapy ID is required'),
+  body('steps.*.dayOffset').isInt({ min: 0 }).withMessage('Day offset must be zero or more'),
+  body('steps.*.preferredTime').optional().matches(TIME_PATTERN).withMessage('Preferred time must be in HH:mm format'),
+  body('steps.*.minGapDays').optional().isInt({ min: 0 }).withMessage('Minimum gap must be zero or more days'),
+  body('samePractitioner').optional().isBoolean()
+];
+
+const courseBookingValidation = [
+  body('protocolId').isMongoId().withMessage('Valid protocol ID is required'),
+  body('practitionerId').isMongoId().withMessage('Valid practitioner ID is required'),
+  body('patientId').optional().isMongoId().withMessage('Valid patient ID is required'),
+  body('startDate').matches(DATE_PATTERN).withMessage('Start date must be in YYYY-MM-DD format'),
+  body('preferredTime').optional().matches(TIME_PATTERN).withMessage('Preferred time must be in HH:mm format')
+];
+
+const courseRescheduleValidation = [
+  param('id').isMongoId().withMessage('Valid course ID is required'),
+  body('newStartDate').matches(DATE_PATTERN).withMessage('New start date must be in YYYY-MM-DD format'),
+  body('preferredTime').optional().matches(TIME_PATTERN).withMessage('Preferred time must be in HH:mm format')
+];
+
+// Routes
+router.get('/protocols', authenticate, listProtocols);
+router.post('/protocols', authenticate, authorize(['admin']), protocolValidation, createProtocol);
+router.get('/protocols/:id', authenticate, getProtocol);
+router.post('/preview', authenticate, courseBookingValidation, previewCourse);
+router.post('/', authenticate, courseBookingValidation, bookCourse);
+router.get('/my-courses', authenticate, getUserCourses);
+router.get('/:id', authenticate, getCourseDetails);
+router.post('/:id/reschedule', authenticate, courseRescheduleValidation, rescheduleCourse);
+router.patch('/:id/cancel', authenticate, cancelCourse);
+
+module.exports = router;
@@ -1,25 +1,32 @@
 // src/routes/feedbackRoutes.js
 const express = require('express');
-const { body } = require('express-validator');
+const { body, param } = require('express-validator');
 const {
   submitFeedback,
   getFeedback,
+  getGroupSessionFeedback,
   getPractitionerFeedback
 } = require('../controllers/feedback.controller');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, authorize } = require('../middleware/auth');
 
 const router = express.Router();
 
 // Validation rules
 const feedbackValidation = [
-  body('sessionId').isMongoId().withMessage('Valid session ID is required'),
+  body('groupSessionId').optional().isMongoId().withMessage('Valid group session ID is required'),
+  body('sessionId').if(body('groupSessionId').not().exists()).isMongoId().withMessage('Valid session ID is required'),
   body('rating.overall').isInt({ min: 1, max: 5 }).withMessage('Overall rating must be between 1 and 5'),
   body('recommendation.wouldRecommend').isBoolean().withMessage('Recommendation must be true or false')
 ];
 
+const groupSessionFeedbackValidation = [
+  param('groupSessionId').isMongoId().withMessage('Valid group session ID is required')
+];
+
 // Routes
 router.post('/', authenticate, feedbackValidation, submitFeedback);
 router.get('/session/:sessionId', authenticate, getFeedback);
+router.get('/group-session/:groupSessionId', authenticate, authorize(['practitioner', 'admin']), groupSessionFeedbackValidation, getGroupSessionFeedback);
 router.get('/practitioner/:practitionerId?', authenticate, getPractitionerFeedback);
 
 module.exports = router;
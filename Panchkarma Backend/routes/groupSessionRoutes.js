@@ -0,0 +1,80 @@
+// src/routes/groupSessionRoutes.js
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const {
+  getGroupSessions,
+  getGroupSessionDetails,
+  createGroupSession,
+  enrolInGroupSession,
+  withdrawFromGroupSession,
+  updateGroupCapacity,
+  markAttendance,
+  updateGroupStatus,
+  cancelGroupSession
+} = require('../controllers/groupSession.controller');
+const { authenticate, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation rules
+const idValidation = [
+  param('id').isMongoId().withMessage('Valid group session ID is required')
+];
+
+const listValidation = [
+  query('therapyId').optional().isMongoId().withMessage('Valid therapy ID is required'),
+  query('practitionerId').optional().isMongoId().withMessage('Valid practitioner ID is required'),
+  query('from').optional().isISO8601().withMessage('Valid from date is required'),
+  query('to').optional().isISO8601().withMessage('Valid to date is required'),
+  query('status').optional().isIn(['scheduled', 'in-progress', 'completed', 'cancelled']).withMessage('Invalid status')
+];
+
+const createValidation = [
+  body('therapyId').isMongoId().withMessage('Valid therapy ID is required'),
+  body('practitionerId').optional().isMongoId().withMessage('Valid practitioner ID is required'),
+  body('startTime').isISO8601().withMessage('Valid start time is required'),
+  body('capacity').isInt({ min: 2, max: 100 }).withMessage('Capacity must be between 2 and 100').toInt(),
+  body('price').optional().isFloat({ min: 0 }).withMessage('Price must be a positive number').toFloat(),
+  body('title').optional().isString().trim().notEmpty().withMessage('Title cannot be empty'),
+  body('description').optional().isString().trim()
+];
+
+const enrolmentValidation = [
+  ...idValidation,
+  body('patientId').optional().isMongoId().withMessage('Valid patient ID is required')
+];
+
+const capacityValidation = [
+  ...idValidation,
+  body('capacity').isInt({ min: 2, max: 100 }).withMessage('Capacity must be between 2 and 100').toInt()
+];
+
+const attendanceValidation = [
+  ...idValidation,
+  body('attendance').isArray({ min: 1 }).withMessage('Attendance must be a non-empty list'),
+  body('attendance.*.patientId').isMongoId().withMessage('Valid patient ID is required'),
+  body('attendance.*.status').isIn(['attended', 'no-show']).withMessage('Status must be attended or no-show')
+];
+
+const statusValidation = [
+  ...idValidation,
+  body('status').isIn(['in-progress', 'completed']).withMessage('Status must be in-progress or completed')
+];
+
+const cancelValidation = [
+  ...idValidation,
+  body('reason').optional().isString().trim()
+];
+
+// Routes
+router.get('/', authenticate, listValidation, getGroupSessions);
+router.post('/', authenticate, authorize(['practitioner', 'admin']), createValidation, createGroupSession);
+router.get('/:id', authenticate, idValidation, getGroupSessionDetails);
+router.post('/:id/enrol', authenticate, authorize(['patient', 'receptionist', 'admin']), enrolmentValidation, enrolInGroupSession);
+router.patch('/:id/withdraw', authenticate, authorize(['patient', 'receptionist', 'admin']), enrolmentValidation, withdrawFromGroupSession);
+router.patch('/:id/capacity', authenticate, authorize(['practitioner', 'admin']), capacityValidation, updateGroupCapacity);
+router.patch('/:id/attendance', authenticate, authorize(['practitioner', 'admin']), attendanceValidation, markAttendance);
+router.patch('/:id/status', authenticate, authorize(['practitioner', 'admin']), statusValidation, updateGroupStatus);
+router.patch('/:id/cancel', authenticate, authorize(['practitioner', 'admin']), cancelValidation, cancelGroupSession);
+
+module.exports = router;
@@ -0,0 +1,44 @@
+// src/routes/noteTemplateRoutes.js
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const {
+  listNoteTemplates,
+  createNoteTemplate,
+  updateNoteTemplate,
+  deactivateNoteTemplate
+} = require('../controllers/clinicalNote.controller');
+const { authenticate, authorize } = require('../middleware/auth');
+const ClinicalNote = require('../models/clinicalNote.models');
+
+const router = express.Router();
+
+// Validation rules
+const sectionValidation = ClinicalNote.SOAP_SECTIONS.flatMap(section => [
+  body(`${section}.prompts`).optional().isArray().withMessage(`${section} prompts must be an array`),
+  body(`${section}.prompts.*`).isString().trim().notEmpty().withMessage('Prompts cannot be empty'),
+  body(`${section}.defaultText`).optional().isString()
+]);
+
+const templateValidation = [
+  body('therapyId').optional().isMongoId().withMessage('Valid therapy ID is required'),
+  body('name').notEmpty().trim().withMessage('Template name is required'),
+  ...sectionValidation
+];
+
+const templateUpdateValidation = [
+  param('id').isMongoId().withMessage('Valid template ID is required'),
+  body('name').optional().notEmpty().trim().withMessage('Template name cannot be empty'),
+  ...sectionValidation
+];
+
+const listValidation = [
+  query('therapyId').optional().isMongoId().withMessage('Valid therapy ID is required')
+];
+
+// Routes
+router.get('/', authenticate, authorize(['practitioner', 'admin']), listValidation, listNoteTemplates);
+router.post('/', authenticate, authorize(['admin']), templateValidation, createNoteTemplate);
+router.patch('/:id', authenticate, authorize(['admin']), templateUpdateValidation, updateNoteTemplate);
+router.delete('/:id', authenticate, authorize(['admin']), param('id').isMongoId().withMessage('Valid template ID is required'), deactivateNoteTemplate);
+
+module.exports = router;
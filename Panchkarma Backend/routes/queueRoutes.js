@@ -0,0 +1,38 @@
+// src/routes/queueRoutes.js
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const {
+  getQueue,
+  createWalkIn,
+  updateWalkInStatus
+} = require('../controllers/queue.controller');
+const { authenticate, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation rules
+const walkInValidation = [
+  body('practitionerId').isMongoId().withMessage('Valid practitioner ID is required'),
+  body('patientId').optional().isMongoId().withMessage('Valid patient ID is required'),
+  body('guest.name').if(body('patientId').not().exists()).notEmpty().trim().withMessage('Guest name is required when no patient is given'),
+  body('guest.phone').optional().isMobilePhone().withMessage('Valid phone number is required'),
+  body('therapyId').optional().isMongoId().withMessage('Valid therapy ID is required'),
+  body('duration').optional().isInt({ min: 5, max: 480 }).withMessage('Duration must be between 5 and 480 minutes'),
+  body('notes').optional().isString().trim()
+];
+
+const walkInStatusValidation = [
+  param('id').isMongoId().withMessage('Valid walk-in ID is required'),
+  body('status').isIn(['called', 'served', 'left']).withMessage('Status must be called, served or left')
+];
+
+const queueValidation = [
+  query('practitionerId').optional().isMongoId().withMessage('Valid practitioner ID is required')
+];
+
+// Routes
+router.get('/', authenticate, authorize(['practitioner', 'admin', 'receptionist']), queueValidation, getQueue);
+router.post('/walk-ins', authenticate, authorize(['practitioner', 'admin', 'receptionist']), walkInValidation, createWalkIn);
+router.patch('/walk-ins/:id/status', authenticate, authorize(['practitioner', 'admin', 'receptionist']), walkInStatusValidation, updateWalkInStatus);
+
+module.exports = router;
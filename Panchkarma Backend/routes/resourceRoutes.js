@@ -0,0 +1,53 @@
+// src/routes/resourceRoutes.js
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const {
+  listRooms,
+  createRoom,
+  updateRoom,
+  listEquipment,
+  createEquipment,
+  updateEquipment,
+  getOccupancy
+} = require('../controllers/resource.controller');
+const { authenticate, authorize } = require('../middleware/auth');
+const { DATE_PATTERN } = require('../utils/timeUtils');
+
+const router = express.Router();
+
+// Validation rules
+const roomValidation = [
+  body('name').notEmpty().trim().withMessage('Room name is required'),
+  body('type').notEmpty().trim().withMessage('Room type is required')
+];
+
+const equipmentValidation = [
+  body('name').notEmpty().trim().withMessage('Equipment name is required'),
+  body('type').notEmpty().trim().withMessage('Equipment type is required'),
+  body('quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('room').optional().isMongoId().withMessage('Valid room ID is required')
+];
+
+const updateValidation = [
+  param('id').isMongoId().withMessage('Valid ID is required'),
+  body('name').optional().notEmpty().trim(),
+  body('type').optional().notEmpty().trim(),
+  body('quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('isActive').optional().isBoolean()
+];
+
+const occupancyValidation = [
+  query('startDate').optional().matches(DATE_PATTERN).withMessage('Start date must be in YYYY-MM-DD format'),
+  query('endDate').optional().matches(DATE_PATTERN).withMessage('End date must be in YYYY-MM-DD format')
+];
+
+// Routes
+router.get('/rooms', authenticate, listRooms);
+router.post('/rooms', authenticate, authorize(['admin']), roomValidation, createRoom);
+router.patch('/rooms/:id', authenticate, authorize(['admin']), updateValidation, updateRoom);
+router.get('/equipment', authenticate, listEquipment);
+router.post('/equipment', authenticate, authorize(['admin']), equipmentValidation, createEquipment);
+router.patch('/equipment/:id', authenticate, authorize(['admin']), updateValidation, updateEquipment);
+router.get('/occupancy', authenticate, authorize(['practitioner', 'admin']), occupancyValidation, getOccupancy);
+
+module.exports = router;
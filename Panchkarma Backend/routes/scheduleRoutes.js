@@ -1,191 +1,115 @@
 // src/routes/scheduleRoutes.js
 const express = require('express');
-const { body } = require('express-validator');
+const { body, param, query } = require('express-validator');
+const {
+  getSchedule,
+  saveSchedule,
+  upsertScheduleException,
+  removeScheduleException,
+  getDoctorSlots,
+  createSlotBlock,
+  createLeave,
+  getScheduleBlocks,
+  removeScheduleBlock,
+  getExternalCalendars,
+  createExternalCalendar,
+  resyncExternalCalendar,
+  deleteExternalCalendar
+} = require('../controllers/schedule.controller');
 const { authenticate, authorize } = require('../middleware/auth');
+const ExternalCalendar = require('../models/externalCalendar.models');
+const { TIME_PATTERN, DATE_PATTERN, DAYS_OF_WEEK } = require('../utils/timeUtils');
 
 const router = express.Router();
 
-// Get doctor's schedule
-router.get('/doctor/:doctorId', authenticate, async (req, res) => {
-  try {
-    const { doctorId } = req.params;
-    
-    // Simple in-memory storage for now - in production, use MongoDB
-    // For demo purposes, return a default schedule structure
-    const defaultSchedule = {
-      _id: `schedule_${doctorId}`,
-      doctorId: doctorId,
-      weeklySchedule: {
-        monday: { 
-          isAvailable: true, 
-          timeSlots: [{ startTime: "09:00", endTime: "17:00", isActive: true }] 
-        },
-        tuesday: { 
-          isAvailable: true, 
-          timeSlots: [{ startTime: "09:00", endTime: "17:00", isActive: true }] 
-        },
-        wednesday: { 
-          isAvailable: true, 
-          timeSlots: [{ startTime: "09:00", endTime: "17:00", isActive: true }] 
-        },
-        thursday: { 
-          isAvailable: true, 
-          timeSlots: [{ startTime: "09:00", endTime: "17:00", isActive: true }] 
-        },
-        friday: { 
-          isAvailable: true, 
-          timeSlots: [{ startTime: "09:00", endTime: "17:00", isActive: true }] 
-        },
-        saturday: { isAvailable: false, timeSlots: [] },
-        sunday: { isAvailable: false, timeSlots: [] },
-      },
-      exceptions: [],
-      defaultSlotDuration: 60,
-      bufferTime: 15,
-      advanceBookingDays: 30,
-      isActive: true,
-      createdAt: new Date(),
-      updatedAt: new Date()
-    };
+// Validation rules
+const timeSlotsValidation = (path) => [
+  body(`${path}.*.startTime`).matches(TIME_PATTERN).withMessage('Start time must be in HH:mm format'),
+  body(`${path}.*.endTime`).matches(TIME_PATTERN).withMessage('End time must be in HH:mm format')
+];
 
-    res.json({
-      success: true,
-      data: {
-        schedule: defaultSchedule
-      }
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch schedule',
-      error: error.message
-    });
-  }
-});
+const scheduleValidation = [
+  param('doctorId').isMongoId().withMessage('Valid doctor ID is required'),
+  body('weeklySchedule').optional().isObject().withMessage('Weekly schedule must be an object'),
+  ...DAYS_OF_WEEK.flatMap(day => timeSlotsValidation(`weeklySchedule.${day}.timeSlots`)),
+  body('exceptions').optional().isArray().withMessage('Exceptions must be an array'),
+  body('exceptions.*.date').matches(DATE_PATTERN).withMessage('Exception date must be in YYYY-MM-DD format'),
+  ...timeSlotsValidation('exceptions.*.timeSlots'),
+  body('defaultSlotDuration').optional().isInt({ min: 15, max: 240 }).withMessage('Default slot duration must be between 15 and 240 minutes'),
+  body('bufferTime').optional().isInt({ min: 0, max: 120 }).withMessage('Buffer time must be between 0 and 120 minutes'),
+  body('advanceBookingDays').optional().isInt({ min: 1, max: 365 }).withMessage('Advance booking days must be between 1 and 365'),
+  body('reschedulePolicy.maxReschedules').optional().isInt({ min: 0 }).withMessage('Maximum reschedules must be a non-negative integer'),
+  body('reschedulePolicy.minNoticeHours').optional().isInt({ min: 0 }).withMessage('Notice period must be a non-negative number of hours'),
+  body('reschedulePolicy.freeReschedules').optional().isInt({ min: 0 }).withMessage('Free reschedules must be a non-negative integer'),
+  body('reschedulePolicy.fee').optional().isFloat({ min: 0 }).withMessage('Reschedule fee must not be negative'),
+  body('reschedulePolicy.requireApproval').optional().isBoolean().withMessage('requireApproval must be true or false'),
+  body('version').optional().isInt({ min: 0 }).withMessage('Version must be a non-negative integer')
+];
 
-// Save/Update doctor's schedule
-router.post('/doctor/:doctorId', authenticate, authorize(['practitioner']), async (req, res) => {
-  try {
-    const { doctorId } = req.params;
-    const scheduleData = req.body;
-    
-    // Validate that the authenticated user is the same as the doctor
-    if (req.user.id !== doctorId) {
-      return res.status(403).json({
-        success: false,
-        message: 'You can only update your own schedule'
-      });
-    }
+const exceptionValidation = [
+  param('doctorId').isMongoId().withMessage('Valid doctor ID is required'),
+  body('date').matches(DATE_PATTERN).withMessage('Date must be in YYYY-MM-DD format'),
+  body('isAvailable').optional().isBoolean().withMessage('isAvailable must be true or false'),
+  body('timeSlots').optional().isArray().withMessage('Time slots must be an array'),
+  ...timeSlotsValidation('timeSlots')
+];
 
-    // In a real application, you would save this to MongoDB
-    // For now, we'll just return the updated schedule
-    const updatedSchedule = {
-      ...scheduleData,
-      _id: `schedule_${doctorId}`,
-      doctorId: doctorId,
-      updatedAt: new Date()
-    };
+const blockValidation = [
+  param('doctorId').isMongoId().withMessage('Valid doctor ID is required'),
+  body('date').matches(DATE_PATTERN).withMessage('Date must be in YYYY-MM-DD format'),
+  body('startTime').matches(TIME_PATTERN).withMessage('Start time must be in HH:mm format'),
+  body('endTime').matches(TIME_PATTERN).withMessage('End time must be in HH:mm format'),
+  body('recurrence.frequency').optional().isIn(['none', 'daily', 'weekly']).withMessage('Recurrence must be none, daily or weekly'),
+  body('recurrence.until').optional().matches(DATE_PATTERN).withMessage('Recurrence end must be in YYYY-MM-DD format')
+];
 
-    res.json({
-      success: true,
-      message: 'Schedule updated successfully',
-      data: {
-        schedule: updatedSchedule
-      }
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Failed to save schedule',
-      error: error.message
-    });
-  }
-});
+const leaveValidation = [
+  param('doctorId').isMongoId().withMessage('Valid doctor ID is required'),
+  body('startDate').matches(DATE_PATTERN).withMessage('Start date must be in YYYY-MM-DD format'),
+  body('endDate').matches(DATE_PATTERN).withMessage('End date must be in YYYY-MM-DD format')
+];
 
-// Get available slots for a doctor on a specific date (for patient booking)
-router.get('/doctor/:doctorId/slots', async (req, res) => {
-  try {
-    const { doctorId } = req.params;
-    const { date } = req.query; // YYYY-MM-DD format
-    
-    if (!date) {
-      return res.status(400).json({
-        success: false,
-        message: 'Date parameter is required'
-      });
-    }
+const MAX_CALENDAR_CHARS = 5 * 1024 * 1024;
+
+const externalCalendarValidation = [
+  param('doctorId').isMongoId().withMessage('Valid doctor ID is required'),
+  body('name').trim().notEmpty().withMessage('Calendar name is required'),
+  body('sourceType').isIn(ExternalCalendar.SOURCE_TYPES).withMessage('Source type must be upload, file or url'),
+  body('location').if(body('sourceType').isIn(['file', 'url'])).trim().notEmpty().withMessage('A file path or URL is required'),
+  body('content').optional().isString().isLength({ max: MAX_CALENDAR_CHARS }).withMessage('Calendar file is too large')
+];
 
-    // Get day of week
-    const dateObj = new Date(date);
-    const dayNames = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-    const dayOfWeek = dayNames[dateObj.getDay()];
+const externalCalendarSyncValidation = [
+  param('doctorId').isMongoId().withMessage('Valid doctor ID is required'),
+  param('calendarId').isMongoId().withMessage('Valid calendar ID is required'),
+  body('content').optional().isString().isLength({ max: MAX_CALENDAR_CHARS }).withMessage('Calendar file is too large')
+];
 
-    // For demo, generate sample time slots based on a typical schedule
-    const sampleSlots = [
-      { slotId: '1', startTime: `${date}T09:00:00`, endTime: `${date}T10:00:00`, duration: 60, isAvailable: true },
-      { slotId: '2', startTime: `${date}T10:00:00`, endTime: `${date}T11:00:00`, duration: 60, isAvailable: true },
-      { slotId: '3', startTime: `${date}T11:00:00`, endTime: `${date}T12:00:00`, duration: 60, isAvailable: false },
-      { slotId: '4', startTime: `${date}T14:00:00`, endTime: `${date}T15:00:00`, duration: 60, isAvailable: true },
-      { slotId: '5', startTime: `${date}T15:00:00`, endTime: `${date}T16:00:00`, duration: 60, isAvailable: true },
-      { slotId: '6', startTime: `${date}T16:00:00`, endTime: `${date}T17:00:00`, duration: 60, isAvailable: true },
-    ];
+const slotsValidation = [
+  param('doctorId').isMongoId().withMessage('Valid doctor ID is required'),
+  query('therapyId').optional().isMongoId().withMessage('Valid therapy ID is required'),
+  query('duration').optional().isInt({ min: 15, max: 240 }).withMessage('Duration must be between 15 and 240 minutes')
+];
 
-    // Filter only available slots
-    const availableSlots = sampleSlots.filter(slot => slot.isAvailable);
+// Routes
+router.get('/doctor/:doctorId', authenticate, getSchedule);
+router.post('/doctor/:doctorId', authenticate, authorize(['practitioner', 'admin']), scheduleValidation, saveSchedule);
+router.post('/doctor/:doctorId/exceptions', authenticate, authorize(['practitioner', 'admin']), exceptionValidation, upsertScheduleException);
+router.delete('/doctor/:doctorId/exceptions/:date', authenticate, authorize(['practitioner', 'admin']), removeScheduleException);
 
-    res.json({
-      success: true,
-      data: {
-        date,
-        doctorId,
-        dayOfWeek,
-        availableSlots,
-        totalSlots: availableSlots.length
-      }
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch available slots',
-      error: error.message
-    });
-  }
-});
+// Get available slots for a doctor on a specific date (for patient booking)
+router.get('/doctor/:doctorId/slots', slotsValidation, getDoctorSlots);
 
-// Block/Unblock specific time slots
-router.post('/doctor/:doctorId/slots/block', authenticate, authorize(['practitioner']), async (req, res) => {
-  try {
-    const { doctorId } = req.params;
-    const { date, startTime, endTime, reason } = req.body;
-    
-    // Validate that the authenticated user is the same as the doctor
-    if (req.user.id !== doctorId) {
-      return res.status(403).json({
-        success: false,
-        message: 'You can only block your own time slots'
-      });
-    }
+// Block/Unblock specific time slots and manage leave
+router.get('/doctor/:doctorId/blocks', authenticate, authorize(['practitioner', 'admin']), getScheduleBlocks);
+router.post('/doctor/:doctorId/slots/block', authenticate, authorize(['practitioner', 'admin']), blockValidation, createSlotBlock);
+router.delete('/doctor/:doctorId/blocks/:blockId', authenticate, authorize(['practitioner', 'admin']), removeScheduleBlock);
+router.post('/doctor/:doctorId/leave', authenticate, authorize(['practitioner', 'admin']), leaveValidation, createLeave);
 
-    // In a real application, you would save this to the database
-    res.json({
-      success: true,
-      message: 'Time slot blocked successfully',
-      data: {
-        doctorId,
-        date,
-        startTime,
-        endTime,
-        reason: reason || 'Blocked by doctor',
-        blockedAt: new Date()
-      }
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Failed to block time slot',
-      error: error.message
-    });
-  }
-});
+// Busy times imported from practitioners' external calendars
+router.get('/doctor/:doctorId/external-calendars', authenticate, authorize(['practitioner', 'admin']), getExternalCalendars);
+router.post('/doctor/:doctorId/external-calendars', authenticate, authorize(['practitioner', 'admin']), externalCalendarValidation, createExternalCalendar);
+router.post('/doctor/:doctorId/external-calendars/:calendarId/sync', authenticate, authorize(['practitioner', 'admin']), externalCalendarSyncValidation, resyncExternalCalendar);
+router.delete('/doctor/:doctorId/external-calendars/:calendarId', authenticate, authorize(['practitioner', 'admin']), deleteExternalCalendar);
 
 module.exports = router;
\ No newline at end of file
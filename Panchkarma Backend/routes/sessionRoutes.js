@@ -1,17 +1,45 @@
 
 const express = require('express');
-const { body } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const {
   bookSession,
   cancelSession,
   getAvailableSlots,
+  searchFirstAvailable,
   getUserSessions,
   updateSessionStatus,
   getSessionDetails,
   getPractitionerSchedule
 } = require('../controllers/session.controller');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, authorize } = require('../middleware/auth');
 const { rescheduleSession, getSessionStatistics } = require('../controllers/session.controller');
+const { previewReassignments, applyReassignments } = require('../controllers/reassignment.controller');
+const { createSlotHold, releaseSlotHold } = require('../controllers/hold.controller');
+const {
+  getRescheduleRequests,
+  acceptRescheduleRequest,
+  declineRescheduleRequest,
+  withdrawRescheduleRequest
+} = require('../controllers/reschedule.controller');
+const {
+  previewSeries,
+  bookSeries,
+  getSeries,
+  updateFollowingSessions,
+  cancelSeries
+} = require('../controllers/series.controller');
+const { getCancellationQuote } = require('../controllers/cancellationPolicy.controller');
+const { checkInSession } = require('../controllers/queue.controller');
+const {
+  getClinicalNotes,
+  getClinicalNoteDraft,
+  createClinicalNote,
+  createAmendment
+} = require('../controllers/clinicalNote.controller');
+const { recordSessionVitals, getSessionVitals } = require('../controllers/vitals.controller');
+const ClinicalNote = require('../models/clinicalNote.models');
+const VitalRange = require('../models/vitalRange.models');
+const { DATE_PATTERN, TIME_PATTERN } = require('../utils/timeUtils');
 
 const router = express.Router();
 
@@ -19,14 +47,139 @@ const router = express.Router();
 const bookSessionValidation = [
   body('therapyId').isMongoId().withMessage('Valid therapy ID is required'),
   body('practitionerId').isMongoId().withMessage('Valid practitioner ID is required'),
+  body('patientId').optional().isMongoId().withMessage('Valid patient ID is required'),
+  body('holdId').optional().isMongoId().withMessage('Valid hold ID is required'),
+  body('startTime').if(body('holdId').not().exists()).isISO8601().withMessage('Valid start time is required'),
+  body('endTime').if(body('holdId').not().exists()).isISO8601().withMessage('Valid end time is required')
+];
+
+const slotHoldValidation = [
+  body('therapyId').isMongoId().withMessage('Valid therapy ID is required'),
+  body('practitionerId').isMongoId().withMessage('Valid practitioner ID is required'),
+  body('patientId').optional().isMongoId().withMessage('Valid patient ID is required'),
   body('startTime').isISO8601().withMessage('Valid start time is required'),
-  body('endTime').isISO8601().withMessage('Valid end time is required')
+  body('endTime').optional().isISO8601().withMessage('Valid end time is required')
+];
+
+const reassignmentPreviewValidation = [
+  body('practitionerId').isMongoId().withMessage('Valid practitioner ID is required'),
+  body('startDate').matches(DATE_PATTERN).withMessage('Start date must be in YYYY-MM-DD format'),
+  body('endDate').matches(DATE_PATTERN).withMessage('End date must be in YYYY-MM-DD format')
+];
+
+const reassignmentApplyValidation = [
+  body('practitionerId').optional().isMongoId().withMessage('Valid practitioner ID is required'),
+  body('startDate').optional().matches(DATE_PATTERN).withMessage('Start date must be in YYYY-MM-DD format'),
+  body('endDate').optional().matches(DATE_PATTERN).withMessage('End date must be in YYYY-MM-DD format'),
+  body('assignments').optional().isArray({ min: 1 }).withMessage('Assignments must be a non-empty array'),
+  body('assignments.*.sessionId').isMongoId().withMessage('Valid session ID is required'),
+  body('assignments.*.practitionerId').isMongoId().withMessage('Valid practitioner ID is required')
+];
+
+const firstAvailableValidation = [
+  query('therapyId').isMongoId().withMessage('Valid therapy ID is required'),
+  query('startDate').optional().matches(DATE_PATTERN).withMessage('Start date must be in YYYY-MM-DD format'),
+  query('endDate').optional().matches(DATE_PATTERN).withMessage('End date must be in YYYY-MM-DD format'),
+  query('timeOfDay').optional().isIn(['morning', 'afternoon', 'evening']).withMessage('Time of day must be morning, afternoon or evening'),
+  query('gender').optional().isIn(['male', 'female', 'other']).withMessage('Invalid gender'),
+  query('language').optional().isString().trim().notEmpty().withMessage('Language cannot be empty'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+];
+
+const seriesBookingValidation = [
+  body('therapyId').isMongoId().withMessage('Valid therapy ID is required'),
+  body('practitionerId').isMongoId().withMessage('Valid practitioner ID is required'),
+  body('patientId').optional().isMongoId().withMessage('Valid patient ID is required'),
+  body('startDate').matches(DATE_PATTERN).withMessage('Start date must be in YYYY-MM-DD format'),
+  body('startTime').matches(TIME_PATTERN).withMessage('Start time must be in HH:mm format'),
+  body('recurrence.frequency').isIn(['weekly', 'every_n_days']).withMessage('Frequency must be weekly or every_n_days'),
+  body('recurrence.interval').optional().isInt({ min: 1, max: 90 }).withMessage('Interval must be between 1 and 90'),
+  body('recurrence.until').optional().matches(DATE_PATTERN).withMessage('End date must be in YYYY-MM-DD format'),
+  body('recurrence.count').optional().isInt({ min: 1, max: 52 }).withMessage('Count must be between 1 and 52'),
+  body('recurrence').custom(value => Boolean(value && (value.until || value.count)))
+    .withMessage('Recurrence needs an end date or an occurrence count'),
+  body('overrides').optional().isArray().withMessage('Overrides must be an array'),
+  body('overrides.*.index').isInt({ min: 0 }).withMessage('Valid occurrence index is required'),
+  body('overrides.*.startTime').isISO8601().withMessage('Valid start time is required')
+];
+
+const seriesUpdateValidation = [
+  body('fromSessionId').isMongoId().withMessage('Valid session ID is required'),
+  body('startTime').optional().matches(TIME_PATTERN).withMessage('Start time must be in HH:mm format'),
+  body('shiftDays').optional().isInt({ min: -30, max: 30 }).withMessage('Shift must be between -30 and 30 days'),
+  body('reason').optional().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+];
+
+const rescheduleDeclineValidation = [
+  body('note').optional().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
+];
+
+const soapSectionValidation = ClinicalNote.SOAP_SECTIONS.map(section =>
+  body(section).optional().isString().isLength({ max: 10000 }).withMessage(`${section} must be text of at most 10000 characters`)
+);
+
+const clinicalNoteValidation = [
+  param('id').isMongoId().withMessage('Valid session ID is required'),
+  body('phase').optional().isIn(ClinicalNote.NOTE_PHASES).withMessage('Phase must be pre-session, during-session or post-session'),
+  body('templateId').optional().isMongoId().withMessage('Valid template ID is required'),
+  ...soapSectionValidation
+];
+
+const amendmentValidation = [
+  param('id').isMongoId().withMessage('Valid session ID is required'),
+  param('noteId').isMongoId().withMessage('Valid note ID is required'),
+  body('reason').isString().trim().isLength({ min: 5, max: 500 }).withMessage('Reason must be between 5 and 500 characters'),
+  ...soapSectionValidation
+];
+
+const availableSlotsValidation = [
+  query('practitionerId').optional().isMongoId().withMessage('Valid practitioner ID is required'),
+  query('therapyId').optional().isMongoId().withMessage('Valid therapy ID is required'),
+  query('duration').optional().isInt({ min: 15, max: 240 }).withMessage('Duration must be between 15 and 240 minutes')
+];
+
+const sessionIdValidation = [
+  param('id').isMongoId().withMessage('Valid session ID is required')
+];
+
+const vitalsValidation = [
+  param('id').isMongoId().withMessage('Valid session ID is required'),
+  body('phase').optional().isIn(ClinicalNote.NOTE_PHASES).withMessage('Phase must be pre-session, during-session or post-session'),
+  body('takenAt').optional().isISO8601().withMessage('Valid time is required')
+    .custom(value => new Date(value) <= new Date()).withMessage('Readings cannot be taken in the future'),
+  ...Object.values(VitalRange.VITAL_METRICS).map(({ path, label }) =>
+    body(path).optional().isFloat({ min: 0 }).withMessage(`${label} must be a number of zero or more`)
+  ),
+  body('notes').optional().isString().trim().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters')
 ];
 
 // Routes
 router.post('/book', authenticate, bookSessionValidation, bookSession);
+router.post('/holds', authenticate, authorize(['patient', 'receptionist', 'admin']), slotHoldValidation, createSlotHold);
+router.delete('/holds/:id', authenticate, releaseSlotHold);
+router.post('/series/preview', authenticate, authorize(['patient', 'practitioner', 'receptionist', 'admin']), seriesBookingValidation, previewSeries);
+router.post('/series', authenticate, authorize(['patient', 'practitioner', 'receptionist', 'admin']), seriesBookingValidation, bookSeries);
+router.get('/series/:id', authenticate, getSeries);
+router.patch('/series/:id/following', authenticate, seriesUpdateValidation, updateFollowingSessions);
+router.patch('/series/:id/cancel', authenticate, cancelSeries);
+router.post('/reassignments/preview', authenticate, authorize(['admin']), reassignmentPreviewValidation, previewReassignments);
+router.post('/reassignments/apply', authenticate, authorize(['admin']), reassignmentApplyValidation, applyReassignments);
+router.get('/reschedule-requests', authenticate, authorize(['practitioner', 'admin']), getRescheduleRequests);
+router.patch('/:id/reschedule-request/accept', authenticate, authorize(['practitioner', 'admin']), acceptRescheduleRequest);
+router.patch('/:id/reschedule-request/decline', authenticate, authorize(['practitioner', 'admin']), rescheduleDeclineValidation, declineRescheduleRequest);
+router.patch('/:id/reschedule-request/withdraw', authenticate, authorize(['patient', 'receptionist']), withdrawRescheduleRequest);
+router.get('/:id/cancellation-quote', authenticate, getCancellationQuote);
 router.patch('/:id/cancel', authenticate, cancelSession);
-router.get('/available-slots', authenticate, getAvailableSlots);
+router.patch('/:id/check-in', authenticate, authorize(['practitioner', 'admin', 'receptionist']), checkInSession);
+router.get('/:id/clinical-notes', authenticate, authorize(['practitioner', 'admin']), sessionIdValidation, getClinicalNotes);
+router.get('/:id/clinical-notes/draft', authenticate, authorize(['practitioner', 'admin']), sessionIdValidation, getClinicalNoteDraft);
+router.post('/:id/clinical-notes', authenticate, authorize(['practitioner', 'admin']), clinicalNoteValidation, createClinicalNote);
+router.post('/:id/clinical-notes/:noteId/amendments', authenticate, authorize(['practitioner', 'admin']), amendmentValidation, createAmendment);
+router.get('/:id/vitals', authenticate, sessionIdValidation, getSessionVitals);
+router.post('/:id/vitals', authenticate, authorize(['practitioner', 'admin']), vitalsValidation, recordSessionVitals);
+router.get('/available-slots', authenticate, availableSlotsValidation, getAvailableSlots);
+router.get('/first-available', authenticate, firstAvailableValidation, searchFirstAvailable);
 router.get('/my-sessions', authenticate, getUserSessions);
 router.patch('/:id/status', authenticate, updateSessionStatus);
 router.get('/:id', authenticate, getSessionDetails);
@@ -1,11 +1,19 @@
 // src/routes/therapyRoutes.js
 const express = require('express');
-const { body } = require('express-validator');
+const { body, validationResult } = require('express-validator');
 const Therapy = require('../models/therapy.models');
 const { authenticate, authorize } = require('../middleware/auth');
 
 const router = express.Router();
 
+const safetyRuleValidation = [
+  body('contraindications').optional().isArray().withMessage('Contraindications must be an array'),
+  body('safetyRules').optional().isArray().withMessage('Safety rules must be an array'),
+  body('safetyRules.*.field').isIn(['medicalConditions', 'allergies', 'medications']).withMessage('Rule field must be medicalConditions, allergies or medications'),
+  body('safetyRules.*.term').notEmpty().trim().withMessage('Rule term is required'),
+  body('safetyRules.*.severity').optional().isIn(['warning', 'block']).withMessage('Rule severity must be warning or block')
+];
+
 // Get all active therapies
 router.get('/', async (req, res) => {
   try {
@@ -87,10 +95,24 @@ router.post('/',
     body('description').notEmpty().withMessage('Description is required'),
     body('category').isIn(['purification', 'rejuvenation', 'therapeutic', 'preventive']).withMessage('Invalid category'),
     body('duration').isInt({ min: 15 }).withMessage('Duration must be at least 15 minutes'),
-    body('price').isFloat({ min: 0 }).withMessage('Price must be a positive number')
+    body('price').isFloat({ min: 0 }).withMessage('Price must be a positive number'),
+    body('resourceRequirements.room.required').optional().isBoolean().withMessage('Room requirement must be true or false'),
+    body('resourceRequirements.equipment').optional().isArray().withMessage('Equipment requirements must be an array'),
+    body('resourceRequirements.equipment.*.type').notEmpty().withMessage('Equipment type is required'),
+    body('resourceRequirements.equipment.*.quantity').optional().isInt({ min: 1 }).withMessage('Equipment quantity must be at least 1'),
+    ...safetyRuleValidation
   ],
   async (req, res) => {
     try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
       const therapy = await Therapy.create({
         ...req.body,
         createdBy: req.user.id
@@ -118,4 +140,47 @@ router.post('/',
   }
 );
 
+// Update a therapy's contraindications and safety rules (Admin only)
+router.patch('/:id/safety-rules',
+  authenticate,
+  authorize(['admin']),
+  safetyRuleValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const updates = {};
+      if (req.body.contraindications) updates.contraindications = req.body.contraindications;
+      if (req.body.safetyRules) updates.safetyRules = req.body.safetyRules;
+
+      const therapy = await Therapy.findByIdAndUpdate(req.params.id, updates, { new: true, runValidators: true });
+      if (!therapy) {
+        return res.status(404).json({
+          success: false,
+          message: 'Therapy not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Safety rules updated',
+        data: { therapy }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update safety rules',
+        error: error.message
+      });
+    }
+  }
+);
+
 module.exports = router;
@@ -0,0 +1,107 @@
+// src/routes/treatmentPlanRoutes.js
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const {
+  createTreatmentPlan,
+  getTreatmentPlans,
+  getTreatmentPlanDetails,
+  updateTreatmentPlan,
+  updatePlanGoal,
+  completePlanReview,
+  closeTreatmentPlan,
+  bookFromTreatmentPlan
+} = require('../controllers/treatmentPlan.controller');
+const { authenticate, authorize } = require('../middleware/auth');
+const TreatmentPlan = require('../models/treatmentPlan.models');
+const SessionSeries = require('../models/sessionSeries.models');
+const { DATE_PATTERN, TIME_PATTERN } = require('../utils/timeUtils');
+
+const router = express.Router();
+
+// Validation rules
+const planContentValidation = [
+  body('summary').optional().isString().trim().isLength({ max: 5000 }).withMessage('Summary cannot exceed 5000 characters'),
+  body('endDate').optional().matches(DATE_PATTERN).withMessage('End date must be in YYYY-MM-DD format'),
+  body('therapies').optional().isArray().withMessage('Therapies must be an array'),
+  body('therapies.*.therapy').isMongoId().withMessage('Valid therapy ID is required'),
+  body('therapies.*.recurrence.frequency').isIn(['weekly', 'every_n_days']).withMessage('Frequency must be weekly or every_n_days'),
+  body('therapies.*.recurrence.interval').optional().isInt({ min: 1, max: 90 }).withMessage('Interval must be between 1 and 90').toInt(),
+  body('therapies.*.sessions').isInt({ min: 1, max: SessionSeries.MAX_OCCURRENCES })
+    .withMessage(`Sessions must be between 1 and ${SessionSeries.MAX_OCCURRENCES}`).toInt(),
+  body('therapies.*.preferredTime').optional().matches(TIME_PATTERN).withMessage('Preferred time must be in HH:mm format'),
+  body('diet.pathya').optional().isArray().withMessage('Pathya must be an array'),
+  body('diet.apathya').optional().isArray().withMessage('Apathya must be an array'),
+  body('lifestyle').optional().isArray().withMessage('Lifestyle advice must be an array'),
+  body('prescriptions').optional().isArray().withMessage('Prescriptions must be an array'),
+  body('prescriptions.*.name').notEmpty().trim().withMessage('Prescription name is required'),
+  body('prescriptions.*.dosage').notEmpty().trim().withMessage('Prescription dosage is required'),
+  body('prescriptions.*.durationDays').optional().isInt({ min: 1 }).withMessage('Duration must be at least 1 day').toInt(),
+  body('goals').optional().isArray().withMessage('Goals must be an array'),
+  body('goals.*.description').notEmpty().trim().withMessage('Goal description is required'),
+  body('goals.*.targetDate').optional().matches(DATE_PATTERN).withMessage('Target date must be in YYYY-MM-DD format'),
+  body('reviews').optional().isArray().withMessage('Reviews must be an array'),
+  body('reviews.*.dueDate').matches(DATE_PATTERN).withMessage('Review date must be in YYYY-MM-DD format')
+];
+
+const planValidation = [
+  body('patientId').isMongoId().withMessage('Valid patient ID is required'),
+  body('title').notEmpty().trim().withMessage('Plan title is required'),
+  body('startDate').matches(DATE_PATTERN).withMessage('Start date must be in YYYY-MM-DD format'),
+  ...planContentValidation
+];
+
+const planUpdateValidation = [
+  param('id').isMongoId().withMessage('Valid plan ID is required'),
+  body('title').optional().notEmpty().trim().withMessage('Plan title cannot be empty'),
+  ...planContentValidation
+];
+
+const listValidation = [
+  query('patientId').optional().isMongoId().withMessage('Valid patient ID is required'),
+  query('status').optional().isIn(TreatmentPlan.PLAN_STATUSES).withMessage('Invalid plan status')
+];
+
+const idValidation = [
+  param('id').isMongoId().withMessage('Valid plan ID is required')
+];
+
+const goalValidation = [
+  param('id').isMongoId().withMessage('Valid plan ID is required'),
+  param('goalId').isMongoId().withMessage('Valid goal ID is required'),
+  body('status').isIn(TreatmentPlan.GOAL_STATUSES).withMessage('Status must be open, achieved or not-achieved'),
+  body('note').optional().isString().trim()
+];
+
+const reviewValidation = [
+  param('id').isMongoId().withMessage('Valid plan ID is required'),
+  param('reviewId').isMongoId().withMessage('Valid review ID is required'),
+  body('notes').optional().isString().trim(),
+  body('nextReviewDate').optional().matches(DATE_PATTERN).withMessage('Next review date must be in YYYY-MM-DD format')
+];
+
+const closeValidation = [
+  param('id').isMongoId().withMessage('Valid plan ID is required'),
+  body('status').isIn(['completed', 'cancelled']).withMessage('Status must be completed or cancelled'),
+  body('reason').optional().isString().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+];
+
+const bookingValidation = [
+  param('id').isMongoId().withMessage('Valid plan ID is required'),
+  body('startDate').matches(DATE_PATTERN).withMessage('Start date must be in YYYY-MM-DD format'),
+  body('items').optional().isArray({ min: 1 }).withMessage('Items must be a non-empty array'),
+  body('items.*.itemId').isMongoId().withMessage('Valid plan therapy ID is required'),
+  body('items.*.startDate').optional().matches(DATE_PATTERN).withMessage('Start date must be in YYYY-MM-DD format'),
+  body('items.*.startTime').optional().matches(TIME_PATTERN).withMessage('Start time must be in HH:mm format')
+];
+
+// Routes
+router.get('/', authenticate, listValidation, getTreatmentPlans);
+router.post('/', authenticate, authorize(['practitioner']), planValidation, createTreatmentPlan);
+router.get('/:id', authenticate, idValidation, getTreatmentPlanDetails);
+router.patch('/:id', authenticate, authorize(['practitioner', 'admin']), planUpdateValidation, updateTreatmentPlan);
+router.patch('/:id/goals/:goalId', authenticate, authorize(['practitioner', 'admin']), goalValidation, updatePlanGoal);
+router.patch('/:id/reviews/:reviewId', authenticate, authorize(['practitioner', 'admin']), reviewValidation, completePlanReview);
+router.patch('/:id/status', authenticate, authorize(['practitioner', 'admin']), closeValidation, closeTreatmentPlan);
+router.post('/:id/book', authenticate, bookingValidation, bookFromTreatmentPlan);
+
+module.exports = router;
@@ -1,14 +1,98 @@
 // src/routes/userRoutes.js
+const crypto = require('crypto');
 const express = require('express');
+const { body, validationResult } = require('express-validator');
 const User = require('../models/user.models');
+const Therapy = require('../models/therapy.models');
+const PractitionerOffering = require('../models/practitionerOffering.models');
 const { authenticate, authorize } = require('../middleware/auth');
+const { applyOffering } = require('../services/offeringService');
+const { sendNotification } = require('../services/notificationService');
 
 const router = express.Router();
 
+const accountValidation = [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
+  body('password').optional().isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  body('profile.firstName').notEmpty().trim().withMessage('First name is required'),
+  body('profile.lastName').notEmpty().trim().withMessage('Last name is required'),
+  body('profile.phone').isMobilePhone('en-IN').withMessage('Valid Indian mobile number is required')
+];
+
+/**
+ * Create an account on someone else's behalf, recording who created it
+ * Without a password, a temporary one is generated and returned once.
+ */
+const createAccount = (role) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email, password, profile, healthHistory } = req.body;
+
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'User with this email already exists'
+      });
+    }
+
+    const temporaryPassword = password ? null : crypto.randomBytes(6).toString('hex');
+    const user = await User.create({
+      email,
+      password: password || temporaryPassword,
+      role,
+      profile,
+      healthHistory: role === 'patient' ? healthHistory : undefined,
+      registeredBy: req.user.id
+    });
+
+    await sendNotification({
+      recipient: user._id,
+      type: 'booking_confirmation',
+      title: 'Welcome to Panchakarma Management System',
+      message: 'An account has been created for you by the clinic. Sign in with your email address to view and manage your sessions.',
+      channels: { email: true, inApp: true }
+    }).catch(error => console.error('Welcome notification error:', error));
+
+    res.status(201).json({
+      success: true,
+      message: `${role === 'patient' ? 'Patient' : 'Receptionist'} registered successfully`,
+      data: {
+        user,
+        temporaryPassword: temporaryPassword || undefined
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Registration failed',
+      error: error.message
+    });
+  }
+};
+
+const validateOfferingTerms = ({ price, duration }) => {
+  if (price != null && !(Number(price) >= 0)) {
+    return 'Price must be zero or more';
+  }
+  if (duration != null && !(Number.isInteger(Number(duration)) && Number(duration) >= 15)) {
+    return 'Duration must be a whole number of at least 15 minutes';
+  }
+  return null;
+};
+
 // Get practitioners
 router.get('/practitioners', async (req, res) => {
   try {
-    const { specialization, isApproved = true, page = 1, limit = 20 } = req.query;
+    const { specialization, therapyId, isApproved = true, page = 1, limit = 20 } = req.query;
     const query = { 
       role: 'practitioner',
       isActive: true
@@ -22,6 +106,10 @@ router.get('/practitioners', async (req, res) => {
       query['practitionerInfo.specialization'] = { $in: [specialization] };
     }
 
+    if (therapyId) {
+      query._id = { $in: await PractitionerOffering.distinct('practitioner', { therapy: therapyId, isActive: true }) };
+    }
+
     const skip = (page - 1) * limit;
 
     const [practitioners, totalCount] = await Promise.all([
@@ -33,10 +121,28 @@ router.get('/practitioners', async (req, res) => {
       User.countDocuments(query)
     ]);
 
+    // List what each practitioner offers, with their own price and duration
+    const offerings = await PractitionerOffering.find({
+      practitioner: { $in: practitioners.map(p => p._id) },
+      isActive: true
+    }).populate('therapy', 'name sanskritName category duration price isActive');
+
     res.json({
       success: true,
       data: {
-        practitioners,
+        practitioners: practitioners.map(practitioner => ({
+          ...practitioner.toJSON(),
+          offerings: offerings
+            .filter(offering => offering.practitioner.equals(practitioner._id) && offering.therapy?.isActive)
+            .map(offering => {
+              const therapy = applyOffering(offering.therapy, offering);
+              return {
+                therapy: { id: therapy._id, name: therapy.name, sanskritName: therapy.sanskritName, category: therapy.category },
+                price: therapy.price,
+                duration: therapy.duration
+              };
+            })
+        })),
         pagination: {
           currentPage: parseInt(page),
           totalPages: Math.ceil(totalCount / limit),
@@ -95,10 +201,16 @@ router.get('/patients', async (req, res) => {
   }
 });
 
-// Add therapy to practitioner's offerings
+// Register a patient at the front desk (Receptionist or Admin)
+router.post('/patients', authenticate, authorize(['receptionist', 'admin']), accountValidation, createAccount('patient'));
+
+// Create a receptionist account (Admin only)
+router.post('/receptionists', authenticate, authorize(['admin']), accountValidation, createAccount('receptionist'));
+
+// Add therapy to practitioner's offerings, optionally with their own price and duration
 router.post('/therapies/add', authenticate, async (req, res) => {
   try {
-    const { therapyId } = req.body;
+    const { therapyId, price, duration } = req.body;
     const userId = req.user.id;
     
     if (req.user.role !== 'practitioner') {
@@ -107,27 +219,33 @@ router.post('/therapies/add', authenticate, async (req, res) => {
         message: 'Only practitioners can add therapies'
       });
     }
-    
-    const user = await User.findById(userId);
-    if (!user) {
-      return res.status(404).json({
+
+    const termsError = validateOfferingTerms(req.body);
+    if (termsError) {
+      return res.status(400).json({
         success: false,
-        message: 'User not found'
+        message: termsError
       });
     }
     
-    if (!user.practitionerInfo.offeredTherapies) {
-      user.practitionerInfo.offeredTherapies = [];
+    const therapy = await Therapy.findById(therapyId);
+    if (!therapy || !therapy.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Therapy not found or inactive'
+      });
     }
     
-    if (!user.practitionerInfo.offeredTherapies.includes(therapyId)) {
-      user.practitionerInfo.offeredTherapies.push(therapyId);
-      await user.save();
-    }
+    const offering = await PractitionerOffering.findOneAndUpdate(
+      { practitioner: userId, therapy: therapy._id },
+      { $set: { price, duration, isActive: true } },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
     
     res.json({
       success: true,
-      message: 'Therapy added successfully'
+      message: 'Therapy added successfully',
+      data: { offering, therapy: applyOffering(therapy, offering) }
     });
   } catch (error) {
     res.status(500).json({
@@ -138,34 +256,74 @@ router.post('/therapies/add', authenticate, async (req, res) => {
   }
 });
 
-// Remove therapy from practitioner's offerings
-router.delete('/therapies/:therapyId', authenticate, async (req, res) => {
+// Update the price and duration a practitioner charges for a therapy (null resets to the therapy's own)
+router.patch('/therapies/:therapyId', authenticate, async (req, res) => {
   try {
     const { therapyId } = req.params;
-    const userId = req.user.id;
     
     if (req.user.role !== 'practitioner') {
       return res.status(403).json({
         success: false,
-        message: 'Only practitioners can remove therapies'
+        message: 'Only practitioners can update therapies'
+      });
+    }
+
+    const termsError = validateOfferingTerms(req.body);
+    if (termsError) {
+      return res.status(400).json({
+        success: false,
+        message: termsError
       });
     }
     
-    const user = await User.findById(userId);
-    if (!user) {
+    const offering = await PractitionerOffering.findOne({ practitioner: req.user.id, therapy: therapyId, isActive: true })
+      .populate('therapy');
+    if (!offering) {
       return res.status(404).json({
         success: false,
-        message: 'User not found'
+        message: 'You do not offer this therapy'
       });
     }
     
-    if (user.practitionerInfo.offeredTherapies) {
-      user.practitionerInfo.offeredTherapies = user.practitionerInfo.offeredTherapies.filter(
-        id => id.toString() !== therapyId
-      );
-      await user.save();
+    ['price', 'duration'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        offering[field] = req.body[field] === null ? undefined : req.body[field];
+      }
+    });
+    await offering.save();
+    
+    res.json({
+      success: true,
+      message: 'Therapy updated successfully',
+      data: { offering, therapy: applyOffering(offering.therapy, offering) }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update therapy',
+      error: error.message
+    });
+  }
+});
+
+// Remove therapy from practitioner's offerings (sessions already booked are kept)
+router.delete('/therapies/:therapyId', authenticate, async (req, res) => {
+  try {
+    const { therapyId } = req.params;
+    const userId = req.user.id;
+    
+    if (req.user.role !== 'practitioner') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only practitioners can remove therapies'
+      });
     }
     
+    await PractitionerOffering.updateOne(
+      { practitioner: userId, therapy: therapyId },
+      { $set: { isActive: false } }
+    );
+    
     res.json({
       success: true,
       message: 'Therapy removed successfully'
@@ -0,0 +1,43 @@
+// src/routes/vitalsRoutes.js
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const {
+  getPatientVitalsTrend,
+  listVitalRanges,
+  setVitalRange,
+  deactivateVitalRange
+} = require('../controllers/vitals.controller');
+const { authenticate, authorize } = require('../middleware/auth');
+const { NOTE_PHASES } = require('../models/clinicalNote.models');
+const VitalRange = require('../models/vitalRange.models');
+
+const router = express.Router();
+const METRICS = Object.keys(VitalRange.VITAL_METRICS);
+
+// Validation rules
+const trendValidation = [
+  param('patientId').optional().isMongoId().withMessage('Valid patient ID is required'),
+  query('courseId').optional().isMongoId().withMessage('Valid course ID is required'),
+  query('from').optional().isISO8601().withMessage('Valid from date is required'),
+  query('to').optional().isISO8601().withMessage('Valid to date is required')
+];
+
+const rangeValidation = [
+  body('metric').isIn(METRICS).withMessage(`Metric must be one of: ${METRICS.join(', ')}`),
+  body('therapyId').optional().isMongoId().withMessage('Valid therapy ID is required'),
+  body('phase').optional().isIn(NOTE_PHASES).withMessage('Phase must be pre-session, during-session or post-session'),
+  body('min').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Minimum must be a number of zero or more').toFloat(),
+  body('max').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Maximum must be a number of zero or more').toFloat()
+];
+
+const rangeListValidation = [
+  query('therapyId').optional().isMongoId().withMessage('Valid therapy ID is required')
+];
+
+// Routes
+router.get('/patient/:patientId?/trend', authenticate, authorize(['patient', 'practitioner', 'admin']), trendValidation, getPatientVitalsTrend);
+router.get('/ranges', authenticate, authorize(['practitioner', 'admin']), rangeListValidation, listVitalRanges);
+router.put('/ranges', authenticate, authorize(['admin']), rangeValidation, setVitalRange);
+router.delete('/ranges/:id', authenticate, authorize(['admin']), param('id').isMongoId().withMessage('Valid range ID is required'), deactivateVitalRange);
+
+module.exports = router;
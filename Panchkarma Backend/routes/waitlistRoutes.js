@@ -0,0 +1,32 @@
+// src/routes/waitlistRoutes.js
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  joinWaitlist,
+  getMyWaitlist,
+  getPractitionerWaitlist,
+  declineOffer,
+  leaveWaitlist
+} = require('../controllers/waitlist.controller');
+const { authenticate, authorize } = require('../middleware/auth');
+const { DATE_PATTERN } = require('../utils/timeUtils');
+
+const router = express.Router();
+
+// Validation rules
+const joinValidation = [
+  body('practitionerId').isMongoId().withMessage('Valid practitioner ID is required'),
+  body('therapyId').isMongoId().withMessage('Valid therapy ID is required'),
+  body('startDate').matches(DATE_PATTERN).withMessage('Start date must be in YYYY-MM-DD format'),
+  body('endDate').matches(DATE_PATTERN).withMessage('End date must be in YYYY-MM-DD format'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+];
+
+// Routes
+router.post('/', authenticate, authorize(['patient']), joinValidation, joinWaitlist);
+router.get('/my-entries', authenticate, getMyWaitlist);
+router.get('/practitioner/:id', authenticate, authorize(['practitioner', 'admin']), getPractitionerWaitlist);
+router.post('/:id/decline', authenticate, declineOffer);
+router.delete('/:id', authenticate, leaveWaitlist);
+
+module.exports = router;
@@ -3,6 +3,8 @@ const User = require('./models/user.models');
 const Therapy = require('./models/therapy.models');
 const Session = require('./models/session.models');
 const Feedback = require('./models/feedbacke.models');
+const PractitionerOffering = require('./models/practitionerOffering.models');
+const AssessmentQuestionnaire = require('./models/assessmentQuestionnaire.models');
 require('dotenv').config();
 
 const seedData = async () => {
@@ -16,7 +18,9 @@ const seedData = async () => {
       User.deleteMany({}),
       Therapy.deleteMany({}),
       Session.deleteMany({}),
-      Feedback.deleteMany({})
+      Feedback.deleteMany({}),
+      PractitionerOffering.deleteMany({}),
+      AssessmentQuestionnaire.deleteMany({})
     ]);
     console.log('Cleared existing data');
 
@@ -273,6 +277,11 @@ const seedData = async () => {
         ],
         indications: ['Constipation', 'IBS', 'Arthritis', 'Sciatica'],
         contraindications: ['Diarrhea', 'Bleeding disorders', 'Pregnancy', 'Anal fissures'],
+        safetyRules: [
+          { field: 'medicalConditions', term: 'Pregnancy', severity: 'block', message: 'Basti is not given during pregnancy' },
+          { field: 'medicalConditions', term: 'Bleeding disorders', severity: 'block' },
+          { field: 'medications', term: 'Warfarin', severity: 'block', message: 'Basti is not given to patients on anticoagulants' }
+        ],
         preInstructions: [
           'Light diet for 3 days before',
           'Empty bladder and bowel',
@@ -322,6 +331,66 @@ const seedData = async () => {
 
     console.log('Created therapies');
 
+    // Each practitioner offers the therapies they specialise in
+    const offerings = [];
+    [practitioner1, practitioner2].forEach(practitioner => {
+      therapies
+        .filter(therapy => practitioner.practitionerInfo.specialization.includes(therapy.name))
+        .forEach(therapy => offerings.push({ practitioner: practitioner._id, therapy: therapy._id }));
+    });
+    // Dr. Sharma charges more for a longer Shirodhara
+    const shirodhara = therapies.find(therapy => therapy.name === 'Shirodhara');
+    Object.assign(
+      offerings.find(o => o.practitioner.equals(practitioner1._id) && o.therapy.equals(shirodhara._id)),
+      { price: 3500, duration: 75 }
+    );
+    await PractitionerOffering.create(offerings);
+    console.log('Created practitioner offerings');
+
+    // Starter dosha questionnaires; each option scores the dosha it describes
+    const doshaQuestion = (key, text, section, [vata, pitta, kapha]) => ({
+      key,
+      text,
+      section,
+      options: [
+        { label: vata, scores: { vata: 1 } },
+        { label: pitta, scores: { pitta: 1 } },
+        { label: kapha, scores: { kapha: 1 } }
+      ]
+    });
+    await AssessmentQuestionnaire.create([
+      {
+        type: 'prakriti',
+        version: 1,
+        title: 'Prakriti (Constitution) Assessment',
+        description: 'Answer for how you have been for most of your life, not how you feel today.',
+        questions: [
+          doshaQuestion('body_frame', 'How would you describe your body frame?', 'physical', ['Thin, light, hard to gain weight', 'Medium, muscular', 'Broad, heavy, gains weight easily']),
+          doshaQuestion('skin', 'What is your skin usually like?', 'physical', ['Dry, rough, cool', 'Warm, oily, prone to rashes', 'Thick, smooth, moist']),
+          doshaQuestion('hair', 'What is your hair usually like?', 'physical', ['Dry, frizzy, thin', 'Fine, early greying or thinning', 'Thick, wavy, lustrous']),
+          doshaQuestion('appetite', 'How is your appetite?', 'physiological', ['Irregular, sometimes forget to eat', 'Strong, irritable when hungry', 'Steady, can skip meals easily']),
+          doshaQuestion('sleep', 'How do you usually sleep?', 'physiological', ['Light, easily disturbed', 'Moderate, wake up alert', 'Deep and long, slow to wake']),
+          doshaQuestion('temperament', 'How do you usually react under stress?', 'mental', ['Anxious, worried', 'Irritable, impatient', 'Calm, withdrawn']),
+          doshaQuestion('memory', 'How is your memory?', 'mental', ['Quick to learn, quick to forget', 'Sharp and focused', 'Slow to learn, never forgets'])
+        ],
+        createdBy: admin._id
+      },
+      {
+        type: 'vikriti',
+        version: 1,
+        title: 'Vikriti (Current Imbalance) Assessment',
+        description: 'Answer for how you have felt over the last few weeks.',
+        questions: [
+          doshaQuestion('digestion', 'How has your digestion been recently?', 'physiological', ['Gas, bloating, constipation', 'Acidity, heartburn, loose stools', 'Heaviness, slow digestion']),
+          doshaQuestion('energy', 'How has your energy been?', 'physiological', ['Fluctuating, easily exhausted', 'Driven but burning out', 'Sluggish, hard to get going']),
+          doshaQuestion('mood', 'How has your mood been?', 'mental', ['Restless, anxious', 'Frustrated, angry', 'Low, unmotivated']),
+          doshaQuestion('symptoms', 'Which symptoms stand out most?', 'physical', ['Joint pain, dryness, cold hands and feet', 'Inflammation, rashes, excess heat', 'Congestion, water retention, weight gain'])
+        ],
+        createdBy: admin._id
+      }
+    ]);
+    console.log('Created dosha questionnaires');
+
     // Create Sample Sessions
     const now = new Date();
     const sessions = [];
@@ -17,6 +17,17 @@ const analyticsRoutes = require('./routes/analyticsRoutes');
 const therapyRoutes = require('./routes/therapyRoutes');
 const userRoutes = require('./routes/userRoutes');
 const scheduleRoutes = require('./routes/scheduleRoutes');
+const resourceRoutes = require('./routes/resourceRoutes');
+const courseRoutes = require('./routes/courseRoutes');
+const waitlistRoutes = require('./routes/waitlistRoutes');
+const calendarRoutes = require('./routes/calendarRoutes');
+const cancellationPolicyRoutes = require('./routes/cancellationPolicyRoutes');
+const queueRoutes = require('./routes/queueRoutes');
+const groupSessionRoutes = require('./routes/groupSessionRoutes');
+const assessmentRoutes = require('./routes/assessmentRoutes');
+const noteTemplateRoutes = require('./routes/noteTemplateRoutes');
+const vitalsRoutes = require('./routes/vitalsRoutes');
+const treatmentPlanRoutes = require('./routes/treatmentPlanRoutes');
 
 const { errorHandler } = require('./middleware/errorHandler');
 const { setupSocketEvents } = require('./services/socketService');
@@ -91,6 +102,17 @@ app.use('/api/analytics', analyticsRoutes);
 app.use('/api/therapies', therapyRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/schedule', scheduleRoutes);
+app.use('/api/resources', resourceRoutes);
+app.use('/api/courses', courseRoutes);
+app.use('/api/waitlist', waitlistRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/cancellation-policies', cancellationPolicyRoutes);
+app.use('/api/queue', queueRoutes);
+app.use('/api/group-sessions', groupSessionRoutes);
+app.use('/api/assessments', assessmentRoutes);
+app.use('/api/note-templates', noteTemplateRoutes);
+app.use('/api/vitals', vitalsRoutes);
+app.use('/api/treatment-plans', treatmentPlanRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -109,7 +131,7 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/panchakar
 .catch(err => console.error('MongoDB connection error:', err));
 
 // Start cron jobs
-startCronJobs();
+startCronJobs(io);
 
 const PORT = process.env.PORT || 5000;
 server.listen(PORT, () => {
@@ -0,0 +1,143 @@
+// src/services/assessmentService.js
+const AssessmentQuestionnaire = require('../models/assessmentQuestionnaire.models');
+const DoshaAssessment = require('../models/doshaAssessment.models');
+const User = require('../models/user.models');
+
+const { DOSHAS } = AssessmentQuestionnaire;
+
+// Doshas within this many percentage points of the leading one share dominance
+const DOSHA_MARGIN = 10;
+
+/**
+ * Name the dominant dosha(s) from percentage scores
+ * One clear leader gives e.g. 'vata', two close leaders 'vata-pitta', three 'tridoshic'.
+ */
+const determineDominant = (scores) => {
+  const ranked = [...DOSHAS].sort((a, b) => scores[b] - scores[a]);
+  const [first, second, third] = ranked;
+
+  if (scores[first] - scores[third] < DOSHA_MARGIN) return 'tridoshic';
+  if (scores[first] - scores[second] < DOSHA_MARGIN) return `${first}-${second}`;
+  return first;
+};
+
+/**
+ * Score a set of answers against a questionnaire
+ * Each chosen option adds its dosha points times the question's weight. Returns { error }
+ * or { answers, scores, dominant } with scores as percentages of the total.
+ */
+const scoreAnswers = (questionnaire, answers) => {
+  const answerByKey = new Map(answers.map(answer => [answer.questionKey, answer.optionIndex]));
+  const unknown = answers.filter(answer => !questionnaire.questions.some(q => q.key === answer.questionKey));
+  if (unknown.length > 0) {
+    return { error: `Unknown question(s): ${unknown.map(answer => answer.questionKey).join(', ')}` };
+  }
+
+  const totals = { vata: 0, pitta: 0, kapha: 0 };
+  const scored = [];
+  const missing = [];
+
+  for (const question of questionnaire.questions) {
+    if (!answerByKey.has(question.key)) {
+      if (question.required) missing.push(question.key);
+      continue;
+    }
+
+    const optionIndex = answerByKey.get(question.key);
+    const option = question.options[optionIndex];
+    if (!option) {
+      return { error: `Question ${question.key} has no option ${optionIndex}` };
+    }
+
+    DOSHAS.forEach(dosha => {
+      totals[dosha] += (option.scores?.[dosha] || 0) * question.weight;
+    });
+    scored.push({ questionKey: question.key, optionIndex });
+  }
+
+  if (missing.length > 0) {
+    return { error: `Please answer every required question: ${missing.join(', ')}` };
+  }
+
+  const total = DOSHAS.reduce((sum, dosha) => sum + totals[dosha], 0);
+  if (total === 0) {
+    return { error: 'The answers given do not score any dosha' };
+  }
+
+  const scores = {};
+  DOSHAS.forEach(dosha => {
+    scores[dosha] = Math.round((totals[dosha] / total) * 1000) / 10;
+  });
+
+  return { answers: scored, scores, dominant: determineDominant(scores) };
+};
+
+/**
+ * Score and store a patient's assessment, updating their constitution profile
+ * Returns { error } or { assessment }.
+ */
+const recordAssessment = async ({ patientId, questionnaire, answers, notes, assessedBy }) => {
+  const result = scoreAnswers(questionnaire, answers);
+  if (result.error) {
+    return { error: result.error };
+  }
+
+  const assessment = await DoshaAssessment.create({
+    patient: patientId,
+    type: questionnaire.type,
+    questionnaire: questionnaire._id,
+    questionnaireVersion: questionnaire.version,
+    answers: result.answers,
+    scores: result.scores,
+    dominant: result.dominant,
+    notes,
+    assessedBy
+  });
+
+  await User.updateOne(
+    { _id: patientId },
+    {
+      $set: {
+        [`constitution.${questionnaire.type}`]: {
+          dominant: assessment.dominant,
+          scores: result.scores,
+          assessment: assessment._id,
+          assessedAt: assessment.createdAt
+        }
+      }
+    }
+  );
+
+  return { assessment };
+};
+
+/**
+ * Get a patient's current constitution and their assessment history, newest first
+ */
+const getConstitution = async (patientId, { type = null, limit = 10 } = {}) => {
+  const query = { patient: patientId };
+  if (type) query.type = type;
+
+  const [patient, history] = await Promise.all([
+    User.findById(patientId).select('constitution'),
+    DoshaAssessment.find(query)
+      .select('-answers')
+      .populate('assessedBy', 'profile.firstName profile.lastName role')
+      .sort({ createdAt: -1 })
+      .limit(limit)
+  ]);
+
+  return {
+    prakriti: patient?.constitution?.prakriti?.assessment ? patient.constitution.prakriti : null,
+    vikriti: patient?.constitution?.vikriti?.assessment ? patient.constitution.vikriti : null,
+    history
+  };
+};
+
+module.exports = {
+  DOSHA_MARGIN,
+  determineDominant,
+  scoreAnswers,
+  recordAssessment,
+  getConstitution
+};
@@ -0,0 +1,55 @@
+// src/services/bookingLockService.js
+const mongoose = require('mongoose');
+const BookingLedger = require('../models/bookingLedger.models');
+
+/**
+ * Build ledger keys for the practitioners and patients taking part in a booking
+ */
+const bookingKeys = ({ practitionerIds = [], patientIds = [] }) => [
+  ...practitionerIds.map(id => `practitioner:${id}`),
+  ...patientIds.map(id => `patient:${id}`)
+];
+
+/**
+ * Build ledger keys for the room and equipment allocated to a session
+ */
+const resourceKeys = (resources = {}) => [
+  ...(resources.room ? [`room:${resources.room}`] : []),
+  ...(resources.equipment || []).map(({ item }) => `equipment:${item}`)
+];
+
+/**
+ * Write the ledger entries for the given keys inside a transaction
+ * A concurrent transaction that writes any of the same entries hits a write conflict
+ * and is retried by the driver, so it re-runs its checks against committed data.
+ */
+const lockKeys = async (keys, mongoSession) => {
+  const now = new Date();
+  for (const key of [...new Set(keys.map(String))].sort()) {
+    await BookingLedger.updateOne(
+      { key },
+      { $inc: { version: 1 }, $set: { lastLockedAt: now } },
+      { upsert: true, session: mongoSession }
+    );
+  }
+};
+
+/**
+ * Run booking work in a transaction that first locks the given ledger keys
+ * Overlap checks done by `work` with the provided session cannot race another booking
+ * of the same practitioner or patient. Resources picked inside `work` must be locked
+ * with `lockKeys(resourceKeys(...), mongoSession)` before the session is written.
+ */
+const withBookingLocks = (keys, work) => {
+  return mongoose.connection.transaction(async (mongoSession) => {
+    await lockKeys(keys, mongoSession);
+    return work(mongoSession);
+  });
+};
+
+module.exports = {
+  bookingKeys,
+  resourceKeys,
+  lockKeys,
+  withBookingLocks
+};
@@ -0,0 +1,249 @@
+// src/services/calendarService.js
+const crypto = require('crypto');
+const Session = require('../models/session.models');
+const { getZonedParts, getTimezoneOffset, getDayRange, toDateKey } = require('../utils/timeUtils');
+
+const PRODUCT_ID = '-//Panchakarma Sutra//Sessions//EN';
+const UID_DOMAIN = 'panchakarma-sutra';
+const FEED_REFRESH_INTERVAL = 'PT1H';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Hash a calendar feed token; only the hash is stored on the user
+ */
+const hashFeedToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Create a new secret calendar feed token and its hash
+ */
+const generateFeedToken = () => {
+  const token = crypto.randomBytes(24).toString('hex');
+  return { token, tokenHash: hashFeedToken(token) };
+};
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+const formatUtcStamp = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const formatLocalStamp = (date, timeZone) => {
+  const p = getZonedParts(date, timeZone);
+  return `${p.year}${pad(p.month)}${pad(p.day)}T${pad(p.hour)}${pad(p.minute)}${pad(p.second)}`;
+};
+
+const formatOffset = (offsetMs) => {
+  const minutes = Math.round(Math.abs(offsetMs) / 60000);
+  return `${offsetMs < 0 ? '-' : '+'}${pad(Math.floor(minutes / 60))}${pad(minutes % 60)}`;
+};
+
+// Escape TEXT values (RFC 5545 section 3.3.11)
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Fold content lines longer than 75 octets without splitting a multi-byte character
+const foldLine = (line) => {
+  const folded = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = folded.length === 0 ? 75 : 74; // continuation lines start with a space
+    if (octets + size > limit) {
+      folded.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  folded.push(current);
+  return folded.join('\r\n ');
+};
+
+/**
+ * Find the instants between two dates where a timezone's UTC offset changes
+ */
+const findOffsetTransitions = (timeZone, from, to) => {
+  const transitions = [];
+  let previous = from.getTime();
+  let previousOffset = getTimezoneOffset(previous, timeZone);
+
+  for (let time = previous + DAY_MS; time <= to.getTime() + DAY_MS; time += DAY_MS) {
+    const offset = getTimezoneOffset(time, timeZone);
+    if (offset !== previousOffset) {
+      // Narrow the change down to the second
+      let low = previous;
+      let high = time;
+      while (high - low > 1000) {
+        const mid = low + Math.floor((high - low) / 2000) * 1000;
+        if (getTimezoneOffset(mid, timeZone) === previousOffset) low = mid; else high = mid;
+      }
+      transitions.push({ at: new Date(high), from: previousOffset, to: offset });
+    }
+    previous = time;
+    previousOffset = offset;
+  }
+
+  return transitions;
+};
+
+// Standard time is the smaller of the year's January and July offsets
+const isDaylightOffset = (offset, date, timeZone) => {
+  const year = new Date(date).getUTCFullYear();
+  const standard = Math.min(
+    getTimezoneOffset(Date.UTC(year, 0, 1), timeZone),
+    getTimezoneOffset(Date.UTC(year, 6, 1), timeZone)
+  );
+  return offset > standard;
+};
+
+/**
+ * Build a VTIMEZONE for a timezone covering the given period
+ * Each offset change in the period is listed as its own observance.
+ */
+const buildTimezone = (timeZone, from, to) => {
+  const start = new Date(from.getTime() - DAY_MS);
+  const initialOffset = getTimezoneOffset(start, timeZone);
+  const observances = [
+    { at: start, from: initialOffset, to: initialOffset },
+    ...findOffsetTransitions(timeZone, start, to)
+  ];
+
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+  observances.forEach(({ at, from: offsetFrom, to: offsetTo }) => {
+    const kind = isDaylightOffset(offsetTo, at, timeZone) ? 'DAYLIGHT' : 'STANDARD';
+    // An observance starts at the local time of the offset it replaces
+    const onset = new Date(at.getTime() + offsetFrom);
+    const onsetStamp = formatUtcStamp(onset).replace('Z', '');
+    lines.push(
+      `BEGIN:${kind}`,
+      `DTSTART:${onsetStamp}`,
+      `TZOFFSETFROM:${formatOffset(offsetFrom)}`,
+      `TZOFFSETTO:${formatOffset(offsetTo)}`,
+      `END:${kind}`
+    );
+  });
+  lines.push('END:VTIMEZONE');
+  return lines;
+};
+
+// Describe a session from the viewer's side: patients see the practitioner, practitioners the patient
+const describeSession = (session, viewerId) => {
+  const therapyName = session.therapy?.name || 'Therapy session';
+  const isPractitioner = session.practitioner?._id?.toString() === String(viewerId);
+  const counterpart = isPractitioner ? session.patient : session.practitioner;
+  const counterpartName = counterpart?.profile
+    ? `${counterpart.profile.firstName} ${counterpart.profile.lastName}`
+    : null;
+
+  const summary = !counterpartName
+    ? therapyName
+    : isPractitioner ? `${therapyName} - ${counterpartName}` : `${therapyName} with Dr. ${counterpartName}`;
+
+  const description = [
+    session.therapy?.sanskritName && `${therapyName} (${session.therapy.sanskritName})`,
+    `Status: ${session.status}`,
+    session.cancellationReason && session.status === 'cancelled' && `Cancellation reason: ${session.cancellationReason}`,
+    !isPractitioner && session.therapy?.preInstructions?.length > 0 &&
+      `Before your session:\n${session.therapy.preInstructions.map(i => `- ${i}`).join('\n')}`
+  ].filter(Boolean).join('\n');
+
+  return { summary, description };
+};
+
+/**
+ * Build the VEVENT lines for a session
+ * The UID stays the same across reschedules and cancellations so calendar apps update the event
+ * in place; SEQUENCE grows with every change to the session.
+ */
+const buildSessionEvent = (session, { timeZone, viewerId, now = new Date() }) => {
+  const { summary, description } = describeSession(session, viewerId);
+  const created = session.createdAt || now;
+  const modified = session.updatedAt || created;
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:session-${session._id}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatUtcStamp(now)}`,
+    `CREATED:${formatUtcStamp(created)}`,
+    `LAST-MODIFIED:${formatUtcStamp(modified)}`,
+    `SEQUENCE:${Math.max(0, Math.floor((new Date(modified) - new Date(created)) / 1000))}`,
+    `DTSTART;TZID=${timeZone}:${formatLocalStamp(session.startTime, timeZone)}`,
+    `DTEND;TZID=${timeZone}:${formatLocalStamp(session.endTime, timeZone)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `STATUS:${session.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`,
+    'TRANSP:OPAQUE'
+  ];
+  if (session.resources?.room?.name) {
+    lines.push(`LOCATION:${escapeText(session.resources.room.name)}`);
+  }
+  if (process.env.CLIENT_URL) {
+    lines.push(`URL:${process.env.CLIENT_URL}/sessions/${session._id}`);
+  }
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Build an iCalendar document for a list of sessions, with times in the given timezone
+ */
+const buildCalendar = (sessions, { timeZone, viewerId, name = null, isFeed = false }) => {
+  const now = new Date();
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+  lines.push(`X-WR-TIMEZONE:${timeZone}`);
+  if (isFeed) {
+    lines.push(`REFRESH-INTERVAL;VALUE=DURATION:${FEED_REFRESH_INTERVAL}`, `X-PUBLISHED-TTL:${FEED_REFRESH_INTERVAL}`);
+  }
+
+  if (sessions.length > 0) {
+    const from = new Date(Math.min(...sessions.map(s => new Date(s.startTime).getTime())));
+    const to = new Date(Math.max(...sessions.map(s => new Date(s.endTime).getTime())));
+    lines.push(...buildTimezone(timeZone, from, to));
+  }
+  sessions.forEach(session => lines.push(...buildSessionEvent(session, { timeZone, viewerId, now })));
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+/**
+ * Get the sessions shown in a user's calendar feed: everything from the start of today onwards
+ * Patients get their own bookings; practitioners get their schedule. Cancelled sessions stay in
+ * the feed, marked as cancelled, so subscribed calendars drop them.
+ */
+const getFeedSessions = (user) => {
+  const query = {
+    startTime: { $gte: getDayRange(toDateKey(new Date())).start },
+    status: { $ne: 'no-show' }
+  };
+  if (user.role === 'practitioner') {
+    query.practitioner = user._id;
+  } else {
+    query.patient = user._id;
+  }
+
+  return Session.find(query)
+    .populate('therapy', 'name sanskritName preInstructions')
+    .populate('patient', 'profile.firstName profile.lastName')
+    .populate('practitioner', 'profile.firstName profile.lastName')
+    .populate('resources.room', 'name')
+    .sort({ startTime: 1 });
+};
+
+module.exports = {
+  hashFeedToken,
+  generateFeedToken,
+  buildCalendar,
+  getFeedSessions
+};
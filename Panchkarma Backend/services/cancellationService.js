@@ -0,0 +1,128 @@
+// src/services/cancellationService.js
+const CancellationPolicy = require('../models/cancellationPolicy.models');
+const Session = require('../models/session.models');
+
+const REFUND_TIMELINE = '3-5 business days';
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Work out who a cancellation is attributed to
+ * Patients and practitioners always cancel as themselves; admins may cancel on a
+ * patient's or practitioner's behalf and otherwise cancel as the clinic.
+ */
+const resolveCancellationType = ({ isPatient, isPractitioner, requestedType }) => {
+  if (isPatient) return 'patient';
+  if (isPractitioner) return 'practitioner';
+  return CancellationPolicy.CANCELLATION_TYPES.includes(requestedType) ? requestedType : 'clinic';
+};
+
+/**
+ * Calculate the fee and refund for cancelling a session now
+ * The policy for the session's therapy category applies (or the default policy). Waivers
+ * and the grace period after booking cancel the fee entirely; otherwise the narrowest
+ * matching tier sets the fee. Only what the patient has paid can be refunded.
+ */
+const calculateCancellationCharges = async (session, { cancellationType, now = new Date() }) => {
+  const policy = await CancellationPolicy.findForCategory(session.therapy.category);
+  const hoursUntilSession = (session.startTime.getTime() - now.getTime()) / (1000 * 60 * 60);
+  const minutesSinceBooking = (now.getTime() - session.createdAt.getTime()) / (1000 * 60);
+
+  let waiver = null;
+  let feePercent = 0;
+  if (cancellationType !== 'patient' && policy.waivers[cancellationType]) {
+    waiver = cancellationType;
+  } else if (minutesSinceBooking <= policy.gracePeriodMinutes) {
+    waiver = 'grace_period';
+  } else {
+    feePercent = policy.findTier(hoursUntilSession)?.feePercent || 0;
+  }
+
+  const cancellationFee = roundAmount(session.price * feePercent / 100);
+  const amountPaid = session.paymentStatus === 'paid' ? session.price : 0;
+  const refundAmount = roundAmount(Math.max(amountPaid - cancellationFee, 0));
+
+  return {
+    cancellationType,
+    cancellationFee,
+    refundAmount,
+    refundTimeline: refundAmount > 0 ? REFUND_TIMELINE : null,
+    policy: {
+      policy: policy.isNew ? undefined : policy._id,
+      category: policy.category,
+      feePercent,
+      waiver: waiver || undefined
+    }
+  };
+};
+
+/**
+ * Record the calculated charges on a session being cancelled
+ * A paid session with money to return is marked refunded.
+ */
+const applyCancellationCharges = (session, charges) => {
+  session.cancellationType = charges.cancellationType;
+  session.cancellationFee = charges.cancellationFee;
+  session.refundAmount = charges.refundAmount;
+  session.cancellationPolicy = charges.policy;
+  if (charges.refundAmount > 0) {
+    session.paymentStatus = 'refunded';
+  }
+};
+
+/**
+ * Cancel several sessions together, charging each one under the cancellation policy
+ * Every session is charged as if it were cancelled on its own, so cancelling a series or a
+ * course costs the same as cancelling its sessions one at a time. Sessions need their therapy
+ * populated. Uses direct updates so sessions whose start time has passed can still be cancelled.
+ * Returns the fee and refund for each session with their totals.
+ */
+const cancelSessionsWithCharges = async (sessions, { cancellationType, performedBy, reason, now = new Date(), mongoSession = null }) => {
+  const charged = [];
+  for (const session of sessions) {
+    const charges = await calculateCancellationCharges(session, { cancellationType, now });
+    session.status = 'cancelled';
+    session.cancellationReason = reason;
+    session.cancelledBy = performedBy;
+    session.cancelledAt = now;
+    applyCancellationCharges(session, charges);
+
+    await Session.updateOne(
+      { _id: session._id },
+      {
+        $set: {
+          status: session.status,
+          cancellationReason: session.cancellationReason,
+          cancelledBy: session.cancelledBy,
+          cancelledAt: session.cancelledAt,
+          cancellationType: session.cancellationType,
+          cancellationFee: session.cancellationFee,
+          refundAmount: session.refundAmount,
+          cancellationPolicy: session.cancellationPolicy,
+          paymentStatus: session.paymentStatus
+        }
+      },
+      { session: mongoSession }
+    );
+
+    charged.push({
+      sessionId: session._id,
+      cancellationFee: charges.cancellationFee,
+      refundAmount: charges.refundAmount
+    });
+  }
+
+  return {
+    sessions: charged,
+    cancellationFee: roundAmount(charged.reduce((sum, entry) => sum + entry.cancellationFee, 0)),
+    refundAmount: roundAmount(charged.reduce((sum, entry) => sum + entry.refundAmount, 0)),
+    refundTimeline: charged.some(entry => entry.refundAmount > 0) ? REFUND_TIMELINE : null
+  };
+};
+
+module.exports = {
+  resolveCancellationType,
+  calculateCancellationCharges,
+  applyCancellationCharges,
+  cancelSessionsWithCharges
+};
@@ -0,0 +1,107 @@
+// src/services/clinicalNoteService.js
+const ClinicalNote = require('../models/clinicalNote.models');
+const NoteTemplate = require('../models/noteTemplate.models');
+
+const { SOAP_SECTIONS } = ClinicalNote;
+
+// Free-text notes sent with a status update are filed under the section that fits the phase
+const FREE_TEXT_SECTION = {
+  'pre-session': 'subjective',
+  'during-session': 'objective',
+  'post-session': 'plan'
+};
+
+/**
+ * Work out which phase of the session a note written now belongs to
+ */
+const notePhase = (sessionStatus, newStatus = null) => {
+  if (newStatus === 'completed' || sessionStatus === 'completed') return 'post-session';
+  if (newStatus === 'in-progress' || sessionStatus === 'in-progress') return 'during-session';
+  if (['scheduled', 'confirmed'].includes(sessionStatus)) return 'pre-session';
+  return 'post-session';
+};
+
+/**
+ * Keep only the SOAP sections of a request body, trimmed
+ */
+const pickSections = (source = {}) => {
+  const sections = {};
+  SOAP_SECTIONS.forEach(section => {
+    if (typeof source[section] === 'string' && source[section].trim()) {
+      sections[section] = source[section].trim();
+    }
+  });
+  return sections;
+};
+
+/**
+ * Append a clinical note to a session
+ */
+const addClinicalNote = (session, { author, phase, sections, templateId }) => {
+  return ClinicalNote.create({
+    session: session._id,
+    patient: session.patient._id || session.patient,
+    author,
+    phase: phase || notePhase(session.status),
+    ...sections,
+    template: templateId
+  });
+};
+
+/**
+ * Amend a note, keeping the original text and every earlier amendment
+ * Returns { error } or { note }.
+ */
+const amendClinicalNote = async (note, { author, sections, reason }) => {
+  const current = note.current;
+  const changed = {};
+  Object.entries(sections).forEach(([section, text]) => {
+    if (text !== current[section]) changed[section] = text;
+  });
+
+  if (Object.keys(changed).length === 0) {
+    return { error: 'The amendment does not change any section of the note' };
+  }
+
+  note.amendments.push({ ...changed, reason, author });
+  await note.save();
+  return { note };
+};
+
+/**
+ * List a session's clinical notes in the order they were written
+ */
+const getSessionNotes = (sessionId) => {
+  return ClinicalNote.find({ session: sessionId })
+    .populate('author', 'profile.firstName profile.lastName role')
+    .populate('amendments.author', 'profile.firstName profile.lastName role')
+    .sort({ createdAt: 1 });
+};
+
+/**
+ * Build a blank note from the therapy's template, or the general one
+ * Returns null when no template exists.
+ */
+const getNoteDraft = async (therapyId) => {
+  const template = await NoteTemplate.findForTherapy(therapyId);
+  if (!template) return null;
+
+  const draft = { templateId: template._id, name: template.name, sections: {} };
+  SOAP_SECTIONS.forEach(section => {
+    draft.sections[section] = {
+      prompts: template[section]?.prompts || [],
+      text: template[section]?.defaultText || ''
+    };
+  });
+  return draft;
+};
+
+module.exports = {
+  FREE_TEXT_SECTION,
+  notePhase,
+  pickSections,
+  addClinicalNote,
+  amendClinicalNote,
+  getSessionNotes,
+  getNoteDraft
+};
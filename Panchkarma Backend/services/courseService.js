@@ -0,0 +1,401 @@
+// src/services/courseService.js
+const mongoose = require('mongoose');
+const Session = require('../models/session.models');
+const TreatmentCourse = require('../models/treatmentCourse.models');
+const PractitionerSchedule = require('../models/practitionerSchedule.models');
+const { sendNotification } = require('./notificationService');
+const { findSlotConflict, findPatientConflict } = require('./slotService');
+const { allocateResources } = require('./resourceService');
+const { offerFreedSlot } = require('./waitlistService');
+const { cancelSessionsWithCharges } = require('./cancellationService');
+const { bookingKeys, resourceKeys, lockKeys, withBookingLocks } = require('./bookingLockService');
+const { getOfferingsByTherapy, applyOffering } = require('./offeringService');
+const { addDaysToDateKey, combineDateAndTime, formatDateTime } = require('../utils/timeUtils');
+
+const OPEN_SESSION_STATUSES = ['scheduled', 'confirmed'];
+
+/**
+ * Work out the date, time and resources of every step of a protocol from a start date
+ * `protocol` must have its steps' therapies populated. Each planned session carries a
+ * `conflict` that is null when the slot is bookable. Steps use the practitioner's price and
+ * duration for their therapy; with `requireOffering` a therapy they do not offer is a conflict.
+ */
+const planCourseSessions = async (protocol, {
+  practitionerId,
+  patientId,
+  startDate,
+  preferredTime = '09:00',
+  steps = protocol.steps,
+  excludeSessionIds = null,
+  requireOffering = true,
+  mongoSession = null
+}) => {
+  const schedule = await PractitionerSchedule.findOrDefault(practitionerId);
+  const offerings = await getOfferingsByTherapy(practitionerId, { mongoSession });
+  const bufferMs = schedule.bufferTime * 60 * 1000;
+  const now = new Date();
+  const planned = [];
+
+  for (const step of steps) {
+    const offering = offerings.get(step.therapy._id.toString());
+    const therapy = offering ? applyOffering(step.therapy, offering) : step.therapy;
+    const dateKey = addDaysToDateKey(startDate, step.dayOffset);
+    let sessionStart = combineDateAndTime(dateKey, step.preferredTime || preferredTime);
+
+    // Steps on the same day run one after another
+    const previous = planned[planned.length - 1];
+    if (previous && previous.dateKey === dateKey && sessionStart < new Date(previous.endTime.getTime() + bufferMs)) {
+      sessionStart = new Date(previous.endTime.getTime() + bufferMs);
+    }
+    const sessionEnd = new Date(sessionStart.getTime() + therapy.duration * 60 * 1000);
+
+    const entry = {
+      step,
+      therapy,
+      dateKey,
+      startTime: sessionStart,
+      endTime: sessionEnd,
+      resources: { equipment: [] },
+      conflict: null
+    };
+    planned.push(entry);
+
+    if (!therapy.isActive) {
+      entry.conflict = { reason: 'therapy_inactive', message: `${therapy.name} is no longer offered` };
+      continue;
+    }
+    if (!offering && requireOffering) {
+      entry.conflict = { reason: 'not_offered', message: `The practitioner does not offer ${therapy.name}` };
+      continue;
+    }
+    if (sessionStart <= now) {
+      entry.conflict = { reason: 'in_past', message: 'Cannot book session in the past' };
+      continue;
+    }
+
+    const patientConflict = await findPatientConflict(patientId, sessionStart, sessionEnd, excludeSessionIds, { mongoSession });
+    if (patientConflict) {
+      entry.conflict = { reason: 'patient_conflict', message: 'Patient has a conflicting session at this time' };
+      continue;
+    }
+
+    const slotConflict = await findSlotConflict(practitionerId, sessionStart, sessionEnd, excludeSessionIds, {
+      holderId: patientId,
+      mongoSession
+    });
+    if (slotConflict) {
+      entry.conflict = slotConflict;
+      continue;
+    }
+
+    const allocation = await allocateResources(therapy, sessionStart, sessionEnd, {
+      excludeSessionId: excludeSessionIds,
+      mongoSession
+    });
+    if (allocation.conflict) {
+      entry.conflict = allocation.conflict;
+      continue;
+    }
+    entry.resources = allocation.resources;
+  }
+
+  return planned;
+};
+
+const formatPlan = (planned) => planned.map(({ step, therapy, dateKey, startTime, endTime, conflict }) => ({
+  order: step.order,
+  phase: step.phase,
+  dayOffset: step.dayOffset,
+  therapy: { id: therapy._id, name: therapy.name, duration: therapy.duration, price: therapy.price },
+  date: dateKey,
+  startTime,
+  endTime,
+  conflict
+}));
+
+/**
+ * Book a whole course and all of its sessions in one transaction
+ * Nothing is created if any session conflicts
+ */
+const createCourse = async (protocol, { practitionerId, patientId, startDate, preferredTime, createdBy, safetyChecks = new Map() }) => {
+  const keys = bookingKeys({ practitionerIds: [practitionerId], patientIds: [patientId] });
+
+  return withBookingLocks(keys, async (mongoSession) => {
+    const planned = await planCourseSessions(protocol, { practitionerId, patientId, startDate, preferredTime, mongoSession });
+    const conflicts = planned.filter(p => p.conflict);
+    if (conflicts.length > 0) {
+      return { course: null, plan: formatPlan(planned), conflicts: formatPlan(conflicts) };
+    }
+    await lockKeys(planned.flatMap(p => resourceKeys(p.resources)), mongoSession);
+
+    const [course] = await TreatmentCourse.create([{
+      protocol: protocol._id,
+      patient: patientId,
+      practitioner: practitionerId,
+      startDate,
+      endDate: addDaysToDateKey(startDate, protocol.durationDays - 1),
+      preferredTime,
+      totalPrice: planned.reduce((sum, p) => sum + p.therapy.price, 0),
+      createdBy
+    }], { session: mongoSession });
+
+    const sessions = await Session.create(planned.map(p => ({
+      therapy: p.therapy._id,
+      patient: patientId,
+      practitioner: practitionerId,
+      course: course._id,
+      courseStep: { order: p.step.order, phase: p.step.phase, dayOffset: p.step.dayOffset },
+      scheduledDate: p.dateKey,
+      startTime: p.startTime,
+      endTime: p.endTime,
+      price: p.therapy.price,
+      resources: p.resources,
+      notes: { preSession: p.step.instructions || '' },
+      status: 'scheduled',
+      paymentStatus: 'pending',
+      bookedBy: createdBy,
+      safetyCheck: safetyChecks.get(p.therapy._id.toString())
+    })), { session: mongoSession, ordered: true });
+
+    course.sessions = sessions.map(s => s._id);
+    await course.save({ session: mongoSession });
+
+    return { course, plan: formatPlan(planned), conflicts: [] };
+  });
+};
+
+/**
+ * Summarise how far a course has progressed
+ * `course.sessions` must be populated
+ */
+const getCourseProgress = (course) => {
+  const sessions = [...course.sessions].sort((a, b) => a.startTime - b.startTime);
+  const counted = sessions.filter(s => s.status !== 'cancelled');
+  const completed = counted.filter(s => s.status === 'completed');
+  const nextSession = counted.find(s => [...OPEN_SESSION_STATUSES, 'in-progress'].includes(s.status)) || null;
+  const lastDone = completed[completed.length - 1];
+
+  return {
+    totalSessions: counted.length,
+    completedSessions: completed.length,
+    cancelledSessions: sessions.length - counted.length,
+    missedSessions: counted.filter(s => s.status === 'no-show').length,
+    percentComplete: counted.length > 0 ? Math.round((completed.length / counted.length) * 100) : 0,
+    currentPhase: nextSession?.courseStep?.phase || lastDone?.courseStep?.phase || null,
+    nextSession: nextSession && {
+      id: nextSession._id,
+      therapy: nextSession.therapy,
+      startTime: nextSession.startTime,
+      phase: nextSession.courseStep?.phase
+    }
+  };
+};
+
+/**
+ * Bring the course status in line with its sessions after one of them changes
+ */
+const refreshCourseStatus = async (courseId) => {
+  const course = await TreatmentCourse.findById(courseId).populate('sessions', 'status');
+  if (!course || course.status === 'cancelled') return course;
+
+  const statuses = course.sessions.map(s => s.status).filter(status => status !== 'cancelled');
+  let status = 'scheduled';
+  if (statuses.length > 0 && statuses.every(s => ['completed', 'no-show'].includes(s))) {
+    status = 'completed';
+  } else if (statuses.some(s => ['completed', 'in-progress', 'no-show'].includes(s))) {
+    status = 'in-progress';
+  }
+
+  if (status !== course.status) {
+    course.status = status;
+    await course.save();
+  }
+  return course;
+};
+
+/**
+ * Move the remaining sessions of a course to a new start date, keeping each step's day offset
+ * Completed and in-progress sessions stay where they are
+ */
+const rescheduleCourse = async (course, newStartDate, { preferredTime, performedBy, reason, io } = {}) => {
+  await course.populate([
+    { path: 'protocol', populate: { path: 'steps.therapy' } },
+    { path: 'sessions' },
+    { path: 'patient', select: 'profile email' },
+    { path: 'practitioner', select: 'profile email' }
+  ]);
+
+  const openSessions = course.sessions.filter(s => OPEN_SESSION_STATUSES.includes(s.status));
+  if (openSessions.length === 0) {
+    return { success: false, message: 'Course has no remaining sessions to reschedule' };
+  }
+
+  const lastStarted = course.sessions
+    .filter(s => ['completed', 'in-progress', 'no-show'].includes(s.status))
+    .sort((a, b) => b.endTime - a.endTime)[0];
+
+  const stepsByOrder = new Map(course.protocol.steps.map(step => [step.order, step]));
+  const steps = openSessions
+    .map(s => stepsByOrder.get(s.courseStep.order))
+    .filter(Boolean)
+    .sort((a, b) => a.order - b.order);
+
+  const timeOfDay = preferredTime || course.preferredTime;
+  const sessionsByOrder = new Map(openSessions.map(s => [s.courseStep.order, s]));
+  const keys = bookingKeys({ practitionerIds: [course.practitioner._id], patientIds: [course.patient._id] });
+
+  const result = await withBookingLocks(keys, async (mongoSession) => {
+    const planned = await planCourseSessions(course.protocol, {
+      practitionerId: course.practitioner._id,
+      patientId: course.patient._id,
+      startDate: newStartDate,
+      preferredTime: timeOfDay,
+      steps,
+      excludeSessionIds: course.sessions.map(s => s._id),
+      requireOffering: false,
+      mongoSession
+    });
+
+    if (lastStarted) {
+      planned
+        .filter(p => !p.conflict && p.startTime < lastStarted.endTime)
+        .forEach(p => {
+          p.conflict = { reason: 'before_progress', message: 'Sessions cannot move before treatment already given' };
+        });
+    }
+
+    const conflicts = planned.filter(p => p.conflict);
+    if (conflicts.length > 0) {
+      return { conflicts };
+    }
+    await lockKeys(planned.flatMap(p => resourceKeys(p.resources)), mongoSession);
+
+    for (const p of planned) {
+      const session = sessionsByOrder.get(p.step.order);
+      session.scheduledDate = p.dateKey;
+      session.startTime = p.startTime;
+      session.endTime = p.endTime;
+      session.resources = p.resources;
+      session.courseStep.dayOffset = p.step.dayOffset;
+      await session.save({ session: mongoSession });
+    }
+
+    course.startDate = newStartDate;
+    course.endDate = addDaysToDateKey(newStartDate, course.protocol.durationDays - 1);
+    course.preferredTime = timeOfDay;
+    await course.save({ session: mongoSession });
+
+    return { planned };
+  });
+
+  if (result.conflicts) {
+    return { success: false, message: 'Some sessions could not be rescheduled. No changes were made.', conflicts: formatPlan(result.conflicts) };
+  }
+
+  const { planned } = result;
+  const firstStart = planned[0].startTime;
+  if (io) {
+    [course.patient._id, course.practitioner._id].forEach(userId => {
+      io.to(`user_${userId}`).emit('courseRescheduled', {
+        courseId: course._id,
+        startDate: course.startDate,
+        endDate: course.endDate
+      });
+    });
+  }
+
+  await Promise.allSettled([
+    sendNotification({
+      recipient: course.patient._id,
+      type: 'rescheduling',
+      title: 'Treatment Course Rescheduled',
+      message: (timeZone) => `Your ${course.protocol.name} course has been rescheduled. ${planned.length} session(s) moved, starting ${formatDateTime(firstStart, timeZone)}.`,
+      data: { courseId: course._id, reason, actionUrl: `/courses/${course._id}`, priority: 'high' },
+      channels: { email: true, inApp: true, whatsapp: true }
+    }),
+    sendNotification({
+      recipient: course.practitioner._id,
+      type: 'rescheduling',
+      title: 'Treatment Course Rescheduled',
+      message: (timeZone) => `The ${course.protocol.name} course for ${course.patient.fullName} now resumes on ${formatDateTime(firstStart, timeZone)}.`,
+      data: { courseId: course._id, reason, performedBy, actionUrl: `/courses/${course._id}` },
+      channels: { inApp: true, email: true }
+    })
+  ]);
+
+  return { success: true, plan: formatPlan(planned) };
+};
+
+/**
+ * Cancel a course together with every session that has not happened yet
+ */
+const cancelCourse = async (course, { cancellationType, performedBy, reason, io } = {}) => {
+  await course.populate([
+    { path: 'protocol', select: 'name' },
+    { path: 'patient', select: 'profile email' },
+    { path: 'practitioner', select: 'profile email' }
+  ]);
+
+  const now = new Date();
+  const openSessions = await Session.find({ course: course._id, status: { $in: OPEN_SESSION_STATUSES } })
+    .populate('therapy', 'name category');
+
+  let charges;
+  await mongoose.connection.transaction(async (mongoSession) => {
+    charges = await cancelSessionsWithCharges(openSessions, { cancellationType, performedBy, reason, now, mongoSession });
+
+    course.status = 'cancelled';
+    course.cancellationReason = reason;
+    course.cancelledBy = performedBy;
+    course.cancelledAt = now;
+    await course.save({ session: mongoSession });
+  });
+
+  if (io) {
+    openSessions.forEach(session => {
+      io.emit('slotAvailable', {
+        practitionerId: course.practitioner._id,
+        startTime: session.startTime,
+        endTime: session.endTime,
+        therapyId: session.therapy._id
+      });
+    });
+  }
+
+  for (const session of openSessions) {
+    await offerFreedSlot(session, { io }).catch(error => console.error('Waitlist offer failed:', error));
+  }
+
+  const notifyPatient = course.patient._id.toString() !== String(performedBy);
+  const refundNote = notifyPatient && charges.refundAmount > 0
+    ? ` A refund of ₹${charges.refundAmount} will be processed within ${charges.refundTimeline}.`
+    : '';
+  await Promise.allSettled([
+    sendNotification({
+      recipient: notifyPatient ? course.patient._id : course.practitioner._id,
+      type: 'cancellation',
+      title: 'Treatment Course Cancelled',
+      message: `The ${course.protocol.name} course starting ${course.startDate} has been cancelled. ${openSessions.length} upcoming session(s) were cancelled.${refundNote}`,
+      data: { courseId: course._id, reason, actionUrl: `/courses/${course._id}` },
+      channels: { email: true, inApp: true, whatsapp: true }
+    })
+  ]);
+
+  return {
+    cancelledSessions: openSessions.map(s => s._id),
+    cancellationFee: charges.cancellationFee,
+    refundAmount: charges.refundAmount,
+    refundTimeline: charges.refundTimeline,
+    charges: charges.sessions
+  };
+};
+
+module.exports = {
+  planCourseSessions,
+  formatPlan,
+  createCourse,
+  getCourseProgress,
+  refreshCourseStatus,
+  rescheduleCourse,
+  cancelCourse
+};
@@ -0,0 +1,283 @@
+// src/services/externalCalendarService.js
+const dns = require('dns');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const path = require('path');
+const ExternalCalendar = require('../models/externalCalendar.models');
+const ExternalBusyBlock = require('../models/externalBusyBlock.models');
+const Session = require('../models/session.models');
+const { ACTIVE_SESSION_STATUSES } = require('./slotService');
+const { parseBusyPeriods } = require('../utils/icsParser');
+
+const SYNC_WINDOW_DAYS = 180;
+const MAX_CALENDAR_BYTES = 5 * 1024 * 1024;
+const FETCH_TIMEOUT_MS = 15 * 1000;
+const MAX_REDIRECTS = 3;
+const PRIVATE_HOST_ERROR = 'URL must point to a public host';
+
+// Loopback, private, link-local, shared and reserved ranges a calendar URL must not reach
+const privateAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => privateAddresses.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => privateAddresses.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Check whether an IP address is outside the public internet
+ * IPv4 addresses mapped into IPv6 are checked as IPv4.
+ */
+const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return privateAddresses.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * Resolve a host name for a calendar request, refusing hosts that resolve to a private address
+ * Used as the connection's lookup, so the address checked is the one connected to.
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(new Error(PRIVATE_HOST_ERROR));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+/**
+ * Check where a calendar source points before it is saved
+ * File sources must sit inside EXTERNAL_CALENDAR_DIR; URLs must be http(s) or webcal.
+ * Returns an error message, or null when the location is acceptable.
+ */
+const validateSourceLocation = (sourceType, location) => {
+  if (sourceType === 'file') {
+    const baseDir = process.env.EXTERNAL_CALENDAR_DIR;
+    if (!baseDir) {
+      return 'File sources are not enabled on this server';
+    }
+    const resolved = path.resolve(baseDir, location);
+    if (!resolved.startsWith(path.resolve(baseDir) + path.sep)) {
+      return 'File must be inside the external calendar directory';
+    }
+  }
+
+  if (sourceType === 'url') {
+    if (!/^(https?|webcal):\/\//i.test(location)) {
+      return 'URL must start with http://, https:// or webcal://';
+    }
+    let hostname;
+    try {
+      hostname = new URL(location.replace(/^webcal:/i, 'https:')).hostname.replace(/^\[|\]$/g, '');
+    } catch (error) {
+      return 'URL is not valid';
+    }
+    // Host names are checked again when they are resolved
+    if (hostname === 'localhost' || hostname.endsWith('.localhost') || isPrivateAddress(hostname)) {
+      return PRIVATE_HOST_ERROR;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Download a calendar URL, following a few redirects
+ * Every hop must reach a public address. The body is read as it arrives and the download
+ * stops once it passes MAX_CALENDAR_BYTES; `signal` bounds the whole download.
+ */
+const downloadCalendar = (url, signal, redirects = 0) => new Promise((resolve, reject) => {
+  const target = new URL(url);
+  const hostname = target.hostname.replace(/^\[|\]$/g, '');
+  if (!['http:', 'https:'].includes(target.protocol)) {
+    return reject(new Error('URL must start with http://, https:// or webcal://'));
+  }
+  // Addresses given as IP literals are connected to without a lookup
+  if (isPrivateAddress(hostname)) {
+    return reject(new Error(PRIVATE_HOST_ERROR));
+  }
+
+  const fail = (error) => reject(signal.aborted ? signal.reason : error);
+  const client = target.protocol === 'https:' ? https : http;
+  const request = client.get(target, {
+    headers: { Accept: 'text/calendar' },
+    lookup: publicLookup,
+    signal
+  }, (response) => {
+    const { statusCode, headers } = response;
+
+    if ([301, 302, 303, 307, 308].includes(statusCode) && headers.location) {
+      response.resume();
+      if (redirects >= MAX_REDIRECTS) {
+        return reject(new Error('Calendar URL redirected too many times'));
+      }
+      return resolve(downloadCalendar(new URL(headers.location, target).href, signal, redirects + 1));
+    }
+
+    if (statusCode < 200 || statusCode >= 300) {
+      response.resume();
+      return reject(new Error(`Calendar URL responded with ${statusCode}`));
+    }
+
+    if (Number(headers['content-length']) > MAX_CALENDAR_BYTES) {
+      request.destroy();
+      return reject(new Error('Calendar file is too large'));
+    }
+
+    const chunks = [];
+    let size = 0;
+    response.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_CALENDAR_BYTES) {
+        request.destroy(new Error('Calendar file is too large'));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    response.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    response.on('error', fail);
+  });
+  request.on('error', fail);
+});
+
+/**
+ * Read the current .ics text of a file or URL source
+ */
+const readCalendarSource = async (calendar) => {
+  const invalid = validateSourceLocation(calendar.sourceType, calendar.location);
+  if (invalid) {
+    throw new Error(invalid);
+  }
+
+  if (calendar.sourceType === 'file') {
+    const filePath = path.resolve(process.env.EXTERNAL_CALENDAR_DIR, calendar.location);
+    const { size } = await fs.promises.stat(filePath);
+    if (size > MAX_CALENDAR_BYTES) {
+      throw new Error('Calendar file is too large');
+    }
+    return fs.promises.readFile(filePath, 'utf8');
+  }
+
+  const url = calendar.location.replace(/^webcal:/i, 'https:');
+  return downloadCalendar(url, AbortSignal.timeout(FETCH_TIMEOUT_MS));
+};
+
+/**
+ * Find active sessions of a practitioner that overlap any of the given busy periods
+ */
+const findSessionsInBusyPeriods = async (practitionerId, periods) => {
+  if (periods.length === 0) return [];
+
+  const sessions = await Session.find({
+    practitioner: practitionerId,
+    status: { $in: ACTIVE_SESSION_STATUSES },
+    startTime: { $lt: periods[periods.length - 1].endTime },
+    endTime: { $gt: periods[0].startTime }
+  })
+  .populate('therapy', 'name duration')
+  .populate('patient', 'profile.firstName profile.lastName profile.phone email')
+  .sort({ startTime: 1 });
+
+  return sessions.filter(session =>
+    periods.some(p => session.startTime < p.endTime && session.endTime > p.startTime)
+  );
+};
+
+/**
+ * Re-read an external calendar and replace its stored busy blocks
+ * Busy times from a day ago up to SYNC_WINDOW_DAYS ahead are kept. When the source
+ * cannot be read or parsed, the previous blocks stay in place and the error is recorded.
+ * Returns { calendar, error } or { calendar, periods, affectedSessions }.
+ */
+const syncExternalCalendar = async (calendar, { content = null } = {}) => {
+  const now = new Date();
+  const window = {
+    from: new Date(now.getTime() - 24 * 60 * 60 * 1000),
+    to: new Date(now.getTime() + SYNC_WINDOW_DAYS * 24 * 60 * 60 * 1000)
+  };
+
+  let periods;
+  try {
+    let text = content;
+    if (text === null) {
+      text = calendar.sourceType === 'upload'
+        ? (await ExternalCalendar.findById(calendar._id).select('+content')).content
+        : await readCalendarSource(calendar);
+    }
+    periods = parseBusyPeriods(text, window);
+  } catch (error) {
+    calendar.lastSyncStatus = 'failed';
+    calendar.lastSyncError = error.name === 'TimeoutError' ? 'Calendar URL did not respond in time' : error.message;
+    await calendar.save();
+    return { calendar, error: calendar.lastSyncError };
+  }
+
+  // Insert the new blocks before removing the old ones, so the practitioner is never shown as free in between
+  await ExternalBusyBlock.insertMany(periods.map(period => ({
+    calendar: calendar._id,
+    practitioner: calendar.practitioner,
+    uid: period.uid,
+    startTime: period.startTime,
+    endTime: period.endTime,
+    syncedAt: now
+  })));
+  await ExternalBusyBlock.deleteMany({ calendar: calendar._id, syncedAt: { $ne: now } });
+
+  if (content !== null) {
+    calendar.content = content;
+  }
+  calendar.lastSyncedAt = now;
+  calendar.lastSyncStatus = 'success';
+  calendar.lastSyncError = undefined;
+  calendar.busyCount = periods.length;
+  await calendar.save();
+
+  const affectedSessions = await findSessionsInBusyPeriods(calendar.practitioner, periods);
+  return { calendar, periods, affectedSessions };
+};
+
+/**
+ * Remove an external calendar and the busy time it imported
+ */
+const removeExternalCalendar = async (calendar) => {
+  calendar.isActive = false;
+  calendar.busyCount = 0;
+  await calendar.save();
+  await ExternalBusyBlock.deleteMany({ calendar: calendar._id });
+};
+
+/**
+ * Re-sync every active external calendar, one at a time
+ */
+const syncAllExternalCalendars = async () => {
+  const calendars = await ExternalCalendar.find({ isActive: true });
+  const result = { synced: 0, failed: 0 };
+
+  for (const calendar of calendars) {
+    const { error } = await syncExternalCalendar(calendar);
+    if (error) {
+      console.error(`External calendar ${calendar._id} sync failed: ${error}`);
+      result.failed++;
+    } else {
+      result.synced++;
+    }
+  }
+
+  return result;
+};
+
+module.exports = {
+  SYNC_WINDOW_DAYS,
+  validateSourceLocation,
+  readCalendarSource,
+  syncExternalCalendar,
+  removeExternalCalendar,
+  syncAllExternalCalendars
+};
@@ -0,0 +1,199 @@
+// src/services/groupSessionService.js
+const GroupSession = require('../models/groupSession.models');
+const { sendNotification } = require('./notificationService');
+const { findSlotConflict, findPatientConflict } = require('./slotService');
+const { allocateResources } = require('./resourceService');
+const { bookingKeys, resourceKeys, lockKeys, withBookingLocks } = require('./bookingLockService');
+const { toDateKey, formatDateTime } = require('../utils/timeUtils');
+
+const groupKey = (groupSessionId) => `group:${groupSessionId}`;
+
+/**
+ * Schedule a group session, keeping the practitioner busy once for its whole length
+ * Returns { conflict } or { groupSession }.
+ */
+const createGroupSession = async ({ therapy, practitionerId, startTime, endTime, capacity, price, title, description, createdBy }) => {
+  return withBookingLocks(bookingKeys({ practitionerIds: [practitionerId] }), async (mongoSession) => {
+    const slotConflict = await findSlotConflict(practitionerId, startTime, endTime, null, { mongoSession });
+    if (slotConflict) {
+      return { conflict: slotConflict };
+    }
+
+    const allocation = await allocateResources(therapy, startTime, endTime, { mongoSession });
+    if (allocation.conflict) {
+      return { conflict: allocation.conflict };
+    }
+    await lockKeys(resourceKeys(allocation.resources), mongoSession);
+
+    const [groupSession] = await GroupSession.create([{
+      therapy: therapy._id,
+      practitioner: practitionerId,
+      title: title || therapy.name,
+      description,
+      scheduledDate: toDateKey(startTime),
+      startTime,
+      endTime,
+      capacity,
+      price,
+      resources: allocation.resources,
+      createdBy
+    }], { session: mongoSession });
+
+    return { groupSession };
+  });
+};
+
+/**
+ * Move waitlisted patients into free places, in the order they joined
+ * Patients who have since booked something else at that time are dropped from the waitlist.
+ * Returns the ids of the patients who got a place.
+ */
+const promoteFromWaitlist = async (groupSession, mongoSession) => {
+  const promoted = [];
+
+  while (groupSession.spotsLeft > 0 && groupSession.waitlist.length > 0) {
+    const entry = groupSession.waitlist.shift();
+    await lockKeys(bookingKeys({ patientIds: [entry.patient] }), mongoSession);
+
+    const conflict = await findPatientConflict(entry.patient, groupSession.startTime, groupSession.endTime, null, { mongoSession });
+    if (conflict) continue;
+
+    groupSession.attendees.push({
+      patient: entry.patient,
+      enrolledBy: entry.addedBy,
+      fromWaitlist: true
+    });
+    promoted.push(entry.patient);
+  }
+
+  return promoted;
+};
+
+/**
+ * Enrol a patient, or put them on the waitlist when the group is full
+ * The patient's own calendar must be free. Returns { error }, { conflict } or
+ * { groupSession, waitlisted, position }.
+ */
+const enrolPatient = async (groupSessionId, patientId, { performedBy }) => {
+  return withBookingLocks(
+    [groupKey(groupSessionId), ...bookingKeys({ patientIds: [patientId] })],
+    async (mongoSession) => {
+      const groupSession = await GroupSession.findById(groupSessionId).session(mongoSession);
+
+      if (groupSession.status !== 'scheduled' || groupSession.startTime <= new Date()) {
+        return { error: 'This group session is no longer open for enrolment' };
+      }
+      if (groupSession.findAttendee(patientId)) {
+        return { error: 'Patient is already enrolled in this group session' };
+      }
+      if (groupSession.findWaitlistIndex(patientId) >= 0) {
+        return { error: 'Patient is already on the waitlist for this group session' };
+      }
+
+      const conflict = await findPatientConflict(patientId, groupSession.startTime, groupSession.endTime, null, { mongoSession });
+      if (conflict) {
+        return { conflict: { reason: 'patient_conflict', message: 'Patient has a conflicting session at this time' } };
+      }
+
+      const waitlisted = groupSession.spotsLeft === 0;
+      if (waitlisted) {
+        groupSession.waitlist.push({ patient: patientId, addedBy: performedBy });
+      } else {
+        groupSession.attendees.push({ patient: patientId, enrolledBy: performedBy });
+      }
+      await groupSession.save({ session: mongoSession });
+
+      return {
+        groupSession,
+        waitlisted,
+        position: waitlisted ? groupSession.waitlist.length : null
+      };
+    }
+  );
+};
+
+/**
+ * Take a patient out of a group session or its waitlist
+ * A freed place goes to the first waitlisted patient who is still free.
+ * Returns { error } or { groupSession, removedFrom, promoted }.
+ */
+const withdrawPatient = async (groupSessionId, patientId, { performedBy }) => {
+  return withBookingLocks(
+    [groupKey(groupSessionId), ...bookingKeys({ patientIds: [patientId] })],
+    async (mongoSession) => {
+      const groupSession = await GroupSession.findById(groupSessionId).session(mongoSession);
+
+      const waitlistIndex = groupSession.findWaitlistIndex(patientId);
+      if (waitlistIndex >= 0) {
+        groupSession.waitlist.splice(waitlistIndex, 1);
+        await groupSession.save({ session: mongoSession });
+        return { groupSession, removedFrom: 'waitlist', promoted: [] };
+      }
+
+      const attendee = groupSession.findAttendee(patientId);
+      if (!attendee) {
+        return { error: 'Patient is not enrolled in this group session' };
+      }
+      if (groupSession.status !== 'scheduled') {
+        return { error: `Cannot withdraw from a ${groupSession.status} group session` };
+      }
+
+      attendee.status = 'cancelled';
+      attendee.cancelledAt = new Date();
+      attendee.cancelledBy = performedBy;
+
+      const promoted = groupSession.startTime > new Date()
+        ? await promoteFromWaitlist(groupSession, mongoSession)
+        : [];
+      await groupSession.save({ session: mongoSession });
+
+      return { groupSession, removedFrom: 'attendees', promoted };
+    }
+  );
+};
+
+/**
+ * Change a group session's capacity, filling any new places from the waitlist
+ * Returns { error } or { groupSession, promoted }.
+ */
+const changeCapacity = async (groupSessionId, capacity) => {
+  return withBookingLocks([groupKey(groupSessionId)], async (mongoSession) => {
+    const groupSession = await GroupSession.findById(groupSessionId).session(mongoSession);
+
+    if (capacity < groupSession.enrolledCount) {
+      return { error: `Capacity cannot be below the ${groupSession.enrolledCount} patient(s) already enrolled` };
+    }
+
+    groupSession.capacity = capacity;
+    const promoted = groupSession.status === 'scheduled' && groupSession.startTime > new Date()
+      ? await promoteFromWaitlist(groupSession, mongoSession)
+      : [];
+    await groupSession.save({ session: mongoSession });
+
+    return { groupSession, promoted };
+  });
+};
+
+/**
+ * Tell patients moved off the waitlist that they now have a place
+ */
+const notifyPromoted = (groupSession, patientIds) => {
+  return Promise.all(patientIds.map(patientId =>
+    sendNotification({
+      recipient: patientId,
+      type: 'slot_available',
+      title: 'You\'re In! 🎉',
+      message: (timeZone) => `A place opened up in ${groupSession.title} on ${formatDateTime(groupSession.startTime, timeZone)} and you have been enrolled from the waitlist.`,
+      data: { therapyId: groupSession.therapy, actionUrl: `/group-sessions/${groupSession._id}`, priority: 'high' },
+      channels: { email: true, inApp: true, whatsapp: true }
+    }).catch(error => console.error('Group waitlist notification error:', error))
+  ));
+};
+
+module.exports = {
+  createGroupSession,
+  enrolPatient,
+  withdrawPatient,
+  changeCapacity,
+  notifyPromoted
+};
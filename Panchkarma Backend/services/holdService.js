@@ -0,0 +1,146 @@
+// src/services/holdService.js
+const SlotHold = require('../models/slotHold.models');
+const WaitlistEntry = require('../models/waitlistEntry.models');
+const { findSlotConflict, findPatientConflict } = require('./slotService');
+const { releaseWaitlistHold } = require('./waitlistService');
+const { bookingKeys, withBookingLocks } = require('./bookingLockService');
+const { toDateKey } = require('../utils/timeUtils');
+
+const getBookingHoldMinutes = () => parseInt(process.env.SLOT_HOLD_MINUTES, 10) || 5;
+
+/**
+ * Reserve a slot for a patient while they complete the booking
+ * A patient keeps at most one booking hold; taking a new one releases the previous one.
+ * Returns { conflict, hold, released }
+ */
+const createBookingHold = async ({ practitionerId, therapyId, patientId, startTime, endTime }) => {
+  const start = new Date(startTime);
+  const end = new Date(endTime);
+
+  if (start <= new Date()) {
+    return { conflict: { reason: 'in_past', message: 'Cannot hold a slot in the past' }, hold: null, released: [] };
+  }
+
+  const keys = bookingKeys({ practitionerIds: [practitionerId], patientIds: [patientId] });
+  return withBookingLocks(keys, async (mongoSession) => {
+    const patientConflict = await findPatientConflict(patientId, start, end, null, { mongoSession });
+    if (patientConflict) {
+      return {
+        conflict: { reason: 'patient_conflict', message: 'You have a conflicting session at this time' },
+        hold: null,
+        released: []
+      };
+    }
+
+    const slotConflict = await findSlotConflict(practitionerId, start, end, null, { holderId: patientId, mongoSession });
+    if (slotConflict) {
+      return { conflict: slotConflict, hold: null, released: [] };
+    }
+
+    const previousHolds = await SlotHold.find({ holder: patientId, source: 'booking', status: 'active' }).session(mongoSession);
+    for (const previous of previousHolds) {
+      previous.status = 'released';
+      previous.releasedAt = new Date();
+      await previous.save({ session: mongoSession });
+    }
+
+    const [hold] = await SlotHold.create([{
+      practitioner: practitionerId,
+      therapy: therapyId,
+      holder: patientId,
+      startTime: start,
+      endTime: end,
+      expiresAt: new Date(Date.now() + getBookingHoldMinutes() * 60 * 1000),
+      source: 'booking'
+    }], { session: mongoSession });
+
+    return { conflict: null, hold, released: previousHolds };
+  });
+};
+
+/**
+ * Mark a patient's hold on a slot as booked, along with the waitlist entry it came from
+ */
+const claimHold = async (patientId, practitionerId, startTime, endTime, sessionId, { mongoSession = null } = {}) => {
+  const [hold] = await SlotHold.find({
+    holder: patientId,
+    practitioner: practitionerId,
+    status: 'active',
+    expiresAt: { $gt: new Date() },
+    startTime: { $lt: endTime },
+    endTime: { $gt: startTime }
+  }).limit(1).session(mongoSession);
+  if (!hold) return null;
+
+  hold.status = 'converted';
+  hold.session = sessionId;
+  await hold.save({ session: mongoSession });
+
+  if (hold.waitlistEntry) {
+    const entry = await WaitlistEntry.findById(hold.waitlistEntry).session(mongoSession);
+    if (entry) {
+      const offer = entry.offers.find(o => o.hold.equals(hold._id));
+      if (offer) offer.outcome = 'claimed';
+      entry.status = 'booked';
+      entry.bookedSession = sessionId;
+      await entry.save({ session: mongoSession });
+    }
+  }
+
+  return hold;
+};
+
+const emitSlotAvailable = (io, hold) => {
+  if (!io) return;
+  io.emit('slotAvailable', {
+    practitionerId: hold.practitioner,
+    startTime: hold.startTime,
+    endTime: hold.endTime,
+    therapyId: hold.therapy
+  });
+};
+
+/**
+ * Release a hold and make the slot available again
+ * Waitlist holds pass to the next waitlisted patient first
+ */
+const releaseHold = async (hold, { outcome = 'declined', io = null } = {}) => {
+  if (hold.source === 'waitlist') {
+    const next = await releaseWaitlistHold(hold, { outcome, io });
+    if (!next) emitSlotAvailable(io, hold);
+    return next;
+  }
+
+  hold.status = outcome === 'expired' ? 'expired' : 'released';
+  hold.releasedAt = new Date();
+  await hold.save();
+  emitSlotAvailable(io, hold);
+  return null;
+};
+
+/**
+ * Release holds nobody claimed in time and close waitlist entries whose window has passed
+ */
+const processExpiredHolds = async ({ io = null } = {}) => {
+  const expiredHolds = await SlotHold.find({ status: 'active', expiresAt: { $lte: new Date() } });
+
+  let reoffered = 0;
+  for (const hold of expiredHolds) {
+    const next = await releaseHold(hold, { outcome: 'expired', io });
+    if (next) reoffered++;
+  }
+
+  const closed = await WaitlistEntry.updateMany(
+    { status: 'waiting', endDate: { $lt: toDateKey(new Date()) } },
+    { $set: { status: 'expired' } }
+  );
+
+  return { expiredHolds: expiredHolds.length, reoffered, closedEntries: closed.modifiedCount };
+};
+
+module.exports = {
+  createBookingHold,
+  claimHold,
+  releaseHold,
+  processExpiredHolds
+};
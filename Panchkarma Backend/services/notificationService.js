@@ -3,6 +3,7 @@ const nodemailer = require('nodemailer');
 const twilio = require('twilio');
 const Notification = require('../models/notification.models');
 const User = require('../models/user.models');
+const { getUserTimezone } = require('../utils/timeUtils');
 
 // Initialize email transporter
 const emailTransporter = nodemailer.createTransport({
@@ -20,6 +21,11 @@ const twilioClient = process.env.TWILIO_ACCOUNT_SID ?
   twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN) : 
   null;
 
+/**
+ * Send a notification over the channels the recipient allows
+ * `title` and `message` may be functions of the recipient's timezone, so dates and times
+ * can be written in the reader's local time.
+ */
 const sendNotification = async ({
   recipient,
   type,
@@ -44,12 +50,14 @@ const sendNotification = async ({
       whatsapp: channels.whatsapp && userPrefs.whatsapp
     };
 
+    const timeZone = getUserTimezone(user);
+
     // Create notification record
     const notification = await Notification.create({
       recipient,
       type,
-      title,
-      message,
+      title: typeof title === 'function' ? title(timeZone) : title,
+      message: typeof message === 'function' ? message(timeZone) : message,
       data,
       channels: finalChannels,
       scheduledFor: scheduledFor || new Date(),
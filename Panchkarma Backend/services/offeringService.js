@@ -0,0 +1,91 @@
+// src/services/offeringService.js
+const PractitionerOffering = require('../models/practitionerOffering.models');
+const User = require('../models/user.models');
+
+/**
+ * Get a therapy as a practitioner offers it, with their price and duration overrides applied
+ * Returns a plain object shaped like the therapy
+ */
+const applyOffering = (therapy, offering) => {
+  const base = typeof therapy.toObject === 'function' ? therapy.toObject() : { ...therapy };
+  return {
+    ...base,
+    duration: offering.duration || base.duration,
+    price: offering.price ?? base.price,
+    offering: offering._id
+  };
+};
+
+/**
+ * Find a practitioner's active offering of a therapy
+ */
+const findOffering = (practitionerId, therapyId, { mongoSession = null } = {}) => {
+  return PractitionerOffering.findOne({
+    practitioner: practitionerId,
+    therapy: therapyId,
+    isActive: true
+  }).session(mongoSession);
+};
+
+/**
+ * Get the therapy with the practitioner's overrides, or null when they do not offer it
+ */
+const getOfferedTherapy = async (practitionerId, therapy, options = {}) => {
+  const offering = await findOffering(practitionerId, therapy._id, options);
+  return offering ? applyOffering(therapy, offering) : null;
+};
+
+/**
+ * Map therapy ids to a practitioner's active offerings
+ */
+const getOfferingsByTherapy = async (practitionerId, { mongoSession = null } = {}) => {
+  const offerings = await PractitionerOffering.find({ practitioner: practitionerId, isActive: true })
+    .session(mongoSession);
+  return new Map(offerings.map(offering => [offering.therapy.toString(), offering]));
+};
+
+/**
+ * Map practitioner ids to their active offerings of a therapy
+ */
+const getOfferingsByPractitioner = async (therapyId) => {
+  const offerings = await PractitionerOffering.find({ therapy: therapyId, isActive: true });
+  return new Map(offerings.map(offering => [offering.practitioner.toString(), offering]));
+};
+
+/**
+ * Find approved practitioners who offer the given therapy
+ * Optionally narrow the list to a gender or a spoken language
+ */
+const findPractitionersForTherapy = async (therapy, excludePractitionerId = null, { gender, language } = {}) => {
+  const practitionerIds = await PractitionerOffering.distinct('practitioner', {
+    therapy: therapy._id,
+    isActive: true
+  });
+
+  const query = {
+    _id: { $in: practitionerIds },
+    role: 'practitioner',
+    isActive: true,
+    'practitionerInfo.isApproved': true
+  };
+  if (excludePractitionerId) {
+    query._id.$ne = excludePractitionerId;
+  }
+  if (gender) {
+    query['profile.gender'] = gender;
+  }
+  if (language) {
+    query['practitionerInfo.languages'] = language.toLowerCase();
+  }
+
+  return User.find(query).sort({ 'practitionerInfo.experience': -1 });
+};
+
+module.exports = {
+  applyOffering,
+  findOffering,
+  getOfferedTherapy,
+  getOfferingsByTherapy,
+  getOfferingsByPractitioner,
+  findPractitionersForTherapy
+};
@@ -0,0 +1,241 @@
+// src/services/queueService.js
+const Session = require('../models/session.models');
+const GroupSession = require('../models/groupSession.models');
+const WalkIn = require('../models/walkIn.models');
+const { ACTIVE_SESSION_STATUSES, ACTIVE_GROUP_STATUSES, getBlockedPeriods } = require('./slotService');
+const { toDateKey, getDayRange } = require('../utils/timeUtils');
+
+const WAITING_STATUSES = ['waiting', 'called'];
+const CHECK_IN_OPENS_MINUTES = 120;
+const DEFAULT_WALK_IN_MINUTES = 30;
+const WAITING_ROOM = 'waiting_room';
+
+const idOf = (ref) => (ref?._id || ref).toString();
+const minutesBetween = (from, to) => Math.max(Math.round((to.getTime() - from.getTime()) / (60 * 1000)), 0);
+
+/**
+ * Check whether a session can be checked in now
+ * Returns an error message, or null when check-in is allowed.
+ */
+const checkInError = (session, now = new Date()) => {
+  if (!['scheduled', 'confirmed'].includes(session.status)) {
+    return `Cannot check in a ${session.status} session`;
+  }
+  if (session.arrivedAt) {
+    return 'Patient has already checked in for this session';
+  }
+  if (session.startTime.getTime() - now.getTime() > CHECK_IN_OPENS_MINUTES * 60 * 1000) {
+    return `Check-in opens ${CHECK_IN_OPENS_MINUTES} minutes before the session starts`;
+  }
+  if (session.endTime <= now) {
+    return 'This session has already ended';
+  }
+  return null;
+};
+
+/**
+ * Add a walk-in to today's queue with the next ticket number
+ * Retries when another walk-in took the same number at the same moment.
+ */
+const addWalkIn = async (fields, now = new Date()) => {
+  const queueDate = toDateKey(now);
+
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const last = await WalkIn.findOne({ queueDate }).sort({ ticketNumber: -1 }).select('ticketNumber');
+    try {
+      return await WalkIn.create({
+        ...fields,
+        queueDate,
+        ticketNumber: (last?.ticketNumber || 0) + 1,
+        arrivedAt: now
+      });
+    } catch (error) {
+      if (error.code !== 11000 || attempt === 2) throw error;
+    }
+  }
+};
+
+/**
+ * Get the times a practitioner is busy from now until the end of the day
+ * Sessions in progress are expected to run their full length from when they actually
+ * started; booked sessions whose start has passed are assumed to start now.
+ */
+const getBusyIntervals = async (practitionerId, now, dayEnd) => {
+  const query = {
+    practitioner: practitionerId,
+    startTime: { $lt: dayEnd },
+    $or: [{ endTime: { $gt: now } }, { status: 'in-progress' }]
+  };
+  const [sessions, groupSessions, blocked] = await Promise.all([
+    Session.find({ ...query, status: { $in: ACTIVE_SESSION_STATUSES } }).select('startTime endTime status actualStartTime'),
+    GroupSession.find({ ...query, status: { $in: ACTIVE_GROUP_STATUSES } }).select('startTime endTime status actualStartTime'),
+    getBlockedPeriods(practitionerId, now, dayEnd)
+  ]);
+
+  return [
+    ...[...sessions, ...groupSessions].map(session => {
+      const duration = session.endTime - session.startTime;
+      if (session.status === 'in-progress') {
+        const started = session.actualStartTime || session.startTime;
+        return { startTime: now, endTime: new Date(Math.max(started.getTime() + duration, now.getTime())), session };
+      }
+      const startTime = new Date(Math.max(session.startTime.getTime(), now.getTime()));
+      return { startTime, endTime: new Date(startTime.getTime() + duration), session };
+    }),
+    ...blocked.map(period => ({ startTime: period.startTime, endTime: period.endTime }))
+  ].sort((a, b) => a.startTime - b.startTime);
+};
+
+/**
+ * Find the first moment from `from` when `durationMs` fits between busy intervals
+ */
+const findFreeStart = (intervals, from, durationMs) => {
+  let start = from.getTime();
+  for (const interval of intervals) {
+    if (interval.startTime.getTime() >= start + durationMs) break;
+    start = Math.max(start, interval.endTime.getTime());
+  }
+  return new Date(start);
+};
+
+/**
+ * Build one practitioner's queue with estimated start times
+ * Checked-in patients start with their booked session (or once the session in progress
+ * ends); walk-ins are seen in order of arrival, in the gaps between booked sessions.
+ */
+const buildPractitionerQueue = async (practitionerId, { arrivals, walkIns, now, dayEnd }) => {
+  const intervals = await getBusyIntervals(practitionerId, now, dayEnd);
+  const inProgressEnd = intervals
+    .filter(interval => interval.session?.status === 'in-progress')
+    .reduce((latest, interval) => Math.max(latest, interval.endTime.getTime()), now.getTime());
+
+  const entries = arrivals.map(session => {
+    const estimatedStart = new Date(Math.max(session.startTime.getTime(), inProgressEnd));
+    return {
+      type: 'appointment',
+      id: session._id,
+      patient: session.patient,
+      therapy: session.therapy,
+      status: 'waiting',
+      arrivedAt: session.arrivedAt,
+      scheduledStart: session.startTime,
+      estimatedStart,
+      estimatedWaitMinutes: minutesBetween(now, estimatedStart)
+    };
+  });
+
+  // Patients who have been called go first, then everyone else in order of arrival
+  const ordered = [...walkIns].sort((a, b) =>
+    (a.status === 'called' ? 0 : 1) - (b.status === 'called' ? 0 : 1) || a.arrivedAt - b.arrivedAt
+  );
+  let cursor = now;
+  ordered.forEach(walkIn => {
+    const durationMs = walkIn.duration * 60 * 1000;
+    const estimatedStart = findFreeStart(intervals, cursor, durationMs);
+    cursor = new Date(estimatedStart.getTime() + durationMs);
+    entries.push({
+      type: 'walk_in',
+      id: walkIn._id,
+      ticketNumber: walkIn.ticketNumber,
+      patient: walkIn.patient,
+      guest: walkIn.patient ? undefined : walkIn.guest,
+      therapy: walkIn.therapy,
+      status: walkIn.status,
+      arrivedAt: walkIn.arrivedAt,
+      estimatedStart,
+      estimatedWaitMinutes: minutesBetween(now, estimatedStart)
+    });
+  });
+
+  return entries.sort((a, b) => a.estimatedStart - b.estimatedStart || a.arrivedAt - b.arrivedAt);
+};
+
+/**
+ * Get today's queue of checked-in patients and walk-ins, grouped by practitioner
+ */
+const getQueue = async ({ practitionerId = null, now = new Date() } = {}) => {
+  const { start, end } = getDayRange(toDateKey(now));
+  const practitionerFilter = practitionerId ? { practitioner: practitionerId } : {};
+
+  const [arrivals, walkIns] = await Promise.all([
+    Session.find({
+      ...practitionerFilter,
+      status: { $in: ['scheduled', 'confirmed'] },
+      arrivedAt: { $exists: true },
+      startTime: { $gte: start, $lt: end }
+    })
+    .populate('patient', 'profile.firstName profile.lastName')
+    .populate('practitioner', 'profile.firstName profile.lastName')
+    .populate('therapy', 'name duration'),
+    WalkIn.find({
+      ...practitionerFilter,
+      status: { $in: WAITING_STATUSES },
+      queueDate: toDateKey(now)
+    })
+    .populate('patient', 'profile.firstName profile.lastName')
+    .populate('practitioner', 'profile.firstName profile.lastName')
+    .populate('therapy', 'name duration')
+  ]);
+
+  const practitioners = new Map();
+  [...arrivals, ...walkIns].forEach(item => {
+    practitioners.set(idOf(item.practitioner), item.practitioner);
+  });
+
+  const queue = await Promise.all([...practitioners.entries()].map(async ([id, practitioner]) => ({
+    practitioner: {
+      _id: practitioner._id,
+      name: `Dr. ${practitioner.profile.firstName} ${practitioner.profile.lastName}`
+    },
+    entries: await buildPractitionerQueue(id, {
+      arrivals: arrivals.filter(session => idOf(session.practitioner) === id),
+      walkIns: walkIns.filter(walkIn => idOf(walkIn.practitioner) === id),
+      now,
+      dayEnd: end
+    })
+  })));
+
+  return queue.sort((a, b) => a.practitioner.name.localeCompare(b.practitioner.name));
+};
+
+/**
+ * Reduce the queue to what may be shown on a public waiting-room screen
+ * Patients appear by first name and last initial only.
+ */
+const toDisplayQueue = (queue) => queue.map(({ practitioner, entries }) => ({
+  practitioner: practitioner.name,
+  entries: entries.map(entry => {
+    const name = entry.patient
+      ? `${entry.patient.profile.firstName} ${entry.patient.profile.lastName.charAt(0)}.`
+      : `${entry.guest.name.split(/\s+/)[0]}`;
+    return {
+      ticket: entry.type === 'walk_in' ? `W${entry.ticketNumber}` : null,
+      name,
+      status: entry.status,
+      estimatedWaitMinutes: entry.estimatedWaitMinutes
+    };
+  })
+}));
+
+/**
+ * Send the current queue to every waiting-room display
+ */
+const broadcastQueue = async (io) => {
+  if (!io) return;
+  const queue = await getQueue();
+  io.to(WAITING_ROOM).emit('queueUpdated', {
+    updatedAt: new Date(),
+    queue: toDisplayQueue(queue)
+  });
+};
+
+module.exports = {
+  WAITING_STATUSES,
+  DEFAULT_WALK_IN_MINUTES,
+  WAITING_ROOM,
+  checkInError,
+  addWalkIn,
+  getQueue,
+  toDisplayQueue,
+  broadcastQueue
+};
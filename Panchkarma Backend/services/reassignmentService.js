@@ -0,0 +1,239 @@
+// src/services/reassignmentService.js
+const Session = require('../models/session.models');
+const { sendNotification } = require('./notificationService');
+const { ACTIVE_SESSION_STATUSES, checkSlotAvailability, findSlotConflict } = require('./slotService');
+const { bookingKeys, withBookingLocks } = require('./bookingLockService');
+const { findPractitionersForTherapy } = require('./offeringService');
+const { formatDateTime } = require('../utils/timeUtils');
+
+const overlaps = (a, b) => a.startTime < b.endTime && a.endTime > b.startTime;
+
+const REASSIGNABLE_STATUSES = ['scheduled', 'confirmed'];
+
+// Matches a session only while it is still open and with the practitioner it was planned from
+const unchangedFilter = (session, originalPractitioner) => ({
+  _id: session._id,
+  practitioner: originalPractitioner._id,
+  status: { $in: REASSIGNABLE_STATUSES }
+});
+
+/**
+ * Propose a substitute practitioner for every active session of a practitioner within a range
+ */
+const proposeReassignments = async (practitionerId, rangeStart, rangeEnd) => {
+  const sessions = await Session.find({
+    practitioner: practitionerId,
+    status: { $in: ACTIVE_SESSION_STATUSES.filter(status => status !== 'in-progress') },
+    startTime: { $gte: rangeStart, $lt: rangeEnd }
+  })
+  .populate('therapy', 'name sanskritName duration')
+  .populate('patient', 'profile.firstName profile.lastName profile.phone')
+  .sort({ startTime: 1 });
+
+  const candidatesByTherapy = new Map();
+  const tentative = []; // substitutes already proposed within this batch
+
+  const proposals = [];
+  for (const session of sessions) {
+    const therapyKey = session.therapy._id.toString();
+    if (!candidatesByTherapy.has(therapyKey)) {
+      candidatesByTherapy.set(therapyKey, await findPractitionersForTherapy(session.therapy, practitionerId));
+    }
+
+    const available = [];
+    for (const candidate of candidatesByTherapy.get(therapyKey)) {
+      const isFree = await checkSlotAvailability(candidate._id, session.startTime, session.endTime);
+      const isTaken = tentative.some(t => t.practitionerId === candidate.id && overlaps(t, session));
+      if (isFree && !isTaken) {
+        available.push({
+          id: candidate._id,
+          name: candidate.fullName,
+          specializations: candidate.practitionerInfo.specialization,
+          experience: candidate.practitionerInfo.experience
+        });
+      }
+    }
+
+    const proposed = available[0] || null;
+    if (proposed) {
+      tentative.push({ practitionerId: proposed.id.toString(), startTime: session.startTime, endTime: session.endTime });
+    }
+
+    proposals.push({
+      session: {
+        id: session._id,
+        therapy: session.therapy,
+        patient: session.patient,
+        startTime: session.startTime,
+        endTime: session.endTime,
+        status: session.status
+      },
+      proposedPractitioner: proposed,
+      alternatives: available.slice(1),
+      reason: proposed ? null : 'No practitioner offering this therapy is free at this time'
+    });
+  }
+
+  return proposals;
+};
+
+/**
+ * Move sessions to substitute practitioners in a single transaction and notify everyone involved
+ * `assignments` is a list of { sessionId, practitionerId }
+ */
+const applyReassignments = async (assignments, { performedBy, reason, io } = {}) => {
+  const sessions = await Session.find({ _id: { $in: assignments.map(a => a.sessionId) } })
+    .populate(['therapy', 'patient', 'practitioner']);
+  const sessionsById = new Map(sessions.map(session => [session.id, session]));
+
+  // Validate every move before touching anything
+  const failures = [];
+  const planned = [];
+  for (const { sessionId, practitionerId } of assignments) {
+    const session = sessionsById.get(String(sessionId));
+    if (!session) {
+      failures.push({ sessionId, message: 'Session not found' });
+      continue;
+    }
+    if (!REASSIGNABLE_STATUSES.includes(session.status)) {
+      failures.push({ sessionId, message: `Cannot reassign ${session.status} session` });
+      continue;
+    }
+    if (session.practitioner._id.toString() === String(practitionerId)) {
+      failures.push({ sessionId, message: 'Session is already assigned to this practitioner' });
+      continue;
+    }
+
+    const candidates = await findPractitionersForTherapy(session.therapy);
+    const substitute = candidates.find(c => c.id === String(practitionerId));
+    if (!substitute) {
+      failures.push({ sessionId, message: 'Practitioner does not offer this therapy or is not approved' });
+      continue;
+    }
+
+    const isFree = await checkSlotAvailability(substitute._id, session.startTime, session.endTime);
+    const isTaken = planned.some(p => p.substitute.id === substitute.id && overlaps(p.session, session));
+    if (!isFree || isTaken) {
+      failures.push({ sessionId, message: `${substitute.fullName} is not available at this time` });
+      continue;
+    }
+
+    planned.push({ session, substitute, originalPractitioner: session.practitioner });
+  }
+
+  if (failures.length > 0) {
+    return { success: false, failures, reassigned: [] };
+  }
+
+  const now = new Date();
+  const keys = bookingKeys({ practitionerIds: planned.map(p => p.substitute._id) });
+  const lateFailures = await withBookingLocks(keys, async (mongoSession) => {
+    // Re-check under the substitutes' booking locks in case they were booked or the sessions changed meanwhile
+    const conflicts = [];
+    for (const { session, substitute, originalPractitioner } of planned) {
+      const unchanged = await Session.exists(unchangedFilter(session, originalPractitioner)).session(mongoSession);
+      if (!unchanged) {
+        conflicts.push({ sessionId: session._id, message: 'Session was changed while it was being reassigned' });
+        continue;
+      }
+      const conflict = await findSlotConflict(substitute._id, session.startTime, session.endTime, null, {
+        holderId: session.patient._id,
+        mongoSession
+      });
+      if (conflict) {
+        conflicts.push({ sessionId: session._id, message: `${substitute.fullName} is not available at this time` });
+      }
+    }
+    if (conflicts.length > 0) {
+      return conflicts;
+    }
+
+    // Update in the database only, so a retried transaction cannot record a move twice
+    for (const { session, substitute, originalPractitioner } of planned) {
+      await Session.updateOne(
+        unchangedFilter(session, originalPractitioner),
+        {
+          $set: { practitioner: substitute._id },
+          $push: {
+            reassignmentHistory: {
+              fromPractitioner: originalPractitioner._id,
+              toPractitioner: substitute._id,
+              reason,
+              reassignedBy: performedBy,
+              reassignedAt: now
+            }
+          }
+        },
+        { session: mongoSession }
+      );
+    }
+    return [];
+  });
+
+  if (lateFailures.length > 0) {
+    return { success: false, failures: lateFailures, reassigned: [] };
+  }
+
+  await Promise.allSettled(planned.flatMap(({ session, substitute, originalPractitioner }) => {
+    if (io) {
+      io.to(`user_${session.patient._id}`).emit('sessionReassigned', {
+        sessionId: session._id,
+        practitionerName: substitute.fullName
+      });
+      io.to(`user_${substitute._id}`).emit('newBooking', {
+        sessionId: session._id,
+        patientName: session.patient.fullName,
+        therapyName: session.therapy.name,
+        startTime: session.startTime,
+        endTime: session.endTime
+      });
+    }
+
+    return [
+      sendNotification({
+        recipient: session.patient._id,
+        type: 'rescheduling',
+        title: 'Practitioner Changed',
+        message: (timeZone) => `Dr. ${originalPractitioner.fullName} is unavailable, so your ${session.therapy.name} session on ${formatDateTime(session.startTime, timeZone)} will now be with Dr. ${substitute.fullName}. The time is unchanged.`,
+        data: {
+          sessionId: session._id,
+          originalPractitioner: originalPractitioner.fullName,
+          newPractitioner: substitute.fullName,
+          reason,
+          actionUrl: `/sessions/${session._id}`,
+          priority: 'high'
+        },
+        channels: { email: true, inApp: true, whatsapp: true }
+      }),
+      sendNotification({
+        recipient: substitute._id,
+        type: 'rescheduling',
+        title: 'Session Reassigned to You',
+        message: (timeZone) => `A ${session.therapy.name} session with ${session.patient.fullName} on ${formatDateTime(session.startTime, timeZone)} has been reassigned to you from Dr. ${originalPractitioner.fullName}.`,
+        data: {
+          sessionId: session._id,
+          patientName: session.patient.fullName,
+          actionUrl: `/sessions/${session._id}`
+        },
+        channels: { inApp: true, email: true }
+      })
+    ];
+  }));
+
+  return {
+    success: true,
+    failures: [],
+    reassigned: planned.map(({ session, substitute, originalPractitioner }) => ({
+      sessionId: session._id,
+      startTime: session.startTime,
+      endTime: session.endTime,
+      fromPractitioner: { id: originalPractitioner._id, name: originalPractitioner.fullName },
+      toPractitioner: { id: substitute._id, name: substitute.fullName }
+    }))
+  };
+};
+
+module.exports = {
+  proposeReassignments,
+  applyReassignments
+};
@@ -0,0 +1,232 @@
+// src/services/rescheduleService.js
+const Session = require('../models/session.models');
+const PractitionerSchedule = require('../models/practitionerSchedule.models');
+const { findSlotConflict, findPatientConflict } = require('./slotService');
+const { allocateResources } = require('./resourceService');
+const { bookingKeys, resourceKeys, lockKeys, withBookingLocks } = require('./bookingLockService');
+const { toDateKey } = require('../utils/timeUtils');
+
+const RESCHEDULABLE_STATUSES = ['scheduled', 'confirmed'];
+
+const idOf = (ref) => (ref?._id || ref).toString();
+
+/**
+ * Find a session's open reschedule request, if any
+ */
+const findPendingRequest = (session) => {
+  return (session.rescheduleRequests || []).find(request => request.status === 'pending') || null;
+};
+
+/**
+ * Count how many times the patient has moved a session
+ */
+const countPatientReschedules = (session) => {
+  return (session.rescheduleHistory || [])
+    .filter(entry => entry.requestedBy && idOf(entry.requestedBy) === idOf(session.patient))
+    .length;
+};
+
+/**
+ * Check a patient's reschedule against the practitioner's reschedule policy
+ * Returns { policy, fee } when allowed, or { error } with the reason it is not.
+ */
+const checkReschedulePolicy = async (session, now = new Date()) => {
+  const schedule = await PractitionerSchedule.findOrDefault(idOf(session.practitioner));
+  const policy = schedule.reschedulePolicy;
+  const previous = countPatientReschedules(session);
+
+  if (previous >= policy.maxReschedules) {
+    return {
+      error: policy.maxReschedules === 0
+        ? 'This practitioner does not allow patients to reschedule sessions'
+        : `This session has already been rescheduled the maximum of ${policy.maxReschedules} time(s)`
+    };
+  }
+
+  const noticeMs = policy.minNoticeHours * 60 * 60 * 1000;
+  if (session.startTime.getTime() - now.getTime() < noticeMs) {
+    return { error: `Sessions can only be rescheduled at least ${policy.minNoticeHours} hours before they start` };
+  }
+
+  return {
+    policy,
+    fee: previous >= policy.freeReschedules ? policy.fee : 0
+  };
+};
+
+/**
+ * Check a patient's move of several sessions at once, each under the reschedule policy
+ * Moves that need the practitioner's approval cannot be made in bulk. Returns the fee for each
+ * session in order, or { error } naming the first session that cannot move.
+ */
+const checkBulkReschedulePolicy = async (sessions, now = new Date()) => {
+  const fees = [];
+  for (const session of sessions) {
+    if (findPendingRequest(session)) {
+      return { error: `A reschedule request for the session on ${toDateKey(session.startTime)} is already waiting for the practitioner` };
+    }
+
+    const { policy, fee, error } = await checkReschedulePolicy(session, now);
+    if (error) {
+      return { error: `Session on ${toDateKey(session.startTime)}: ${error}` };
+    }
+    if (policy.requireApproval) {
+      return { error: 'This practitioner approves each reschedule, so sessions must be moved one at a time' };
+    }
+    fees.push(fee);
+  }
+  return { fees };
+};
+
+/**
+ * Find the reason a session cannot move to a new time, or null if it can
+ * Returns the room and equipment to reserve as `resources` when the time is free.
+ */
+const checkNewTime = async (session, newStart, newEnd, { mongoSession = null } = {}) => {
+  const slotConflict = await findSlotConflict(session.practitioner._id, newStart, newEnd, session._id, {
+    holderId: session.patient._id,
+    mongoSession
+  });
+  if (slotConflict) {
+    return { conflict: { ...slotConflict, message: `New time slot is not available: ${slotConflict.message}` } };
+  }
+
+  const patientConflict = await findPatientConflict(session.patient._id, newStart, newEnd, session._id, { mongoSession });
+  if (patientConflict) {
+    return { conflict: { reason: 'patient_conflict', message: 'Patient has a conflicting appointment at the new time' } };
+  }
+
+  // Re-reserve a treatment room and equipment for the new time
+  const allocation = await allocateResources(session.therapy, newStart, newEnd, {
+    excludeSessionId: session._id,
+    mongoSession
+  });
+  if (allocation.conflict) {
+    return { conflict: allocation.conflict };
+  }
+
+  return { resources: allocation.resources };
+};
+
+/**
+ * List how a move settles a session's pending reschedule requests
+ * Accepting `request` marks it accepted; any other pending request no longer applies and expires.
+ */
+const settlePendingRequests = (session, request = null) => {
+  return (session.rescheduleRequests || [])
+    .map((pending, index) => ({ pending, index }))
+    .filter(({ pending }) => pending.status === 'pending')
+    .map(({ pending, index }) => ({
+      index,
+      status: request && pending._id.equals(request._id) ? 'accepted' : 'expired'
+    }));
+};
+
+/**
+ * Record a move in a session's reschedule history and settle its pending requests
+ * Changes the loaded document only; the session must already carry its new times.
+ */
+const recordReschedule = (session, { originalStart, originalEnd, reason, fee = 0, requestedBy, performedBy, request = null, now = new Date() }) => {
+  session.rescheduleHistory.push({
+    originalStart,
+    originalEnd,
+    newStart: session.startTime,
+    newEnd: session.endTime,
+    reason,
+    fee,
+    requestedBy,
+    rescheduledBy: performedBy,
+    rescheduledAt: now
+  });
+  settlePendingRequests(session, request).forEach(({ index, status }) => {
+    const pending = session.rescheduleRequests[index];
+    pending.status = status;
+    pending.respondedBy = performedBy;
+    pending.respondedAt = now;
+  });
+};
+
+/**
+ * Move a session to a new time under the practitioner's and patient's booking locks
+ * The move is written with a single update guarded on the session's current time and status, so a
+ * retried transaction cannot record it twice and a session changed meanwhile is reported as a
+ * conflict. Records the move in the reschedule history. Returns a conflict, or null once moved.
+ */
+const applyReschedule = async (session, { newStart, newEnd, reason, fee = 0, requestedBy, performedBy, request = null, safetyCheck }) => {
+  const originalStart = session.startTime;
+  const originalEnd = session.endTime;
+  const now = new Date();
+
+  const moved = await withBookingLocks(
+    bookingKeys({ practitionerIds: [session.practitioner._id], patientIds: [session.patient._id] }),
+    async (mongoSession) => {
+      const { conflict, resources } = await checkNewTime(session, newStart, newEnd, { mongoSession });
+      if (conflict) {
+        return { conflict };
+      }
+      await lockKeys(resourceKeys(resources), mongoSession);
+
+      const changes = {
+        startTime: newStart,
+        endTime: newEnd,
+        resources,
+        scheduledDate: toDateKey(newStart),
+        status: 'scheduled', // Reset to scheduled after reschedule
+        ...(safetyCheck && { safetyCheck })
+      };
+      const $set = { ...changes };
+      settlePendingRequests(session, request).forEach(({ index, status }) => {
+        $set[`rescheduleRequests.${index}.status`] = status;
+        $set[`rescheduleRequests.${index}.respondedBy`] = performedBy;
+        $set[`rescheduleRequests.${index}.respondedAt`] = now;
+      });
+
+      const { matchedCount } = await Session.updateOne(
+        { _id: session._id, status: { $in: RESCHEDULABLE_STATUSES }, startTime: originalStart },
+        {
+          $set,
+          $push: {
+            rescheduleHistory: {
+              originalStart,
+              originalEnd,
+              newStart,
+              newEnd,
+              reason,
+              fee,
+              requestedBy,
+              rescheduledBy: performedBy,
+              rescheduledAt: now
+            }
+          }
+        },
+        { session: mongoSession }
+      );
+      if (matchedCount === 0) {
+        return {
+          conflict: { reason: 'session_changed', message: 'Session was changed while it was being rescheduled' }
+        };
+      }
+      return { changes };
+    }
+  );
+
+  if (moved.conflict) {
+    return moved.conflict;
+  }
+
+  // Show the committed move on the loaded document for the caller's response
+  Object.assign(session, moved.changes);
+  recordReschedule(session, { originalStart, originalEnd, reason, fee, requestedBy, performedBy, request, now });
+  return null;
+};
+
+module.exports = {
+  RESCHEDULABLE_STATUSES,
+  findPendingRequest,
+  countPatientReschedules,
+  checkReschedulePolicy,
+  checkBulkReschedulePolicy,
+  checkNewTime,
+  recordReschedule,
+  applyReschedule
+};
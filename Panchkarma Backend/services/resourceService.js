@@ -0,0 +1,168 @@
+// src/services/resourceService.js
+const Session = require('../models/session.models');
+const GroupSession = require('../models/groupSession.models');
+const Room = require('../models/room.models');
+const Equipment = require('../models/equipment.models');
+const { ACTIVE_SESSION_STATUSES, ACTIVE_GROUP_STATUSES, excludeFilter } = require('./slotService');
+
+/**
+ * Find individual and group sessions overlapping a time range, with the resources they hold
+ */
+const findOverlappingSessions = async (startTime, endTime, excludeSessionId = null, mongoSession = null) => {
+  const query = {
+    status: { $in: ACTIVE_SESSION_STATUSES },
+    startTime: { $lt: endTime },
+    endTime: { $gt: startTime }
+  };
+  if (excludeSessionId) {
+    query._id = excludeFilter(excludeSessionId);
+  }
+  const [sessions, groupSessions] = await Promise.all([
+    Session.find(query).select('resources startTime endTime').session(mongoSession),
+    GroupSession.find({ ...query, status: { $in: ACTIVE_GROUP_STATUSES } }).select('resources startTime endTime').session(mongoSession)
+  ]);
+  return [...sessions, ...groupSessions];
+};
+
+/**
+ * Pick a free room and enough equipment units for a therapy at the given time
+ * Returns { conflict, resources } where conflict is null when everything required is free
+ */
+const allocateResources = async (therapy, startTime, endTime, { excludeSessionId = null, mongoSession = null } = {}) => {
+  const requirements = therapy.resourceRequirements || {};
+  const roomRequirement = requirements.room || {};
+  const equipmentRequirements = requirements.equipment || [];
+  const resources = { room: undefined, equipment: [] };
+
+  if (!roomRequirement.required && equipmentRequirements.length === 0) {
+    return { conflict: null, resources };
+  }
+
+  const overlapping = await findOverlappingSessions(startTime, endTime, excludeSessionId, mongoSession);
+
+  if (roomRequirement.required) {
+    const roomQuery = { isActive: true };
+    if (roomRequirement.types?.length > 0) {
+      roomQuery.type = { $in: roomRequirement.types };
+    }
+
+    const occupiedRooms = new Set(
+      overlapping.filter(s => s.resources?.room).map(s => s.resources.room.toString())
+    );
+    const rooms = await Room.find(roomQuery).sort({ name: 1 });
+    const freeRoom = rooms.find(room => !occupiedRooms.has(room.id));
+
+    if (!freeRoom) {
+      return {
+        conflict: {
+          reason: 'room_unavailable',
+          message: rooms.length === 0
+            ? `No treatment room is set up for ${therapy.name}`
+            : `No compatible treatment room is free for ${therapy.name} at this time`
+        },
+        resources
+      };
+    }
+    resources.room = freeRoom._id;
+  }
+
+  // Units of each equipment item already in use during this time
+  const usedUnits = new Map();
+  overlapping.forEach(s => {
+    (s.resources?.equipment || []).forEach(({ item, quantity }) => {
+      const key = item.toString();
+      usedUnits.set(key, (usedUnits.get(key) || 0) + (quantity || 1));
+    });
+  });
+
+  for (const requirement of equipmentRequirements) {
+    const items = await Equipment.find({ type: requirement.type, isActive: true }).sort({ name: 1 });
+    let needed = requirement.quantity || 1;
+
+    for (const item of items) {
+      if (needed === 0) break;
+      const free = item.quantity - (usedUnits.get(item.id) || 0);
+      if (free <= 0) continue;
+
+      const take = Math.min(free, needed);
+      resources.equipment.push({ item: item._id, quantity: take });
+      usedUnits.set(item.id, (usedUnits.get(item.id) || 0) + take);
+      needed -= take;
+    }
+
+    if (needed > 0) {
+      return {
+        conflict: {
+          reason: 'equipment_unavailable',
+          message: `Not enough ${requirement.type.replace(/_/g, ' ')} available for ${therapy.name} at this time`
+        },
+        resources: { room: undefined, equipment: [] }
+      };
+    }
+  }
+
+  return { conflict: null, resources };
+};
+
+/**
+ * Build room and equipment occupancy for a time range
+ */
+const getResourceOccupancy = async (rangeStart, rangeEnd) => {
+  const bookingQuery = {
+    startTime: { $lt: rangeEnd },
+    endTime: { $gt: rangeStart },
+    $or: [
+      { 'resources.room': { $exists: true, $ne: null } },
+      { 'resources.equipment.0': { $exists: true } }
+    ]
+  };
+  const [rooms, equipment, individualSessions, groupSessions] = await Promise.all([
+    Room.find({ isActive: true }).sort({ name: 1 }),
+    Equipment.find({ isActive: true }).sort({ name: 1 }),
+    Session.find({ ...bookingQuery, status: { $in: ACTIVE_SESSION_STATUSES } })
+      .populate('therapy', 'name')
+      .populate('practitioner', 'profile.firstName profile.lastName'),
+    GroupSession.find({ ...bookingQuery, status: { $in: ACTIVE_GROUP_STATUSES } })
+      .populate('therapy', 'name')
+      .populate('practitioner', 'profile.firstName profile.lastName')
+  ]);
+  const sessions = [...individualSessions, ...groupSessions].sort((a, b) => a.startTime - b.startTime);
+
+  const toBooking = (session, quantity) => ({
+    sessionId: session._id,
+    isGroup: session instanceof GroupSession,
+    therapy: session.therapy?.name,
+    practitioner: session.practitioner ? session.practitioner.fullName : null,
+    startTime: session.startTime,
+    endTime: session.endTime,
+    status: session.status,
+    ...(quantity !== undefined && { quantity })
+  });
+
+  return {
+    rooms: rooms.map(room => ({
+      id: room._id,
+      name: room.name,
+      type: room.type,
+      bookings: sessions
+        .filter(s => s.resources.room && s.resources.room.toString() === room.id)
+        .map(s => toBooking(s))
+    })),
+    equipment: equipment.map(item => ({
+      id: item._id,
+      name: item.name,
+      type: item.type,
+      quantity: item.quantity,
+      bookings: sessions.flatMap(s =>
+        s.resources.equipment
+          .filter(e => e.item.toString() === item.id)
+          .map(e => toBooking(s, e.quantity))
+      )
+    }))
+  };
+};
+
+module.exports = {
+  allocateResources,
+  getResourceOccupancy
+};
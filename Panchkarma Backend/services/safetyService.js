@@ -0,0 +1,150 @@
+// src/services/safetyService.js
+
+// Health history fields each kind of check reads
+const CONTRAINDICATION_FIELDS = ['medicalConditions', 'allergies'];
+const FIELD_LABELS = {
+  medicalConditions: 'condition',
+  allergies: 'allergy',
+  medications: 'medication'
+};
+
+// Other ways health histories record the same thing, and the word each is read as
+const SYNONYMS = [
+  ['high blood pressure', 'hypertension'],
+  ['high bp', 'hypertension'],
+  ['diabetic', 'diabetes'],
+  ['pregnant', 'pregnancy'],
+  ['cardiac', 'heart'],
+  ['groundnut', 'peanut'],
+  ['til', 'sesame']
+];
+
+const normalize = (text) => ` ${String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()} `;
+
+const canonicalize = (text) => SYNONYMS.reduce(
+  (normalized, [synonym, word]) => normalized.split(` ${synonym} `).join(` ${word} `),
+  normalize(text)
+);
+
+/**
+ * Check whether a recorded health history entry falls under a rule term
+ * The term's words must appear together and whole in the entry, so 'diabetes' matches
+ * 'Type 2 diabetes' but 'ear' does not match 'heart', and the general entry 'heart' does not
+ * match the narrower term 'heart disease'.
+ */
+const termsMatch = (entry, term) => {
+  const a = canonicalize(entry);
+  const b = canonicalize(term);
+  if (!a.trim() || !b.trim()) return false;
+  return a.includes(b);
+};
+
+/**
+ * Compare one therapy against a patient's health history
+ * The therapy's safety rules apply as written; its listed contraindications are warnings
+ * against the patient's conditions and allergies. Returns the matching issues.
+ */
+const checkTherapySafety = (therapy, patient) => {
+  const history = patient.healthHistory || {};
+  const rules = [
+    ...(therapy.safetyRules || []),
+    ...(therapy.contraindications || []).flatMap(term =>
+      CONTRAINDICATION_FIELDS.map(field => ({ field, term, severity: 'warning' }))
+    )
+  ];
+
+  const issues = new Map();
+  rules.forEach(rule => {
+    (history[rule.field] || []).forEach(entry => {
+      if (!termsMatch(entry, rule.term)) return;
+
+      const key = `${rule.field}:${normalize(entry)}`;
+      // A blocking rule wins over a warning about the same entry
+      if (issues.has(key) && issues.get(key).severity === 'block') return;
+      issues.set(key, {
+        therapy: therapy.name,
+        field: rule.field,
+        term: rule.term,
+        matched: entry,
+        severity: rule.severity,
+        message: rule.message || `${therapy.name} is contraindicated with the patient's recorded ${FIELD_LABELS[rule.field]} "${entry}"`
+      });
+    });
+  });
+
+  return [...issues.values()];
+};
+
+const issueKey = (issue) => `${issue.therapy}:${issue.field}:${normalize(issue.matched)}`;
+
+/**
+ * Run the safety check for a booking and decide whether it can go ahead
+ * Warnings never stop a booking. Blocks need a practitioner override, except blocks an
+ * earlier override on the same session already accepted. Returns { blocked, warnings, blocks }
+ * plus the `record` to store on each session when it can go ahead.
+ */
+const evaluateSafety = (therapies, patient, { override = null, previousCheck = null } = {}) => {
+  const issues = therapies.flatMap(therapy => checkTherapySafety(therapy, patient));
+  const strip = ({ severity, ...issue }) => issue;
+  const warnings = issues.filter(issue => issue.severity === 'warning').map(strip);
+  const blocks = issues.filter(issue => issue.severity === 'block').map(strip);
+
+  const accepted = new Set(previousCheck?.override?.by ? (previousCheck.blocks || []).map(issueKey) : []);
+  const unresolved = blocks.filter(block => !accepted.has(issueKey(block)));
+
+  if (unresolved.length > 0 && !override) {
+    return { blocked: true, warnings, blocks: unresolved };
+  }
+
+  let recordedOverride;
+  if (unresolved.length > 0) {
+    recordedOverride = { by: override.by, justification: override.justification, at: new Date() };
+  } else if (blocks.length > 0) {
+    const { by, justification, at } = previousCheck.override;
+    recordedOverride = { by, justification, at };
+  }
+
+  return {
+    blocked: false,
+    warnings,
+    blocks,
+    record: { warnings, blocks, checkedAt: new Date(), override: recordedOverride }
+  };
+};
+
+/**
+ * Read a safety override from a request
+ * Only the session's own practitioner may override, and must say why.
+ * Returns { override } (null when none was given) or { error }.
+ */
+const resolveSafetyOverride = ({ user, safetyOverride, practitionerId }) => {
+  if (!safetyOverride) {
+    return { override: null };
+  }
+  if (user.role !== 'practitioner' || user.id !== practitionerId.toString()) {
+    return { error: 'Only the treating practitioner can override a safety block' };
+  }
+  const justification = safetyOverride.justification?.trim();
+  if (!justification || justification.length < 10) {
+    return { error: 'A safety override needs a justification of at least 10 characters' };
+  }
+  return { override: { by: user.id, justification } };
+};
+
+/**
+ * Build the 409 response body for a booking stopped by the safety check
+ */
+const safetyBlockResponse = ({ warnings, blocks }) => ({
+  success: false,
+  message: 'This therapy is contraindicated for the patient. The treating practitioner must review it and book with a safety override.',
+  reason: 'safety_block',
+  safety: { warnings, blocks }
+});
+
+module.exports = {
+  termsMatch,
+  checkTherapySafety,
+  evaluateSafety,
+  resolveSafetyOverride,
+  safetyBlockResponse
+};
@@ -0,0 +1,133 @@
+// src/services/searchService.js
+const Session = require('../models/session.models');
+const GroupSession = require('../models/groupSession.models');
+const { ACTIVE_SESSION_STATUSES, ACTIVE_GROUP_STATUSES, generateAvailableSlots } = require('./slotService');
+const { allocateResources } = require('./resourceService');
+const { findPractitionersForTherapy, getOfferingsByPractitioner, applyOffering } = require('./offeringService');
+const { addDaysToDateKey, combineDateAndTime, timeToMinutes, toTimeKey } = require('../utils/timeUtils');
+
+const MAX_SEARCH_DAYS = 14;
+
+// Start-time windows in minutes past midnight, clinic time; the end is exclusive
+const TIME_OF_DAY_WINDOWS = {
+  morning: [timeToMinutes('00:00'), timeToMinutes('12:00')],
+  afternoon: [timeToMinutes('12:00'), timeToMinutes('17:00')],
+  evening: [timeToMinutes('17:00'), 24 * 60]
+};
+
+const isInTimeOfDay = (startTime, timeOfDay) => {
+  const window = TIME_OF_DAY_WINDOWS[timeOfDay];
+  if (!window) return true;
+  const minutes = timeToMinutes(toTimeKey(startTime));
+  return minutes >= window[0] && minutes < window[1];
+};
+
+const listDateKeys = (startDate, endDate) => {
+  const dates = [];
+  for (let dateKey = startDate; dateKey <= endDate; dateKey = addDaysToDateKey(dateKey, 1)) {
+    dates.push(dateKey);
+  }
+  return dates;
+};
+
+/**
+ * Find the earliest bookable slots for a therapy across every practitioner who offers it
+ * Each practitioner's slots use their own duration and price for the therapy. Slots are ranked
+ * by start time, then by practitioner experience, and skip times when the patient is already
+ * booked or no room or equipment is free.
+ */
+const findFirstAvailableSlots = async (therapy, {
+  startDate,
+  endDate,
+  timeOfDay = null,
+  gender = null,
+  language = null,
+  patientId = null,
+  page = 1,
+  limit = 10
+}) => {
+  const [practitioners, offerings] = await Promise.all([
+    findPractitionersForTherapy(therapy, null, { gender, language }),
+    getOfferingsByPractitioner(therapy._id)
+  ]);
+  const dates = listDateKeys(startDate, endDate);
+
+  const rangeStart = combineDateAndTime(startDate, '00:00');
+  const rangeEnd = combineDateAndTime(addDaysToDateKey(endDate, 1), '00:00');
+  const patientSessions = patientId
+    ? [
+        ...await Session.find({
+          patient: patientId,
+          status: { $in: ACTIVE_SESSION_STATUSES },
+          startTime: { $lt: rangeEnd },
+          endTime: { $gt: rangeStart }
+        }).select('startTime endTime'),
+        ...await GroupSession.find({
+          attendees: { $elemMatch: { patient: patientId, status: 'enrolled' } },
+          status: { $in: ACTIVE_GROUP_STATUSES },
+          startTime: { $lt: rangeEnd },
+          endTime: { $gt: rangeStart }
+        }).select('startTime endTime')
+      ]
+    : [];
+
+  const candidates = [];
+  for (const [practitionerRank, practitioner] of practitioners.entries()) {
+    const offeredTherapy = applyOffering(therapy, offerings.get(practitioner.id));
+    for (const dateKey of dates) {
+      const { slots } = await generateAvailableSlots(practitioner._id, dateKey, {
+        duration: offeredTherapy.duration,
+        viewerId: patientId
+      });
+      slots
+        .filter(slot => isInTimeOfDay(slot.startTime, timeOfDay))
+        .filter(slot => !patientSessions.some(s => slot.startTime < s.endTime && slot.endTime > s.startTime))
+        .forEach(slot => candidates.push({ ...slot, practitioner, practitionerRank, price: offeredTherapy.price }));
+    }
+  }
+
+  candidates.sort((a, b) => (a.startTime - b.startTime) || (a.practitionerRank - b.practitionerRank));
+
+  // Resources do not depend on the practitioner, so check each time window once
+  const resourceChecks = new Map();
+  const bookable = [];
+  for (const candidate of candidates) {
+    const windowKey = `${candidate.startTime.getTime()}-${candidate.endTime.getTime()}`;
+    if (!resourceChecks.has(windowKey)) {
+      const { conflict } = await allocateResources(therapy, candidate.startTime, candidate.endTime);
+      resourceChecks.set(windowKey, !conflict);
+    }
+    if (resourceChecks.get(windowKey)) {
+      bookable.push(candidate);
+    }
+  }
+
+  const skip = (page - 1) * limit;
+  const results = bookable.slice(skip, skip + limit).map((slot, i) => ({
+    rank: skip + i + 1,
+    startTime: slot.startTime,
+    endTime: slot.endTime,
+    duration: slot.duration,
+    price: slot.price,
+    slotId: slot.slotId,
+    practitioner: {
+      id: slot.practitioner._id,
+      name: slot.practitioner.fullName,
+      gender: slot.practitioner.profile.gender,
+      languages: slot.practitioner.practitionerInfo.languages,
+      experience: slot.practitioner.practitionerInfo.experience
+    }
+  }));
+
+  return {
+    slots: results,
+    practitionersSearched: practitioners.length,
+    totalCount: bookable.length
+  };
+};
+
+module.exports = {
+  MAX_SEARCH_DAYS,
+  TIME_OF_DAY_WINDOWS,
+  findFirstAvailableSlots
+};
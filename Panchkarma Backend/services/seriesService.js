@@ -0,0 +1,381 @@
+// src/services/seriesService.js
+const Session = require('../models/session.models');
+const SessionSeries = require('../models/sessionSeries.models');
+const PractitionerSchedule = require('../models/practitionerSchedule.models');
+const { sendNotification } = require('./notificationService');
+const { ACTIVE_SESSION_STATUSES, findSlotConflict, findPatientConflict, generateAvailableSlots } = require('./slotService');
+const { allocateResources } = require('./resourceService');
+const { offerFreedSlot } = require('./waitlistService');
+const { cancelSessionsWithCharges } = require('./cancellationService');
+const { checkBulkReschedulePolicy, recordReschedule } = require('./rescheduleService');
+const { evaluateSafety } = require('./safetyService');
+const { bookingKeys, resourceKeys, lockKeys, withBookingLocks } = require('./bookingLockService');
+const { addDaysToDateKey, combineDateAndTime, toDateKey, toTimeKey, formatDateTime } = require('../utils/timeUtils');
+
+const OPEN_SESSION_STATUSES = ['scheduled', 'confirmed'];
+
+/**
+ * List the "YYYY-MM-DD" dates of a recurrence, capped at SessionSeries.MAX_OCCURRENCES
+ */
+const expandOccurrences = (startDate, { frequency, interval = 1, until, count }) => {
+  const stepDays = frequency === 'weekly' ? 7 * interval : interval;
+  const limit = Math.min(count || SessionSeries.MAX_OCCURRENCES, SessionSeries.MAX_OCCURRENCES);
+  const dates = [];
+
+  for (let index = 0; index < limit; index++) {
+    const dateKey = addDaysToDateKey(startDate, index * stepDays);
+    if (until && dateKey > until) break;
+    dates.push(dateKey);
+  }
+
+  return dates;
+};
+
+/**
+ * Suggest up to three free slots closest to the requested time, on the same day or the next
+ */
+const findAlternatives = async (therapy, practitionerId, patientId, dateKey, requestedStart) => {
+  for (const day of [dateKey, addDaysToDateKey(dateKey, 1)]) {
+    const { slots } = await generateAvailableSlots(practitionerId, day, {
+      duration: therapy.duration,
+      viewerId: patientId
+    });
+    if (slots.length > 0) {
+      return slots
+        .sort((a, b) => Math.abs(a.startTime - requestedStart) - Math.abs(b.startTime - requestedStart))
+        .slice(0, 3)
+        .map(({ startTime, endTime }) => ({ date: toDateKey(startTime), startTime, endTime }));
+    }
+  }
+  return [];
+};
+
+/**
+ * Check every occurrence of a series against bookings, schedules and resources
+ * `occurrences` is a list of { index, startTime } where startTime is a Date. Each occurrence is
+ * also checked against those planned before it and against `busy`, the series' sessions that are
+ * not being moved, as the database checks cannot see either.
+ */
+const planOccurrences = async (occurrences, {
+  therapy,
+  practitionerId,
+  patientId,
+  excludeSessionIds = null,
+  busy = [],
+  withAlternatives = false,
+  mongoSession = null
+}) => {
+  const now = new Date();
+  const planned = [];
+  const schedule = await PractitionerSchedule.findOrDefault(practitionerId);
+  const bufferMs = schedule.bufferTime * 60 * 1000;
+  // An occurrence planned here holds the practitioner, patient, room and equipment alike
+  const taken = busy.map(({ startTime, endTime }) => ({ startTime, endTime }));
+
+  for (const occurrence of occurrences) {
+    const startTime = new Date(occurrence.startTime);
+    const endTime = new Date(startTime.getTime() + therapy.duration * 60 * 1000);
+    const entry = {
+      index: occurrence.index,
+      date: toDateKey(startTime),
+      startTime,
+      endTime,
+      resources: { equipment: [] },
+      conflict: null
+    };
+    planned.push(entry);
+
+    if (startTime <= now) {
+      entry.conflict = { reason: 'in_past', message: 'Cannot book session in the past' };
+    } else if (taken.some(period =>
+      period.startTime.getTime() < endTime.getTime() + bufferMs && startTime.getTime() - bufferMs < period.endTime.getTime()
+    )) {
+      entry.conflict = { reason: 'series_overlap', message: 'Overlaps another session of this series' };
+    } else if (await findPatientConflict(patientId, startTime, endTime, excludeSessionIds, { mongoSession })) {
+      entry.conflict = { reason: 'patient_conflict', message: 'Patient has a conflicting session at this time' };
+    } else {
+      entry.conflict = await findSlotConflict(practitionerId, startTime, endTime, excludeSessionIds, {
+        holderId: patientId,
+        mongoSession
+      });
+    }
+
+    if (!entry.conflict) {
+      const allocation = await allocateResources(therapy, startTime, endTime, {
+        excludeSessionId: excludeSessionIds,
+        mongoSession
+      });
+      entry.conflict = allocation.conflict;
+      entry.resources = allocation.resources;
+    }
+
+    if (!entry.conflict) {
+      taken.push({ startTime, endTime });
+    }
+
+    if (entry.conflict && withAlternatives && entry.conflict.reason !== 'in_past') {
+      entry.alternatives = await findAlternatives(therapy, practitionerId, patientId, entry.date, startTime);
+    }
+  }
+
+  return planned;
+};
+
+const formatOccurrences = (planned) => planned.map(({ index, date, startTime, endTime, conflict, alternatives }) => ({
+  index,
+  date,
+  startTime,
+  endTime,
+  conflict,
+  ...(alternatives && { alternatives })
+}));
+
+/**
+ * Build the occurrences of a new series, applying any chosen alternative times
+ * `overrides` is a list of { index, startTime } picked from the preview's alternatives
+ */
+const buildOccurrences = (startDate, startTime, recurrence, overrides = []) => {
+  const overrideByIndex = new Map(overrides.map(o => [Number(o.index), new Date(o.startTime)]));
+  return expandOccurrences(startDate, recurrence).map((dateKey, index) => ({
+    index,
+    startTime: overrideByIndex.get(index) || combineDateAndTime(dateKey, startTime)
+  }));
+};
+
+/**
+ * Preview a recurring booking with conflicts and alternative times
+ */
+const previewSeries = async ({ therapy, practitionerId, patientId, startDate, startTime, recurrence, overrides }) => {
+  const planned = await planOccurrences(buildOccurrences(startDate, startTime, recurrence, overrides), {
+    therapy,
+    practitionerId,
+    patientId,
+    withAlternatives: true
+  });
+  return formatOccurrences(planned);
+};
+
+/**
+ * Book every free occurrence of a recurring booking as one linked series
+ * Occurrences that still conflict are skipped and recorded on the series
+ */
+const createSeries = async ({ therapy, practitionerId, patientId, startDate, startTime, recurrence, overrides, notes, createdBy, safetyCheck, treatmentPlan }) => {
+  const occurrences = buildOccurrences(startDate, startTime, recurrence, overrides);
+  const keys = bookingKeys({ practitionerIds: [practitionerId], patientIds: [patientId] });
+
+  return withBookingLocks(keys, async (mongoSession) => {
+    const planned = await planOccurrences(occurrences, { therapy, practitionerId, patientId, mongoSession });
+    const bookable = planned.filter(p => !p.conflict);
+    const skipped = planned.filter(p => p.conflict);
+    if (bookable.length === 0) {
+      return { series: null, skipped: formatOccurrences(skipped) };
+    }
+    await lockKeys(bookable.flatMap(p => resourceKeys(p.resources)), mongoSession);
+
+    const [series] = await SessionSeries.create([{
+      patient: patientId,
+      practitioner: practitionerId,
+      therapy: therapy._id,
+      startDate,
+      startTime,
+      recurrence,
+      skippedOccurrences: skipped.map(p => ({ index: p.index, date: p.date, reason: p.conflict.message })),
+      notes,
+      createdBy
+    }], { session: mongoSession });
+
+    const sessions = await Session.create(bookable.map(p => ({
+      therapy: therapy._id,
+      patient: patientId,
+      practitioner: practitionerId,
+      series: series._id,
+      seriesIndex: p.index,
+      scheduledDate: p.date,
+      startTime: p.startTime,
+      endTime: p.endTime,
+      price: therapy.price,
+      resources: p.resources,
+      notes: { preSession: notes || '' },
+      status: 'scheduled',
+      paymentStatus: 'pending',
+      bookedBy: createdBy,
+      safetyCheck,
+      treatmentPlan
+    })), { session: mongoSession, ordered: true });
+
+    series.sessions = sessions.map(s => s._id);
+    await series.save({ session: mongoSession });
+
+    return { series, sessions, skipped: formatOccurrences(skipped) };
+  });
+};
+
+/**
+ * Find the open sessions of a series from a given occurrence onwards
+ */
+const findFollowingSessions = (series, fromIndex, mongoSession = null) => {
+  return Session.find({
+    series: series._id,
+    seriesIndex: { $gte: fromIndex },
+    status: { $in: OPEN_SESSION_STATUSES }
+  }).sort({ seriesIndex: 1 }).session(mongoSession);
+};
+
+/**
+ * Move "this and following" occurrences to a new time of day and/or shift them by whole days
+ * Either every session moves or none does. The safety check is re-run against the patient's
+ * current health history; a new block stops the move with { safety } unless `override` is given.
+ */
+const updateFollowing = async (series, fromIndex, { startTime, shiftDays = 0, therapy, patient, override = null, reason, forPatient = false, requestedBy, performedBy }) => {
+  const keys = bookingKeys({ practitionerIds: [series.practitioner], patientIds: [series.patient] });
+
+  const result = await withBookingLocks(keys, async (mongoSession) => {
+    const sessions = await findFollowingSessions(series, fromIndex, mongoSession);
+    if (sessions.length === 0) {
+      return { sessions };
+    }
+
+    const safetyChecks = sessions.map(session =>
+      evaluateSafety([therapy], patient, { override, previousCheck: session.safetyCheck })
+    );
+    const blocked = safetyChecks.find(safety => safety.blocked);
+    if (blocked) {
+      return { safety: blocked };
+    }
+
+    // Patients are bound by the practitioner's reschedule policy for every session they move
+    let fees = sessions.map(() => 0);
+    if (forPatient) {
+      const policyCheck = await checkBulkReschedulePolicy(sessions);
+      if (policyCheck.error) {
+        return { error: policyCheck.error };
+      }
+      fees = policyCheck.fees;
+    }
+
+    const occurrences = sessions.map(session => {
+      const dateKey = addDaysToDateKey(toDateKey(session.startTime), shiftDays);
+      const time = startTime || toTimeKey(session.startTime);
+      return { index: session.seriesIndex, startTime: combineDateAndTime(dateKey, time) };
+    });
+
+    const allSeriesSessions = await Session.find({ series: series._id })
+      .select('_id status startTime endTime')
+      .session(mongoSession);
+    const movingIds = new Set(sessions.map(s => s.id));
+    const planned = await planOccurrences(occurrences, {
+      therapy,
+      practitionerId: series.practitioner,
+      patientId: series.patient,
+      excludeSessionIds: allSeriesSessions.map(s => s._id),
+      busy: allSeriesSessions.filter(s => !movingIds.has(s.id) && ACTIVE_SESSION_STATUSES.includes(s.status)),
+      mongoSession
+    });
+
+    const conflicts = planned.filter(p => p.conflict);
+    if (conflicts.length > 0) {
+      return { conflicts: formatOccurrences(conflicts) };
+    }
+    await lockKeys(planned.flatMap(p => resourceKeys(p.resources)), mongoSession);
+
+    for (const [i, session] of sessions.entries()) {
+      const p = planned[i];
+      const originalStart = session.startTime;
+      const originalEnd = session.endTime;
+      session.scheduledDate = p.date;
+      session.startTime = p.startTime;
+      session.endTime = p.endTime;
+      session.resources = p.resources;
+      session.safetyCheck = safetyChecks[i].record;
+      recordReschedule(session, { originalStart, originalEnd, reason, fee: fees[i], requestedBy, performedBy });
+      await session.save({ session: mongoSession });
+    }
+
+    if (fromIndex === 0 && startTime) {
+      series.startTime = startTime;
+      await series.save({ session: mongoSession });
+    }
+
+    return { sessions, planned, rescheduleFee: fees.reduce((sum, fee) => sum + fee, 0) };
+  });
+
+  if (result.sessions && result.sessions.length > 0) {
+    const first = result.planned[0];
+    await Promise.allSettled([series.patient, series.practitioner].map(recipient =>
+      sendNotification({
+        recipient,
+        type: 'rescheduling',
+        title: 'Recurring Sessions Rescheduled',
+        message: (timeZone) => `${result.sessions.length} recurring ${therapy.name} session(s) have been moved, starting ${formatDateTime(first.startTime, timeZone)}.${reason ? ` Reason: ${reason}` : ''}${result.rescheduleFee > 0 ? ` A reschedule fee of ₹${result.rescheduleFee} applies.` : ''}`,
+        data: { actionUrl: `/sessions/series/${series._id}` },
+        channels: { email: true, inApp: true }
+      })
+    ));
+  }
+
+  return result;
+};
+
+/**
+ * Cancel "this and following" occurrences of a series
+ */
+const cancelFollowing = async (series, fromIndex, { therapy, cancellationType, performedBy, reason, io }) => {
+  const now = new Date();
+  const sessions = await findFollowingSessions(series, fromIndex);
+  await Session.populate(sessions, { path: 'therapy', select: 'name category' });
+
+  const charges = await cancelSessionsWithCharges(sessions, { cancellationType, performedBy, reason, now });
+
+  const remaining = await Session.countDocuments({
+    series: series._id,
+    status: { $in: [...OPEN_SESSION_STATUSES, 'in-progress'] }
+  });
+  if (remaining === 0) {
+    const completed = await Session.countDocuments({ series: series._id, status: 'completed' });
+    series.status = fromIndex === 0 || completed === 0 ? 'cancelled' : 'completed';
+    await series.save();
+  }
+
+  for (const session of sessions) {
+    if (io) {
+      io.emit('slotAvailable', {
+        practitionerId: series.practitioner,
+        startTime: session.startTime,
+        endTime: session.endTime,
+        therapyId: series.therapy
+      });
+    }
+    await offerFreedSlot(session, { io }).catch(error => console.error('Waitlist offer failed:', error));
+  }
+
+  if (sessions.length > 0) {
+    const notifyPatient = series.patient.toString() !== String(performedBy);
+    const refundNote = notifyPatient && charges.refundAmount > 0
+      ? ` A refund of ₹${charges.refundAmount} will be processed within ${charges.refundTimeline}.`
+      : '';
+    await sendNotification({
+      recipient: notifyPatient ? series.patient : series.practitioner,
+      type: 'cancellation',
+      title: 'Recurring Sessions Cancelled',
+      message: (timeZone) => `${sessions.length} recurring ${therapy.name} session(s) from ${formatDateTime(sessions[0].startTime, timeZone)} onwards have been cancelled.${refundNote}`,
+      data: { actionUrl: `/sessions/series/${series._id}` },
+      channels: { email: true, inApp: true, whatsapp: true }
+    }).catch(error => console.error('Series cancellation notification error:', error));
+  }
+
+  return {
+    cancelledSessions: sessions.map(s => s._id),
+    cancellationFee: charges.cancellationFee,
+    refundAmount: charges.refundAmount,
+    refundTimeline: charges.refundTimeline,
+    charges: charges.sessions
+  };
+};
+
+module.exports = {
+  expandOccurrences,
+  previewSeries,
+  createSeries,
+  updateFollowing,
+  cancelFollowing
+};
@@ -1,64 +1,343 @@
 // src/services/slotService.js
 const Session = require('../models/session.models');
+const GroupSession = require('../models/groupSession.models');
 const User = require('../models/user.models');
-const { sendNotification } = require('./notificationService');
+const PractitionerSchedule = require('../models/practitionerSchedule.models');
+const ScheduleBlock = require('../models/scheduleBlock.models');
+const ExternalBusyBlock = require('../models/externalBusyBlock.models');
+const SlotHold = require('../models/slotHold.models');
+const { toDateKey, combineDateAndTime, addDaysToDateKey, getDayOfWeek } = require('../utils/timeUtils');
 
-const checkSlotAvailability = async (practitionerId, startTime, endTime) => {
-  try {
-    const conflictingSession = await Session.findOne({
+const ACTIVE_SESSION_STATUSES = ['scheduled', 'confirmed', 'in-progress'];
+const ACTIVE_GROUP_STATUSES = ['scheduled', 'in-progress'];
+
+/**
+ * Build an _id filter that skips one session or a list of sessions
+ */
+const excludeFilter = (excludeSessionIds) => {
+  return Array.isArray(excludeSessionIds) ? { $nin: excludeSessionIds } : { $ne: excludeSessionIds };
+};
+
+/**
+ * Get the last date a practitioner can currently be booked for
+ */
+const getLastBookableDateKey = (schedule) => {
+  return addDaysToDateKey(toDateKey(new Date()), schedule.advanceBookingDays);
+};
+
+/**
+ * Get a practitioner's blocked periods, leave and imported external busy time within a range,
+ * with recurring blocks expanded
+ */
+const getBlockedPeriods = async (practitionerId, rangeStart, rangeEnd) => {
+  const [blocks, externalBusy] = await Promise.all([
+    ScheduleBlock.findActiveInRange(practitionerId, rangeStart, rangeEnd),
+    ExternalBusyBlock.find({
       practitioner: practitionerId,
-      status: { $in: ['scheduled', 'confirmed', 'in-progress'] },
-      $or: [
-        { startTime: { $lt: endTime }, endTime: { $gt: startTime } }
-      ]
-    });
+      startTime: { $lt: rangeEnd },
+      endTime: { $gt: rangeStart }
+    }).populate('calendar', 'name')
+  ]);
 
-    return !conflictingSession;
-  } catch (error) {
-    console.error('Check slot availability error:', error);
-    return false;
+  return [
+    ...blocks.flatMap(block =>
+      block.getOccurrences(rangeStart, rangeEnd).map(occurrence => ({
+        ...occurrence,
+        blockId: block._id,
+        type: block.type,
+        reason: block.reason
+      }))
+    ),
+    ...externalBusy.map(busy => ({
+      startTime: busy.startTime,
+      endTime: busy.endTime,
+      calendarId: busy.calendar?._id,
+      type: 'external',
+      reason: busy.calendar?.name
+    }))
+  ].sort((a, b) => a.startTime - b.startTime);
+};
+
+/**
+ * Find active sessions that fall inside any occurrence of a schedule block
+ */
+const findSessionsInBlock = async (block, rangeEnd = null) => {
+  const frequency = block.recurrence?.frequency || 'none';
+  const searchEnd = frequency === 'none'
+    ? block.endTime
+    : rangeEnd || block.recurrence.until || new Date(Date.now() + 365 * 24 * 60 * 60 * 1000);
+  const searchStart = frequency === 'none' ? block.startTime : new Date(Math.max(block.startTime, Date.now()));
+
+  const sessions = await Session.find({
+    practitioner: block.practitioner,
+    status: { $in: ACTIVE_SESSION_STATUSES },
+    startTime: { $lt: searchEnd },
+    endTime: { $gt: searchStart }
+  })
+  .populate('therapy', 'name duration')
+  .populate('patient', 'profile.firstName profile.lastName profile.phone email')
+  .sort({ startTime: 1 });
+
+  const occurrences = block.getOccurrences(searchStart, searchEnd);
+  return sessions.filter(session =>
+    occurrences.some(o => session.startTime < o.endTime && session.endTime > o.startTime)
+  );
+};
+
+/**
+ * Find the reason a time range cannot be booked with a practitioner, or null if it is free
+ * Holds belonging to `holderId` do not count as conflicts. Pass `mongoSession` to read
+ * bookings inside a booking transaction.
+ */
+const findSlotConflict = async (practitionerId, startTime, endTime, excludeSessionId = null, { holderId = null, mongoSession = null } = {}) => {
+  const start = new Date(startTime);
+  const end = new Date(endTime);
+  const schedule = await PractitionerSchedule.findOrDefault(practitionerId);
+
+  if (!schedule.isActive) {
+    return { reason: 'schedule_inactive', message: 'Practitioner is not accepting bookings at the moment' };
+  }
+
+  const dateKey = toDateKey(start);
+  if (dateKey > getLastBookableDateKey(schedule)) {
+    return {
+      reason: 'outside_booking_window',
+      message: `Sessions can only be booked up to ${schedule.advanceBookingDays} days in advance`
+    };
+  }
+
+  const daySchedule = schedule.getDaySchedule(dateKey);
+  if (!daySchedule.isAvailable) {
+    return {
+      reason: 'day_off',
+      message: `Practitioner is not available on this day${daySchedule.reason ? ` (${daySchedule.reason})` : ''}`
+    };
+  }
+
+  const withinWorkingHours = daySchedule.timeSlots.some(slot =>
+    combineDateAndTime(dateKey, slot.startTime) <= start && end <= combineDateAndTime(dateKey, slot.endTime)
+  );
+  if (!withinWorkingHours) {
+    return { reason: 'outside_working_hours', message: 'Selected time is outside the practitioner\'s working hours' };
+  }
+
+  const blockedPeriods = await getBlockedPeriods(practitionerId, start, end);
+  if (blockedPeriods.length > 0) {
+    const blocked = blockedPeriods[0];
+    if (blocked.type === 'external') {
+      return {
+        reason: 'external_busy',
+        message: 'Practitioner is busy elsewhere at the selected time',
+        calendarId: blocked.calendarId
+      };
+    }
+    return {
+      reason: blocked.type === 'leave' ? 'on_leave' : 'blocked',
+      message: blocked.type === 'leave'
+        ? 'Practitioner is on leave at the selected time'
+        : `Selected time has been blocked by the practitioner${blocked.reason ? ` (${blocked.reason})` : ''}`,
+      blockId: blocked.blockId
+    };
+  }
+
+  // Keep the practitioner's buffer free on both sides of every session
+  const bufferMs = schedule.bufferTime * 60 * 1000;
+  const query = {
+    practitioner: practitionerId,
+    status: { $in: ACTIVE_SESSION_STATUSES },
+    startTime: { $lt: new Date(end.getTime() + bufferMs) },
+    endTime: { $gt: new Date(start.getTime() - bufferMs) }
+  };
+  if (excludeSessionId) {
+    query._id = excludeFilter(excludeSessionId);
+  }
+
+  const conflictingSession = await Session.findOne(query).session(mongoSession);
+  if (conflictingSession) {
+    return {
+      reason: 'session_conflict',
+      message: 'Selected time slot is not available with this practitioner',
+      sessionId: conflictingSession._id
+    };
+  }
+
+  // A group session keeps the practitioner busy once, however many attend
+  const conflictingGroup = await GroupSession.findOne({
+    practitioner: practitionerId,
+    status: { $in: ACTIVE_GROUP_STATUSES },
+    startTime: query.startTime,
+    endTime: query.endTime
+  }).session(mongoSession);
+  if (conflictingGroup) {
+    return {
+      reason: 'session_conflict',
+      message: 'Selected time slot is not available with this practitioner',
+      groupSessionId: conflictingGroup._id
+    };
   }
+
+  const [hold] = await SlotHold.findActiveOverlapping(practitionerId, start, end, {
+    excludeHolderId: holderId,
+    paddingMs: bufferMs
+  }).session(mongoSession);
+  if (hold) {
+    return {
+      reason: 'slot_held',
+      message: 'Selected time slot is being held for another patient. Please try again in a few minutes.',
+      holdId: hold._id,
+      heldUntil: hold.expiresAt
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Find an active session or group enrolment of the patient that overlaps a time range
+ */
+const findPatientConflict = async (patientId, startTime, endTime, excludeSessionIds = null, { mongoSession = null } = {}) => {
+  const query = {
+    patient: patientId,
+    status: { $in: ACTIVE_SESSION_STATUSES },
+    startTime: { $lt: endTime },
+    endTime: { $gt: startTime }
+  };
+  if (excludeSessionIds) {
+    query._id = excludeFilter(excludeSessionIds);
+  }
+  const session = await Session.findOne(query).session(mongoSession);
+  if (session) {
+    return session;
+  }
+
+  return GroupSession.findOne({
+    attendees: { $elemMatch: { patient: patientId, status: 'enrolled' } },
+    status: { $in: ACTIVE_GROUP_STATUSES },
+    startTime: { $lt: endTime },
+    endTime: { $gt: startTime }
+  }).session(mongoSession);
 };
 
-const reallocateSlot = async (cancelledSession) => {
+const checkSlotAvailability = async (practitionerId, startTime, endTime, excludeSessionId = null) => {
   try {
-    // Find patients who might be interested in this slot
-    // Look for patients who have had similar therapy sessions
-    const interestedPatients = await Session.find({
-      therapy: cancelledSession.therapy,
-      patient: { $ne: cancelledSession.patient },
-      status: 'completed',
-      createdAt: { $gte: new Date(Date.now() - 90 * 24 * 60 * 60 * 1000) } // Last 90 days
-    }).distinct('patient');
-
-    // Send slot available notifications
-    const notifications = interestedPatients.slice(0, 10).map(patientId => // Limit to 10 notifications
-      sendNotification({
-        recipient: patientId,
-        type: 'slot_available',
-        title: 'Therapy Slot Available',
-        message: `A ${cancelledSession.therapy.name} slot is now available on ${cancelledSession.startTime.toLocaleDateString()} at ${cancelledSession.startTime.toLocaleTimeString()}`,
-        data: {
-          therapyId: cancelledSession.therapy,
-          practitionerId: cancelledSession.practitioner,
-          startTime: cancelledSession.startTime,
-          endTime: cancelledSession.endTime,
-          actionUrl: '/book-session'
-        },
-        channels: { inApp: true, email: false }
-      })
-    );
-
-    await Promise.allSettled(notifications);
-
-    console.log(`Slot reallocation notifications sent for session ${cancelledSession._id}`);
-    return true;
+    const conflict = await findSlotConflict(practitionerId, startTime, endTime, excludeSessionId);
+    return !conflict;
   } catch (error) {
-    console.error('Reallocate slot error:', error);
+    console.error('Check slot availability error:', error);
     return false;
   }
 };
 
+/**
+ * Generate bookable slots for a practitioner on a "YYYY-MM-DD" date from their stored schedule
+ * Slots held for other patients are left out; the viewer's own holds still show
+ */
+const generateAvailableSlots = async (practitionerId, dateKey, { duration, excludeSessionId, viewerId = null } = {}) => {
+  const schedule = await PractitionerSchedule.findOrDefault(practitionerId);
+  const daySchedule = schedule.getDaySchedule(dateKey);
+  const slotDuration = duration || schedule.defaultSlotDuration;
+  if (!Number.isFinite(slotDuration) || slotDuration <= 0) {
+    // A non-positive length would never move the cursor past the end of a window
+    throw new Error(`Invalid slot duration: ${slotDuration}`);
+  }
+  const result = {
+    date: dateKey,
+    dayOfWeek: getDayOfWeek(dateKey),
+    daySchedule,
+    slotDuration,
+    bufferTime: schedule.bufferTime,
+    advanceBookingDays: schedule.advanceBookingDays,
+    slots: []
+  };
+
+  if (!schedule.isActive) {
+    return { ...result, unavailableReason: 'Practitioner is not accepting bookings at the moment' };
+  }
+  if (dateKey > getLastBookableDateKey(schedule)) {
+    return { ...result, unavailableReason: `Sessions can only be booked up to ${schedule.advanceBookingDays} days in advance` };
+  }
+  if (!daySchedule.isAvailable) {
+    return { ...result, unavailableReason: daySchedule.reason || 'Practitioner is not available on this day' };
+  }
+
+  const dayStart = combineDateAndTime(dateKey, '00:00');
+  const dayEnd = combineDateAndTime(addDaysToDateKey(dateKey, 1), '00:00');
+  const bufferMs = schedule.bufferTime * 60 * 1000;
+  const durationMs = slotDuration * 60 * 1000;
+
+  const query = {
+    practitioner: practitionerId,
+    status: { $in: ACTIVE_SESSION_STATUSES },
+    startTime: { $lt: new Date(dayEnd.getTime() + bufferMs) },
+    endTime: { $gt: new Date(dayStart.getTime() - bufferMs) }
+  };
+  if (excludeSessionId) {
+    query._id = excludeFilter(excludeSessionId);
+  }
+  const [bookedSessions, groupSessions, blockedPeriods, holds] = await Promise.all([
+    Session.find(query).sort({ startTime: 1 }),
+    GroupSession.find({
+      practitioner: practitionerId,
+      status: { $in: ACTIVE_GROUP_STATUSES },
+      startTime: query.startTime,
+      endTime: query.endTime
+    }),
+    getBlockedPeriods(practitionerId, dayStart, dayEnd),
+    SlotHold.findActiveOverlapping(practitionerId, dayStart, dayEnd, { excludeHolderId: viewerId, paddingMs: bufferMs })
+  ]);
+  const now = new Date();
+
+  // Blocks and leave do not need a buffer around them
+  const busyPeriods = [
+    ...[...bookedSessions, ...groupSessions, ...holds].map(booking => ({
+      start: booking.startTime.getTime() - bufferMs,
+      end: booking.endTime.getTime() + bufferMs
+    })),
+    ...blockedPeriods.map(period => ({
+      start: period.startTime.getTime(),
+      end: period.endTime.getTime()
+    }))
+  ];
+
+  daySchedule.timeSlots.forEach(window => {
+    const windowEnd = combineDateAndTime(dateKey, window.endTime);
+    let cursor = combineDateAndTime(dateKey, window.startTime);
+
+    while (cursor.getTime() + durationMs <= windowEnd.getTime()) {
+      const slotStart = cursor;
+      const slotEnd = new Date(slotStart.getTime() + durationMs);
+
+      const conflict = busyPeriods.find(period =>
+        slotStart.getTime() < period.end && slotEnd.getTime() > period.start
+      );
+
+      if (conflict) {
+        // Resume right after the conflicting period
+        cursor = new Date(conflict.end);
+        continue;
+      }
+
+      if (slotStart > now) {
+        result.slots.push({
+          startTime: slotStart,
+          endTime: slotEnd,
+          duration: slotDuration,
+          available: true,
+          slotId: `${practitionerId}-${slotStart.getTime()}`
+        });
+      }
+
+      cursor = new Date(slotEnd.getTime() + bufferMs);
+    }
+  });
+
+  if (result.slots.length === 0 && blockedPeriods.some(period => period.type === 'leave')) {
+    result.unavailableReason = 'Practitioner is on leave';
+  }
+
+  return result;
+};
+
 const getPractitionerSchedule = async (practitionerId, startDate, endDate) => {
   try {
     const sessions = await Session.find({
@@ -78,7 +357,14 @@ const getPractitionerSchedule = async (practitionerId, startDate, endDate) => {
 };
 
 module.exports = {
+  ACTIVE_SESSION_STATUSES,
+  ACTIVE_GROUP_STATUSES,
+  getBlockedPeriods,
+  findSessionsInBlock,
+  excludeFilter,
+  findSlotConflict,
+  findPatientConflict,
   checkSlotAvailability,
-  reallocateSlot,
+  generateAvailableSlots,
   getPractitionerSchedule
 };
@@ -1,6 +1,7 @@
 // src/services/socketService.js
 const jwt = require('jsonwebtoken');
 const User = require('../models/user.models');
+const { WAITING_ROOM, getQueue, toDisplayQueue } = require('./queueService');
 
 const authenticateSocket = async (socket, next) => {
   try {
@@ -63,6 +64,24 @@ const setupSocketEvents = (io) => {
       socket.join(`session_${sessionId}`);
     });
 
+    // Waiting-room displays receive the live queue (staff accounts only)
+    socket.on('joinWaitingRoom', async () => {
+      if (!['practitioner', 'admin', 'receptionist'].includes(socket.user.role)) {
+        return;
+      }
+      socket.join(WAITING_ROOM);
+      try {
+        const queue = await getQueue();
+        socket.emit('queueUpdated', { updatedAt: new Date(), queue: toDisplayQueue(queue) });
+      } catch (error) {
+        console.error('Waiting room queue error:', error);
+      }
+    });
+
+    socket.on('leaveWaitingRoom', () => {
+      socket.leave(WAITING_ROOM);
+    });
+
     // Leave session room
     socket.on('leaveSession', (sessionId) => {
       socket.leave(`session_${sessionId}`);
@@ -0,0 +1,152 @@
+// src/services/treatmentPlanService.js
+const Session = require('../models/session.models');
+const Therapy = require('../models/therapy.models');
+const User = require('../models/user.models');
+const { createSeries } = require('./seriesService');
+const { getOfferedTherapy } = require('./offeringService');
+const { evaluateSafety } = require('./safetyService');
+
+const OPEN_SESSION_STATUSES = ['scheduled', 'confirmed', 'in-progress'];
+
+const idOf = (ref) => (ref?._id || ref).toString();
+
+const percent = (done, total) => (total > 0 ? Math.min(100, Math.round((done / total) * 100)) : 0);
+
+/**
+ * Summarise how much of a plan has been done
+ * Each therapy counts its completed and upcoming sessions booked from the plan against the
+ * recommended number; sessions still to book are those neither done nor booked.
+ */
+const getPlanProgress = async (plan) => {
+  const sessions = await Session.find({ treatmentPlan: plan._id, status: { $ne: 'cancelled' } })
+    .select('therapy status startTime')
+    .sort({ startTime: 1 });
+
+  const therapies = plan.therapies.map(item => {
+    const booked = sessions.filter(session => idOf(session.therapy) === idOf(item.therapy));
+    const completed = booked.filter(session => session.status === 'completed').length;
+    const upcoming = booked.filter(session => OPEN_SESSION_STATUSES.includes(session.status));
+    const next = upcoming[0];
+
+    return {
+      itemId: item._id,
+      therapy: item.therapy,
+      recommended: item.sessions,
+      completed,
+      upcoming: upcoming.length,
+      missed: booked.filter(session => session.status === 'no-show').length,
+      toBook: Math.max(0, item.sessions - completed - upcoming.length),
+      percentComplete: percent(completed, item.sessions),
+      nextSession: next ? { id: next._id, startTime: next.startTime } : null
+    };
+  });
+
+  const recommended = therapies.reduce((sum, item) => sum + item.recommended, 0);
+  const completed = therapies.reduce((sum, item) => sum + Math.min(item.completed, item.recommended), 0);
+  const achievedGoals = plan.goals.filter(goal => goal.status === 'achieved').length;
+
+  return {
+    recommendedSessions: recommended,
+    completedSessions: completed,
+    percentComplete: percent(completed, recommended),
+    therapies,
+    goals: {
+      total: plan.goals.length,
+      achieved: achievedGoals,
+      open: plan.goals.filter(goal => goal.status === 'open').length
+    },
+    nextReview: plan.nextReview
+  };
+};
+
+/**
+ * Book the sessions still to book for some or all of a plan's therapies
+ * Each therapy is booked as a recurring series from its start date at its frequency, so
+ * occurrences that conflict are skipped as they are for any series. `choices` is a list of
+ * { itemId, startDate, startTime }; without it every therapy with sessions left is booked.
+ * Returns one result per therapy with the booked series or the reason nothing was booked.
+ */
+const bookPlanTherapies = async (plan, { startDate, choices = null, bookedBy, override = null }) => {
+  const practitionerId = plan.practitioner._id || plan.practitioner;
+  const progress = await getPlanProgress(plan);
+  const patient = await User.findById(plan.patient);
+  const choiceByItem = new Map((choices || []).map(choice => [choice.itemId.toString(), choice]));
+
+  const items = choices
+    ? plan.therapies.filter(item => choiceByItem.has(item._id.toString()))
+    : plan.therapies;
+
+  const results = [];
+  for (const item of items) {
+    const choice = choiceByItem.get(item._id.toString()) || {};
+    const itemProgress = progress.therapies.find(entry => entry.itemId.equals(item._id));
+    const result = { itemId: item._id, therapy: item.therapy, booked: 0 };
+    results.push(result);
+
+    if (itemProgress.toBook === 0) {
+      result.reason = 'fully_booked';
+      result.message = 'Every recommended session is already booked or done';
+      continue;
+    }
+
+    const startTime = choice.startTime || item.preferredTime;
+    if (!startTime) {
+      result.reason = 'no_time';
+      result.message = 'Choose a start time; this therapy has no preferred time';
+      continue;
+    }
+
+    const therapy = await Therapy.findById(item.therapy);
+    const offeredTherapy = therapy?.isActive ? await getOfferedTherapy(practitionerId, therapy) : null;
+    if (!offeredTherapy) {
+      result.reason = 'not_offered';
+      result.message = 'The practitioner no longer offers this therapy';
+      continue;
+    }
+    result.therapy = { _id: therapy._id, name: therapy.name };
+
+    const safety = evaluateSafety([offeredTherapy], patient, { override });
+    if (safety.blocked) {
+      result.reason = 'safety_block';
+      result.message = 'This therapy is contraindicated for the patient. The treating practitioner must book it with a safety override.';
+      result.safety = { warnings: safety.warnings, blocks: safety.blocks };
+      continue;
+    }
+
+    const series = await createSeries({
+      therapy: offeredTherapy,
+      practitionerId,
+      patientId: plan.patient,
+      startDate: choice.startDate || startDate,
+      startTime,
+      recurrence: {
+        frequency: item.recurrence.frequency,
+        interval: item.recurrence.interval,
+        count: itemProgress.toBook
+      },
+      notes: item.notes,
+      createdBy: bookedBy,
+      safetyCheck: safety.record,
+      treatmentPlan: plan._id
+    });
+
+    result.skipped = series.skipped;
+    if (!series.series) {
+      result.reason = 'no_free_slots';
+      result.message = 'None of the occurrences could be booked';
+      continue;
+    }
+
+    result.booked = series.sessions.length;
+    result.series = series.series;
+    result.sessions = series.sessions;
+    result.safetyWarnings = safety.warnings;
+  }
+
+  return results;
+};
+
+module.exports = {
+  getPlanProgress,
+  bookPlanTherapies
+};
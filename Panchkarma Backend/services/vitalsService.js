@@ -0,0 +1,234 @@
+// src/services/vitalsService.js
+const Session = require('../models/session.models');
+const VitalRange = require('../models/vitalRange.models');
+const VitalReading = require('../models/vitalReading.models');
+const { sendNotification } = require('./notificationService');
+const { formatDateTime } = require('../utils/timeUtils');
+
+const { VITAL_METRICS } = VitalRange;
+
+const idOf = (ref) => ref?._id || ref;
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const getPath = (source, path) => path.split('.').reduce((value, key) => value?.[key], source);
+
+/**
+ * Keep only the numeric measurements of a request body, in the reading's shape
+ */
+const pickMeasurements = (source = {}) => {
+  const measurements = {};
+  Object.values(VITAL_METRICS).forEach(({ path }) => {
+    const value = getPath(source, path);
+    if (value === undefined || value === null || value === '' || isNaN(Number(value))) return;
+
+    const [field, child] = path.split('.');
+    if (child) {
+      measurements[field] = { ...measurements[field], [child]: Number(value) };
+    } else {
+      measurements[field] = Number(value);
+    }
+  });
+  return measurements;
+};
+
+/**
+ * Compare measurements with the applicable ranges and list those outside them
+ */
+const evaluateReading = (measurements, ranges) => {
+  const flags = [];
+  Object.entries(VITAL_METRICS).forEach(([metric, { path }]) => {
+    const value = getPath(measurements, path);
+    const range = ranges[metric];
+    if (value == null || !range) return;
+
+    if (range.min != null && value < range.min) {
+      flags.push({ metric, value, min: range.min, max: range.max, direction: 'low' });
+    } else if (range.max != null && value > range.max) {
+      flags.push({ metric, value, min: range.min, max: range.max, direction: 'high' });
+    }
+  });
+  return flags;
+};
+
+/**
+ * Describe an out-of-range measurement, e.g. "Systolic BP 168 mmHg (above 140)"
+ */
+const describeFlag = (flag) => {
+  const { label, unit } = VITAL_METRICS[flag.metric];
+  const limit = flag.direction === 'high' ? `above ${flag.max}` : `below ${flag.min}`;
+  return `${label} ${flag.value} ${unit} (${limit})`;
+};
+
+/**
+ * Alert the session's practitioner to an abnormal reading
+ * Expects the session with its therapy, patient and practitioner populated.
+ */
+const notifyAbnormalVitals = (session, reading) => {
+  const timing = {
+    'pre-session': 'before',
+    'during-session': 'during',
+    'post-session': 'after'
+  }[reading.phase];
+
+  return sendNotification({
+    recipient: session.practitioner._id,
+    type: 'vitals_alert',
+    title: 'Abnormal Vitals',
+    message: (timeZone) => `${session.patient.fullName}'s vitals ${timing} the ${session.therapy.name} session on ${formatDateTime(session.startTime, timeZone)} are out of range: ${reading.flags.map(describeFlag).join(', ')}.`,
+    data: {
+      sessionId: session._id,
+      therapyId: session.therapy._id,
+      actionUrl: `/sessions/${session._id}`,
+      priority: 'high'
+    },
+    channels: { inApp: true, whatsapp: true }
+  }).catch(error => console.error('Vitals alert notification error:', error));
+};
+
+/**
+ * Record a set of measurements taken during a session
+ * The session's `vitals` keep the latest value of each measurement. Readings outside their range
+ * are flagged and the practitioner is alerted. Expects the session with its therapy, patient and
+ * practitioner populated.
+ */
+const recordVitals = async (session, { phase, measurements, takenAt = new Date(), notes, recordedBy }) => {
+  const ranges = await VitalRange.findApplicable({ therapyId: session.therapy._id, phase });
+
+  const reading = await VitalReading.create({
+    patient: session.patient._id,
+    session: session._id,
+    therapy: session.therapy._id,
+    course: idOf(session.course),
+    phase,
+    ...measurements,
+    notes,
+    flags: evaluateReading(measurements, ranges),
+    takenAt,
+    recordedBy
+  });
+
+  // Only a reading at least as recent as the session's snapshot replaces it
+  const snapshot = { 'vitals.recordedAt': takenAt, 'vitals.recordedBy': recordedBy };
+  Object.values(VITAL_METRICS).forEach(({ path }) => {
+    const value = getPath(measurements, path);
+    if (value != null) snapshot[`vitals.${path}`] = value;
+  });
+  await Session.updateOne(
+    { _id: session._id, 'vitals.recordedAt': { $not: { $gt: takenAt } } },
+    { $set: snapshot }
+  );
+
+  if (reading.isAbnormal) {
+    await notifyAbnormalVitals(session, reading);
+  }
+
+  return reading;
+};
+
+/**
+ * List a session's readings in the order they were taken
+ */
+const getSessionReadings = (sessionId) => {
+  return VitalReading.find({ session: sessionId })
+    .populate('recordedBy', 'profile.firstName profile.lastName role')
+    .sort({ takenAt: 1 });
+};
+
+/**
+ * Summarise a metric's values: first, last, the change between them, and the spread
+ */
+const summarise = (points) => {
+  const values = points.map(point => point.value);
+  const first = values[0];
+  const last = values[values.length - 1];
+  return {
+    first,
+    last,
+    change: round(last - first),
+    changePercent: first ? round(((last - first) / first) * 100) : null,
+    min: Math.min(...values),
+    max: Math.max(...values),
+    average: round(values.reduce((sum, value) => sum + value, 0) / values.length),
+    abnormalCount: points.filter(point => point.abnormal).length
+  };
+};
+
+/**
+ * Build a patient's vitals trend, optionally for one course or a date range
+ * Returns each metric's time series with a summary across the period, and each session's
+ * change from its first reading to its last.
+ */
+const getVitalsTrend = async (patientId, { courseId, from, to } = {}) => {
+  const query = { patient: patientId };
+  if (courseId) query.course = courseId;
+  if (from || to) {
+    query.takenAt = {};
+    if (from) query.takenAt.$gte = new Date(from);
+    if (to) query.takenAt.$lte = new Date(to);
+  }
+
+  const readings = await VitalReading.find(query)
+    .populate('therapy', 'name')
+    .sort({ takenAt: 1 });
+
+  const metrics = {};
+  Object.entries(VITAL_METRICS).forEach(([metric, { path, label, unit }]) => {
+    const points = readings
+      .filter(reading => reading.get(path) != null)
+      .map(reading => ({
+        takenAt: reading.takenAt,
+        value: reading.get(path),
+        phase: reading.phase,
+        sessionId: reading.session,
+        abnormal: reading.flags.some(flag => flag.metric === metric)
+      }));
+    if (points.length === 0) return;
+
+    metrics[metric] = { label, unit, points, summary: summarise(points) };
+  });
+
+  const bySession = new Map();
+  readings.forEach(reading => {
+    const key = reading.session.toString();
+    if (!bySession.has(key)) bySession.set(key, []);
+    bySession.get(key).push(reading);
+  });
+
+  const sessions = [...bySession.values()].map(sessionReadings => {
+    const changes = {};
+    Object.entries(VITAL_METRICS).forEach(([metric, { path }]) => {
+      const values = sessionReadings.map(reading => reading.get(path)).filter(value => value != null);
+      if (values.length < 2) return;
+
+      const before = values[0];
+      const after = values[values.length - 1];
+      changes[metric] = { before, after, change: round(after - before) };
+    });
+
+    return {
+      sessionId: sessionReadings[0].session,
+      therapy: sessionReadings[0].therapy,
+      date: sessionReadings[0].takenAt,
+      readingCount: sessionReadings.length,
+      changes
+    };
+  });
+
+  return {
+    readingCount: readings.length,
+    from: readings[0]?.takenAt || null,
+    to: readings[readings.length - 1]?.takenAt || null,
+    metrics,
+    sessions
+  };
+};
+
+module.exports = {
+  pickMeasurements,
+  evaluateReading,
+  describeFlag,
+  recordVitals,
+  getSessionReadings,
+  getVitalsTrend
+};
@@ -0,0 +1,162 @@
+// src/services/waitlistService.js
+const WaitlistEntry = require('../models/waitlistEntry.models');
+const SlotHold = require('../models/slotHold.models');
+const Therapy = require('../models/therapy.models');
+const { sendNotification } = require('./notificationService');
+const { findSlotConflict, findPatientConflict } = require('./slotService');
+const { bookingKeys, withBookingLocks } = require('./bookingLockService');
+const { toDateKey, formatDateTime, formatTime } = require('../utils/timeUtils');
+
+const getHoldMinutes = () => parseInt(process.env.WAITLIST_HOLD_MINUTES, 10) || 30;
+
+const sameSlot = (offer, slot) => {
+  return offer.startTime?.getTime() === new Date(slot.startTime).getTime() &&
+    offer.endTime?.getTime() === new Date(slot.endTime).getTime();
+};
+
+/**
+ * Offer a freed slot to the first waitlisted patient who fits it
+ * `slot` is { practitioner, therapy, startTime, endTime }. Patients who already had this
+ * slot offered to them, or who are in `excludePatientIds`, are skipped.
+ */
+const offerSlot = async (slot, { excludePatientIds = [], io = null } = {}) => {
+  const startTime = new Date(slot.startTime);
+  const endTime = new Date(slot.endTime);
+  if (startTime <= new Date()) {
+    return null;
+  }
+
+  const dateKey = toDateKey(startTime);
+  const excluded = new Set(excludePatientIds.map(String));
+
+  const candidates = await WaitlistEntry.find({
+    practitioner: slot.practitioner,
+    therapy: slot.therapy,
+    status: 'waiting',
+    startDate: { $lte: dateKey },
+    endDate: { $gte: dateKey }
+  }).sort({ createdAt: 1 });
+
+  for (const entry of candidates) {
+    if (excluded.has(entry.patient.toString())) continue;
+    if (entry.offers.some(offer => sameSlot(offer, { startTime, endTime }))) continue;
+
+    const expiresAt = new Date(Date.now() + getHoldMinutes() * 60 * 1000);
+    const keys = bookingKeys({ practitionerIds: [slot.practitioner], patientIds: [entry.patient] });
+    const result = await withBookingLocks(keys, async (mongoSession) => {
+      // Someone else may have booked it in the meantime
+      const slotConflict = await findSlotConflict(slot.practitioner, startTime, endTime, null, {
+        holderId: entry.patient,
+        mongoSession
+      });
+      if (slotConflict) {
+        return { slotTaken: true };
+      }
+
+      const patientConflict = await findPatientConflict(entry.patient, startTime, endTime, null, { mongoSession });
+      if (patientConflict) {
+        return { patientBusy: true };
+      }
+
+      const [newHold] = await SlotHold.create([{
+        practitioner: slot.practitioner,
+        therapy: slot.therapy,
+        holder: entry.patient,
+        startTime,
+        endTime,
+        expiresAt,
+        source: 'waitlist',
+        waitlistEntry: entry._id
+      }], { session: mongoSession });
+
+      entry.status = 'offered';
+      entry.offers.push({ hold: newHold._id, startTime, endTime, expiresAt });
+      await entry.save({ session: mongoSession });
+      return { hold: newHold };
+    });
+
+    if (result.slotTaken) return null;
+    if (result.patientBusy) continue;
+    const { hold } = result;
+
+    const therapy = await Therapy.findById(slot.therapy).select('name');
+    await sendNotification({
+      recipient: entry.patient,
+      type: 'slot_available',
+      title: 'A Slot Has Opened Up for You',
+      message: (timeZone) => `A ${therapy?.name || 'therapy'} slot on ${formatDateTime(startTime, timeZone)} is held for you until ${formatTime(expiresAt, timeZone)}. Book it before then to claim it.`,
+      data: {
+        therapyId: slot.therapy,
+        actionUrl: `/waitlist/${entry._id}`,
+        priority: 'high'
+      },
+      channels: { inApp: true, email: true, whatsapp: true }
+    }).catch(error => console.error('Waitlist offer notification error:', error));
+
+    if (io) {
+      io.to(`user_${entry.patient}`).emit('waitlistOffer', {
+        entryId: entry._id,
+        holdId: hold._id,
+        practitionerId: slot.practitioner,
+        therapyId: slot.therapy,
+        startTime,
+        endTime,
+        expiresAt
+      });
+    }
+
+    return { entry, hold };
+  }
+
+  return null;
+};
+
+/**
+ * Offer the slot of a cancelled session to the waitlist
+ */
+const offerFreedSlot = (session, { io = null } = {}) => {
+  return offerSlot({
+    practitioner: session.practitioner._id || session.practitioner,
+    therapy: session.therapy._id || session.therapy,
+    startTime: session.startTime,
+    endTime: session.endTime
+  }, {
+    excludePatientIds: [session.patient._id || session.patient],
+    io
+  });
+};
+
+/**
+ * Give up a waitlist hold and pass the slot on to the next waitlisted patient
+ */
+const releaseWaitlistHold = async (hold, { outcome = 'declined', io = null } = {}) => {
+  hold.status = outcome === 'expired' ? 'expired' : 'released';
+  hold.releasedAt = new Date();
+  await hold.save();
+
+  let entry = null;
+  if (hold.waitlistEntry) {
+    entry = await WaitlistEntry.findById(hold.waitlistEntry);
+    if (entry) {
+      const offer = entry.offers.find(o => o.hold.equals(hold._id));
+      if (offer) offer.outcome = outcome;
+      if (entry.status === 'offered') {
+        entry.status = entry.endDate < toDateKey(new Date()) ? 'expired' : 'waiting';
+      }
+      await entry.save();
+    }
+  }
+
+  return offerSlot({
+    practitioner: hold.practitioner,
+    therapy: hold.therapy,
+    startTime: hold.startTime,
+    endTime: hold.endTime
+  }, { io });
+};
+
+module.exports = {
+  offerSlot,
+  offerFreedSlot,
+  releaseWaitlistHold
+};
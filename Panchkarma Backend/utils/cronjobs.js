@@ -4,12 +4,19 @@ const Session = require('../models/session.models');
 const Notification = require('../models/notification.models');
 const User = require('../models/user.models');
 const { sendNotification } = require('../services/notificationService');
+const { processExpiredHolds } = require('../services/holdService');
+const { syncAllExternalCalendars } = require('../services/externalCalendarService');
+const { broadcastQueue } = require('../services/queueService');
+const WalkIn = require('../models/walkIn.models');
+const { getClinicTimezone, toDateKey, getDayRange, formatDate, formatTime, formatDateTime } = require('./timeUtils');
 
 /**
  * Start all cron jobs for the Panchakarma Management System
+ * Daily jobs run on the clinic's clock
  */
-const startCronJobs = () => {
+const startCronJobs = (io = null) => {
   console.log('🔄 Starting cron jobs...');
+  const timezone = getClinicTimezone();
 
   // Send appointment reminders - runs every hour
   cron.schedule('0 * * * *', async () => {
@@ -17,7 +24,7 @@ const startCronJobs = () => {
     await sendAppointmentReminders();
   }, {
     name: 'appointment-reminders',
-    timezone: 'Asia/Kolkata'
+    timezone
   });
 
   // Clean up expired notifications - runs daily at midnight
@@ -26,7 +33,7 @@ const startCronJobs = () => {
     await cleanupExpiredNotifications();
   }, {
     name: 'notification-cleanup',
-    timezone: 'Asia/Kolkata'
+    timezone
   });
 
   // Update session statuses - runs every 30 minutes
@@ -35,7 +42,32 @@ const startCronJobs = () => {
     await updateOverdueSessions();
   }, {
     name: 'session-status-update',
-    timezone: 'Asia/Kolkata'
+    timezone
+  });
+
+  // Release expired slot holds and pass unclaimed waitlist offers on - runs every minute
+  cron.schedule('* * * * *', async () => {
+    await releaseExpiredHolds(io);
+  }, {
+    name: 'slot-hold-expiry',
+    timezone
+  });
+
+  // Refresh wait estimates on waiting-room displays - runs every 5 minutes
+  cron.schedule('*/5 * * * *', async () => {
+    await refreshWaitingRoom(io);
+  }, {
+    name: 'waiting-room-refresh',
+    timezone
+  });
+
+  // Re-import practitioners' external calendars - runs every 30 minutes
+  cron.schedule('15,45 * * * *', async () => {
+    console.log('🗓️ Running external calendar sync job...');
+    await syncExternalCalendars();
+  }, {
+    name: 'external-calendar-sync',
+    timezone
   });
 
   // Send daily summary reports - runs daily at 8 AM
@@ -44,7 +76,7 @@ const startCronJobs = () => {
     await sendDailySummaryReports();
   }, {
     name: 'daily-summary',
-    timezone: 'Asia/Kolkata'
+    timezone
   });
 
   // Cleanup incomplete sessions - runs daily at 2 AM
@@ -53,7 +85,7 @@ const startCronJobs = () => {
     await cleanupIncompleteSessions();
   }, {
     name: 'session-cleanup',
-    timezone: 'Asia/Kolkata'
+    timezone
   });
 
   // Send feedback reminders - runs daily at 6 PM
@@ -62,7 +94,7 @@ const startCronJobs = () => {
     await sendFeedbackReminders();
   }, {
     name: 'feedback-reminders',
-    timezone: 'Asia/Kolkata'
+    timezone
   });
 
   // Check and notify practitioners about schedule - runs daily at 7 AM
@@ -71,7 +103,7 @@ const startCronJobs = () => {
     await sendPractitionerScheduleReminders();
   }, {
     name: 'practitioner-schedule',
-    timezone: 'Asia/Kolkata'
+    timezone
   });
 
   // Weekly analytics report - runs every Sunday at 9 AM
@@ -80,7 +112,7 @@ const startCronJobs = () => {
     await sendWeeklyAnalyticsReport();
   }, {
     name: 'weekly-analytics',
-    timezone: 'Asia/Kolkata'
+    timezone
   });
 
   // Database maintenance - runs every Sunday at 3 AM
@@ -89,7 +121,7 @@ const startCronJobs = () => {
     await performDatabaseMaintenance();
   }, {
     name: 'database-maintenance',
-    timezone: 'Asia/Kolkata'
+    timezone
   });
 
   console.log('✅ All cron jobs started successfully');
@@ -107,10 +139,8 @@ const sendAppointmentReminders = async () => {
     // 24-HOUR REMINDERS
     // =====================
     const tomorrow = new Date(now.getTime() + 24 * 60 * 60 * 1000);
-    const tomorrowStart = new Date(tomorrow);
-    tomorrowStart.setHours(tomorrow.getHours() - 1); // 1 hour window
-    const tomorrowEnd = new Date(tomorrow);
-    tomorrowEnd.setHours(tomorrow.getHours() + 1);
+    const tomorrowStart = new Date(tomorrow.getTime() - 60 * 60 * 1000); // 1 hour window
+    const tomorrowEnd = new Date(tomorrow.getTime() + 60 * 60 * 1000);
 
     const sessions24h = await Session.find({
       startTime: { $gte: tomorrowStart, $lte: tomorrowEnd },
@@ -124,7 +154,7 @@ const sendAppointmentReminders = async () => {
           recipient: session.patient._id,
           type: 'appointment_reminder',
           title: '24-Hour Appointment Reminder',
-          message: `Your ${session.therapy.name} appointment with Dr. ${session.practitioner.profile.firstName} ${session.practitioner.profile.lastName} is scheduled for tomorrow at ${session.startTime.toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' })}.`,
+          message: (timeZone) => `Your ${session.therapy.name} appointment with Dr. ${session.practitioner.profile.firstName} ${session.practitioner.profile.lastName} is scheduled for tomorrow at ${formatTime(session.startTime, timeZone)}.`,
           data: {
             sessionId: session._id,
             therapyName: session.therapy.name,
@@ -151,10 +181,8 @@ const sendAppointmentReminders = async () => {
     // 2-HOUR REMINDERS
     // =====================
     const twoHoursLater = new Date(now.getTime() + 2 * 60 * 60 * 1000);
-    const twoHoursStart = new Date(twoHoursLater);
-    twoHoursStart.setMinutes(twoHoursLater.getMinutes() - 30); // 30-minute window
-    const twoHoursEnd = new Date(twoHoursLater);
-    twoHoursEnd.setMinutes(twoHoursLater.getMinutes() + 30);
+    const twoHoursStart = new Date(twoHoursLater.getTime() - 30 * 60 * 1000); // 30-minute window
+    const twoHoursEnd = new Date(twoHoursLater.getTime() + 30 * 60 * 1000);
 
     const sessions2h = await Session.find({
       startTime: { $gte: twoHoursStart, $lte: twoHoursEnd },
@@ -194,10 +222,8 @@ const sendAppointmentReminders = async () => {
     // 30-MINUTE REMINDERS
     // =====================
     const thirtyMinLater = new Date(now.getTime() + 30 * 60 * 1000);
-    const thirtyMinStart = new Date(thirtyMinLater);
-    thirtyMinStart.setMinutes(thirtyMinLater.getMinutes() - 15); // 15-minute window
-    const thirtyMinEnd = new Date(thirtyMinLater);
-    thirtyMinEnd.setMinutes(thirtyMinLater.getMinutes() + 15);
+    const thirtyMinStart = new Date(thirtyMinLater.getTime() - 15 * 60 * 1000); // 15-minute window
+    const thirtyMinEnd = new Date(thirtyMinLater.getTime() + 15 * 60 * 1000);
 
     const sessions30min = await Session.find({
       startTime: { $gte: thirtyMinStart, $lte: thirtyMinEnd },
@@ -268,11 +294,12 @@ const updateOverdueSessions = async () => {
     const now = new Date();
     let updatedCount = 0;
 
-    // Mark sessions as no-show if they're 30 minutes past start time and still scheduled
+    // Mark sessions as no-show if they're 30 minutes past start time, still scheduled and the patient never checked in
     const noShowResult = await Session.updateMany(
       {
         startTime: { $lt: new Date(now.getTime() - 30 * 60 * 1000) },
-        status: { $in: ['scheduled', 'confirmed'] }
+        status: { $in: ['scheduled', 'confirmed'] },
+        arrivedAt: { $exists: false }
       },
       { 
         $set: { 
@@ -314,7 +341,7 @@ const updateOverdueSessions = async () => {
             recipient: session.practitioner._id,
             type: 'cancellation',
             title: 'Patient No-Show',
-            message: `Patient ${session.patient.fullName} did not attend the ${session.therapy.name} session scheduled at ${session.startTime.toLocaleString()}.`,
+            message: (timeZone) => `Patient ${session.patient.fullName} did not attend the ${session.therapy.name} session scheduled at ${formatDateTime(session.startTime, timeZone)}.`,
             data: { sessionId: session._id },
             channels: { inApp: true }
           });
@@ -341,16 +368,49 @@ const updateOverdueSessions = async () => {
   }
 };
 
+/**
+ * Release slot holds that were not claimed in time
+ */
+const releaseExpiredHolds = async (io = null) => {
+  try {
+    const result = await processExpiredHolds({ io });
+    if (result.expiredHolds === 0 && result.closedEntries === 0) return;
+    console.log(`✅ Released ${result.expiredHolds} expired holds, re-offered ${result.reoffered}, closed ${result.closedEntries} waitlist entries`);
+  } catch (error) {
+    console.error('❌ Error releasing expired holds:', error);
+  }
+};
+
+/**
+ * Re-send the queue so waiting-room estimates stay current between changes
+ */
+const refreshWaitingRoom = async (io = null) => {
+  try {
+    await broadcastQueue(io);
+  } catch (error) {
+    console.error('❌ Error refreshing waiting room:', error);
+  }
+};
+
+/**
+ * Refresh the busy times imported from external calendars
+ */
+const syncExternalCalendars = async () => {
+  try {
+    const result = await syncAllExternalCalendars();
+    console.log(`✅ Synced ${result.synced} external calendars${result.failed > 0 ? `, ${result.failed} failed` : ''}`);
+  } catch (error) {
+    console.error('❌ Error syncing external calendars:', error);
+  }
+};
+
 /**
  * Send daily summary reports to practitioners
  */
 const sendDailySummaryReports = async () => {
   try {
     const today = new Date();
-    const startOfDay = new Date(today);
-    startOfDay.setHours(0, 0, 0, 0);
-    const endOfDay = new Date(today);
-    endOfDay.setHours(23, 59, 59, 999);
+    const { start: startOfDay, end: endOfDay } = getDayRange(toDateKey(today));
 
     // Get all approved practitioners
     const practitioners = await User.find({
@@ -364,7 +424,7 @@ const sendDailySummaryReports = async () => {
         // Get today's sessions for this practitioner
         const todaysSessions = await Session.find({
           practitioner: practitioner._id,
-          startTime: { $gte: startOfDay, $lte: endOfDay }
+          startTime: { $gte: startOfDay, $lt: endOfDay }
         }).populate(['patient', 'therapy']).sort({ startTime: 1 });
 
         if (todaysSessions.length === 0) {
@@ -375,18 +435,21 @@ const sendDailySummaryReports = async () => {
         const completedSessions = todaysSessions.filter(s => s.status === 'completed');
         const cancelledSessions = todaysSessions.filter(s => s.status === 'cancelled');
 
-        let summaryMessage = `📋 Daily Summary for ${today.toLocaleDateString('en-IN')}\n\n`;
-        summaryMessage += `📊 Total Sessions: ${todaysSessions.length}\n`;
-        summaryMessage += `✅ Completed: ${completedSessions.length}\n`;
-        summaryMessage += `⏳ Upcoming: ${upcomingSessions.length}\n`;
-        summaryMessage += `❌ Cancelled: ${cancelledSessions.length}\n\n`;
-
-        if (upcomingSessions.length > 0) {
-          summaryMessage += `🕐 Today's Upcoming Sessions:\n`;
-          upcomingSessions.forEach(session => {
-            summaryMessage += `• ${session.startTime.toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' })} - ${session.therapy.name} with ${session.patient.profile.firstName} ${session.patient.profile.lastName}\n`;
-          });
-        }
+        const summaryMessage = (timeZone) => {
+          let text = `📋 Daily Summary for ${formatDate(today, timeZone)}\n\n`;
+          text += `📊 Total Sessions: ${todaysSessions.length}\n`;
+          text += `✅ Completed: ${completedSessions.length}\n`;
+          text += `⏳ Upcoming: ${upcomingSessions.length}\n`;
+          text += `❌ Cancelled: ${cancelledSessions.length}\n\n`;
+
+          if (upcomingSessions.length > 0) {
+            text += `🕐 Today's Upcoming Sessions:\n`;
+            upcomingSessions.forEach(session => {
+              text += `• ${formatTime(session.startTime, timeZone)} - ${session.therapy.name} with ${session.patient.profile.firstName} ${session.patient.profile.lastName}\n`;
+            });
+          }
+          return text;
+        };
 
         await sendNotification({
           recipient: practitioner._id,
@@ -454,6 +517,14 @@ const cleanupIncompleteSessions = async () => {
     });
 
     console.log(`🧹 Removed ${abandonedSessions.deletedCount} abandoned sessions`);
+
+    // Close walk-ins left in a previous day's queue
+    const staleWalkIns = await WalkIn.updateMany(
+      { status: { $in: ['waiting', 'called'] }, queueDate: { $lt: toDateKey(new Date()) } },
+      { $set: { status: 'left', leftAt: new Date() } }
+    );
+
+    console.log(`🧹 Closed ${staleWalkIns.modifiedCount} walk-ins from earlier days`);
   } catch (error) {
     console.error('❌ Error in cleanupIncompleteSessions:', error);
   }
@@ -540,10 +611,7 @@ const sendFeedbackReminders = async () => {
 const sendPractitionerScheduleReminders = async () => {
   try {
     const today = new Date();
-    const startOfDay = new Date(today);
-    startOfDay.setHours(0, 0, 0, 0);
-    const endOfDay = new Date(today);
-    endOfDay.setHours(23, 59, 59, 999);
+    const { start: startOfDay, end: endOfDay } = getDayRange(toDateKey(today));
 
     const practitioners = await User.find({
       role: 'practitioner',
@@ -554,22 +622,25 @@ const sendPractitionerScheduleReminders = async () => {
     for (const practitioner of practitioners) {
       const todaysSessions = await Session.find({
         practitioner: practitioner._id,
-        startTime: { $gte: startOfDay, $lte: endOfDay },
+        startTime: { $gte: startOfDay, $lt: endOfDay },
         status: { $in: ['scheduled', 'confirmed'] }
       }).populate(['patient', 'therapy']).sort({ startTime: 1 });
 
       if (todaysSessions.length > 0) {
-        let scheduleMessage = `👨‍⚕️ Today's Schedule (${today.toLocaleDateString('en-IN')}):\n\n`;
-        
-        todaysSessions.forEach((session, index) => {
-          const time = session.startTime.toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' });
-          const duration = session.therapy.duration;
-          scheduleMessage += `${index + 1}. ${time} (${duration}min) - ${session.therapy.name}\n`;
-          scheduleMessage += `   Patient: ${session.patient.fullName}\n`;
-          scheduleMessage += `   Phone: ${session.patient.profile.phone}\n\n`;
-        });
+        const scheduleMessage = (timeZone) => {
+          let text = `👨‍⚕️ Today's Schedule (${formatDate(today, timeZone)}):\n\n`;
+          
+          todaysSessions.forEach((session, index) => {
+            const time = formatTime(session.startTime, timeZone);
+            const duration = Math.round((session.endTime - session.startTime) / (60 * 1000));
+            text += `${index + 1}. ${time} (${duration}min) - ${session.therapy.name}\n`;
+            text += `   Patient: ${session.patient.fullName}\n`;
+            text += `   Phone: ${session.patient.profile.phone}\n\n`;
+          });
 
-        scheduleMessage += `📞 Contact clinic for any schedule changes.`;
+          text += `📞 Contact clinic for any schedule changes.`;
+          return text;
+        };
 
         await sendNotification({
           recipient: practitioner._id,
@@ -658,17 +729,20 @@ const sendWeeklyAnalyticsReport = async () => {
     const totalRevenue = revenueStats[0]?.totalRevenue || 0;
     const newUsers = userStats.reduce((sum, stat) => sum + stat.count, 0);
 
-    let reportMessage = `📊 Weekly Analytics Report\n`;
-    reportMessage += `📅 Period: ${startDate.toLocaleDateString()} - ${endDate.toLocaleDateString()}\n\n`;
-    reportMessage += `📈 Key Metrics:\n`;
-    reportMessage += `• Total Sessions: ${totalSessions}\n`;
-    reportMessage += `• Revenue Generated: ₹${totalRevenue.toLocaleString('en-IN')}\n`;
-    reportMessage += `• New User Registrations: ${newUsers}\n\n`;
-    reportMessage += `📋 Session Breakdown:\n`;
-    
-    sessionStats.forEach(stat => {
-      reportMessage += `• ${stat._id}: ${stat.count} sessions\n`;
-    });
+    const reportMessage = (timeZone) => {
+      let text = `📊 Weekly Analytics Report\n`;
+      text += `📅 Period: ${formatDate(startDate, timeZone)} - ${formatDate(endDate, timeZone)}\n\n`;
+      text += `📈 Key Metrics:\n`;
+      text += `• Total Sessions: ${totalSessions}\n`;
+      text += `• Revenue Generated: ₹${totalRevenue.toLocaleString('en-IN')}\n`;
+      text += `• New User Registrations: ${newUsers}\n\n`;
+      text += `📋 Session Breakdown:\n`;
+      
+      sessionStats.forEach(stat => {
+        text += `• ${stat._id}: ${stat.count} sessions\n`;
+      });
+      return text;
+    };
 
     for (const admin of admins) {
       await sendNotification({
@@ -788,6 +862,9 @@ module.exports = {
   sendAppointmentReminders,
   cleanupExpiredNotifications,
   updateOverdueSessions,
+  releaseExpiredHolds,
+  refreshWaitingRoom,
+  syncExternalCalendars,
   sendDailySummaryReports,
   cleanupIncompleteSessions,
   sendFeedbackReminders,
@@ -0,0 +1,378 @@
+// src/utils/icsParser.js
+const { getClinicTimezone, isValidTimezone, toDateKey, combineDateAndTime, addDaysToDateKey } = require('./timeUtils');
+
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const MAX_RECURRENCE_INSTANCES = 5000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Unfold an iCalendar document and split it into { name, params, value } content lines
+ */
+const parseContentLines = (text) => {
+  return text
+    .replace(/\r?\n[ \t]/g, '')
+    .split(/\r?\n/)
+    .filter(line => line.trim())
+    .map(line => {
+      // The value starts at the first colon outside a quoted parameter value
+      let inQuotes = false;
+      let colon = -1;
+      for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') inQuotes = !inQuotes;
+        if (line[i] === ':' && !inQuotes) {
+          colon = i;
+          break;
+        }
+      }
+      if (colon === -1) return null;
+
+      const [name, ...paramParts] = line.slice(0, colon).split(';');
+      const params = {};
+      paramParts.forEach(part => {
+        const [key, ...rest] = part.split('=');
+        params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+      });
+      return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Group content lines into components; each component keeps its properties and child components
+ */
+const parseComponents = (lines) => {
+  const root = { type: 'ROOT', properties: [], children: [] };
+  const stack = [root];
+
+  lines.forEach(line => {
+    const current = stack[stack.length - 1];
+    if (line.name === 'BEGIN') {
+      const component = { type: line.value.toUpperCase(), properties: [], children: [] };
+      current.children.push(component);
+      stack.push(component);
+    } else if (line.name === 'END') {
+      if (stack.length > 1) stack.pop();
+    } else {
+      current.properties.push(line);
+    }
+  });
+
+  return root;
+};
+
+const getProperty = (component, name) => component.properties.find(p => p.name === name);
+const getProperties = (component, name) => component.properties.filter(p => p.name === name);
+
+/**
+ * Parse an iCalendar DURATION such as "PT1H30M" or "-P1D" into milliseconds
+ */
+const parseDuration = (value) => {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+  if (!match) return null;
+  const [, sign, weeks, days, hours, minutes, seconds] = match.map(part => part || 0);
+  const ms = ((((Number(weeks) * 7 + Number(days)) * 24 + Number(hours)) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000;
+  return sign === '-' ? -ms : ms;
+};
+
+/**
+ * Pick the timezone to read a date-time in: its TZID when the runtime knows it, a fixed offset
+ * from the document's VTIMEZONE, or the clinic's timezone for floating times
+ */
+const resolveTimezone = (tzid, fixedOffsets) => {
+  if (!tzid) return { timeZone: getClinicTimezone() };
+  if (isValidTimezone(tzid)) return { timeZone: tzid };
+  if (fixedOffsets.has(tzid)) return { timeZone: 'UTC', offsetMs: fixedOffsets.get(tzid) };
+  return { timeZone: getClinicTimezone() };
+};
+
+/**
+ * Parse a DATE or DATE-TIME property into { time, dateKey, isDate, zone }
+ * `zone` is used to repeat the value at the same wall-clock time
+ */
+const parseDateValue = (property, fixedOffsets) => {
+  const value = property.value.trim();
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value);
+  if (!match) return null;
+
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+  const dateKey = `${year}-${month}-${day}`;
+
+  if (!hours) {
+    const zone = { timeZone: getClinicTimezone() };
+    return { time: combineDateAndTime(dateKey, '00:00', zone.timeZone), dateKey, isDate: true, zone };
+  }
+
+  const zone = utc ? { timeZone: 'UTC' } : resolveTimezone(property.params.TZID, fixedOffsets);
+  const wallTime = `${hours}:${minutes}`;
+  const time = new Date(
+    combineDateAndTime(dateKey, wallTime, zone.timeZone).getTime() + Number(seconds) * 1000 - (zone.offsetMs || 0)
+  );
+  return { time, dateKey, wallTime, seconds: Number(seconds), isDate: false, zone };
+};
+
+// Rebuild a date at the same wall-clock time on another day
+const atDateKey = (start, dateKey) => {
+  if (start.isDate) {
+    return combineDateAndTime(dateKey, '00:00', start.zone.timeZone);
+  }
+  return new Date(
+    combineDateAndTime(dateKey, start.wallTime, start.zone.timeZone).getTime() + start.seconds * 1000 - (start.zone.offsetMs || 0)
+  );
+};
+
+const weekdayOf = (dateKey) => new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+const toKey = (year, month, day) => `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+/**
+ * Parse an RRULE value into its parts
+ */
+const parseRecurrenceRule = (value) => {
+  const rule = {};
+  value.split(';').forEach(part => {
+    const [key, ...rest] = part.split('=');
+    rule[key.toUpperCase()] = rest.join('=');
+  });
+  return rule;
+};
+
+// Days of a month matching BYDAY entries such as "MO", "2TU" or "-1FR"
+const monthDaysForWeekdays = (year, month, byDay) => {
+  const lastDay = daysInMonth(year, month);
+  const days = [];
+  byDay.forEach(entry => {
+    const match = /^([+-]?\d+)?([A-Z]{2})$/.exec(entry);
+    if (!match) return;
+    const weekday = WEEKDAY_CODES.indexOf(match[2]);
+    const matching = [];
+    for (let day = 1; day <= lastDay; day++) {
+      if (weekdayOf(toKey(year, month, day)) === weekday) matching.push(day);
+    }
+    if (!match[1]) {
+      days.push(...matching);
+    } else {
+      const nth = Number(match[1]);
+      const day = nth > 0 ? matching[nth - 1] : matching[matching.length + nth];
+      if (day) days.push(day);
+    }
+  });
+  return days;
+};
+
+/**
+ * List the candidate date keys of one recurrence period, in order
+ */
+const periodDateKeys = (rule, startKey, periodIndex) => {
+  const interval = Math.max(1, parseInt(rule.INTERVAL) || 1);
+  const [startYear, startMonth, startDay] = startKey.split('-').map(Number);
+  const byDay = rule.BYDAY ? rule.BYDAY.split(',') : null;
+  const byMonthDay = rule.BYMONTHDAY ? rule.BYMONTHDAY.split(',').map(Number) : null;
+
+  if (rule.FREQ === 'DAILY') {
+    return [addDaysToDateKey(startKey, periodIndex * interval)];
+  }
+
+  if (rule.FREQ === 'WEEKLY') {
+    const weekStart = WEEKDAY_CODES.indexOf(rule.WKST || 'MO');
+    const startOffset = (weekdayOf(startKey) - weekStart + 7) % 7;
+    const firstDayOfWeek = addDaysToDateKey(startKey, -startOffset + periodIndex * interval * 7);
+    const weekdays = byDay
+      ? byDay.map(code => WEEKDAY_CODES.indexOf(code.slice(-2))).filter(day => day >= 0)
+      : [weekdayOf(startKey)];
+    return weekdays
+      .map(weekday => addDaysToDateKey(firstDayOfWeek, (weekday - weekStart + 7) % 7))
+      .sort();
+  }
+
+  if (rule.FREQ === 'MONTHLY') {
+    const monthIndex = startMonth - 1 + periodIndex * interval;
+    const year = startYear + Math.floor(monthIndex / 12);
+    const month = (monthIndex % 12) + 1;
+    const lastDay = daysInMonth(year, month);
+    const days = byDay
+      ? monthDaysForWeekdays(year, month, byDay)
+      : (byMonthDay || [startDay]).map(day => (day < 0 ? lastDay + day + 1 : day));
+    return [...new Set(days)]
+      .filter(day => day >= 1 && day <= lastDay)
+      .sort((a, b) => a - b)
+      .map(day => toKey(year, month, day));
+  }
+
+  if (rule.FREQ === 'YEARLY') {
+    const year = startYear + periodIndex * interval;
+    return startDay <= daysInMonth(year, startMonth) ? [toKey(year, startMonth, startDay)] : [];
+  }
+
+  return null;
+};
+
+/**
+ * Find a recurrence period shortly before a date, so long-running rules need not be walked from the start
+ */
+const periodIndexNear = (rule, startKey, dateKey) => {
+  const interval = Math.max(1, parseInt(rule.INTERVAL) || 1);
+  const days = (Date.parse(dateKey) - Date.parse(startKey)) / DAY_MS;
+  // Dividing by the longest month and year never skips past the date
+  const periods = { DAILY: days, WEEKLY: days / 7, MONTHLY: days / 31, YEARLY: days / 366 }[rule.FREQ];
+  if (!periods || periods <= 0) return 0;
+  return Math.max(0, Math.floor(periods / interval) - 1);
+};
+
+/**
+ * Expand a recurring event into instance start times within a window
+ * Supports DAILY, WEEKLY (with BYDAY), MONTHLY (with BYMONTHDAY or BYDAY) and YEARLY rules
+ * with INTERVAL, COUNT and UNTIL; other rule parts are ignored.
+ */
+const expandRecurrence = (start, rule, { from, to }, fixedOffsets) => {
+  const until = rule.UNTIL ? parseDateValue({ value: rule.UNTIL, params: {} }, fixedOffsets) : null;
+  const untilTime = until ? (until.isDate ? until.time.getTime() + DAY_MS - 1 : until.time.getTime()) : Infinity;
+  const count = rule.COUNT ? parseInt(rule.COUNT) : Infinity;
+  const startKey = start.isDate ? start.dateKey : toDateKey(start.time, start.zone.timeZone);
+
+  // COUNT has to be counted from the first instance; otherwise skip ahead to the window
+  const firstPeriod = rule.COUNT ? 0 : periodIndexNear(rule, startKey, toDateKey(from, start.zone.timeZone));
+  const instances = [];
+  for (let periodIndex = firstPeriod;
+    instances.length < Math.min(count, MAX_RECURRENCE_INSTANCES);
+    periodIndex++) {
+    const dateKeys = periodDateKeys(rule, startKey, periodIndex);
+    if (!dateKeys) return [start.time]; // Unsupported frequency: keep the first instance only
+
+    let passedEnd = false;
+    for (const dateKey of dateKeys) {
+      if (dateKey < startKey) continue;
+      const time = atDateKey(start, dateKey);
+      if (time.getTime() > untilTime || time >= to) {
+        passedEnd = true;
+        break;
+      }
+      instances.push(time);
+      if (instances.length >= count) break;
+    }
+    if (passedEnd || periodIndex - firstPeriod > MAX_RECURRENCE_INSTANCES) break;
+  }
+
+  return instances;
+};
+
+/**
+ * Read fixed UTC offsets from VTIMEZONE definitions that have no daylight saving time
+ * Used for TZIDs the runtime does not know, such as Windows names ("India Standard Time")
+ */
+const readFixedOffsets = (calendar) => {
+  const offsets = new Map();
+  calendar.children.filter(c => c.type === 'VTIMEZONE').forEach(timezone => {
+    const tzid = getProperty(timezone, 'TZID')?.value;
+    const observances = timezone.children.filter(c => c.type === 'STANDARD' || c.type === 'DAYLIGHT');
+    if (!tzid || observances.length !== 1 || observances[0].type !== 'STANDARD') return;
+    const match = /^([+-])(\d{2})(\d{2})$/.exec(getProperty(observances[0], 'TZOFFSETTO')?.value || '');
+    if (match) {
+      const ms = (Number(match[2]) * 60 + Number(match[3])) * 60 * 1000;
+      offsets.set(tzid, match[1] === '-' ? -ms : ms);
+    }
+  });
+  return offsets;
+};
+
+// Events marked free, transparent or cancelled do not block time
+const isBusyEvent = (event) => {
+  const transparency = getProperty(event, 'TRANSP')?.value.toUpperCase();
+  const status = getProperty(event, 'STATUS')?.value.toUpperCase();
+  const busyStatus = getProperty(event, 'X-MICROSOFT-CDO-BUSYSTATUS')?.value.toUpperCase();
+  return transparency !== 'TRANSPARENT' && status !== 'CANCELLED' && busyStatus !== 'FREE';
+};
+
+/**
+ * Get the busy periods of an iCalendar document that overlap a window
+ * Reads VEVENTs (expanding recurrences, EXDATEs and moved instances) and VFREEBUSY periods.
+ * Returns a list of { uid, startTime, endTime } sorted by start time.
+ */
+const parseBusyPeriods = (text, { from, to }) => {
+  if (typeof text !== 'string' || !/BEGIN:VCALENDAR/i.test(text)) {
+    throw new Error('Not an iCalendar file');
+  }
+
+  const root = parseComponents(parseContentLines(text));
+  const calendars = root.children.filter(c => c.type === 'VCALENDAR');
+  const periods = [];
+  const addPeriod = (uid, startTime, endTime) => {
+    if (startTime < to && endTime > from && endTime > startTime) {
+      periods.push({ uid, startTime, endTime });
+    }
+  };
+
+  calendars.forEach(calendar => {
+    const fixedOffsets = readFixedOffsets(calendar);
+    const events = calendar.children.filter(c => c.type === 'VEVENT');
+
+    // Instances moved or cancelled individually, keyed by UID and original start
+    const movedInstances = new Set();
+    events.forEach(event => {
+      const uid = getProperty(event, 'UID')?.value;
+      const recurrenceId = getProperty(event, 'RECURRENCE-ID');
+      const original = recurrenceId && parseDateValue(recurrenceId, fixedOffsets);
+      if (uid && original) movedInstances.add(`${uid}|${original.time.getTime()}`);
+    });
+
+    events.forEach(event => {
+      const dtstart = getProperty(event, 'DTSTART');
+      const start = dtstart && parseDateValue(dtstart, fixedOffsets);
+      if (!start || !isBusyEvent(event)) return;
+
+      const uid = getProperty(event, 'UID')?.value || `event-${start.time.getTime()}`;
+      const dtend = getProperty(event, 'DTEND');
+      const end = dtend && parseDateValue(dtend, fixedOffsets);
+      const duration = getProperty(event, 'DURATION');
+      const durationMs = end
+        ? end.time - start.time
+        : duration ? parseDuration(duration.value) : (start.isDate ? DAY_MS : 0);
+      if (!durationMs || durationMs <= 0) return;
+
+      const rrule = getProperty(event, 'RRULE');
+      if (!rrule || getProperty(event, 'RECURRENCE-ID')) {
+        addPeriod(uid, start.time, new Date(start.time.getTime() + durationMs));
+        return;
+      }
+
+      const excluded = new Set(getProperties(event, 'EXDATE').flatMap(exdate =>
+        exdate.value.split(',').map(value => parseDateValue({ ...exdate, value }, fixedOffsets)?.time.getTime())
+      ));
+
+      expandRecurrence(start, parseRecurrenceRule(rrule.value), { from, to }, fixedOffsets).forEach(instance => {
+        const time = instance.getTime();
+        if (excluded.has(time) || movedInstances.has(`${uid}|${time}`)) return;
+        // Instances of all-day events keep the whole clinic day, even on 23- or 25-hour days
+        const instanceEnd = start.isDate && durationMs % DAY_MS === 0
+          ? combineDateAndTime(addDaysToDateKey(toDateKey(instance), durationMs / DAY_MS), '00:00')
+          : new Date(time + durationMs);
+        addPeriod(uid, instance, instanceEnd);
+      });
+    });
+
+    calendar.children.filter(c => c.type === 'VFREEBUSY').forEach(freeBusy => {
+      const uid = getProperty(freeBusy, 'UID')?.value || 'freebusy';
+      getProperties(freeBusy, 'FREEBUSY')
+        .filter(property => !property.params.FBTYPE || property.params.FBTYPE.toUpperCase() !== 'FREE')
+        .forEach(property => {
+          property.value.split(',').forEach(period => {
+            const [startValue, endValue] = period.split('/');
+            const startTime = parseDateValue({ value: startValue, params: {} }, fixedOffsets)?.time;
+            if (!startTime || !endValue) return;
+            const endTime = endValue.startsWith('P') || endValue.startsWith('+P')
+              ? new Date(startTime.getTime() + (parseDuration(endValue) || 0))
+              : parseDateValue({ value: endValue, params: {} }, fixedOffsets)?.time;
+            if (endTime) addPeriod(uid, startTime, endTime);
+          });
+        });
+    });
+  });
+
+  return periods.sort((a, b) => a.startTime - b.startTime);
+};
+
+module.exports = {
+  parseDuration,
+  parseBusyPeriods
+};
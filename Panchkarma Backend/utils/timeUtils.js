@@ -0,0 +1,194 @@
+// src/utils/timeUtils.js
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAYS_OF_WEEK = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Convert an "HH:mm" string to minutes past midnight
+ */
+const timeToMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Convert minutes past midnight to an "HH:mm" string
+ */
+const minutesToTime = (totalMinutes) => {
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+};
+
+/**
+ * Get the weekday name for a "YYYY-MM-DD" date key
+ */
+const getDayOfWeek = (dateKey) => {
+  return DAYS_OF_WEEK[new Date(`${dateKey}T00:00:00Z`).getUTCDay()];
+};
+
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+/**
+ * Get the clinic's IANA timezone; schedules, slots and day boundaries use it
+ */
+const getClinicTimezone = () => process.env.CLINIC_TIMEZONE || DEFAULT_TIMEZONE;
+
+/**
+ * Check that a string is an IANA timezone name the runtime knows
+ */
+const isValidTimezone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Get the timezone to show a user times in, falling back to the clinic's
+ */
+const getUserTimezone = (user) => {
+  const timeZone = user?.preferences?.timezone;
+  return isValidTimezone(timeZone) ? timeZone : getClinicTimezone();
+};
+
+const partsFormatters = new Map();
+
+/**
+ * Get the wall-clock year, month, day, hour, minute and second of a Date in a timezone
+ */
+const getZonedParts = (date, timeZone = getClinicTimezone()) => {
+  if (!partsFormatters.has(timeZone)) {
+    partsFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  const parts = {};
+  partsFormatters.get(timeZone).formatToParts(new Date(date)).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = Number(value);
+  });
+  return parts;
+};
+
+/**
+ * Get how far a timezone's wall clock is ahead of UTC at an instant, in milliseconds
+ */
+const getTimezoneOffset = (date, timeZone = getClinicTimezone()) => {
+  const instant = new Date(date);
+  const p = getZonedParts(instant, timeZone);
+  const wallClockAsUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return wallClockAsUtc - (instant.getTime() - instant.getUTCMilliseconds());
+};
+
+/**
+ * Format a Date as a "YYYY-MM-DD" date key in a timezone (the clinic's by default)
+ */
+const toDateKey = (date, timeZone = getClinicTimezone()) => {
+  const p = getZonedParts(date, timeZone);
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+};
+
+/**
+ * Format a Date as an "HH:mm" wall-clock time in a timezone (the clinic's by default)
+ */
+const toTimeKey = (date, timeZone = getClinicTimezone()) => {
+  const p = getZonedParts(date, timeZone);
+  return minutesToTime(p.hour * 60 + p.minute);
+};
+
+/**
+ * Build a Date for an "HH:mm" time on a "YYYY-MM-DD" date in a timezone (the clinic's by default)
+ * A time skipped by a daylight saving change moves forward by the size of the gap; a time that
+ * happens twice resolves to the first one.
+ */
+const combineDateAndTime = (dateKey, time, timeZone = getClinicTimezone()) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const [hours, minutes] = time.split(':').map(Number);
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hours, minutes);
+
+  // The offset from a day earlier is right unless a change happens before the wall time
+  const offsetBefore = getTimezoneOffset(wallClockAsUtc - 24 * 60 * 60 * 1000, timeZone);
+  const candidate = wallClockAsUtc - offsetBefore;
+  const offsetAt = getTimezoneOffset(candidate, timeZone);
+  if (offsetAt === offsetBefore) {
+    return new Date(candidate);
+  }
+
+  // Use the new offset when the wall time exists after the change; otherwise it fell in a gap
+  const shifted = wallClockAsUtc - offsetAt;
+  return getTimezoneOffset(shifted, timeZone) === offsetAt ? new Date(shifted) : new Date(candidate);
+};
+
+/**
+ * Add a number of days to a "YYYY-MM-DD" date key
+ */
+const addDaysToDateKey = (dateKey, days) => {
+  const d = new Date(`${dateKey}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
+};
+
+/**
+ * Get the start and end of a "YYYY-MM-DD" day in a timezone (the clinic's by default)
+ * The end is the start of the next day, so a day can last 23 or 25 hours
+ */
+const getDayRange = (dateKey, timeZone = getClinicTimezone()) => ({
+  start: combineDateAndTime(dateKey, '00:00', timeZone),
+  end: combineDateAndTime(addDaysToDateKey(dateKey, 1), '00:00', timeZone)
+});
+
+/**
+ * Format a Date's day for messages, in the reader's timezone
+ */
+const formatDate = (date, timeZone = getClinicTimezone()) => {
+  return new Date(date).toLocaleDateString('en-IN', { timeZone });
+};
+
+/**
+ * Format a Date's time of day for messages, in the reader's timezone
+ */
+const formatTime = (date, timeZone = getClinicTimezone()) => {
+  return new Date(date).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit', timeZone });
+};
+
+/**
+ * Format a Date as "<date> at <time>" for messages, in the reader's timezone
+ */
+const formatDateTime = (date, timeZone = getClinicTimezone()) => {
+  return `${formatDate(date, timeZone)} at ${formatTime(date, timeZone)}`;
+};
+
+
+module.exports = {
+  TIME_PATTERN,
+  DATE_PATTERN,
+  DAYS_OF_WEEK,
+  DEFAULT_TIMEZONE,
+  timeToMinutes,
+  minutesToTime,
+  getDayOfWeek,
+  getClinicTimezone,
+  isValidTimezone,
+  getUserTimezone,
+  getZonedParts,
+  getTimezoneOffset,
+  toDateKey,
+  toTimeKey,
+  combineDateAndTime,
+  addDaysToDateKey,
+  getDayRange,
+  formatDate,
+  formatTime,
+  formatDateTime
+};